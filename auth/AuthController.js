@@ -2,21 +2,42 @@
 // Version 3.0 - Added is_active check for teacher login
 
 const pool = require("../config/database");
+const crypto = require("crypto");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { getUserPermissions } = require("../utils/permissions");
+const { loadHubScope } = require("../utils/branchAccess");
+const {
+  saveRefreshToken,
+  findRefreshToken,
+  markRotated,
+  revokeFamily,
+  revokeUserSessions,
+  getActiveSessions,
+  purgeExpiredTokens,
+} = require("../utils/refreshTokens");
+const {
+  bumpTokenVersion,
+  clearTokenVersionCache,
+} = require("../utils/tokenVersion");
 
 // =====================================================
 // HELPER: Generate Tokens - WITH REGIONAL HUB INFO
 // =====================================================
-const generateTokens = async (user) => {
+// sessionId is the refresh token family (one per login), carried as `sid`;
+// `tv` is users.token_version, checked by verifyToken
+const generateTokens = async (user, sessionId) => {
   const tokenPayload = {
     id: user.id,
     username: user.username,
     role: user.role,
+    role_id: user.role_id,
+    sid: sessionId,
+    tv: user.token_version,
   };
 
   // Include teacher-specific data with arrays for teacher role
@@ -111,12 +132,14 @@ const generateTokens = async (user) => {
     algorithm: CONSTANTS.JWT.ALGORITHM,
   });
 
+  // jwtid keeps every refresh token unique (they are stored by hash)
   const refreshToken = jwt.sign(
     { id: user.id, username: user.username },
     process.env.JWT_REFRESH_SECRET,
     {
       expiresIn: CONSTANTS.JWT.REFRESH_TOKEN_EXPIRES_IN,
       algorithm: CONSTANTS.JWT.ALGORITHM,
+      jwtid: crypto.randomUUID(),
     },
   );
 
@@ -199,7 +222,17 @@ const login = async (req, res) => {
     }
 
     // Generate tokens (now includes regional hub info for teachers)
-    const { accessToken, refreshToken } = await generateTokens(user);
+    // and start a new session (refresh token family)
+    const sessionId = crypto.randomUUID();
+    const { accessToken, refreshToken } = await generateTokens(user, sessionId);
+
+    await purgeExpiredTokens(pool, user.id);
+    await saveRefreshToken(pool, {
+      userId: user.id,
+      familyId: sessionId,
+      token: refreshToken,
+      req,
+    });
 
     // Prepare user data for response
     const userData = {
@@ -209,6 +242,18 @@ const login = async (req, res) => {
       is_active: user.is_active,
     };
 
+    // Access role and permissions (for showing / hiding UI actions)
+    const { role, permissions } = await getUserPermissions(pool, user);
+    userData.roleKey = role ? role.role_key : null;
+    userData.roleName = role ? role.role_name : null;
+    userData.permissions = [...permissions].sort();
+
+    // Regional hubs a hub-bound admin is limited to (null = every hub)
+    if (user.role === "admin") {
+      const hubScope = await loadHubScope(pool, user.id);
+      userData.regionalHubs = hubScope ? hubScope.hubs : null;
+    }
+
     // Include teacher-specific data with arrays if user is teacher
     if (user.role === "teacher") {
       userData.teacherName = user.teacher_name;
@@ -296,42 +341,96 @@ const login = async (req, res) => {
 };
 
 // =====================================================
-// REFRESH TOKEN - WITH REGIONAL HUB INFO AND SOFT DELETE CHECK
+// REFRESH TOKEN - WITH ROTATION AND REUSE DETECTION
 // =====================================================
+// Every refresh token works once: it is rotated to a new one in the same
+// session. Presenting a rotated token again means it leaked, so the whole
+// session (token family) is revoked.
 const refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      "Refresh token is required",
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+
+  // Verify refresh token
+  let decoded;
   try {
-    const { refreshToken } = req.body;
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    logger.warn("Invalid refresh token attempt:", error.message);
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.UNAUTHORIZED,
+      "Invalid or expired refresh token",
+      CONSTANTS.ERROR_CODES.UNAUTHORIZED,
+    );
+  }
 
-    if (!refreshToken) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const stored = await findRefreshToken(client, refreshToken, true);
+
+    if (!stored || stored.user_id !== decoded.id) {
+      await client.query("ROLLBACK");
+      logger.warn(`Unknown refresh token presented for user ${decoded.id}`);
       return sendError(
         res,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        "Refresh token is required",
-        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        CONSTANTS.HTTP_STATUS.UNAUTHORIZED,
+        "Invalid or expired refresh token",
+        CONSTANTS.ERROR_CODES.UNAUTHORIZED,
       );
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (error) {
-      logger.warn("Invalid refresh token attempt:", error.message);
+    if (stored.revoked_at) {
+      await client.query("ROLLBACK");
       return sendError(
         res,
         CONSTANTS.HTTP_STATUS.UNAUTHORIZED,
-        "Invalid or expired refresh token",
+        "Refresh token has been revoked. Please log in again.",
         CONSTANTS.ERROR_CODES.UNAUTHORIZED,
       );
     }
 
+    // ===== REUSE OF A ROTATED TOKEN: REVOKE THE WHOLE SESSION =====
+    if (stored.rotated_at) {
+      await revokeFamily(
+        client,
+        stored.family_id,
+        CONSTANTS.REFRESH_TOKEN.REVOKE_REASONS.REUSE_DETECTED,
+      );
+      await client.query("COMMIT");
+
+      logger.warn(
+        `Refresh token reuse detected for user ${decoded.username} (session ${stored.family_id}, ip: ${req.ip}); session revoked`,
+      );
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.UNAUTHORIZED,
+        "Refresh token has already been used. This session has been signed out; please log in again.",
+        CONSTANTS.ERROR_CODES.REFRESH_TOKEN_REUSED,
+      );
+    }
+
     // Get fresh user data from database
-    const result = await pool.query(
+    const result = await client.query(
       "SELECT * FROM users WHERE id = $1 AND username = $2",
       [decoded.id, decoded.username],
     );
 
     if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
       return sendError(
         res,
         CONSTANTS.HTTP_STATUS.UNAUTHORIZED,
@@ -344,6 +443,7 @@ const refreshToken = async (req, res) => {
 
     // ===== NEW: CHECK IF ACCOUNT IS STILL ACTIVE =====
     if (user.is_active === false) {
+      await client.query("ROLLBACK");
       logger.warn(
         `Token refresh attempt by inactive user: ${user.username} (resigned: ${user.resigned_at})`,
       );
@@ -356,8 +456,20 @@ const refreshToken = async (req, res) => {
     }
 
     // Generate new tokens (now includes regional hub info for teachers)
-    const { accessToken, refreshToken: newRefreshToken } =
-      await generateTokens(user);
+    const { accessToken, refreshToken: newRefreshToken } = await generateTokens(
+      user,
+      stored.family_id,
+    );
+
+    const newTokenId = await saveRefreshToken(client, {
+      userId: user.id,
+      familyId: stored.family_id,
+      token: newRefreshToken,
+      req,
+    });
+    await markRotated(client, stored.id, newTokenId);
+
+    await client.query("COMMIT");
 
     logger.info(`Token refreshed for user: ${user.username}`);
 
@@ -366,6 +478,7 @@ const refreshToken = async (req, res) => {
       refreshToken: newRefreshToken,
     });
   } catch (error) {
+    await client.query("ROLLBACK");
     return sendError(
       res,
       CONSTANTS.HTTP_STATUS.SERVER_ERROR,
@@ -373,7 +486,185 @@ const refreshToken = async (req, res) => {
       CONSTANTS.ERROR_CODES.SERVER_ERROR,
       error,
     );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// LOGOUT (THIS SESSION)
+// =====================================================
+// Body: refreshToken. Works with an expired access token; revokes the
+// session the refresh token belongs to.
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Refresh token is required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.UNAUTHORIZED,
+        "Invalid or expired refresh token",
+        CONSTANTS.ERROR_CODES.UNAUTHORIZED,
+      );
+    }
+
+    const stored = await findRefreshToken(pool, refreshToken);
+
+    if (stored && stored.user_id === decoded.id) {
+      await revokeFamily(
+        pool,
+        stored.family_id,
+        CONSTANTS.REFRESH_TOKEN.REVOKE_REASONS.LOGOUT,
+      );
+      logger.info(
+        `User ${decoded.username} logged out (session ${stored.family_id})`,
+      );
+    }
+
+    return sendSuccess(res, "Logged out successfully");
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to log out",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
   }
 };
 
-module.exports = { login, refreshToken };
+// =====================================================
+// LOGOUT ALL DEVICES
+// =====================================================
+// Revokes every session of the current user, this one included, and
+// invalidates the access tokens already issued (token_version).
+const logoutAll = async (req, res) => {
+  try {
+    const sessionsRevoked = await revokeUserSessions(
+      pool,
+      req.user.id,
+      CONSTANTS.REFRESH_TOKEN.REVOKE_REASONS.LOGOUT_ALL,
+    );
+    await bumpTokenVersion(pool, req.user.id);
+    clearTokenVersionCache(req.user.id);
+
+    logger.info(
+      `User ${req.user.username} logged out of all devices (${sessionsRevoked} sessions)`,
+    );
+
+    return sendSuccess(res, "Logged out of all devices", {
+      sessions_revoked: sessionsRevoked,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to log out of all devices",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// GET ACTIVE SESSIONS
+// =====================================================
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(pool, req.user.id);
+
+    const data = sessions.map((session) => ({
+      ...session,
+      current: session.session_id === req.user.sid,
+    }));
+
+    return sendSuccess(res, "Sessions retrieved successfully", data, {
+      count: data.length,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve sessions",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// REVOKE ONE SESSION
+// =====================================================
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!CONSTANTS.REFRESH_TOKEN.SESSION_ID_PATTERN.test(sessionId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid session ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const ownSession = await pool.query(
+      "SELECT 1 FROM refresh_tokens WHERE family_id = $1 AND user_id = $2 LIMIT 1",
+      [sessionId, req.user.id],
+    );
+
+    const revoked =
+      ownSession.rows.length > 0
+        ? await revokeFamily(
+            pool,
+            sessionId,
+            CONSTANTS.REFRESH_TOKEN.REVOKE_REASONS.SESSION_REVOKED,
+          )
+        : 0;
+
+    if (revoked === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Active session not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    logger.info(`User ${req.user.username} revoked session ${sessionId}`);
+
+    return sendSuccess(res, "Session revoked successfully", {
+      session_id: sessionId,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to revoke session",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+module.exports = {
+  login,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+};
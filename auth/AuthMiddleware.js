@@ -1,12 +1,20 @@
 // auth/AuthMiddleware.js
 const jwt = require("jsonwebtoken");
+const pool = require("../config/database");
 const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
+const { getUserPermissions } = require("../utils/permissions");
+const { getHubScope } = require("../utils/branchAccess");
+const { getTokenState } = require("../utils/tokenVersion");
 
 // =====================================================
 // VERIFY JWT TOKEN
 // =====================================================
-const verifyToken = (req, res, next) => {
+// The token's version (tv claim) must match users.token_version (cached
+// briefly), so resigned users and changed assignments lose access at once.
+// Hub-bound admins also get hub_scope (regional hubs) and hub_branches
+// (branch codes in those hubs), read from admin_hubs (cached briefly)
+const verifyToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader?.split(" ")[1]; // Bearer TOKEN
 
@@ -19,11 +27,9 @@ const verifyToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    logger.debug(`Token verified for user: ${decoded.username}`);
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     logger.warn("Invalid token attempt:", error.message);
     return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({
@@ -32,6 +38,56 @@ const verifyToken = (req, res, next) => {
       errorCode: CONSTANTS.ERROR_CODES.UNAUTHORIZED,
     });
   }
+
+  let tokenState;
+  try {
+    tokenState = await getTokenState(pool, decoded.id);
+  } catch (error) {
+    logger.error("Failed to load token version:", error);
+    return res.status(CONSTANTS.HTTP_STATUS.SERVER_ERROR).json({
+      success: false,
+      message: "Failed to verify token",
+      errorCode: CONSTANTS.ERROR_CODES.SERVER_ERROR,
+    });
+  }
+
+  // Tokens issued before token versions existed carry no tv (version 0)
+  if (
+    !tokenState ||
+    !tokenState.isActive ||
+    tokenState.tokenVersion !== (decoded.tv || 0)
+  ) {
+    logger.warn(`Revoked access token used by ${decoded.username}`);
+    return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: "Token has been revoked. Please refresh or log in again.",
+      errorCode: CONSTANTS.ERROR_CODES.TOKEN_REVOKED,
+    });
+  }
+
+  decoded.hub_scope = null;
+  decoded.hub_branches = null;
+
+  if (decoded.role === "admin") {
+    try {
+      const scope = await getHubScope(pool, decoded.id);
+      if (scope) {
+        decoded.hub_scope = scope.hubs;
+        decoded.hub_branches = scope.branches;
+      }
+    } catch (error) {
+      logger.error("Failed to load admin hub scope:", error);
+      return res.status(CONSTANTS.HTTP_STATUS.SERVER_ERROR).json({
+        success: false,
+        message: "Failed to verify access scope",
+        errorCode: CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      });
+    }
+  }
+
+  req.user = decoded;
+  logger.debug(`Token verified for user: ${decoded.username}`);
+  next();
 };
 
 // =====================================================
@@ -86,4 +142,63 @@ const requireTeacher = (req, res, next) => {
   next();
 };
 
-module.exports = { verifyToken, requireAdmin, requireTeacher };
+// =====================================================
+// REQUIRE PERMISSION(S)
+// =====================================================
+// Usage: router.post("/", requirePermission("stock.create"), handler)
+// Every listed permission is required. Branch scope still follows the
+// account type (admin = all branches, teacher = assigned branches).
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter((p) => !CONSTANTS.PERMISSIONS[p]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(", ")}`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      logger.warn("Permission check without authentication");
+      return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: "Authentication required",
+        errorCode: CONSTANTS.ERROR_CODES.UNAUTHORIZED,
+      });
+    }
+
+    try {
+      const { role, permissions: granted } = await getUserPermissions(
+        pool,
+        req.user,
+      );
+      const missing = permissions.filter((p) => !granted.has(p));
+
+      if (missing.length > 0) {
+        logger.warn(
+          `Permission denied for user ${req.user.username} (${role ? role.role_key : "no role"}): missing ${missing.join(", ")}`,
+        );
+        return res.status(CONSTANTS.HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: `Access denied. Missing permission: ${missing.join(", ")}`,
+          errorCode: CONSTANTS.ERROR_CODES.FORBIDDEN,
+        });
+      }
+
+      req.user.role_key = role.role_key;
+      req.user.permissions = [...granted];
+      next();
+    } catch (error) {
+      logger.error("Permission check error:", error);
+      return res.status(CONSTANTS.HTTP_STATUS.SERVER_ERROR).json({
+        success: false,
+        message: "Failed to check permissions",
+        errorCode: CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      });
+    }
+  };
+};
+
+module.exports = {
+  verifyToken,
+  requireAdmin,
+  requireTeacher,
+  requirePermission,
+};
@@ -7,6 +7,23 @@ const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const {
+  isHubBound,
+  canAccessBranch,
+  canAccessHub,
+  clearHubScopeCache,
+} = require("../utils/branchAccess");
+
+// =====================================================
+// HELPER: 403 for a branch outside a hub-bound admin's hubs
+// =====================================================
+const sendOutsideHub = (res, branchCode) =>
+  sendError(
+    res,
+    CONSTANTS.HTTP_STATUS.FORBIDDEN,
+    `Branch ${branchCode} is outside your regional hub`,
+    CONSTANTS.ERROR_CODES.FORBIDDEN,
+  );
 
 // =====================================================
 // 1. GET ALL BRANCHES - WITH REGIONAL HUB INFO
@@ -25,6 +42,7 @@ const getAllBranches = async (req, res) => {
         b.is_head_branch,
         b.regional_hub,
         b.is_active,
+        b.batch_selection,
         b.created_at,
         b.updated_at,
         hub.branch_name as hub_name,
@@ -36,15 +54,28 @@ const getAllBranches = async (req, res) => {
       LEFT JOIN branches hub ON b.regional_hub = hub.branch_code
     `;
 
+    const conditions = [];
+    const params = [];
+
     // Filter active branches only unless explicitly requested
     if (include_inactive !== "true") {
-      query += " WHERE b.is_active = true";
+      conditions.push("b.is_active = true");
+    }
+
+    // Hub-bound admins only see their regional hubs
+    if (isHubBound(req.user)) {
+      params.push(req.user.hub_scope);
+      conditions.push(`b.regional_hub = ANY($${params.length})`);
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`;
     }
 
     // Order by: head branches first, then by regional hub, then by name
     query += " ORDER BY b.is_head_branch DESC, b.regional_hub, b.branch_name";
 
-    const result = await pool.query(query);
+    const result = await pool.query(query, params);
 
     logger.info(`Retrieved ${result.rows.length} branches`);
 
@@ -90,6 +121,7 @@ const getBranchById = async (req, res) => {
         b.is_head_branch,
         b.regional_hub,
         b.is_active,
+        b.batch_selection,
         b.created_at,
         b.updated_at,
         hub.branch_name as hub_name,
@@ -122,6 +154,10 @@ const getBranchById = async (req, res) => {
       );
     }
 
+    if (!canAccessHub(req.user, result.rows[0].regional_hub)) {
+      return sendOutsideHub(res, result.rows[0].branch_code);
+    }
+
     return sendSuccess(res, "Branch retrieved successfully", result.rows[0]);
   } catch (error) {
     return sendError(
@@ -234,6 +270,21 @@ const createBranch = async (req, res) => {
       );
     }
 
+    // Hub-bound admins cannot open new hubs or add branches to other hubs
+    if (isHubBound(req.user)) {
+      if (isHeadBranch || !canAccessHub(req.user, regionalHub)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.FORBIDDEN,
+          isHeadBranch
+            ? "Hub-bound administrators cannot create head branches"
+            : `Regional hub '${regionalHub}' is outside your regional hub`,
+          CONSTANTS.ERROR_CODES.FORBIDDEN,
+        );
+      }
+    }
+
     // If not head branch, verify regional_hub exists and is a head branch
     if (!isHeadBranch && regionalHub) {
       const hubCheck = await client.query(
@@ -317,6 +368,7 @@ const createBranch = async (req, res) => {
     );
 
     await client.query("COMMIT");
+    clearHubScopeCache(); // hub-bound admins see the new branch at once
 
     logger.info(
       `Branch created successfully: ${cleanCode} - ${cleanName} ${isHeadBranch ? "(HEAD BRANCH)" : `(under ${finalRegionalHub})`}`,
@@ -417,7 +469,7 @@ const updateBranch = async (req, res) => {
 
     // Check if branch exists
     const existingBranch = await client.query(
-      "SELECT id, branch_code, branch_name FROM branches WHERE id = $1",
+      "SELECT id, branch_code, branch_name, is_head_branch, regional_hub FROM branches WHERE id = $1",
       [branchId],
     );
 
@@ -431,6 +483,11 @@ const updateBranch = async (req, res) => {
       );
     }
 
+    if (!canAccessBranch(req.user, existingBranch.rows[0].branch_code)) {
+      await client.query("ROLLBACK");
+      return sendOutsideHub(res, existingBranch.rows[0].branch_code);
+    }
+
     // Check if new name already used by another branch
     const duplicateName = await client.query(
       "SELECT id FROM branches WHERE LOWER(branch_name) = LOWER($1) AND id != $2",
@@ -459,6 +516,15 @@ const updateBranch = async (req, res) => {
 
     await client.query("COMMIT");
 
+    // Hub membership feeds hub-bound admins' cached hub_branches
+    const before = existingBranch.rows[0];
+    if (
+      result.rows[0].regional_hub !== before.regional_hub ||
+      result.rows[0].is_head_branch !== before.is_head_branch
+    ) {
+      clearHubScopeCache();
+    }
+
     logger.info(
       `Branch updated: ${existingBranch.rows[0].branch_code} - ${cleanName}`,
     );
@@ -530,6 +596,11 @@ const toggleBranchStatus = async (req, res) => {
       );
     }
 
+    if (!canAccessBranch(req.user, existingBranch.rows[0].branch_code)) {
+      await client.query("ROLLBACK");
+      return sendOutsideHub(res, existingBranch.rows[0].branch_code);
+    }
+
     const branch = existingBranch.rows[0];
 
     // Check if already in desired state
@@ -658,6 +729,11 @@ const deleteBranch = async (req, res) => {
       );
     }
 
+    if (!canAccessBranch(req.user, existingBranch.rows[0].branch_code)) {
+      await client.query("ROLLBACK");
+      return sendOutsideHub(res, existingBranch.rows[0].branch_code);
+    }
+
     const branch = existingBranch.rows[0];
 
     // CRITICAL: If this is a head branch, check dependencies
@@ -738,6 +814,7 @@ const deleteBranch = async (req, res) => {
     await client.query("DELETE FROM branches WHERE id = $1", [branchId]);
 
     await client.query("COMMIT");
+    clearHubScopeCache();
 
     logger.info(
       `Branch deleted: ${branch.branch_code} - ${branch.branch_name}`,
@@ -775,6 +852,9 @@ const deleteBranch = async (req, res) => {
 // =====================================================
 const getBranchStats = async (req, res) => {
   try {
+    // Hub-bound admins only get their regional hubs ($1 = null: all hubs)
+    const hubParams = [isHubBound(req.user) ? req.user.hub_scope : null];
+
     // Overall branch stats
     const overallQuery = `
       SELECT 
@@ -783,32 +863,39 @@ const getBranchStats = async (req, res) => {
         COUNT(CASE WHEN is_active = false THEN 1 END) as inactive_branches,
         COUNT(CASE WHEN is_head_branch = true THEN 1 END) as total_head_branches
       FROM branches
+      WHERE $1::varchar[] IS NULL OR regional_hub = ANY($1)
     `;
-    const overallResult = await pool.query(overallQuery);
+    const overallResult = await pool.query(overallQuery, hubParams);
 
     // Total students across all branches
     const totalStudentsQuery = `
       SELECT COUNT(*) as total_students
-      FROM students
-      WHERE status = 'active'
+      FROM students s
+      JOIN branches b ON s.branch_id = b.id
+      WHERE s.status = 'active'
+        AND ($1::varchar[] IS NULL OR b.regional_hub = ANY($1))
     `;
-    const totalStudentsResult = await pool.query(totalStudentsQuery);
+    const totalStudentsResult = await pool.query(totalStudentsQuery, hubParams);
 
     // Total teachers across all branches
     const totalTeachersQuery = `
-      SELECT COUNT(DISTINCT teacher_id) as total_teachers
-      FROM teacher_branches
+      SELECT COUNT(DISTINCT tb.teacher_id) as total_teachers
+      FROM teacher_branches tb
+      JOIN branches b ON tb.branch_id = b.id
+      WHERE $1::varchar[] IS NULL OR b.regional_hub = ANY($1)
     `;
-    const totalTeachersResult = await pool.query(totalTeachersQuery);
+    const totalTeachersResult = await pool.query(totalTeachersQuery, hubParams);
 
     // Total stock across all branches
     const totalStockQuery = `
       SELECT 
-        COALESCE(SUM(jumlah_sertifikat), 0) as total_certificates,
-        COALESCE(SUM(jumlah_medali), 0) as total_medals
-      FROM certificate_stock
+        COALESCE(SUM(cs.jumlah_sertifikat), 0) as total_certificates,
+        COALESCE(SUM(cs.jumlah_medali), 0) as total_medals
+      FROM certificate_stock cs
+      JOIN branches b ON cs.branch_code = b.branch_code
+      WHERE $1::varchar[] IS NULL OR b.regional_hub = ANY($1)
     `;
-    const totalStockResult = await pool.query(totalStockQuery);
+    const totalStockResult = await pool.query(totalStockQuery, hubParams);
 
     // Per-branch statistics
     const branchStatsQuery = `
@@ -826,10 +913,11 @@ const getBranchStats = async (req, res) => {
       LEFT JOIN students s ON b.id = s.branch_id
       LEFT JOIN teacher_branches tb ON b.id = tb.branch_id
       LEFT JOIN certificate_stock cs ON b.branch_code = cs.branch_code
+      WHERE $1::varchar[] IS NULL OR b.regional_hub = ANY($1)
       GROUP BY b.id, b.branch_code, b.branch_name, b.is_head_branch, b.regional_hub, b.is_active
       ORDER BY b.is_head_branch DESC, b.regional_hub, b.branch_name
     `;
-    const branchStatsResult = await pool.query(branchStatsQuery);
+    const branchStatsResult = await pool.query(branchStatsQuery, hubParams);
 
     // Regional hub summary
     const regionalHubQuery = `
@@ -845,10 +933,11 @@ const getBranchStats = async (req, res) => {
       LEFT JOIN students s ON b.id = s.branch_id
       LEFT JOIN teacher_branches tb ON b.id = tb.branch_id
       LEFT JOIN certificate_stock cs ON b.branch_code = cs.branch_code
+      WHERE $1::varchar[] IS NULL OR b.regional_hub = ANY($1)
       GROUP BY b.regional_hub
       ORDER BY b.regional_hub
     `;
-    const regionalHubResult = await pool.query(regionalHubQuery);
+    const regionalHubResult = await pool.query(regionalHubQuery, hubParams);
 
     logger.info("Branch statistics generated successfully");
 
@@ -896,7 +985,9 @@ const getHeadBranches = async (req, res) => {
         created_at
       FROM branches
       WHERE is_head_branch = true AND is_active = true
+        AND ($1::varchar[] IS NULL OR branch_code = ANY($1))
       ORDER BY branch_name`,
+      [isHubBound(req.user) ? req.user.hub_scope : null],
     );
 
     logger.info(`Retrieved ${result.rows.length} head branches`);
@@ -933,6 +1024,15 @@ const getBranchesByHub = async (req, res) => {
       );
     }
 
+    if (!canAccessHub(req.user, hub)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        `Regional hub '${hub}' is outside your regional hub`,
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
     const result = await pool.query(
       `SELECT 
         id,
@@ -965,6 +1065,85 @@ const getBranchesByHub = async (req, res) => {
   }
 };
 
+// =====================================================
+// 10. SET BATCH SELECTION POLICY (FIFO / LIFO)
+// =====================================================
+const setBatchSelection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { batch_selection: batchSelection } = req.body;
+
+    const branchId = parseInt(id);
+    if (isNaN(branchId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid branch ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const policy =
+      typeof batchSelection === "string"
+        ? batchSelection.trim().toUpperCase()
+        : "";
+    const validPolicies = Object.values(CONSTANTS.BATCH_SELECTION);
+
+    if (!validPolicies.includes(policy)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `batch_selection must be one of: ${validPolicies.join(", ")}`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const existing = await pool.query(
+      "SELECT branch_code FROM branches WHERE id = $1",
+      [branchId],
+    );
+
+    if (existing.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Branch not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (!canAccessBranch(req.user, existing.rows[0].branch_code)) {
+      return sendOutsideHub(res, existing.rows[0].branch_code);
+    }
+
+    const result = await pool.query(
+      `UPDATE branches 
+       SET batch_selection = $1, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $2
+       RETURNING *`,
+      [policy, branchId],
+    );
+
+    logger.info(
+      `Branch ${result.rows[0].branch_code} batch selection set to ${policy}`,
+    );
+
+    return sendSuccess(
+      res,
+      `Batch selection set to ${policy} successfully`,
+      result.rows[0],
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to update batch selection",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
 module.exports = {
   getAllBranches,
   getBranchById,
@@ -975,4 +1154,5 @@ module.exports = {
   getBranchStats,
   getHeadBranches,
   getBranchesByHub,
+  setBatchSelection,
 };
@@ -7,6 +7,8 @@ const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { isHubBound, hasAllBranchAccess, canAccessHub, canAccessBranch, isOutsideHub, branchForbiddenMessage, getUserBranchCodes } = require("../utils/branchAccess");
+const { checkLowStockAlert } = require("./StockAlertController");
 
 // =====================================================
 // 1. CREATE NEW CERTIFICATE - HEAD BRANCH ONLY
@@ -54,6 +56,12 @@ const createCertificate = async (req, res) => {
 
     const branchInfo = branchCheck.rows[0];
 
+    // Hub-bound admins can only input stock in their own hubs
+    if (isOutsideHub(req.user, userBranch)) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, branchForbiddenMessage(req.user, userBranch), CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
     // CRITICAL: Only head branches can input stock
     if (!branchInfo.is_head_branch) {
       await client.query("ROLLBACK");
@@ -204,6 +212,17 @@ const getAllCertificates = async (req, res) => {
     const limit = Math.min(Math.max(parseInt(limitParam) || CONSTANTS.PAGINATION.DEFAULT_LIMIT, 1), CONSTANTS.PAGINATION.MAX_LIMIT);
     const offset = Math.max(parseInt(offsetParam) || CONSTANTS.PAGINATION.DEFAULT_OFFSET, 0);
 
+    // Requested hub, or every hub of a hub-bound admin
+    let hubFilter = null;
+    if (regional_hub && regional_hub.trim()) {
+      if (!canAccessHub(req.user, regional_hub.trim())) {
+        return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `Regional hub ${regional_hub.trim()} is outside your regional hub`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+      }
+      hubFilter = [regional_hub.trim()];
+    } else if (isHubBound(req.user)) {
+      hubFilter = req.user.hub_scope;
+    }
+
     // Build query with search and regional hub filter
     let whereClause = "";
     const queryParams = [limit, offset];
@@ -218,9 +237,9 @@ const getAllCertificates = async (req, res) => {
 
     // NEW: Regional hub filter - CRITICAL FIX
     let regionalHubJoin = "";
-    if (regional_hub && regional_hub.trim()) {
+    if (hubFilter) {
       const hubParamIndex = paramCount;
-      queryParams.push(regional_hub.trim());
+      queryParams.push(hubFilter);
       paramCount++;
 
       // Add WHERE clause to filter certificates
@@ -229,19 +248,19 @@ const getAllCertificates = async (req, res) => {
           SELECT 1 FROM certificate_stock cs2
           JOIN branches b2 ON cs2.branch_code = b2.branch_code
           WHERE cs2.certificate_id = c.certificate_id
-          AND b2.regional_hub = $${hubParamIndex}
+          AND b2.regional_hub = ANY($${hubParamIndex})
         )`;
       } else {
         whereClause = `WHERE EXISTS (
           SELECT 1 FROM certificate_stock cs2
           JOIN branches b2 ON cs2.branch_code = b2.branch_code
           WHERE cs2.certificate_id = c.certificate_id
-          AND b2.regional_hub = $${hubParamIndex}
+          AND b2.regional_hub = ANY($${hubParamIndex})
         )`;
       }
 
       // Also filter the aggregated stock to only show selected regional hub
-      regionalHubJoin = `AND b.regional_hub = $${hubParamIndex}`;
+      regionalHubJoin = `AND b.regional_hub = ANY($${hubParamIndex})`;
     }
 
     const query = `
@@ -304,23 +323,23 @@ const getAllCertificates = async (req, res) => {
     }
 
     // Regional hub filter (CRITICAL - was missing before!)
-    if (regional_hub && regional_hub.trim()) {
+    if (hubFilter) {
       if (countWhereClause) {
         countWhereClause += ` AND EXISTS (
           SELECT 1 FROM certificate_stock cs2
           JOIN branches b2 ON cs2.branch_code = b2.branch_code
           WHERE cs2.certificate_id = c.certificate_id
-          AND b2.regional_hub = $${countParamNum}
+          AND b2.regional_hub = ANY($${countParamNum})
         )`;
       } else {
         countWhereClause = `WHERE EXISTS (
           SELECT 1 FROM certificate_stock cs2
           JOIN branches b2 ON cs2.branch_code = b2.branch_code
           WHERE cs2.certificate_id = c.certificate_id
-          AND b2.regional_hub = $${countParamNum}
+          AND b2.regional_hub = ANY($${countParamNum})
         )`;
       }
-      countParams.push(regional_hub.trim());
+      countParams.push(hubFilter);
       countParamNum++;
     }
 
@@ -394,12 +413,14 @@ const getCertificateById = async (req, res) => {
         
       FROM certificates c
       LEFT JOIN certificate_stock cs ON c.certificate_id = cs.certificate_id
+        AND ($2::varchar[] IS NULL OR cs.branch_code = ANY($2))
       LEFT JOIN branches b ON cs.branch_code = b.branch_code
       WHERE c.certificate_id = $1
       GROUP BY c.id, c.certificate_id, c.created_at, c.updated_at
     `;
 
-    const result = await pool.query(query, [cleanId]);
+    // Hub-bound admins only see stock in their hubs
+    const result = await pool.query(query, [cleanId, isHubBound(req.user) ? req.user.hub_branches : null]);
 
     if (result.rows.length === 0) {
       return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, "Certificate not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
@@ -423,6 +444,20 @@ const clearAllCertificates = async (req, res) => {
 
     logger.info("Clear all certificates requested");
 
+    // Clearing removes every hub's stock
+    if (!hasAllBranchAccess(req.user)) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, "Only administrators with access to every regional hub can clear all certificates", CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
+    // Deleting batches cascades to stock_shipments: never drop stock that is still on the road
+    const inTransitResult = await client.query("SELECT id, certificate_id, from_branch, to_branch FROM stock_shipments WHERE status = $1 ORDER BY id", [CONSTANTS.SHIPMENT_STATUS.DISPATCHED]);
+
+    if (inTransitResult.rows.length > 0) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.CONFLICT, `Cannot clear certificates while ${inTransitResult.rows.length} shipment(s) are in transit. Receive them first.`, CONSTANTS.ERROR_CODES.SHIPMENTS_IN_TRANSIT, null, { shipments: inTransitResult.rows });
+    }
+
     // Get all certificates with their stock
     const allCertsResult = await client.query(`
       SELECT 
@@ -451,7 +486,11 @@ const clearAllCertificates = async (req, res) => {
       totalMedal += parseInt(cert.total_medal) || 0;
     });
 
-    // Delete all certificates (cascade will delete stock)
+    // Completed shipment records are removed by the cascade too: record how many
+    const shipmentsResult = await client.query("SELECT COUNT(*)::int as count FROM stock_shipments");
+    const shipmentsDeleted = shipmentsResult.rows[0].count;
+
+    // Delete all certificates (cascade will delete stock and shipments)
     const deleteResult = await client.query("DELETE FROM certificates RETURNING *");
 
     logger.info(`Deleted ${deleteResult.rows.length} certificates`);
@@ -465,13 +504,14 @@ const clearAllCertificates = async (req, res) => {
       [
         "BULK_DELETE",
         CONSTANTS.LOG_ACTION_TYPES.DELETE_ALL,
-        `Cleared all ${allCertificates.length} certificate batches. Total: ${totalCert} certificates, ${totalMedal} medals deleted`,
+        `Cleared all ${allCertificates.length} certificate batches. Total: ${totalCert} certificates, ${totalMedal} medals deleted (${shipmentsDeleted} received shipment records removed)`,
         totalCert,
         totalMedal,
         JSON.stringify({
           batches_deleted: allCertificates.length,
           total_certificates: totalCert,
           total_medals: totalMedal,
+          shipments_deleted: shipmentsDeleted,
           deleted_at: new Date().toISOString(),
         }),
         req.user?.username || "System",
@@ -484,6 +524,7 @@ const clearAllCertificates = async (req, res) => {
       deleted_count: allCertificates.length,
       total_certificates_deleted: totalCert,
       total_medals_deleted: totalMedal,
+      shipments_deleted: shipmentsDeleted,
     });
   } catch (error) {
     await client.query("ROLLBACK");
@@ -493,6 +534,204 @@ const clearAllCertificates = async (req, res) => {
   }
 };
 
+// =====================================================
+// HELPER: RESOLVE ACTING HEAD BRANCH
+// =====================================================
+// Admins name the head branch they act for in the request body (hub-bound
+// admins of a single hub default to its head branch, whose code is the hub);
+// teachers always act for their own branch. Callers validate the result.
+const resolveHeadBranch = (user, requestedBranch) => {
+  if (user.role === "admin" && requestedBranch && String(requestedBranch).trim()) {
+    return validators.sanitizeString(String(requestedBranch).trim().toUpperCase());
+  }
+  if (isHubBound(user) && user.hub_scope.length === 1) {
+    return user.hub_scope[0];
+  }
+  return user.teacher_branch || "SND"; // Fallback to SND for admin
+};
+
+// =====================================================
+// HELPER: PERFORM MIGRATION (caller owns the transaction)
+// =====================================================
+// Shared by migrateCertificate and stock request fulfilment. Returns
+// { valid: false, statusCode, error, errorCode } instead of responding so the
+// caller can ROLLBACK and surface the error in its own context.
+// With dispatch = true the stock leaves the source but is held in a
+// stock_shipments row until the destination confirms receipt.
+const performMigration = async (client, { certificateId, sourceBranch, destinationBranch, certificateAmount, medalAmount, performedBy = "System", extraValues = {}, dispatch = false }) => {
+  const fail = (statusCode, error, errorCode = CONSTANTS.ERROR_CODES.VALIDATION_ERROR) => ({ valid: false, statusCode, error, errorCode });
+
+  // Check if certificate exists
+  const certCheck = await client.query("SELECT certificate_id FROM certificates WHERE certificate_id = $1", [certificateId]);
+
+  if (certCheck.rows.length === 0) {
+    return fail(CONSTANTS.HTTP_STATUS.NOT_FOUND, "Certificate batch not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
+  }
+
+  // ===== GET SOURCE & DESTINATION BRANCH INFO =====
+  const branchInfo = await client.query(
+    `SELECT 
+      branch_code, 
+      branch_name, 
+      is_head_branch, 
+      regional_hub,
+      is_active 
+     FROM branches 
+     WHERE branch_code = ANY($1)`,
+    [[sourceBranch, destinationBranch]],
+  );
+
+  const source = branchInfo.rows.find((b) => b.branch_code === sourceBranch);
+  const destination = branchInfo.rows.find((b) => b.branch_code === destinationBranch);
+
+  if (!source) {
+    return fail(CONSTANTS.HTTP_STATUS.NOT_FOUND, "Source branch not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
+  }
+
+  if (!destination) {
+    return fail(CONSTANTS.HTTP_STATUS.NOT_FOUND, "Destination branch not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
+  }
+
+  // Check if destination is active
+  if (!destination.is_active) {
+    return fail(CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Cannot migrate to inactive branch (${destinationBranch})`);
+  }
+
+  // ===== CRITICAL: SAME REGIONAL HUB VALIDATION =====
+  if (source.regional_hub !== destination.regional_hub) {
+    return fail(
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      `Cross-regional migration not allowed. ` +
+        `Source branch (${sourceBranch}) is in ${source.regional_hub} region, ` +
+        `destination branch (${destinationBranch}) is in ${destination.regional_hub} region. ` +
+        `You can only migrate stock within your ${source.regional_hub} region.`,
+    );
+  }
+
+  // Prevent migration to self
+  if (sourceBranch === destinationBranch) {
+    return fail(CONSTANTS.HTTP_STATUS.BAD_REQUEST, "Cannot migrate to the same branch");
+  }
+
+  // ===== CHECK STOCK AVAILABILITY (row locked until the caller commits) =====
+  const stockCheck = await client.query(
+    `SELECT jumlah_sertifikat, jumlah_medali 
+     FROM certificate_stock 
+     WHERE certificate_id = $1 AND branch_code = $2
+     FOR UPDATE`,
+    [certificateId, sourceBranch],
+  );
+
+  if (stockCheck.rows.length === 0) {
+    return fail(CONSTANTS.HTTP_STATUS.NOT_FOUND, `No stock found for certificate ${certificateId} in branch ${sourceBranch}`, CONSTANTS.ERROR_CODES.NOT_FOUND);
+  }
+
+  const availableCert = parseInt(stockCheck.rows[0].jumlah_sertifikat) || 0;
+  const availableMedal = parseInt(stockCheck.rows[0].jumlah_medali) || 0;
+
+  // Validate sufficient stock
+  if (certificateAmount > availableCert) {
+    return fail(CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Insufficient certificates. Available: ${availableCert}, Requested: ${certificateAmount}`);
+  }
+
+  if (medalAmount > availableMedal) {
+    return fail(CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Insufficient medals. Available: ${availableMedal}, Requested: ${medalAmount}`);
+  }
+
+  // Deduct from source
+  await client.query(
+    `UPDATE certificate_stock 
+     SET jumlah_sertifikat = jumlah_sertifikat - $1,
+         jumlah_medali = jumlah_medali - $2,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE certificate_id = $3 AND branch_code = $4`,
+    [certificateAmount, medalAmount, certificateId, sourceBranch],
+  );
+
+  // Add to destination (INSERT or UPDATE) - dispatched stock waits for receipt
+  let shipmentId = null;
+
+  if (dispatch) {
+    const shipmentResult = await client.query(
+      `INSERT INTO stock_shipments
+       (certificate_id, from_branch, to_branch, certificate_amount, medal_amount, status, dispatched_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [certificateId, sourceBranch, destinationBranch, certificateAmount, medalAmount, CONSTANTS.SHIPMENT_STATUS.DISPATCHED, performedBy],
+    );
+    shipmentId = shipmentResult.rows[0].id;
+  } else {
+    await client.query(
+      `INSERT INTO certificate_stock 
+       (certificate_id, branch_code, jumlah_sertifikat, jumlah_medali, medali_awal)
+       VALUES ($1, $2, $3, $4, $4)
+       ON CONFLICT (certificate_id, branch_code) 
+       DO UPDATE SET 
+         jumlah_sertifikat = certificate_stock.jumlah_sertifikat + $3,
+         jumlah_medali = certificate_stock.jumlah_medali + $4,
+         updated_at = CURRENT_TIMESTAMP`,
+      [certificateId, destinationBranch, certificateAmount, medalAmount],
+    );
+  }
+
+  // ===== LOG THE MIGRATION =====
+  const logResult = await client.query(
+    `INSERT INTO certificate_logs 
+     (certificate_id, action_type, description, from_branch, to_branch,
+      certificate_amount, medal_amount, old_values, new_values, performed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      certificateId,
+      dispatch ? CONSTANTS.LOG_ACTION_TYPES.DISPATCH : CONSTANTS.LOG_ACTION_TYPES.MIGRATE,
+      `${dispatch ? "Dispatched" : "Migrated"} ${certificateAmount} certificates and ${medalAmount} medals from ${source.branch_name} to ${destination.branch_name} within ${source.regional_hub} region`,
+      sourceBranch,
+      destinationBranch,
+      certificateAmount,
+      medalAmount,
+      JSON.stringify({
+        source_stock: { certificates: availableCert, medals: availableMedal },
+        regional_hub: source.regional_hub,
+      }),
+      JSON.stringify({
+        migrated: { certificates: certificateAmount, medals: medalAmount },
+        remaining: {
+          certificates: availableCert - certificateAmount,
+          medals: availableMedal - medalAmount,
+        },
+        regional_hub: source.regional_hub,
+        ...(shipmentId ? { shipment_id: shipmentId, status: CONSTANTS.SHIPMENT_STATUS.DISPATCHED } : {}),
+        ...extraValues,
+      }),
+      performedBy,
+    ],
+  );
+
+  if (shipmentId) {
+    await client.query("UPDATE stock_shipments SET dispatch_log_id = $1 WHERE id = $2", [logResult.rows[0].id, shipmentId]);
+  }
+
+  // ===== LOW STOCK CHECK (SOURCE BRANCH) =====
+  const lowStockAlert = await checkLowStockAlert(client, {
+    branchCode: sourceBranch,
+    certificateId,
+    certificatesUsed: certificateAmount,
+    medalsUsed: medalAmount,
+    trigger: dispatch ? CONSTANTS.LOG_ACTION_TYPES.DISPATCH : CONSTANTS.LOG_ACTION_TYPES.MIGRATE,
+    performedBy,
+  });
+
+  return {
+    valid: true,
+    logId: logResult.rows[0].id,
+    shipmentId,
+    lowStockAlert,
+    source,
+    destination,
+    available: { certificates: availableCert, medals: availableMedal },
+  };
+};
+
 // =====================================================
 // 5. MIGRATE CERTIFICATE - SAME REGIONAL HUB ONLY
 // =====================================================
@@ -503,10 +742,13 @@ const migrateCertificate = async (req, res) => {
     await client.query("BEGIN");
     await client.query(`SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`);
 
-    const { certificate_id, destination_branch, certificate_amount, medal_amount } = req.body;
+    const { certificate_id, source_branch, destination_branch, certificate_amount, medal_amount, dispatch } = req.body;
 
-    // Get user's branch from JWT token
-    const sourceBranch = req.user.teacher_branch || "SND"; // Fallback to SND for admin
+    // Dispatched migrations stay in transit until the destination confirms receipt
+    const isDispatch = dispatch === true || dispatch === "true";
+
+    // Teachers migrate from their own branch, admins from the head branch they pick (source_branch)
+    const sourceBranch = resolveHeadBranch(req.user, source_branch);
 
     logger.info("Migrate certificate request:", {
       certificate_id,
@@ -532,18 +774,24 @@ const migrateCertificate = async (req, res) => {
 
     if (sourceInfo.rows.length === 0) {
       await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, "Your branch information not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
+      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, `Branch ${sourceBranch} not found`, CONSTANTS.ERROR_CODES.NOT_FOUND);
     }
 
     const source = sourceInfo.rows[0];
 
-    // CRITICAL: Only head branches can migrate stock (for teachers)
-    if (req.user.role === "teacher" && !source.is_head_branch) {
+    // Migrations stay in the source hub, so the source decides hub access
+    if (isOutsideHub(req.user, sourceBranch)) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, branchForbiddenMessage(req.user, sourceBranch), CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
+    // CRITICAL: Only head branches can migrate stock
+    if (!source.is_head_branch) {
       await client.query("ROLLBACK");
       return sendError(
         res,
         CONSTANTS.HTTP_STATUS.FORBIDDEN,
-        `Only head branches can migrate stock. Your branch (${sourceBranch}) is under ${source.regional_hub} regional hub. Please contact ${source.regional_hub} admin to migrate stock.`,
+        `Only head branches can migrate stock. Branch ${sourceBranch} is under ${source.regional_hub} regional hub. Please contact ${source.regional_hub} admin to migrate stock.`,
         CONSTANTS.ERROR_CODES.FORBIDDEN,
       );
     }
@@ -576,148 +824,34 @@ const migrateCertificate = async (req, res) => {
       return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, "At least one certificate or medal amount must be greater than 0", CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
     }
 
-    // Check if certificate exists
-    const certCheck = await client.query("SELECT certificate_id FROM certificates WHERE certificate_id = $1", [cleanId]);
-
-    if (certCheck.rows.length === 0) {
-      await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, "Certificate batch not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
-    }
-
-    // ===== GET DESTINATION BRANCH INFO =====
-    const destInfo = await client.query(
-      `SELECT 
-        branch_code, 
-        branch_name, 
-        is_head_branch, 
-        regional_hub,
-        is_active 
-       FROM branches 
-       WHERE branch_code = $1`,
-      [cleanDestination],
-    );
-
-    if (destInfo.rows.length === 0) {
-      await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, "Destination branch not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
-    }
-
-    const destination = destInfo.rows[0];
-
-    // Check if destination is active
-    if (!destination.is_active) {
-      await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Cannot migrate to inactive branch (${cleanDestination})`, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
-    }
-
-    // ===== CRITICAL: SAME REGIONAL HUB VALIDATION =====
-    if (source.regional_hub !== destination.regional_hub) {
-      await client.query("ROLLBACK");
-      return sendError(
-        res,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        `Cross-regional migration not allowed. ` +
-          `Source branch (${sourceBranch}) is in ${source.regional_hub} region, ` +
-          `destination branch (${cleanDestination}) is in ${destination.regional_hub} region. ` +
-          `You can only migrate stock within your ${source.regional_hub} region.`,
-        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-      );
-    }
-
-    // Prevent migration to self
-    if (sourceBranch === cleanDestination) {
-      await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, "Cannot migrate to the same branch", CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
-    }
-
-    // ===== CHECK STOCK AVAILABILITY =====
-    const stockCheck = await client.query(
-      `SELECT jumlah_sertifikat, jumlah_medali 
-       FROM certificate_stock 
-       WHERE certificate_id = $1 AND branch_code = $2`,
-      [cleanId, sourceBranch],
-    );
-
-    if (stockCheck.rows.length === 0) {
-      await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, `No stock found for certificate ${cleanId} in your branch (${sourceBranch})`, CONSTANTS.ERROR_CODES.NOT_FOUND);
-    }
-
-    const availableCert = parseInt(stockCheck.rows[0].jumlah_sertifikat) || 0;
-    const availableMedal = parseInt(stockCheck.rows[0].jumlah_medali) || 0;
-
-    // Validate sufficient stock
-    if (certAmount > availableCert) {
-      await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Insufficient certificates. Available: ${availableCert}, Requested: ${certAmount}`, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
-    }
+    // ===== PERFORM MIGRATION =====
+    const migration = await performMigration(client, {
+      certificateId: cleanId,
+      sourceBranch,
+      destinationBranch: cleanDestination,
+      certificateAmount: certAmount,
+      medalAmount,
+      performedBy: req.user?.username || "System",
+      dispatch: isDispatch,
+    });
 
-    if (medalAmount > availableMedal) {
+    if (!migration.valid) {
       await client.query("ROLLBACK");
-      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Insufficient medals. Available: ${availableMedal}, Requested: ${medalAmount}`, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+      return sendError(res, migration.statusCode, migration.error, migration.errorCode);
     }
 
-    // ===== PERFORM MIGRATION =====
-
-    // Deduct from source
-    await client.query(
-      `UPDATE certificate_stock 
-       SET jumlah_sertifikat = jumlah_sertifikat - $1,
-           jumlah_medali = jumlah_medali - $2,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE certificate_id = $3 AND branch_code = $4`,
-      [certAmount, medalAmount, cleanId, sourceBranch],
-    );
-
-    // Add to destination (INSERT or UPDATE)
-    await client.query(
-      `INSERT INTO certificate_stock 
-       (certificate_id, branch_code, jumlah_sertifikat, jumlah_medali, medali_awal)
-       VALUES ($1, $2, $3, $4, $4)
-       ON CONFLICT (certificate_id, branch_code) 
-       DO UPDATE SET 
-         jumlah_sertifikat = certificate_stock.jumlah_sertifikat + $3,
-         jumlah_medali = certificate_stock.jumlah_medali + $4,
-         updated_at = CURRENT_TIMESTAMP`,
-      [cleanId, cleanDestination, certAmount, medalAmount],
-    );
-
-    // ===== LOG THE MIGRATION =====
-    await client.query(
-      `INSERT INTO certificate_logs 
-       (certificate_id, action_type, description, from_branch, to_branch,
-        certificate_amount, medal_amount, old_values, new_values, performed_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-      [
-        cleanId,
-        CONSTANTS.LOG_ACTION_TYPES.MIGRATE,
-        `Migrated ${certAmount} certificates and ${medalAmount} medals from ${source.branch_name} to ${destination.branch_name} within ${source.regional_hub} region`,
-        sourceBranch,
-        cleanDestination,
-        certAmount,
-        medalAmount,
-        JSON.stringify({
-          source_stock: { certificates: availableCert, medals: availableMedal },
-          regional_hub: source.regional_hub,
-        }),
-        JSON.stringify({
-          migrated: { certificates: certAmount, medals: medalAmount },
-          remaining: {
-            certificates: availableCert - certAmount,
-            medals: availableMedal - medalAmount,
-          },
-          regional_hub: source.regional_hub,
-        }),
-        req.user?.username || "System",
-      ],
-    );
+    const { destination, available } = migration;
+    const availableCert = available.certificates;
+    const availableMedal = available.medals;
 
     await client.query("COMMIT");
 
-    logger.info(`Stock migrated successfully: ${cleanId} from ${sourceBranch} to ${cleanDestination} (same region: ${source.regional_hub})`);
+    logger.info(`Stock ${isDispatch ? "dispatched" : "migrated"} successfully: ${cleanId} from ${sourceBranch} to ${cleanDestination} (same region: ${source.regional_hub})`);
 
-    return sendSuccess(res, "Stock migrated successfully", {
+    return sendSuccess(res, isDispatch ? "Stock dispatched successfully. Awaiting receipt confirmation at destination." : "Stock migrated successfully", {
       certificate_id: cleanId,
+      status: isDispatch ? CONSTANTS.SHIPMENT_STATUS.DISPATCHED : "completed",
+      shipment_id: migration.shipmentId,
       from: {
         branch_code: sourceBranch,
         branch_name: source.branch_name,
@@ -731,6 +865,8 @@ const migrateCertificate = async (req, res) => {
         migrated_medals: medalAmount,
       },
       regional_hub: source.regional_hub,
+      log_id: migration.logId,
+      low_stock_alert: migration.lowStockAlert,
     });
   } catch (error) {
     await client.query("ROLLBACK");
@@ -755,24 +891,52 @@ const getStockSummary = async (req, res) => {
         COALESCE(SUM(cs.jumlah_medali), 0) as total_medals
       FROM certificate_stock cs
       JOIN branches b ON cs.branch_code = b.branch_code
+      WHERE $1::varchar[] IS NULL OR cs.branch_code = ANY($1)
       GROUP BY cs.branch_code, b.branch_name
       ORDER BY cs.branch_code
     `;
 
-    const summaryResult = await pool.query(summaryQuery);
+    // Dispatched-but-unreceived stock and confirmed receipt shortfalls, per destination
+    const transitQuery = `
+      SELECT 
+        ss.to_branch as branch_code,
+        b.branch_name,
+        COALESCE(SUM(ss.certificate_amount) FILTER (WHERE ss.status = $1), 0) as in_transit_certificates,
+        COALESCE(SUM(ss.medal_amount) FILTER (WHERE ss.status = $1), 0) as in_transit_medals,
+        COALESCE(SUM(ss.certificate_amount - ss.received_certificates) FILTER (WHERE ss.status = $2), 0) as lost_certificates,
+        COALESCE(SUM(ss.medal_amount - ss.received_medals) FILTER (WHERE ss.status = $2), 0) as lost_medals
+      FROM stock_shipments ss
+      JOIN branches b ON ss.to_branch = b.branch_code
+      WHERE $3::varchar[] IS NULL OR ss.to_branch = ANY($3)
+      GROUP BY ss.to_branch, b.branch_name
+    `;
+
+    // Hub-bound admins only see their hubs' branches
+    const scopeBranches = isHubBound(req.user) ? req.user.hub_branches : null;
+
+    const [summaryResult, transitResult] = await Promise.all([pool.query(summaryQuery, [scopeBranches]), pool.query(transitQuery, [CONSTANTS.SHIPMENT_STATUS.DISPATCHED, CONSTANTS.SHIPMENT_STATUS.RECEIVED_SHORT, scopeBranches])]);
 
     // Calculate grand totals
     let grandTotalCertificates = 0;
     let grandTotalMedals = 0;
+    const grandInTransit = { certificates: 0, medals: 0 };
+    const grandLostInTransit = { certificates: 0, medals: 0 };
 
     const stockByBranch = {};
+    const emptyBranch = (branchName) => ({
+      branch_name: branchName,
+      certificates: 0,
+      medals: 0,
+      in_transit: { certificates: 0, medals: 0 },
+      lost_in_transit: { certificates: 0, medals: 0 },
+    });
 
     summaryResult.rows.forEach((row) => {
       const certs = parseInt(row.total_certificates) || 0;
       const medals = parseInt(row.total_medals) || 0;
 
       stockByBranch[row.branch_code] = {
-        branch_name: row.branch_name,
+        ...emptyBranch(row.branch_name),
         certificates: certs,
         medals: medals,
       };
@@ -781,12 +945,32 @@ const getStockSummary = async (req, res) => {
       grandTotalMedals += medals;
     });
 
+    transitResult.rows.forEach((row) => {
+      const branch = stockByBranch[row.branch_code] || (stockByBranch[row.branch_code] = emptyBranch(row.branch_name));
+
+      branch.in_transit = {
+        certificates: parseInt(row.in_transit_certificates) || 0,
+        medals: parseInt(row.in_transit_medals) || 0,
+      };
+      branch.lost_in_transit = {
+        certificates: parseInt(row.lost_certificates) || 0,
+        medals: parseInt(row.lost_medals) || 0,
+      };
+
+      grandInTransit.certificates += branch.in_transit.certificates;
+      grandInTransit.medals += branch.in_transit.medals;
+      grandLostInTransit.certificates += branch.lost_in_transit.certificates;
+      grandLostInTransit.medals += branch.lost_in_transit.medals;
+    });
+
     const data = {
       stock_by_branch: stockByBranch,
       grand_total: {
         certificates: grandTotalCertificates,
         medals: grandTotalMedals,
       },
+      in_transit: grandInTransit,
+      lost_in_transit: grandLostInTransit,
     };
 
     logger.info("Stock summary generated successfully");
@@ -828,16 +1012,42 @@ const getTransactionHistory = async (req, res) => {
             ) ORDER BY cs.branch_code
           ) FILTER (WHERE cs.branch_code IS NOT NULL),
           '[]'::json
-        ) as stock_by_branch
-        
+        ) as stock_by_branch,
+
+        -- Manual stock adjustments (write-offs / corrections)
+        COALESCE(
+          (SELECT json_agg(
+            json_build_object(
+              'branch_code', cl.from_branch,
+              'certificates', cl.certificate_amount,
+              'medals', cl.medal_amount,
+              'reason_code', cl.new_values->>'reason_code',
+              'notes', cl.new_values->>'notes',
+              'performed_by', cl.performed_by,
+              'created_at', cl.created_at
+            ) ORDER BY cl.created_at DESC
+          )
+          FROM certificate_logs cl
+          WHERE cl.certificate_id = c.certificate_id
+          AND cl.action_type = '${CONSTANTS.LOG_ACTION_TYPES.ADJUST}'
+          AND ($1::varchar[] IS NULL OR cl.from_branch = ANY($1))),
+          '[]'::json
+        ) as adjustments
+
       FROM certificates c
       LEFT JOIN certificate_stock cs ON c.certificate_id = cs.certificate_id
+        AND ($1::varchar[] IS NULL OR cs.branch_code = ANY($1))
       LEFT JOIN branches b ON cs.branch_code = b.branch_code
       WHERE 1=1
     `;
 
-    const params = [];
-    let paramCount = 1;
+    // Hub-bound admins only see batches and stock in their hubs
+    const scopeBranches = isHubBound(req.user) ? req.user.hub_branches : null;
+    const scopeCondition = (column, index) => ` AND ($${index}::varchar[] IS NULL OR EXISTS (SELECT 1 FROM certificate_stock cs2 WHERE cs2.certificate_id = ${column} AND cs2.branch_code = ANY($${index})))`;
+
+    const params = [scopeBranches];
+    let paramCount = 2;
+    query += scopeCondition("c.certificate_id", 1);
 
     if (fromDate && fromDate.trim()) {
       query += ` AND c.created_at >= $${paramCount}`;
@@ -860,8 +1070,9 @@ const getTransactionHistory = async (req, res) => {
 
     // Get total count
     let countQuery = "SELECT COUNT(*) FROM certificates WHERE 1=1";
-    const countParams = [];
-    let countParamNum = 1;
+    const countParams = [scopeBranches];
+    let countParamNum = 2;
+    countQuery += scopeCondition("certificates.certificate_id", 1);
 
     if (fromDate && fromDate.trim()) {
       countQuery += ` AND created_at >= $${countParamNum}`;
@@ -895,6 +1106,457 @@ const getTransactionHistory = async (req, res) => {
   }
 };
 
+// =====================================================
+// HELPER: APPLY STOCK ADJUSTMENT (caller owns the transaction)
+// =====================================================
+const applyStockAdjustment = async (client, { certificateId, branchCode, certificateDelta = 0, medalDelta = 0, reasonCode, notes = null, performedBy = "System", extraValues = {} }) => {
+  // Lock the stock row so concurrent prints/migrations cannot interleave
+  const stockResult = await client.query(
+    `SELECT jumlah_sertifikat, jumlah_medali
+     FROM certificate_stock
+     WHERE certificate_id = $1 AND branch_code = $2
+     FOR UPDATE`,
+    [certificateId, branchCode],
+  );
+
+  const currentCert = stockResult.rows.length > 0 ? parseInt(stockResult.rows[0].jumlah_sertifikat) || 0 : 0;
+  const currentMedal = stockResult.rows.length > 0 ? parseInt(stockResult.rows[0].jumlah_medali) || 0 : 0;
+  const newCert = currentCert + certificateDelta;
+  const newMedal = currentMedal + medalDelta;
+
+  if (newCert < 0 || newMedal < 0) {
+    return {
+      valid: false,
+      error: `Adjustment would make stock negative at ${branchCode}. Available: ${currentCert} certificates, ${currentMedal} medals`,
+    };
+  }
+
+  await client.query(
+    `INSERT INTO certificate_stock
+     (certificate_id, branch_code, jumlah_sertifikat, jumlah_medali, medali_awal)
+     VALUES ($1, $2, $3, $4, $4)
+     ON CONFLICT (certificate_id, branch_code)
+     DO UPDATE SET
+       jumlah_sertifikat = $3,
+       jumlah_medali = $4,
+       updated_at = CURRENT_TIMESTAMP`,
+    [certificateId, branchCode, newCert, newMedal],
+  );
+
+  const formatDelta = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+  const logResult = await client.query(
+    `INSERT INTO certificate_logs
+     (certificate_id, action_type, description, from_branch, certificate_amount, medal_amount,
+      old_values, new_values, performed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      certificateId,
+      CONSTANTS.LOG_ACTION_TYPES.ADJUST,
+      `Stock adjusted at ${branchCode} (${reasonCode}): ${formatDelta(certificateDelta)} certificates, ${formatDelta(medalDelta)} medals`,
+      branchCode,
+      certificateDelta,
+      medalDelta,
+      JSON.stringify({ certificates: currentCert, medals: currentMedal }),
+      JSON.stringify({
+        certificates: newCert,
+        medals: newMedal,
+        reason_code: reasonCode,
+        notes,
+        ...extraValues,
+      }),
+      performedBy,
+    ],
+  );
+
+  return {
+    valid: true,
+    logId: logResult.rows[0].id,
+    before: { certificates: currentCert, medals: currentMedal },
+    after: { certificates: newCert, medals: newMedal },
+  };
+};
+
+// =====================================================
+// 8. ADJUST STOCK (WRITE-OFF / CORRECTION) - HEAD BRANCH ADMIN
+// =====================================================
+const adjustStock = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(`SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`);
+
+    const { id } = req.params;
+    const { branch_code, head_branch, certificate_adjustment, medal_adjustment, reason_code, notes } = req.body;
+
+    const idValidation = validators.validateCertificateId(id);
+    if (!idValidation.valid) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, idValidation.error, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const cleanId = idValidation.value;
+    // Admins pick the head branch they act for (head_branch), like createCertificate's branch_code
+    const actingBranch = resolveHeadBranch(req.user, head_branch);
+
+    logger.info("Adjust stock request:", {
+      certificate_id: cleanId,
+      branch_code,
+      certificate_adjustment,
+      medal_adjustment,
+      reason_code,
+      head_branch,
+      actingBranch,
+    });
+
+    // ===== VALIDATE ACTING BRANCH IS A HEAD BRANCH =====
+    const actingInfo = await client.query(
+      `SELECT branch_code, branch_name, is_head_branch, regional_hub
+       FROM branches
+       WHERE branch_code = $1`,
+      [actingBranch],
+    );
+
+    if (actingInfo.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, `Branch ${actingBranch} not found`, CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+
+    const acting = actingInfo.rows[0];
+
+    // Adjustments stay in the acting hub, so the acting branch decides hub access
+    if (isOutsideHub(req.user, actingBranch)) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, branchForbiddenMessage(req.user, actingBranch), CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
+    if (!acting.is_head_branch) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `Only head branch admins can adjust stock. Branch ${actingBranch} is under ${acting.regional_hub} regional hub; please select a head branch or contact ${acting.regional_hub} admin.`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
+    // ===== VALIDATION =====
+    const cleanReason = reason_code ? reason_code.toString().trim().toLowerCase() : "";
+    if (!CONSTANTS.STOCK_ADJUSTMENT_REASONS.includes(cleanReason)) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Reason code is required and must be one of: ${CONSTANTS.STOCK_ADJUSTMENT_REASONS.join(", ")}`, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const certDelta = parseInt(certificate_adjustment) || 0;
+    const medalDelta = parseInt(medal_adjustment) || 0;
+
+    if (certDelta === 0 && medalDelta === 0) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, "At least one certificate or medal adjustment must be non-zero", CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const targetBranch = branch_code && branch_code.trim() ? validators.sanitizeString(branch_code.trim().toUpperCase()) : actingBranch;
+
+    const targetInfo = await client.query(
+      `SELECT branch_code, branch_name, regional_hub
+       FROM branches
+       WHERE branch_code = $1`,
+      [targetBranch],
+    );
+
+    if (targetInfo.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, `Branch ${targetBranch} not found`, CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+
+    const target = targetInfo.rows[0];
+
+    // CRITICAL: Head branch can only adjust stock within its own region
+    if (target.regional_hub !== acting.regional_hub) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `Branch ${targetBranch} is in ${target.regional_hub} region. You can only adjust stock within your ${acting.regional_hub} region.`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
+    const certCheck = await client.query("SELECT certificate_id FROM certificates WHERE certificate_id = $1", [cleanId]);
+
+    if (certCheck.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, "Certificate batch not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+
+    // ===== PERFORM ADJUSTMENT =====
+    const adjustment = await applyStockAdjustment(client, {
+      certificateId: cleanId,
+      branchCode: targetBranch,
+      certificateDelta: certDelta,
+      medalDelta: medalDelta,
+      reasonCode: cleanReason,
+      notes: notes ? validators.sanitizeString(notes.trim()) : null,
+      performedBy: req.user?.username || "System",
+    });
+
+    if (!adjustment.valid) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, adjustment.error, CONSTANTS.ERROR_CODES.INSUFFICIENT_STOCK);
+    }
+
+    await client.query("COMMIT");
+
+    logger.info(`Stock adjusted: ${cleanId} at ${targetBranch} (${cleanReason}) certificates ${certDelta}, medals ${medalDelta}`);
+
+    return sendSuccess(res, "Stock adjusted successfully", {
+      certificate_id: cleanId,
+      branch_code: targetBranch,
+      branch_name: target.branch_name,
+      reason_code: cleanReason,
+      adjustment: { certificates: certDelta, medals: medalDelta },
+      before: adjustment.before,
+      after: adjustment.after,
+      log_id: adjustment.logId,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(res, CONSTANTS.HTTP_STATUS.SERVER_ERROR, "Failed to adjust stock", CONSTANTS.ERROR_CODES.SERVER_ERROR, error);
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 9. RECEIVE DISPATCHED SHIPMENT - DESTINATION BRANCH
+// =====================================================
+const receiveShipment = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(`SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`);
+
+    const shipmentId = parseInt(req.params.id);
+    const { received_certificates, received_medals, notes } = req.body;
+
+    if (isNaN(shipmentId)) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, "Invalid shipment ID", CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const receivedCert = parseInt(received_certificates);
+    const receivedMedal = parseInt(received_medals);
+
+    if (isNaN(receivedCert) || isNaN(receivedMedal) || receivedCert < 0 || receivedMedal < 0) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, "Received certificates and medals are required and cannot be negative", CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const shipmentResult = await client.query(
+      `SELECT ss.*, src.branch_name as from_branch_name, dest.branch_name as to_branch_name
+       FROM stock_shipments ss
+       JOIN branches src ON ss.from_branch = src.branch_code
+       JOIN branches dest ON ss.to_branch = dest.branch_code
+       WHERE ss.id = $1
+       FOR UPDATE OF ss`,
+      [shipmentId],
+    );
+
+    if (shipmentResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, "Shipment not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+
+    const shipment = shipmentResult.rows[0];
+
+    if (!canAccessBranch(req.user, shipment.to_branch)) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `Only ${shipment.to_branch} can confirm receipt of this shipment`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
+    if (shipment.status !== CONSTANTS.SHIPMENT_STATUS.DISPATCHED) {
+      await client.query("ROLLBACK");
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Shipment has already been received (status: ${shipment.status})`, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    if (receivedCert > shipment.certificate_amount || receivedMedal > shipment.medal_amount) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Received quantities cannot exceed dispatched quantities (${shipment.certificate_amount} certificates, ${shipment.medal_amount} medals)`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const shortCert = shipment.certificate_amount - receivedCert;
+    const shortMedal = shipment.medal_amount - receivedMedal;
+    const hasShortfall = shortCert > 0 || shortMedal > 0;
+    const cleanNotes = notes ? validators.sanitizeString(notes.trim()) : null;
+    const performedBy = req.user?.username || "System";
+
+    // ===== ADD RECEIVED STOCK TO DESTINATION =====
+    await client.query(
+      `INSERT INTO certificate_stock 
+       (certificate_id, branch_code, jumlah_sertifikat, jumlah_medali, medali_awal)
+       VALUES ($1, $2, $3, $4, $4)
+       ON CONFLICT (certificate_id, branch_code) 
+       DO UPDATE SET 
+         jumlah_sertifikat = certificate_stock.jumlah_sertifikat + $3,
+         jumlah_medali = certificate_stock.jumlah_medali + $4,
+         updated_at = CURRENT_TIMESTAMP`,
+      [shipment.certificate_id, shipment.to_branch, receivedCert, receivedMedal],
+    );
+
+    // ===== LOG RECEIPT =====
+    const receiptLog = await client.query(
+      `INSERT INTO certificate_logs 
+       (certificate_id, action_type, description, from_branch, to_branch,
+        certificate_amount, medal_amount, old_values, new_values, performed_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        shipment.certificate_id,
+        CONSTANTS.LOG_ACTION_TYPES.RECEIVE,
+        `Received ${receivedCert} certificates and ${receivedMedal} medals at ${shipment.to_branch_name} from ${shipment.from_branch_name} (shipment #${shipmentId})`,
+        shipment.from_branch,
+        shipment.to_branch,
+        receivedCert,
+        receivedMedal,
+        JSON.stringify({ dispatched: { certificates: shipment.certificate_amount, medals: shipment.medal_amount } }),
+        JSON.stringify({ shipment_id: shipmentId, received: { certificates: receivedCert, medals: receivedMedal }, notes: cleanNotes }),
+        performedBy,
+      ],
+    );
+
+    // ===== LOG SHORTFALL AS DISCREPANCY =====
+    let discrepancyLogId = null;
+
+    if (hasShortfall) {
+      const discrepancyLog = await client.query(
+        `INSERT INTO certificate_logs 
+         (certificate_id, action_type, description, from_branch, to_branch,
+          certificate_amount, medal_amount, old_values, new_values, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id`,
+        [
+          shipment.certificate_id,
+          CONSTANTS.LOG_ACTION_TYPES.TRANSIT_DISCREPANCY,
+          `Lost in transit from ${shipment.from_branch_name} to ${shipment.to_branch_name}: ${shortCert} certificates, ${shortMedal} medals (shipment #${shipmentId})`,
+          shipment.from_branch,
+          shipment.to_branch,
+          shortCert,
+          shortMedal,
+          JSON.stringify({ dispatched: { certificates: shipment.certificate_amount, medals: shipment.medal_amount } }),
+          JSON.stringify({
+            shipment_id: shipmentId,
+            received: { certificates: receivedCert, medals: receivedMedal },
+            shortfall: { certificates: shortCert, medals: shortMedal },
+            notes: cleanNotes,
+          }),
+          performedBy,
+        ],
+      );
+      discrepancyLogId = discrepancyLog.rows[0].id;
+    }
+
+    const updated = await client.query(
+      `UPDATE stock_shipments
+       SET status = $1,
+           received_certificates = $2,
+           received_medals = $3,
+           received_by = $4,
+           received_at = CURRENT_TIMESTAMP,
+           receipt_log_id = $5,
+           discrepancy_log_id = $6,
+           notes = COALESCE($7, notes)
+       WHERE id = $8
+       RETURNING *`,
+      [hasShortfall ? CONSTANTS.SHIPMENT_STATUS.RECEIVED_SHORT : CONSTANTS.SHIPMENT_STATUS.RECEIVED, receivedCert, receivedMedal, performedBy, receiptLog.rows[0].id, discrepancyLogId, cleanNotes, shipmentId],
+    );
+
+    await client.query("COMMIT");
+
+    if (hasShortfall) {
+      logger.warn(`Shipment #${shipmentId} received short at ${shipment.to_branch}: missing ${shortCert} certificates, ${shortMedal} medals`);
+    } else {
+      logger.info(`Shipment #${shipmentId} received in full at ${shipment.to_branch}`);
+    }
+
+    return sendSuccess(res, hasShortfall ? "Shipment received with shortfall. Discrepancy has been logged." : "Shipment received successfully", {
+      shipment: updated.rows[0],
+      shortfall: { certificates: shortCert, medals: shortMedal },
+      receipt_log_id: receiptLog.rows[0].id,
+      discrepancy_log_id: discrepancyLogId,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(res, CONSTANTS.HTTP_STATUS.SERVER_ERROR, "Failed to confirm shipment receipt", CONSTANTS.ERROR_CODES.SERVER_ERROR, error);
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 10. GET SHIPMENTS (IN TRANSIT / RECEIVED)
+// =====================================================
+const getShipments = async (req, res) => {
+  try {
+    const { status, branch_code: branchCode, limit: limitParam, offset: offsetParam } = req.query;
+
+    const validatedLimit = Math.min(Math.max(parseInt(limitParam) || CONSTANTS.PAGINATION.DEFAULT_LIMIT, 1), CONSTANTS.PAGINATION.MAX_LIMIT);
+    const validatedOffset = Math.max(parseInt(offsetParam) || CONSTANTS.PAGINATION.DEFAULT_OFFSET, 0);
+
+    const conditions = [];
+    const params = [];
+
+    if (status && status.trim()) {
+      params.push(status.trim().toLowerCase());
+      conditions.push(`ss.status = $${params.length}`);
+    }
+
+    if (branchCode && branchCode.trim()) {
+      if (isOutsideHub(req.user, branchCode.trim().toUpperCase())) {
+        return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, branchForbiddenMessage(req.user, branchCode.trim().toUpperCase()), CONSTANTS.ERROR_CODES.FORBIDDEN);
+      }
+      params.push(branchCode.trim().toUpperCase());
+      conditions.push(`(ss.from_branch = $${params.length} OR ss.to_branch = $${params.length})`);
+    }
+
+    // Teachers and hub-bound admins only see shipments to or from their branches
+    if (!hasAllBranchAccess(req.user)) {
+      params.push(getUserBranchCodes(req.user));
+      conditions.push(`(ss.from_branch = ANY($${params.length}) OR ss.to_branch = ANY($${params.length}))`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM stock_shipments ss ${whereClause}`, params);
+
+    const result = await pool.query(
+      `SELECT 
+        ss.*,
+        src.branch_name as from_branch_name,
+        dest.branch_name as to_branch_name,
+        GREATEST(ss.certificate_amount - COALESCE(ss.received_certificates, ss.certificate_amount), 0) as lost_certificates,
+        GREATEST(ss.medal_amount - COALESCE(ss.received_medals, ss.medal_amount), 0) as lost_medals
+       FROM stock_shipments ss
+       JOIN branches src ON ss.from_branch = src.branch_code
+       JOIN branches dest ON ss.to_branch = dest.branch_code
+       ${whereClause}
+       ORDER BY ss.dispatched_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, validatedLimit, validatedOffset],
+    );
+
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    return sendSuccess(res, "Shipments retrieved successfully", result.rows, {
+      pagination: {
+        total: totalCount,
+        limit: validatedLimit,
+        offset: validatedOffset,
+        hasMore: totalCount > validatedOffset + result.rows.length,
+      },
+    });
+  } catch (error) {
+    return sendError(res, CONSTANTS.HTTP_STATUS.SERVER_ERROR, "Failed to retrieve shipments", CONSTANTS.ERROR_CODES.SERVER_ERROR, error);
+  }
+};
+
 module.exports = {
   createCertificate,
   getAllCertificates,
@@ -903,4 +1565,9 @@ module.exports = {
   migrateCertificate,
   getStockSummary,
   getTransactionHistory,
+  adjustStock,
+  applyStockAdjustment,
+  performMigration,
+  receiveShipment,
+  getShipments,
 };
@@ -6,6 +6,7 @@ const path = require("path");
 const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { isHubBound, hasAllBranchAccess, canAccessHub } = require("../utils/branchAccess");
 
 // =====================================================
 // QUERY BUILDER HELPER - ELIMINATES DUPLICATION
@@ -73,6 +74,16 @@ class LogsQueryBuilder {
     return this;
   }
 
+  // Logs touching at least one of the branches (null = no restriction)
+  addBranchScopeFilter(branchCodes) {
+    if (branchCodes) {
+      this.whereClauses.push(`(cl.from_branch = ANY($${this.paramCount}) OR cl.to_branch = ANY($${this.paramCount}))`);
+      this.params.push(branchCodes);
+      this.paramCount++;
+    }
+    return this;
+  }
+
   getWhereClause() {
     return this.whereClauses.length > 0 ? `WHERE ${this.whereClauses.join(" AND ")}` : "";
   }
@@ -182,12 +193,17 @@ const getLogs = async (req, res) => {
 
     logger.info("Fetching logs with filters:", req.query);
 
+    if (regionalHub && regionalHub.trim() && !canAccessHub(req.user, regionalHub.trim())) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `Regional hub ${regionalHub.trim()} is outside your regional hub`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
     // Validate pagination
     const { validatedLimit, validatedOffset } = validatePagination(limit, offset);
 
     // Build query using QueryBuilder - NO DUPLICATION!
+    // Hub-bound admins only see logs of branches in their hubs
     const queryBuilder = new LogsQueryBuilder();
-    queryBuilder.addCertificateIdFilter(certificateId).addActionTypeFilter(actionType).addDateRangeFilter(fromDate, toDate).addSearchFilter(search).addRegionalHubFilter(regionalHub);
+    queryBuilder.addCertificateIdFilter(certificateId).addActionTypeFilter(actionType).addDateRangeFilter(fromDate, toDate).addSearchFilter(search).addRegionalHubFilter(regionalHub).addBranchScopeFilter(isHubBound(req.user) ? req.user.hub_branches : null);
 
     const whereClause = queryBuilder.getWhereClause();
     const filterParams = queryBuilder.getParams();
@@ -252,19 +268,26 @@ const getLogsByCertificate = async (req, res) => {
     // Validate pagination
     const { validatedLimit, validatedOffset } = validatePagination(limit, offset);
 
+    // Hub-bound admins only see logs of branches in their hubs
+    const queryBuilder = new LogsQueryBuilder();
+    queryBuilder.addCertificateIdFilter(id).addBranchScopeFilter(isHubBound(req.user) ? req.user.hub_branches : null);
+
+    const whereClause = queryBuilder.getWhereClause();
+    const filterParams = queryBuilder.getParams();
+
     // Main query with pagination
     const query = `
-      SELECT * 
-      FROM certificate_logs 
-      WHERE certificate_id = $1 
-      ORDER BY created_at DESC
-      LIMIT $2 OFFSET $3
+      SELECT cl.*
+      FROM certificate_logs cl
+      ${whereClause}
+      ORDER BY cl.created_at DESC
+      LIMIT $${queryBuilder.getCurrentParamCount()} OFFSET $${queryBuilder.getCurrentParamCount() + 1}
     `;
 
-    const result = await pool.query(query, [id.trim(), validatedLimit, validatedOffset]);
+    const result = await pool.query(query, [...filterParams, validatedLimit, validatedOffset]);
 
     // Count query
-    const countResult = await pool.query("SELECT COUNT(*) FROM certificate_logs WHERE certificate_id = $1", [id.trim()]);
+    const countResult = await pool.query(`SELECT COUNT(*) FROM certificate_logs cl ${whereClause}`, filterParams);
     const totalCount = parseInt(countResult.rows[0].count);
 
     logger.info(`Certificate logs retrieved: ${result.rows.length}/${totalCount} for certificate ${id}`);
@@ -286,6 +309,11 @@ const deleteOldLogs = async (req, res) => {
   try {
     const { days = 90 } = req.query;
 
+    // Cleanup removes every hub's logs
+    if (!hasAllBranchAccess(req.user)) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, "Only administrators with access to every regional hub can delete logs", CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
     // Validate days parameter
     const validatedDays = Math.min(Math.max(parseInt(days) || 90, 1), 3650);
 
@@ -313,6 +341,11 @@ const deleteOldLogs = async (req, res) => {
 // =====================================================
 const recoverFailedLogs = async (req, res) => {
   try {
+    // The backup file holds every hub's failed logs
+    if (!hasAllBranchAccess(req.user)) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, "Only administrators with access to every regional hub can recover logs", CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
     const logFile = path.join(__dirname, "..", "logs", "failed-logs.jsonl");
 
     // Check if file exists
@@ -0,0 +1,831 @@
+// controllers/CertificateTemplateController.js
+// Admin-managed certificate layouts (per division or per module), versioned
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const validators = require("../utils/validators");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { PAGE_SIZES, FONTS } = require("../utils/pdfGenerator");
+const {
+  TEMPLATE_FIELDS,
+  ORIENTATIONS,
+  ALIGNMENTS,
+  ELEMENT_TYPES,
+  validateTemplateDesign,
+  renderTemplatePreview,
+} = require("../utils/certificateTemplates");
+
+// =====================================================
+// HELPER: Template version to use for a new print
+// =====================================================
+// Active template assigned to the module wins over the division template.
+// Returns the current version id, or null (= built-in default layout).
+const resolveTemplateVersionId = async (client, moduleId, division) => {
+  const result = await client.query(
+    `SELECT tv.id
+     FROM certificate_templates ct
+     JOIN certificate_template_versions tv
+       ON tv.template_id = ct.id AND tv.version = ct.current_version
+     WHERE ct.is_active = true
+       AND (ct.module_id = $1 OR (ct.module_id IS NULL AND ct.division = $2))
+     ORDER BY (ct.module_id IS NOT NULL) DESC
+     LIMIT 1`,
+    [moduleId, division],
+  );
+
+  return result.rows[0]?.id || null;
+};
+
+// =====================================================
+// HELPER: Validate division / module assignment
+// =====================================================
+// Returns { error } or { division, moduleId, module }
+const validateAssignment = async (client, division, moduleId) => {
+  const hasDivision =
+    division !== undefined && division !== null && division !== "";
+  const hasModule =
+    moduleId !== undefined && moduleId !== null && moduleId !== "";
+
+  if (hasDivision && hasModule) {
+    return {
+      error: "Assign the template to a division or a module, not both",
+    };
+  }
+
+  if (hasModule) {
+    const moduleValidation = validators.validatePositiveInteger(
+      moduleId,
+      "Module ID",
+    );
+    if (!moduleValidation.valid) return { error: moduleValidation.error };
+
+    const moduleResult = await client.query(
+      "SELECT id, module_code, module_name, division FROM modules WHERE id = $1",
+      [moduleValidation.value],
+    );
+    if (moduleResult.rows.length === 0) {
+      return { error: `Module ${moduleValidation.value} not found` };
+    }
+
+    return {
+      division: null,
+      moduleId: moduleValidation.value,
+      module: moduleResult.rows[0],
+    };
+  }
+
+  if (hasDivision) {
+    const divisionValidation = validators.validateDivision(String(division));
+    if (!divisionValidation.valid) return { error: divisionValidation.error };
+    return { division: divisionValidation.value, moduleId: null };
+  }
+
+  return { division: null, moduleId: null };
+};
+
+// =====================================================
+// HELPER: Active template already holding an assignment
+// =====================================================
+const findAssignmentConflict = async (
+  client,
+  { division, moduleId },
+  excludeId = null,
+) => {
+  if (!division && !moduleId) return null;
+
+  const result = await client.query(
+    `SELECT id, name FROM certificate_templates
+     WHERE is_active = true
+       AND ${moduleId ? "module_id = $1" : "division = $1"}
+       AND ($2::int IS NULL OR id <> $2)`,
+    [moduleId || division, excludeId],
+  );
+
+  return result.rows[0] || null;
+};
+
+// =====================================================
+// HELPER: Load template with one version (current by default)
+// =====================================================
+const fetchTemplateVersion = async (templateId, version = null) => {
+  const result = await pool.query(
+    `SELECT
+      ct.id,
+      ct.name as current_name,
+      ct.description,
+      ct.division as current_division,
+      ct.module_id as current_module_id,
+      ct.current_version,
+      ct.is_active,
+      tv.id as version_id,
+      tv.version,
+      tv.name,
+      tv.division,
+      tv.module_id,
+      tv.page_size,
+      tv.orientation,
+      tv.background_image_path,
+      tv.layout,
+      tv.change_note,
+      tv.created_at as version_created_at,
+      u.username as version_created_by
+     FROM certificate_templates ct
+     JOIN certificate_template_versions tv
+       ON tv.template_id = ct.id AND tv.version = COALESCE($2, ct.current_version)
+     LEFT JOIN users u ON tv.created_by = u.id
+     WHERE ct.id = $1`,
+    [templateId, version],
+  );
+
+  return result.rows[0] || null;
+};
+
+const parseTemplateId = (value) => {
+  const id = parseInt(value);
+  return isNaN(id) ? null : id;
+};
+
+// =====================================================
+// 1. GET TEMPLATE OPTIONS (FIELDS, FONTS, PAGE SIZES)
+// =====================================================
+const getTemplateOptions = async (req, res) => {
+  return sendSuccess(res, "Template options retrieved successfully", {
+    fields: TEMPLATE_FIELDS,
+    fonts: Object.keys(FONTS),
+    pageSizes: Object.keys(PAGE_SIZES),
+    orientations: ORIENTATIONS,
+    alignments: ALIGNMENTS,
+    elementTypes: ELEMENT_TYPES,
+    backgroundDirectory: CONSTANTS.CERTIFICATE_TEMPLATE.ASSET_DIR,
+  });
+};
+
+// =====================================================
+// 2. GET ALL TEMPLATES
+// =====================================================
+const getTemplates = async (req, res) => {
+  try {
+    const {
+      division,
+      module_id: moduleId,
+      include_inactive: includeInactive,
+    } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (includeInactive !== "true") {
+      conditions.push("ct.is_active = true");
+    }
+    if (division) {
+      params.push(division.trim().toUpperCase());
+      conditions.push(`ct.division = $${params.length}`);
+    }
+    if (moduleId) {
+      params.push(parseInt(moduleId) || 0);
+      conditions.push(`ct.module_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length
+      ? `WHERE ${conditions.join(" AND ")}`
+      : "";
+
+    const result = await pool.query(
+      `SELECT
+        ct.id,
+        ct.name,
+        ct.description,
+        ct.division,
+        ct.module_id,
+        m.module_code,
+        m.module_name,
+        ct.current_version,
+        ct.is_active,
+        tv.page_size,
+        tv.orientation,
+        tv.background_image_path,
+        ct.created_at,
+        ct.updated_at
+       FROM certificate_templates ct
+       JOIN certificate_template_versions tv
+         ON tv.template_id = ct.id AND tv.version = ct.current_version
+       LEFT JOIN modules m ON ct.module_id = m.id
+       ${whereClause}
+       ORDER BY ct.is_active DESC, ct.module_id NULLS FIRST, ct.division, ct.name`,
+      params,
+    );
+
+    return sendSuccess(res, "Templates retrieved successfully", result.rows, {
+      count: result.rows.length,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve templates",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 3. GET TEMPLATE BY ID (CURRENT DESIGN + VERSION HISTORY)
+// =====================================================
+const getTemplateById = async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req.params.id);
+    if (!templateId) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid template ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const template = await fetchTemplateVersion(templateId);
+    if (!template) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Template not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const versions = await pool.query(
+      `SELECT
+        tv.version,
+        tv.name,
+        tv.division,
+        tv.module_id,
+        tv.change_note,
+        tv.created_at,
+        u.username as created_by,
+        (SELECT COUNT(*) FROM printed_certificates pc
+         WHERE pc.template_version_id = tv.id)::int as print_count
+       FROM certificate_template_versions tv
+       LEFT JOIN users u ON tv.created_by = u.id
+       WHERE tv.template_id = $1
+       ORDER BY tv.version DESC`,
+      [templateId],
+    );
+
+    return sendSuccess(res, "Template retrieved successfully", {
+      ...template,
+      versions: versions.rows,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve template",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 4. GET ONE TEMPLATE VERSION
+// =====================================================
+const getTemplateVersion = async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req.params.id);
+    const version = parseTemplateId(req.params.version);
+    if (!templateId || !version) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid template ID or version",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const template = await fetchTemplateVersion(templateId, version);
+    if (!template) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        `Template version ${version} not found`,
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    return sendSuccess(
+      res,
+      "Template version retrieved successfully",
+      template,
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve template version",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 5. CREATE TEMPLATE (VERSION 1) - ADMIN
+// =====================================================
+const createTemplate = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const {
+      name,
+      description,
+      division,
+      module_id: moduleId,
+      change_note: changeNote,
+    } = req.body;
+
+    const cleanName = name ? validators.sanitizeString(name.trim()) : "";
+    if (
+      !cleanName ||
+      cleanName.length > CONSTANTS.CERTIFICATE_TEMPLATE.NAME_MAX_LENGTH
+    ) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Template name is required (max ${CONSTANTS.CERTIFICATE_TEMPLATE.NAME_MAX_LENGTH} characters)`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const design = validateTemplateDesign(req.body);
+    if (!design.valid) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        design.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const assignment = await validateAssignment(client, division, moduleId);
+    if (assignment.error) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        assignment.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const conflict = await findAssignmentConflict(client, assignment);
+    if (conflict) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.CONFLICT,
+        `Template "${conflict.name}" (#${conflict.id}) is already assigned to this ${assignment.moduleId ? "module" : "division"}`,
+        CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+      );
+    }
+
+    const templateResult = await client.query(
+      `INSERT INTO certificate_templates
+       (name, description, division, module_id, current_version, created_by)
+       VALUES ($1, $2, $3, $4, 1, $5)
+       RETURNING *`,
+      [
+        cleanName,
+        description ? validators.sanitizeString(description.trim()) : null,
+        assignment.division,
+        assignment.moduleId,
+        req.user.id,
+      ],
+    );
+    const template = templateResult.rows[0];
+
+    const versionResult = await client.query(
+      `INSERT INTO certificate_template_versions
+       (template_id, version, name, division, module_id, page_size,
+        orientation, background_image_path, layout, change_note, created_by)
+       VALUES ($1, 1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        template.id,
+        cleanName,
+        assignment.division,
+        assignment.moduleId,
+        design.value.page_size,
+        design.value.orientation,
+        design.value.background_image_path,
+        JSON.stringify(design.value.layout),
+        changeNote ? validators.sanitizeString(changeNote.trim()) : "Created",
+        req.user.id,
+      ],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Certificate template created: #${template.id} "${cleanName}" by ${req.user.username}`,
+    );
+
+    return sendSuccess(res, "Template created successfully", {
+      ...template,
+      currentVersion: versionResult.rows[0],
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    if (error.code === "23505") {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.CONFLICT,
+        "Another active template is already assigned to this module or division",
+        CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+      );
+    }
+
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to create template",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 6. UPDATE TEMPLATE (NEW VERSION) - ADMIN
+// =====================================================
+// Omitted fields are carried over from the current version. Every
+// update creates a new version; existing prints keep the version they
+// were issued with. is_active can be toggled here too.
+const updateTemplate = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const templateId = parseTemplateId(req.params.id);
+    if (!templateId) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid template ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const currentResult = await client.query(
+      `SELECT ct.*, tv.page_size, tv.orientation, tv.background_image_path, tv.layout
+       FROM certificate_templates ct
+       JOIN certificate_template_versions tv
+         ON tv.template_id = ct.id AND tv.version = ct.current_version
+       WHERE ct.id = $1
+       FOR UPDATE OF ct`,
+      [templateId],
+    );
+
+    if (currentResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Template not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const current = currentResult.rows[0];
+    const body = req.body;
+    const pick = (key) => (body[key] !== undefined ? body[key] : current[key]);
+
+    const cleanName = validators.sanitizeString(String(pick("name")).trim());
+    if (
+      !cleanName ||
+      cleanName.length > CONSTANTS.CERTIFICATE_TEMPLATE.NAME_MAX_LENGTH
+    ) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Template name is required (max ${CONSTANTS.CERTIFICATE_TEMPLATE.NAME_MAX_LENGTH} characters)`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const design = validateTemplateDesign({
+      page_size: pick("page_size"),
+      orientation: pick("orientation"),
+      background_image_path: pick("background_image_path"),
+      layout: pick("layout"),
+    });
+    if (!design.valid) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        design.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    // Assignment: sending either key replaces the whole assignment
+    const assignmentChanged =
+      body.division !== undefined || body.module_id !== undefined;
+    const assignment = assignmentChanged
+      ? await validateAssignment(client, body.division, body.module_id)
+      : { division: current.division, moduleId: current.module_id };
+    if (assignment.error) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        assignment.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const isActive =
+      body.is_active !== undefined
+        ? body.is_active === true
+        : current.is_active;
+
+    if (isActive) {
+      const conflict = await findAssignmentConflict(
+        client,
+        assignment,
+        templateId,
+      );
+      if (conflict) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.CONFLICT,
+          `Template "${conflict.name}" (#${conflict.id}) is already assigned to this ${assignment.moduleId ? "module" : "division"}`,
+          CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+        );
+      }
+    }
+
+    const nextVersion = current.current_version + 1;
+
+    const versionResult = await client.query(
+      `INSERT INTO certificate_template_versions
+       (template_id, version, name, division, module_id, page_size,
+        orientation, background_image_path, layout, change_note, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        templateId,
+        nextVersion,
+        cleanName,
+        assignment.division,
+        assignment.moduleId,
+        design.value.page_size,
+        design.value.orientation,
+        design.value.background_image_path,
+        JSON.stringify(design.value.layout),
+        body.change_note
+          ? validators.sanitizeString(String(body.change_note).trim())
+          : null,
+        req.user.id,
+      ],
+    );
+
+    const templateResult = await client.query(
+      `UPDATE certificate_templates
+       SET name = $1,
+           description = $2,
+           division = $3,
+           module_id = $4,
+           is_active = $5,
+           current_version = $6
+       WHERE id = $7
+       RETURNING *`,
+      [
+        cleanName,
+        body.description !== undefined
+          ? body.description
+            ? validators.sanitizeString(String(body.description).trim())
+            : null
+          : current.description,
+        assignment.division,
+        assignment.moduleId,
+        isActive,
+        nextVersion,
+        templateId,
+      ],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Certificate template #${templateId} updated to version ${nextVersion} by ${req.user.username}`,
+    );
+
+    return sendSuccess(res, "Template updated successfully", {
+      ...templateResult.rows[0],
+      currentVersion: versionResult.rows[0],
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+
+    if (error.code === "23505") {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.CONFLICT,
+        "Another active template is already assigned to this module or division",
+        CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+      );
+    }
+
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to update template",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 7. DEACTIVATE TEMPLATE - ADMIN
+// =====================================================
+// Templates are never removed: versions stay available so prints issued
+// with them can still be re-rendered.
+const deactivateTemplate = async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req.params.id);
+    if (!templateId) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid template ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const result = await pool.query(
+      `UPDATE certificate_templates
+       SET is_active = false
+       WHERE id = $1
+       RETURNING *`,
+      [templateId],
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Template not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    logger.info(
+      `Certificate template #${templateId} deactivated by ${req.user.username}`,
+    );
+
+    return sendSuccess(
+      res,
+      "Template deactivated successfully",
+      result.rows[0],
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to deactivate template",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 8. PREVIEW SAVED TEMPLATE (SAMPLE DATA PDF)
+// =====================================================
+// ?version=N previews an older version (default: current)
+const previewTemplate = async (req, res) => {
+  try {
+    const templateId = parseTemplateId(req.params.id);
+    const version = req.query.version
+      ? parseTemplateId(req.query.version)
+      : null;
+    if (!templateId || (req.query.version && !version)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid template ID or version",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const template = await fetchTemplateVersion(templateId, version);
+    if (!template) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Template or version not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    let division = template.division;
+    if (!division && template.module_id) {
+      const moduleResult = await pool.query(
+        "SELECT division FROM modules WHERE id = $1",
+        [template.module_id],
+      );
+      division = moduleResult.rows[0]?.division;
+    }
+
+    const pdf = await renderTemplatePreview(template, division);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename=template_${templateId}_v${template.version}_preview.pdf`,
+    );
+    return res.send(pdf);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to render template preview",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 9. PREVIEW UNSAVED DESIGN (SAMPLE DATA PDF)
+// =====================================================
+// Body: same design fields as create; nothing is stored
+const previewDraft = async (req, res) => {
+  try {
+    const design = validateTemplateDesign(req.body);
+    if (!design.valid) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        design.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const division = req.body.division
+      ? String(req.body.division).toUpperCase()
+      : null;
+    const pdf = await renderTemplatePreview(
+      { ...design.value, name: req.body.name },
+      division,
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      "inline; filename=template_preview.pdf",
+    );
+    return res.send(pdf);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to render template preview",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+module.exports = {
+  getTemplateOptions,
+  getTemplates,
+  getTemplateById,
+  getTemplateVersion,
+  createTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  previewTemplate,
+  previewDraft,
+  resolveTemplateVersionId,
+};
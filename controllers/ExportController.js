@@ -6,6 +6,15 @@ const ExcelJS = require("exceljs");
 const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const { sendError } = require("../utils/responseHelper");
+const { isHubBound, canAccessHub, isOutsideHub, branchForbiddenMessage, getAssignedBranchCodes } = require("../utils/branchAccess");
+const { renderTranscriptPdf } = require("../utils/transcriptPdf");
+
+// =====================================================
+// HELPER: Branch scope (hub-bound admins: their hub branches, otherwise null = all)
+// =====================================================
+const scopeBranches = (user) => (isHubBound(user) ? user.hub_branches : null);
+
+const sendOutsideHub = (res, user, branchCode) => sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, branchForbiddenMessage(user, branchCode), CONSTANTS.ERROR_CODES.FORBIDDEN);
 
 // =====================================================
 // HELPER: Format Excel Header
@@ -37,6 +46,90 @@ const autoFitColumns = (worksheet) => {
   });
 };
 
+// =====================================================
+// HELPER: Collect transcript data for one student
+// =====================================================
+// Returns null when the student does not exist
+const fetchStudentTranscript = async (studentId) => {
+  const studentResult = await pool.query(
+    `SELECT
+      s.id,
+      s.student_name,
+      s.division,
+      to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+      s.parent_name,
+      s.parent_phone,
+      s.parent_email,
+      s.status,
+      s.merged_into_id,
+      to_char(s.created_at, 'YYYY-MM-DD') as enrolled_at,
+      b.branch_code,
+      b.branch_name
+    FROM students s
+    JOIN branches b ON s.branch_id = b.id
+    WHERE s.id = $1`,
+    [studentId],
+  );
+
+  if (studentResult.rows.length === 0) return null;
+
+  const transfersResult = await pool.query(
+    `SELECT
+      to_char(st.transfer_date, 'YYYY-MM-DD') as transfer_date,
+      fb.branch_name || ' (' || fb.branch_code || ')' as from_branch,
+      tb.branch_name || ' (' || tb.branch_code || ')' as to_branch,
+      COALESCE(u.teacher_name, u.username) as transferred_by,
+      st.notes
+    FROM student_transfers st
+    JOIN branches fb ON st.from_branch_id = fb.id
+    JOIN branches tb ON st.to_branch_id = tb.id
+    LEFT JOIN users u ON st.transferred_by = u.id
+    WHERE st.student_id = $1
+    ORDER BY st.transfer_date, st.id`,
+    [studentId],
+  );
+
+  // Print record per completed module: the one that created the row
+  // (same batch) first, otherwise the earliest active print
+  const modulesResult = await pool.query(
+    `SELECT
+      to_char(sm.completed_date, 'YYYY-MM-DD') as completed_date,
+      m.module_code,
+      m.module_name,
+      m.division,
+      b.branch_code,
+      b.branch_name,
+      sm.certificate_id,
+      pc.serial_number,
+      COALESCE(u.teacher_name, u.username) as issued_by
+    FROM student_modules sm
+    JOIN modules m ON sm.module_id = m.id
+    JOIN branches b ON sm.branch_id = b.id
+    LEFT JOIN LATERAL (
+      SELECT p.serial_number, p.printed_by
+      FROM printed_certificates p
+      WHERE p.student_id = sm.student_id AND p.module_id = sm.module_id
+        AND p.status = $2
+      ORDER BY (p.certificate_id = sm.certificate_id) DESC, p.ptc_date, p.id
+      LIMIT 1
+    ) pc ON true
+    LEFT JOIN users u ON pc.printed_by = u.id
+    WHERE sm.student_id = $1
+    ORDER BY sm.completed_date, m.module_code`,
+    [studentId, CONSTANTS.PRINT_STATUS.PRINTED],
+  );
+
+  const modules = modulesResult.rows;
+
+  return {
+    student: studentResult.rows[0],
+    transfers: transfersResult.rows,
+    modules,
+    teachers: [...new Set(modules.map((m) => m.issued_by).filter(Boolean))],
+    generatedAt: new Date().toISOString().split("T")[0],
+  };
+};
+
 // =====================================================
 // 1. EXPORT CERTIFICATES (UPDATED for new structure)
 // =====================================================
@@ -44,8 +137,9 @@ const exportCertificates = async (req, res) => {
   try {
     logger.info("Exporting certificates to Excel");
 
-    // UPDATED: Use new certificate_stock table
-    const result = await pool.query(`
+    // UPDATED: Use new certificate_stock table (hub-bound admins: their hub's stock only)
+    const result = await pool.query(
+      `
       SELECT 
         c.certificate_id as "Batch ID",
         c.created_at as "Created At",
@@ -57,12 +151,18 @@ const exportCertificates = async (req, res) => {
             'medals', cs.jumlah_medali
           ) ORDER BY cs.branch_code)
           FROM certificate_stock cs
-          WHERE cs.certificate_id = c.certificate_id),
+          WHERE cs.certificate_id = c.certificate_id
+          AND ($1::varchar[] IS NULL OR cs.branch_code = ANY($1))),
           '[]'::json
         ) as "Stock by Branch"
       FROM certificates c
-      ORDER BY c.created_at DESC
-    `);
+      WHERE $1::varchar[] IS NULL OR EXISTS (
+        SELECT 1 FROM certificate_stock cs
+        WHERE cs.certificate_id = c.certificate_id AND cs.branch_code = ANY($1)
+      )
+      ORDER BY c.created_at DESC`,
+      [scopeBranches(req.user)],
+    );
 
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet("Certificates");
@@ -109,6 +209,10 @@ const exportCertificateLogs = async (req, res) => {
   try {
     const { regional_hub: regionalHub } = req.query;
 
+    if (regionalHub && regionalHub.trim() && !canAccessHub(req.user, regionalHub.trim())) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `Regional hub ${regionalHub.trim()} is outside your regional hub`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+    }
+
     logger.info("Exporting certificate logs to Excel", { regional_hub: regionalHub });
 
     // IMPROVED: Use EXISTS subquery (consistent with CertificateLogsController)
@@ -121,6 +225,7 @@ const exportCertificateLogs = async (req, res) => {
         cl.to_branch as "To Branch",
         cl.certificate_amount as "Certificate Amount",
         cl.medal_amount as "Medal Amount",
+        cl.new_values->>'reason_code' as "Reason Code",
         cl.performed_by as "Performed By",
         cl.created_at as "Created At"
       FROM certificate_logs cl
@@ -142,6 +247,12 @@ const exportCertificateLogs = async (req, res) => {
       paramCount++;
     }
 
+    if (isHubBound(req.user)) {
+      query += ` AND (cl.from_branch = ANY($${paramCount}) OR cl.to_branch = ANY($${paramCount}))`;
+      params.push(req.user.hub_branches);
+      paramCount++;
+    }
+
     query += " ORDER BY cl.created_at DESC";
 
     const result = await pool.query(query, params);
@@ -158,6 +269,7 @@ const exportCertificateLogs = async (req, res) => {
       { header: "To Branch", key: "To Branch", width: 12 },
       { header: "Certificate Amount", key: "Certificate Amount", width: 18 },
       { header: "Medal Amount", key: "Medal Amount", width: 15 },
+      { header: "Reason Code", key: "Reason Code", width: 20 },
       { header: "Performed By", key: "Performed By", width: 15 },
       { header: "Created At", key: "Created At", width: 20 },
     ];
@@ -190,8 +302,9 @@ const exportTeachers = async (req, res) => {
   try {
     logger.info("Exporting teachers to Excel");
 
-    // UPDATED: Include branches and divisions arrays
-    const result = await pool.query(`
+    // UPDATED: Include branches and divisions arrays (hub-bound admins: teachers in their hubs)
+    const result = await pool.query(
+      `
       SELECT 
         u.id as "ID",
         u.username as "Username",
@@ -208,9 +321,15 @@ const exportTeachers = async (req, res) => {
       LEFT JOIN teacher_divisions td ON u.id = td.teacher_id
       LEFT JOIN teacher_branches tb ON u.id = tb.teacher_id
       WHERE u.role = 'teacher'
+      AND ($1::varchar[] IS NULL OR u.teacher_branch = ANY($1) OR EXISTS (
+        SELECT 1 FROM teacher_branches scope_tb
+        JOIN branches scope_b ON scope_tb.branch_id = scope_b.id
+        WHERE scope_tb.teacher_id = u.id AND scope_b.branch_code = ANY($1)
+      ))
       GROUP BY u.id, u.username, u.teacher_name, u.created_at, u.updated_at
-      ORDER BY u.created_at DESC
-    `);
+      ORDER BY u.created_at DESC`,
+      [scopeBranches(req.user)],
+    );
 
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet("Teachers");
@@ -308,10 +427,12 @@ const exportPrintedCertificates = async (req, res) => {
     const userRole = req.user.role;
     const userId = req.user.id;
     const userBranch = req.user.teacher_branch;
+    const branchFilter = req.query.branch_code && req.query.branch_code.trim() ? req.query.branch_code.trim().toUpperCase() : null;
 
     let query = `
       SELECT 
         pc.id as "ID",
+        pc.serial_number as "Serial Number",
         pc.certificate_id as "Certificate ID",
         pc.student_name as "Student Name",
         pc.student_id as "Student ID",
@@ -320,20 +441,37 @@ const exportPrintedCertificates = async (req, res) => {
         pc.ptc_date as "PTC Date",
         pc.branch as "Branch",
         u.username as "Printed By",
-        pc.printed_at as "Printed At"
+        pc.printed_at as "Printed At",
+        pc.status as "Status",
+        pc.reprint_of as "Reprint Of",
+        pc.void_reason as "Void Reason"
       FROM printed_certificates pc
       JOIN modules m ON pc.module_id = m.id
       JOIN users u ON pc.printed_by = u.id
     `;
 
+    if (branchFilter && isOutsideHub(req.user, branchFilter)) {
+      return sendOutsideHub(res, req.user, branchFilter);
+    }
+
     let queryParams = [];
 
+    // Teachers: their own prints at their assigned branches (optionally one) | Admins: requested or own branch (hub-bound: their hub branches)
     if (userRole === "teacher") {
-      query += " WHERE pc.printed_by = $1";
-      queryParams.push(userId);
-    } else if (userRole === "admin" && userBranch) {
+      const assignedBranches = await getAssignedBranchCodes(pool, userId);
+
+      if (branchFilter && !assignedBranches.includes(branchFilter)) {
+        return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `You are not assigned to branch ${branchFilter}`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+      }
+
+      query += " WHERE pc.printed_by = $1 AND pc.branch = ANY($2)";
+      queryParams.push(userId, branchFilter ? [branchFilter] : assignedBranches);
+    } else if (isHubBound(req.user) && !branchFilter) {
+      query += " WHERE pc.branch = ANY($1)";
+      queryParams.push(req.user.hub_branches);
+    } else if (userRole === "admin" && (branchFilter || userBranch)) {
       query += " WHERE pc.branch = $1";
-      queryParams.push(userBranch);
+      queryParams.push(branchFilter || userBranch);
     }
 
     query += " ORDER BY pc.printed_at DESC";
@@ -345,6 +483,7 @@ const exportPrintedCertificates = async (req, res) => {
 
     worksheet.columns = [
       { header: "ID", key: "ID", width: 8 },
+      { header: "Serial Number", key: "Serial Number", width: 18 },
       { header: "Certificate ID", key: "Certificate ID", width: 15 },
       { header: "Student Name", key: "Student Name", width: 25 },
       { header: "Student ID", key: "Student ID", width: 12 },
@@ -354,6 +493,9 @@ const exportPrintedCertificates = async (req, res) => {
       { header: "Branch", key: "Branch", width: 10 },
       { header: "Printed By", key: "Printed By", width: 15 },
       { header: "Printed At", key: "Printed At", width: 20 },
+      { header: "Status", key: "Status", width: 10 },
+      { header: "Reprint Of", key: "Reprint Of", width: 12 },
+      { header: "Void Reason", key: "Void Reason", width: 30 },
     ];
 
     result.rows.forEach((row) => {
@@ -384,31 +526,45 @@ const exportStudents = async (req, res) => {
 
     const { branch_code: branchCode } = req.query;
 
+    // Column layout is shared with POST /api/students/import
     let query = `
       SELECT 
         s.id as "ID",
         s.student_name as "Student Name",
-        s.branch_code as "Branch Code",
+        b.branch_code as "Branch Code",
         b.branch_name as "Branch Name",
+        s.division as "Division",
+        to_char(s.date_of_birth, 'YYYY-MM-DD') as "Date of Birth",
+        s.parent_name as "Parent Name",
+        s.parent_phone as "Parent Phone",
+        s.parent_email as "Parent Email",
+        s.address as "Address",
+        s.notes as "Notes",
         s.status as "Status",
         COUNT(sm.id) as "Modules Completed",
         s.created_at as "Created At",
         s.updated_at as "Updated At"
       FROM students s
-      LEFT JOIN branches b ON s.branch_code = b.branch_code
+      LEFT JOIN branches b ON s.branch_id = b.id
       LEFT JOIN student_modules sm ON s.id = sm.student_id
     `;
 
     let queryParams = [];
 
     if (branchCode && branchCode.trim()) {
-      query += " WHERE s.branch_code = $1";
+      if (isOutsideHub(req.user, branchCode.trim().toUpperCase())) {
+        return sendOutsideHub(res, req.user, branchCode.trim().toUpperCase());
+      }
+      query += " WHERE b.branch_code = $1";
       queryParams.push(branchCode.trim().toUpperCase());
+    } else if (isHubBound(req.user)) {
+      query += " WHERE b.branch_code = ANY($1)";
+      queryParams.push(req.user.hub_branches);
     }
 
     query += `
-      GROUP BY s.id, s.student_name, s.branch_code, b.branch_name, s.status, s.created_at, s.updated_at
-      ORDER BY s.branch_code, s.student_name
+      GROUP BY s.id, b.branch_code, b.branch_name
+      ORDER BY b.branch_code, s.student_name
     `;
 
     const result = await pool.query(query, queryParams);
@@ -421,6 +577,13 @@ const exportStudents = async (req, res) => {
       { header: "Student Name", key: "Student Name", width: 30 },
       { header: "Branch Code", key: "Branch Code", width: 12 },
       { header: "Branch Name", key: "Branch Name", width: 25 },
+      { header: "Division", key: "Division", width: 10 },
+      { header: "Date of Birth", key: "Date of Birth", width: 14 },
+      { header: "Parent Name", key: "Parent Name", width: 25 },
+      { header: "Parent Phone", key: "Parent Phone", width: 16 },
+      { header: "Parent Email", key: "Parent Email", width: 25 },
+      { header: "Address", key: "Address", width: 30 },
+      { header: "Notes", key: "Notes", width: 30 },
       { header: "Status", key: "Status", width: 12 },
       { header: "Modules Completed", key: "Modules Completed", width: 18 },
       { header: "Created At", key: "Created At", width: 20 },
@@ -457,6 +620,10 @@ const exportStudentsByBranch = async (req, res) => {
       return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, "Branch code is required", CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
     }
 
+    if (isOutsideHub(req.user, branchCode.trim().toUpperCase())) {
+      return sendOutsideHub(res, req.user, branchCode.trim().toUpperCase());
+    }
+
     logger.info(`Exporting students for branch: ${branchCode}`);
 
     const result = await pool.query(
@@ -516,8 +683,9 @@ const exportStudentTransferHistory = async (req, res) => {
   try {
     logger.info("Exporting student transfer history to Excel");
 
-    const result = await pool.query(`
-      SELECT 
+    // Hub-bound admins: transfers from or to a branch in their hubs
+    const result = await pool.query(
+      `SELECT 
         st.id as "ID",
         s.student_name as "Student Name",
         st.from_branch as "From Branch",
@@ -529,8 +697,13 @@ const exportStudentTransferHistory = async (req, res) => {
       FROM student_transfers st
       JOIN students s ON st.student_id = s.id
       JOIN users u ON st.transferred_by = u.id
-      ORDER BY st.transfer_date DESC, st.created_at DESC
-    `);
+      WHERE $1::varchar[] IS NULL OR EXISTS (
+        SELECT 1 FROM branches b
+        WHERE b.id IN (st.from_branch_id, st.to_branch_id) AND b.branch_code = ANY($1)
+      )
+      ORDER BY st.transfer_date DESC, st.created_at DESC`,
+      [scopeBranches(req.user)],
+    );
 
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet("Student Transfers");
@@ -574,8 +747,12 @@ const exportAllData = async (req, res) => {
 
     const workbook = new ExcelJS.Workbook();
 
+    // Hub-bound admins only get the branches of their hubs (modules are global)
+    const scopeParams = [scopeBranches(req.user)];
+
     // Sheet 1: Stock Summary (UPDATED)
-    const summaryResult = await pool.query(`
+    const summaryResult = await pool.query(
+      `
       SELECT 
         cs.branch_code as "Branch",
         b.branch_name as "Branch Name",
@@ -583,9 +760,11 @@ const exportAllData = async (req, res) => {
         COALESCE(SUM(cs.jumlah_medali), 0) as "Medals"
       FROM certificate_stock cs
       JOIN branches b ON cs.branch_code = b.branch_code
+      WHERE $1::varchar[] IS NULL OR cs.branch_code = ANY($1)
       GROUP BY cs.branch_code, b.branch_name
-      ORDER BY cs.branch_code
-    `);
+      ORDER BY cs.branch_code`,
+      scopeParams,
+    );
 
     const summarySheet = workbook.addWorksheet("Stock Summary");
     summarySheet.columns = [
@@ -598,15 +777,17 @@ const exportAllData = async (req, res) => {
     formatHeader(summarySheet);
 
     // Sheet 2: Branches
-    const branchesResult = await pool.query(`
-      SELECT 
+    const branchesResult = await pool.query(
+      `SELECT 
         branch_code as "Branch Code",
         branch_name as "Branch Name",
         is_active as "Active",
         created_at as "Created At"
       FROM branches
-      ORDER BY branch_code
-    `);
+      WHERE $1::varchar[] IS NULL OR branch_code = ANY($1)
+      ORDER BY branch_code`,
+      scopeParams,
+    );
 
     const branchSheet = workbook.addWorksheet("Branches");
     branchSheet.columns = [
@@ -619,15 +800,17 @@ const exportAllData = async (req, res) => {
     formatHeader(branchSheet);
 
     // Sheet 3: Students
-    const studentsResult = await pool.query(`
-      SELECT 
+    const studentsResult = await pool.query(
+      `SELECT 
         student_name as "Student Name",
         branch_code as "Branch",
         status as "Status",
         created_at as "Created At"
       FROM students
-      ORDER BY branch_code, student_name
-    `);
+      WHERE $1::varchar[] IS NULL OR branch_id IN (SELECT id FROM branches WHERE branch_code = ANY($1))
+      ORDER BY branch_code, student_name`,
+      scopeParams,
+    );
 
     const studentSheet = workbook.addWorksheet("Students");
     studentSheet.columns = [
@@ -640,8 +823,8 @@ const exportAllData = async (req, res) => {
     formatHeader(studentSheet);
 
     // Sheet 4: Teachers (UPDATED)
-    const teachersResult = await pool.query(`
-      SELECT 
+    const teachersResult = await pool.query(
+      `SELECT 
         u.username as "Username",
         u.teacher_name as "Teacher Name",
         ARRAY_TO_STRING(
@@ -655,9 +838,15 @@ const exportAllData = async (req, res) => {
       LEFT JOIN teacher_divisions td ON u.id = td.teacher_id
       LEFT JOIN teacher_branches tb ON u.id = tb.teacher_id
       WHERE u.role = 'teacher'
+      AND ($1::varchar[] IS NULL OR u.teacher_branch = ANY($1) OR EXISTS (
+        SELECT 1 FROM teacher_branches scope_tb
+        JOIN branches scope_b ON scope_tb.branch_id = scope_b.id
+        WHERE scope_tb.teacher_id = u.id AND scope_b.branch_code = ANY($1)
+      ))
       GROUP BY u.id, u.username, u.teacher_name, u.created_at
-      ORDER BY u.teacher_name
-    `);
+      ORDER BY u.teacher_name`,
+      scopeParams,
+    );
 
     const teacherSheet = workbook.addWorksheet("Teachers");
     teacherSheet.columns = [
@@ -705,6 +894,369 @@ const exportAllData = async (req, res) => {
   }
 };
 
+// =====================================================
+// 10. EXPORT STOCK ADJUSTMENTS (WRITE-OFFS / CORRECTIONS)
+// =====================================================
+const exportStockAdjustments = async (req, res) => {
+  try {
+    const { branch_code: branchCode, reason_code: reasonCode, from_date: fromDate, to_date: toDate } = req.query;
+
+    if (branchCode && branchCode.trim() && isOutsideHub(req.user, branchCode.trim().toUpperCase())) {
+      return sendOutsideHub(res, req.user, branchCode.trim().toUpperCase());
+    }
+
+    logger.info("Exporting stock adjustments to Excel", { branch_code: branchCode, reason_code: reasonCode });
+
+    let query = `
+      SELECT 
+        cl.id as "Log ID",
+        cl.certificate_id as "Certificate ID",
+        cl.from_branch as "Branch",
+        cl.new_values->>'reason_code' as "Reason Code",
+        cl.certificate_amount as "Certificate Adjustment",
+        cl.medal_amount as "Medal Adjustment",
+        (cl.old_values->>'certificates')::int as "Certificates Before",
+        (cl.new_values->>'certificates')::int as "Certificates After",
+        (cl.old_values->>'medals')::int as "Medals Before",
+        (cl.new_values->>'medals')::int as "Medals After",
+        cl.new_values->>'notes' as "Notes",
+        cl.performed_by as "Performed By",
+        cl.created_at as "Created At"
+      FROM certificate_logs cl
+      WHERE cl.action_type = $1
+    `;
+
+    const params = [CONSTANTS.LOG_ACTION_TYPES.ADJUST];
+    let paramCount = 2;
+
+    if (branchCode && branchCode.trim()) {
+      query += ` AND cl.from_branch = $${paramCount}`;
+      params.push(branchCode.trim().toUpperCase());
+      paramCount++;
+    } else if (isHubBound(req.user)) {
+      query += ` AND cl.from_branch = ANY($${paramCount})`;
+      params.push(req.user.hub_branches);
+      paramCount++;
+    }
+
+    if (reasonCode && reasonCode.trim()) {
+      query += ` AND cl.new_values->>'reason_code' = $${paramCount}`;
+      params.push(reasonCode.trim().toLowerCase());
+      paramCount++;
+    }
+
+    if (fromDate && fromDate.trim()) {
+      query += ` AND cl.created_at >= $${paramCount}`;
+      params.push(fromDate.trim());
+      paramCount++;
+    }
+
+    if (toDate && toDate.trim()) {
+      query += ` AND cl.created_at < $${paramCount}::date + interval '1 day'`;
+      params.push(toDate.trim());
+      paramCount++;
+    }
+
+    query += " ORDER BY cl.created_at DESC";
+
+    const result = await pool.query(query, params);
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Stock Adjustments");
+
+    worksheet.columns = [
+      { header: "Log ID", key: "Log ID", width: 8 },
+      { header: "Certificate ID", key: "Certificate ID", width: 15 },
+      { header: "Branch", key: "Branch", width: 10 },
+      { header: "Reason Code", key: "Reason Code", width: 20 },
+      { header: "Certificate Adjustment", key: "Certificate Adjustment", width: 20 },
+      { header: "Medal Adjustment", key: "Medal Adjustment", width: 18 },
+      { header: "Certificates Before", key: "Certificates Before", width: 18 },
+      { header: "Certificates After", key: "Certificates After", width: 18 },
+      { header: "Medals Before", key: "Medals Before", width: 15 },
+      { header: "Medals After", key: "Medals After", width: 15 },
+      { header: "Notes", key: "Notes", width: 40 },
+      { header: "Performed By", key: "Performed By", width: 15 },
+      { header: "Created At", key: "Created At", width: 20 },
+    ];
+
+    result.rows.forEach((row) => {
+      worksheet.addRow(row);
+    });
+
+    formatHeader(worksheet);
+    autoFitColumns(worksheet);
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename=stock_adjustments_${new Date().toISOString().split("T")[0]}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    logger.info("Stock adjustments exported successfully");
+    res.end();
+  } catch (error) {
+    logger.error("Export stock adjustments error:", error);
+    return sendError(res, CONSTANTS.HTTP_STATUS.SERVER_ERROR, "Failed to export stock adjustments", CONSTANTS.ERROR_CODES.SERVER_ERROR, error);
+  }
+};
+
+// =====================================================
+// 11. EXPORT STOCKTAKE SESSIONS & ITEMS
+// =====================================================
+const exportStocktakes = async (req, res) => {
+  try {
+    const { session_id: sessionId, branch_code: branchCode, status, from_date: fromDate, to_date: toDate } = req.query;
+
+    if (branchCode && branchCode.trim() && isOutsideHub(req.user, branchCode.trim().toUpperCase())) {
+      return sendOutsideHub(res, req.user, branchCode.trim().toUpperCase());
+    }
+
+    logger.info("Exporting stocktakes to Excel", { session_id: sessionId, branch_code: branchCode, status });
+
+    const conditions = [];
+    const params = [];
+
+    if (sessionId && !isNaN(parseInt(sessionId))) {
+      params.push(parseInt(sessionId));
+      conditions.push(`ss.id = $${params.length}`);
+    }
+
+    if (branchCode && branchCode.trim()) {
+      params.push(branchCode.trim().toUpperCase());
+      conditions.push(`ss.branch_code = $${params.length}`);
+    } else if (isHubBound(req.user)) {
+      params.push(req.user.hub_branches);
+      conditions.push(`ss.branch_code = ANY($${params.length})`);
+    }
+
+    if (status && status.trim()) {
+      params.push(status.trim().toLowerCase());
+      conditions.push(`ss.status = $${params.length}`);
+    }
+
+    if (fromDate && fromDate.trim()) {
+      params.push(fromDate.trim());
+      conditions.push(`ss.opened_at >= $${params.length}`);
+    }
+
+    if (toDate && toDate.trim()) {
+      params.push(toDate.trim());
+      conditions.push(`ss.opened_at < $${params.length}::date + interval '1 day'`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const sessionsResult = await pool.query(
+      `SELECT 
+        ss.id as "Session ID",
+        ss.branch_code as "Branch Code",
+        b.branch_name as "Branch Name",
+        ss.status as "Status",
+        (SELECT COUNT(*) FROM stocktake_items si WHERE si.session_id = ss.id)::int as "Batches Counted",
+        (SELECT COALESCE(SUM(si.counted_certificates - si.system_certificates), 0) FROM stocktake_items si WHERE si.session_id = ss.id)::int as "Certificate Variance",
+        (SELECT COALESCE(SUM(si.counted_medals - si.system_medals), 0) FROM stocktake_items si WHERE si.session_id = ss.id)::int as "Medal Variance",
+        ss.notes as "Notes",
+        ss.opened_by as "Opened By",
+        ss.opened_at as "Opened At",
+        ss.closed_by as "Closed By",
+        ss.closed_at as "Closed At"
+      FROM stocktake_sessions ss
+      JOIN branches b ON ss.branch_code = b.branch_code
+      ${whereClause}
+      ORDER BY ss.opened_at DESC`,
+      params,
+    );
+
+    const itemsResult = await pool.query(
+      `SELECT 
+        ss.id as "Session ID",
+        ss.branch_code as "Branch Code",
+        ss.status as "Session Status",
+        si.certificate_id as "Batch ID",
+        si.system_certificates as "System Certificates",
+        si.counted_certificates as "Counted Certificates",
+        si.counted_certificates - si.system_certificates as "Certificate Variance",
+        si.system_medals as "System Medals",
+        si.counted_medals as "Counted Medals",
+        si.counted_medals - si.system_medals as "Medal Variance",
+        si.adjustment_log_id as "Adjustment Log ID",
+        si.counted_by as "Counted By",
+        si.counted_at as "Counted At"
+      FROM stocktake_items si
+      JOIN stocktake_sessions ss ON si.session_id = ss.id
+      ${whereClause}
+      ORDER BY ss.opened_at DESC, si.certificate_id`,
+      params,
+    );
+
+    const workbook = new ExcelJS.Workbook();
+
+    const sessionsSheet = workbook.addWorksheet("Stocktake Sessions");
+    sessionsSheet.columns = [
+      { header: "Session ID", key: "Session ID", width: 12 },
+      { header: "Branch Code", key: "Branch Code", width: 12 },
+      { header: "Branch Name", key: "Branch Name", width: 25 },
+      { header: "Status", key: "Status", width: 12 },
+      { header: "Batches Counted", key: "Batches Counted", width: 16 },
+      { header: "Certificate Variance", key: "Certificate Variance", width: 20 },
+      { header: "Medal Variance", key: "Medal Variance", width: 16 },
+      { header: "Notes", key: "Notes", width: 40 },
+      { header: "Opened By", key: "Opened By", width: 15 },
+      { header: "Opened At", key: "Opened At", width: 20 },
+      { header: "Closed By", key: "Closed By", width: 15 },
+      { header: "Closed At", key: "Closed At", width: 20 },
+    ];
+    sessionsResult.rows.forEach((row) => sessionsSheet.addRow(row));
+    formatHeader(sessionsSheet);
+    autoFitColumns(sessionsSheet);
+
+    const itemsSheet = workbook.addWorksheet("Stocktake Items");
+    itemsSheet.columns = [
+      { header: "Session ID", key: "Session ID", width: 12 },
+      { header: "Branch Code", key: "Branch Code", width: 12 },
+      { header: "Session Status", key: "Session Status", width: 15 },
+      { header: "Batch ID", key: "Batch ID", width: 20 },
+      { header: "System Certificates", key: "System Certificates", width: 18 },
+      { header: "Counted Certificates", key: "Counted Certificates", width: 20 },
+      { header: "Certificate Variance", key: "Certificate Variance", width: 20 },
+      { header: "System Medals", key: "System Medals", width: 15 },
+      { header: "Counted Medals", key: "Counted Medals", width: 15 },
+      { header: "Medal Variance", key: "Medal Variance", width: 15 },
+      { header: "Adjustment Log ID", key: "Adjustment Log ID", width: 18 },
+      { header: "Counted By", key: "Counted By", width: 15 },
+      { header: "Counted At", key: "Counted At", width: 20 },
+    ];
+    itemsResult.rows.forEach((row) => itemsSheet.addRow(row));
+    formatHeader(itemsSheet);
+    autoFitColumns(itemsSheet);
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename=stocktakes_${new Date().toISOString().split("T")[0]}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    logger.info(`Stocktakes exported successfully: ${sessionsResult.rows.length} sessions, ${itemsResult.rows.length} items`);
+    res.end();
+  } catch (error) {
+    logger.error("Export stocktakes error:", error);
+    return sendError(res, CONSTANTS.HTTP_STATUS.SERVER_ERROR, "Failed to export stocktakes", CONSTANTS.ERROR_CODES.SERVER_ERROR, error);
+  }
+};
+
+// =====================================================
+// 12. EXPORT STUDENT TRANSCRIPT (EXCEL OR PDF)
+// =====================================================
+// ?format=xlsx (default) | pdf. Admins: any student (hub-bound: their hubs), teachers: students of their assigned branches
+const exportStudentTranscript = async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, "Invalid student ID", CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const format = String(req.query.format || CONSTANTS.TRANSCRIPT.FORMATS.XLSX).toLowerCase();
+    if (!Object.values(CONSTANTS.TRANSCRIPT.FORMATS).includes(format)) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, `format must be one of: ${Object.values(CONSTANTS.TRANSCRIPT.FORMATS).join(", ")}`, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const transcript = await fetchStudentTranscript(studentId);
+    if (!transcript) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.NOT_FOUND, "Student not found", CONSTANTS.ERROR_CODES.NOT_FOUND);
+    }
+
+    const { student, transfers, modules, teachers, generatedAt } = transcript;
+
+    if (student.status === CONSTANTS.STUDENT_STATUS.MERGED) {
+      return sendError(res, CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Student ${student.id} was merged into student ${student.merged_into_id}; export that transcript instead`, CONSTANTS.ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    if (req.user.role === "teacher") {
+      const assignedBranches = await getAssignedBranchCodes(pool, req.user.id);
+      if (!assignedBranches.includes(student.branch_code)) {
+        return sendError(res, CONSTANTS.HTTP_STATUS.FORBIDDEN, `You are not assigned to branch ${student.branch_code}`, CONSTANTS.ERROR_CODES.FORBIDDEN);
+      }
+    } else if (isOutsideHub(req.user, student.branch_code)) {
+      return sendOutsideHub(res, req.user, student.branch_code);
+    }
+
+    logger.info(`Exporting transcript (${format}) for student ${student.id} - ${student.student_name}`);
+
+    const filename = `transcript_${student.student_name.replace(/[^A-Za-z0-9]+/g, "_")}_${generatedAt}`;
+
+    if (format === CONSTANTS.TRANSCRIPT.FORMATS.PDF) {
+      const pdf = renderTranscriptPdf(transcript);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename=${filename}.pdf`);
+      res.setHeader("Content-Length", pdf.length);
+      return res.send(pdf);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+
+    // Sheet 1: Student details
+    const studentSheet = workbook.addWorksheet("Student");
+    studentSheet.columns = [
+      { header: "Field", key: "field", width: 20 },
+      { header: "Value", key: "value", width: 40 },
+    ];
+    [
+      ["Student ID", student.id],
+      ["Student Name", student.student_name],
+      ["Division", student.division],
+      ["Date of Birth", student.date_of_birth],
+      ["Branch", `${student.branch_name} (${student.branch_code})`],
+      ["Status", student.status],
+      ["Enrolled At", student.enrolled_at],
+      ["Parent Name", student.parent_name],
+      ["Parent Phone", student.parent_phone],
+      ["Parent Email", student.parent_email],
+      ["Modules Completed", modules.length],
+      ["Teachers", teachers.join(", ")],
+      ["Generated At", generatedAt],
+    ].forEach(([field, value]) => studentSheet.addRow({ field, value }));
+    formatHeader(studentSheet);
+    autoFitColumns(studentSheet);
+
+    // Sheet 2: Completed modules
+    const modulesSheet = workbook.addWorksheet("Completed Modules");
+    modulesSheet.columns = [
+      { header: "Completed Date", key: "completed_date", width: 15 },
+      { header: "Module Code", key: "module_code", width: 15 },
+      { header: "Module Name", key: "module_name", width: 30 },
+      { header: "Division", key: "division", width: 10 },
+      { header: "Branch", key: "branch_name", width: 25 },
+      { header: "Certificate Batch", key: "certificate_id", width: 20 },
+      { header: "Serial Number", key: "serial_number", width: 20 },
+      { header: "Issued By", key: "issued_by", width: 25 },
+    ];
+    modules.forEach((row) => modulesSheet.addRow(row));
+    formatHeader(modulesSheet);
+    autoFitColumns(modulesSheet);
+
+    // Sheet 3: Branch history
+    const transfersSheet = workbook.addWorksheet("Branch History");
+    transfersSheet.columns = [
+      { header: "Transfer Date", key: "transfer_date", width: 15 },
+      { header: "From Branch", key: "from_branch", width: 25 },
+      { header: "To Branch", key: "to_branch", width: 25 },
+      { header: "Transferred By", key: "transferred_by", width: 20 },
+      { header: "Notes", key: "notes", width: 40 },
+    ];
+    transfers.forEach((row) => transfersSheet.addRow(row));
+    formatHeader(transfersSheet);
+    autoFitColumns(transfersSheet);
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename=${filename}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    logger.info(`Transcript exported successfully for student ${student.id}`);
+    res.end();
+  } catch (error) {
+    logger.error("Export student transcript error:", error);
+    return sendError(res, CONSTANTS.HTTP_STATUS.SERVER_ERROR, "Failed to export student transcript", CONSTANTS.ERROR_CODES.SERVER_ERROR, error);
+  }
+};
+
 module.exports = {
   exportCertificates,
   exportCertificateLogs,
@@ -715,4 +1267,7 @@ module.exports = {
   exportStudentsByBranch,
   exportStudentTransferHistory,
   exportAllData,
+  exportStockAdjustments,
+  exportStocktakes,
+  exportStudentTranscript,
 };
@@ -0,0 +1,289 @@
+// controllers/LearningPathController.js
+// Student learning paths (completed / eligible / upcoming modules) and
+// per-branch module readiness
+
+const pool = require("../config/database");
+const CONSTANTS = require("../utils/constants");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const {
+  canAccessBranch,
+  isOutsideHub,
+  branchForbiddenMessage,
+} = require("../utils/branchAccess");
+const { today, buildLearningPath } = require("../utils/learningPath");
+
+// =====================================================
+// HELPER: Module catalog in teaching order
+// =====================================================
+const fetchModules = async () => {
+  const result = await pool.query(
+    `SELECT id, module_code, module_name, division, min_age, max_age
+     FROM modules
+     ORDER BY division, min_age, module_code`,
+  );
+  return result.rows;
+};
+
+// =====================================================
+// HELPER: Prerequisite ids per module
+// =====================================================
+const fetchPrerequisiteMap = async () => {
+  const result = await pool.query(
+    "SELECT module_id, prerequisite_id FROM module_prerequisites",
+  );
+  const map = new Map();
+  result.rows.forEach((row) => {
+    if (!map.has(row.module_id)) map.set(row.module_id, []);
+    map.get(row.module_id).push(row.prerequisite_id);
+  });
+  return map;
+};
+
+// =====================================================
+// 1. GET STUDENT LEARNING PATH
+// =====================================================
+const getStudentLearningPath = async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid student ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const studentResult = await pool.query(
+      `SELECT
+        s.id,
+        s.student_name,
+        s.division,
+        to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+        s.status,
+        b.branch_code,
+        b.branch_name
+       FROM students s
+       JOIN branches b ON s.branch_id = b.id
+       WHERE s.id = $1`,
+      [studentId],
+    );
+
+    if (studentResult.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Student not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const student = studentResult.rows[0];
+
+    if (isOutsideHub(req.user, student.branch_code)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        branchForbiddenMessage(req.user, student.branch_code),
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const completedResult = await pool.query(
+      `SELECT
+        sm.module_id,
+        m.module_code,
+        m.module_name,
+        m.division,
+        to_char(sm.completed_date, 'YYYY-MM-DD') as completed_date,
+        sm.certificate_id,
+        b.branch_code
+       FROM student_modules sm
+       JOIN modules m ON sm.module_id = m.id
+       JOIN branches b ON sm.branch_id = b.id
+       WHERE sm.student_id = $1`,
+      [studentId],
+    );
+
+    const asOf = today();
+    const path = buildLearningPath(
+      student,
+      await fetchModules(),
+      completedResult.rows,
+      asOf,
+      await fetchPrerequisiteMap(),
+    );
+
+    return sendSuccess(res, "Learning path retrieved successfully", {
+      student,
+      asOf,
+      ...path,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve learning path",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 2. GET BRANCH MODULE READINESS (ROLL-UP)
+// =====================================================
+// Query: branch_id (required), division (optional).
+// Per module: active students eligible now, ageing in within
+// LEARNING_PATH.UPCOMING_MONTHS, and already completed.
+const getModuleReadiness = async (req, res) => {
+  try {
+    const branchId = parseInt(req.query.branch_id);
+    if (isNaN(branchId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "branch_id is required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    let division = null;
+    if (req.query.division) {
+      division = String(req.query.division).trim().toUpperCase();
+      if (!CONSTANTS.DIVISIONS.includes(division)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Division must be one of: ${CONSTANTS.DIVISIONS.join(", ")}`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+    }
+
+    const branchResult = await pool.query(
+      "SELECT id, branch_code, branch_name FROM branches WHERE id = $1",
+      [branchId],
+    );
+    const branch = branchResult.rows[0];
+
+    if (!branch) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Branch not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (!canAccessBranch(req.user, branch.branch_code)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        "Access denied to this branch",
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const studentsResult = await pool.query(
+      `SELECT
+        s.id,
+        s.student_name,
+        s.division,
+        to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+        COALESCE(
+          (SELECT json_agg(json_build_object(
+             'module_id', sm.module_id,
+             'completed_date', to_char(sm.completed_date, 'YYYY-MM-DD')
+           ))
+           FROM student_modules sm WHERE sm.student_id = s.id),
+          '[]'
+        ) as completed
+       FROM students s
+       WHERE s.branch_id = $1 AND s.status = $2
+         AND ($3::varchar IS NULL OR s.division = $3)
+       ORDER BY s.student_name`,
+      [branchId, CONSTANTS.STUDENT_STATUS.ACTIVE, division],
+    );
+
+    const modules = await fetchModules();
+    const prerequisites = await fetchPrerequisiteMap();
+    const readiness = new Map(
+      modules
+        .filter((m) => !division || m.division === division)
+        .map((m) => [
+          m.id,
+          { ...m, ready: [], upcoming: [], completedCount: 0 },
+        ]),
+    );
+
+    const asOf = today();
+    let unknownAgeCount = 0;
+
+    studentsResult.rows.forEach((student) => {
+      const path = buildLearningPath(
+        student,
+        modules,
+        student.completed,
+        asOf,
+        prerequisites,
+      );
+      if (!path.ageKnown) unknownAgeCount++;
+
+      const summary = {
+        id: student.id,
+        student_name: student.student_name,
+        age: path.age,
+      };
+
+      path.completed.forEach((row) => {
+        const entry = readiness.get(row.module_id);
+        if (entry) entry.completedCount++;
+      });
+      path.eligible.forEach((m) =>
+        readiness.get(m.id).ready.push({
+          ...summary,
+          missing_prerequisites: m.missing_prerequisites,
+        }),
+      );
+      path.upcoming.forEach((m) =>
+        readiness.get(m.id).upcoming.push({
+          ...summary,
+          eligible_from: m.eligible_from,
+          missing_prerequisites: m.missing_prerequisites,
+        }),
+      );
+    });
+
+    const data = [...readiness.values()].map((entry) => ({
+      ...entry,
+      readyCount: entry.ready.length,
+      // Ready by age and division with every prerequisite completed
+      readyWithPrerequisitesCount: entry.ready.filter(
+        (s) => s.missing_prerequisites.length === 0,
+      ).length,
+      upcomingCount: entry.upcoming.length,
+    }));
+
+    return sendSuccess(res, "Module readiness retrieved successfully", data, {
+      branch,
+      asOf,
+      upcomingMonths: CONSTANTS.LEARNING_PATH.UPCOMING_MONTHS,
+      activeStudents: studentsResult.rows.length,
+      studentsWithoutDateOfBirth: unknownAgeCount,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve module readiness",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+module.exports = {
+  getStudentLearningPath,
+  getModuleReadiness,
+};
@@ -3,6 +3,199 @@ const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { findPrerequisiteCycle } = require("../utils/modulePrerequisites");
+
+// =====================================================
+// HELPER: Parse a list of module ids from the request body
+// =====================================================
+// Returns { valid: true, value: [ids] } or { valid: false, error }
+const parseModuleIds = (value, fieldName, maxItems) => {
+  if (!Array.isArray(value)) {
+    return { valid: false, error: `${fieldName} must be an array` };
+  }
+  if (value.length > maxItems) {
+    return {
+      valid: false,
+      error: `${fieldName} must not contain more than ${maxItems} modules`,
+    };
+  }
+
+  const ids = [];
+  for (const item of value) {
+    const validation = validators.validatePositiveInteger(item, fieldName);
+    if (!validation.valid) return validation;
+    if (ids.includes(validation.value)) {
+      return {
+        valid: false,
+        error: `${fieldName} contains module ${validation.value} more than once`,
+      };
+    }
+    ids.push(validation.value);
+  }
+  return { valid: true, value: ids };
+};
+
+// =====================================================
+// HELPER: Load modules by id (missing ids reported)
+// =====================================================
+const fetchModulesByIds = async (client, ids) => {
+  const result = await client.query(
+    `SELECT id, module_code, module_name, division, min_age, max_age
+     FROM modules WHERE id = ANY($1)`,
+    [ids],
+  );
+  const byId = new Map(result.rows.map((m) => [m.id, m]));
+  return {
+    modules: ids.map((id) => byId.get(id)).filter(Boolean),
+    missingIds: ids.filter((id) => !byId.has(id)),
+  };
+};
+
+// =====================================================
+// HELPER: Validate curriculum track input
+// =====================================================
+// Modules must exist, belong to the track division and never come before
+// one of their own prerequisites.
+// Returns { valid: false, status, error } or { valid: true, value }
+const validateTrackInput = async (client, body) => {
+  const invalid = (error, status = CONSTANTS.HTTP_STATUS.BAD_REQUEST) => ({
+    valid: false,
+    status,
+    error,
+  });
+
+  const trackName =
+    typeof body.track_name === "string"
+      ? validators.sanitizeString(body.track_name.trim())
+      : "";
+  if (trackName.length < 3) {
+    return invalid("Track name must be at least 3 characters");
+  }
+  if (trackName.length > CONSTANTS.CURRICULUM.TRACK_NAME_MAX_LENGTH) {
+    return invalid(
+      `Track name must not exceed ${CONSTANTS.CURRICULUM.TRACK_NAME_MAX_LENGTH} characters`,
+    );
+  }
+
+  const divisionValidation = validators.validateDivision(body.division);
+  if (!divisionValidation.valid) return invalid(divisionValidation.error);
+
+  if (body.is_active !== undefined && typeof body.is_active !== "boolean") {
+    return invalid("is_active must be a boolean (true/false)");
+  }
+
+  const idsValidation = parseModuleIds(
+    body.module_ids,
+    "module_ids",
+    CONSTANTS.CURRICULUM.TRACK_MAX_MODULES,
+  );
+  if (!idsValidation.valid) return invalid(idsValidation.error);
+  if (idsValidation.value.length === 0) {
+    return invalid("A track needs at least one module");
+  }
+
+  const { modules, missingIds } = await fetchModulesByIds(
+    client,
+    idsValidation.value,
+  );
+  if (missingIds.length > 0) {
+    return invalid(
+      `Module(s) not found: ${missingIds.join(", ")}`,
+      CONSTANTS.HTTP_STATUS.NOT_FOUND,
+    );
+  }
+
+  const wrongDivision = modules.find(
+    (m) => m.division !== divisionValidation.value,
+  );
+  if (wrongDivision) {
+    return invalid(
+      `Module ${wrongDivision.module_code} is ${wrongDivision.division}, track is ${divisionValidation.value}`,
+    );
+  }
+
+  const prerequisites = await client.query(
+    `SELECT mp.module_id, mp.prerequisite_id
+     FROM module_prerequisites mp
+     WHERE mp.module_id = ANY($1) AND mp.prerequisite_id = ANY($1)`,
+    [idsValidation.value],
+  );
+  const position = new Map(idsValidation.value.map((id, i) => [id, i]));
+  const outOfOrder = prerequisites.rows.find(
+    (edge) => position.get(edge.prerequisite_id) > position.get(edge.module_id),
+  );
+  if (outOfOrder) {
+    const code = (id) => modules.find((m) => m.id === id).module_code;
+    return invalid(
+      `Module ${code(outOfOrder.module_id)} must come after its prerequisite ${code(outOfOrder.prerequisite_id)}`,
+    );
+  }
+
+  return {
+    valid: true,
+    value: {
+      trackName,
+      division: divisionValidation.value,
+      description: body.description
+        ? validators.sanitizeString(String(body.description).trim())
+        : null,
+      isActive: body.is_active,
+      moduleIds: idsValidation.value,
+    },
+  };
+};
+
+// =====================================================
+// HELPER: Replace the ordered module list of a track
+// =====================================================
+const saveTrackModules = async (client, trackId, moduleIds) => {
+  await client.query(
+    "DELETE FROM curriculum_track_modules WHERE track_id = $1",
+    [trackId],
+  );
+  await client.query(
+    `INSERT INTO curriculum_track_modules (track_id, module_id, position)
+     SELECT $1, module_id, position
+     FROM unnest($2::int[]) WITH ORDINALITY AS t(module_id, position)`,
+    [trackId, moduleIds],
+  );
+};
+
+// =====================================================
+// HELPER: Fetch tracks with their ordered modules
+// =====================================================
+const fetchTracks = async (
+  db,
+  { trackId = null, division = null, includeInactive = false },
+) => {
+  const result = await db.query(
+    `SELECT
+      t.*,
+      u.username as created_by_username,
+      COALESCE(
+        (SELECT json_agg(json_build_object(
+           'position', tm.position,
+           'module_id', m.id,
+           'module_code', m.module_code,
+           'module_name', m.module_name,
+           'min_age', m.min_age,
+           'max_age', m.max_age
+         ) ORDER BY tm.position)
+         FROM curriculum_track_modules tm
+         JOIN modules m ON tm.module_id = m.id
+         WHERE tm.track_id = t.id),
+        '[]'
+      ) as modules
+     FROM curriculum_tracks t
+     LEFT JOIN users u ON t.created_by = u.id
+     WHERE ($1::int IS NULL OR t.id = $1)
+       AND ($2::varchar IS NULL OR t.division = $2)
+       AND ($3 OR t.is_active = true)
+     ORDER BY t.division, t.track_name`,
+    [trackId, division, includeInactive],
+  );
+  return result.rows;
+};
 
 const ModuleController = {
   // Get all modules with pagination and filters
@@ -683,6 +876,546 @@ const ModuleController = {
       );
     }
   },
+
+  // =====================================================
+  // PREREQUISITES
+  // =====================================================
+
+  // Get prerequisites, dependent modules and tracks of a module
+  getModulePrerequisites: async (req, res) => {
+    try {
+      const moduleId = parseInt(req.params.id);
+      if (isNaN(moduleId)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid module ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const moduleResult = await pool.query(
+        `SELECT id, module_code, module_name, division, min_age, max_age
+         FROM modules WHERE id = $1`,
+        [moduleId],
+      );
+
+      if (moduleResult.rows.length === 0) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Module not found",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      const [prerequisites, dependents, tracks] = await Promise.all([
+        pool.query(
+          `SELECT m.id, m.module_code, m.module_name, m.division,
+                  m.min_age, m.max_age
+           FROM module_prerequisites mp
+           JOIN modules m ON mp.prerequisite_id = m.id
+           WHERE mp.module_id = $1
+           ORDER BY m.min_age, m.module_code`,
+          [moduleId],
+        ),
+        pool.query(
+          `SELECT m.id, m.module_code, m.module_name, m.division
+           FROM module_prerequisites mp
+           JOIN modules m ON mp.module_id = m.id
+           WHERE mp.prerequisite_id = $1
+           ORDER BY m.min_age, m.module_code`,
+          [moduleId],
+        ),
+        pool.query(
+          `SELECT t.id, t.track_name, t.is_active, tm.position
+           FROM curriculum_track_modules tm
+           JOIN curriculum_tracks t ON tm.track_id = t.id
+           WHERE tm.module_id = $1
+           ORDER BY t.track_name`,
+          [moduleId],
+        ),
+      ]);
+
+      return sendSuccess(res, "Module prerequisites retrieved successfully", {
+        module: moduleResult.rows[0],
+        prerequisites: prerequisites.rows,
+        requiredBy: dependents.rows,
+        tracks: tracks.rows,
+      });
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to fetch module prerequisites",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    }
+  },
+
+  // Replace the prerequisites of a module ({ prerequisite_ids: [] })
+  // Rejects changes that would create a circular prerequisite chain
+  setModulePrerequisites: async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+      );
+
+      const moduleId = parseInt(req.params.id);
+      if (isNaN(moduleId)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid module ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const idsValidation = parseModuleIds(
+        req.body.prerequisite_ids,
+        "prerequisite_ids",
+        CONSTANTS.CURRICULUM.MAX_PREREQUISITES,
+      );
+      if (!idsValidation.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          idsValidation.error,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const prerequisiteIds = idsValidation.value;
+      if (prerequisiteIds.includes(moduleId)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "A module cannot be its own prerequisite",
+          CONSTANTS.ERROR_CODES.CIRCULAR_PREREQUISITE,
+        );
+      }
+
+      const { modules, missingIds } = await fetchModulesByIds(client, [
+        moduleId,
+        ...prerequisiteIds,
+      ]);
+      if (missingIds.length > 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          `Module(s) not found: ${missingIds.join(", ")}`,
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      const moduleData = modules[0];
+      const codeOf = new Map(modules.map((m) => [m.id, m.module_code]));
+
+      // Serialize graph changes so two requests cannot close a cycle together
+      await client.query(
+        "LOCK TABLE module_prerequisites IN SHARE ROW EXCLUSIVE MODE",
+      );
+
+      const edges = await client.query(
+        "SELECT module_id, prerequisite_id FROM module_prerequisites",
+      );
+      const cycle = findPrerequisiteCycle(
+        edges.rows,
+        moduleId,
+        prerequisiteIds,
+      );
+
+      if (cycle) {
+        await client.query("ROLLBACK");
+        const cycleCodes = await pool.query(
+          "SELECT id, module_code FROM modules WHERE id = ANY($1)",
+          [cycle],
+        );
+        cycleCodes.rows.forEach((m) => codeOf.set(m.id, m.module_code));
+        const chain = cycle.map((id) => codeOf.get(id));
+
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Circular prerequisite: ${chain.join(" requires ")}`,
+          CONSTANTS.ERROR_CODES.CIRCULAR_PREREQUISITE,
+          null,
+          { cycle: chain },
+        );
+      }
+
+      await client.query(
+        "DELETE FROM module_prerequisites WHERE module_id = $1",
+        [moduleId],
+      );
+      if (prerequisiteIds.length > 0) {
+        await client.query(
+          `INSERT INTO module_prerequisites (module_id, prerequisite_id, created_by)
+           SELECT $1, unnest($2::int[]), $3`,
+          [moduleId, prerequisiteIds, req.user.id],
+        );
+      }
+
+      const description =
+        prerequisiteIds.length > 0
+          ? `Module ${moduleData.module_code} prerequisites set to ${prerequisiteIds.map((id) => codeOf.get(id)).join(", ")}`
+          : `Module ${moduleData.module_code} prerequisites cleared`;
+
+      try {
+        await client.query(
+          `INSERT INTO module_logs (module_id, module_code, action_type, description, performed_by, ip_address)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            moduleId,
+            moduleData.module_code,
+            CONSTANTS.LOG_ACTION_TYPES.MODULE_PREREQUISITES_UPDATED,
+            description,
+            req.user?.username || "System",
+            req.ip || req.connection.remoteAddress,
+          ],
+        );
+      } catch (logError) {
+        logger.error("Error logging module prerequisites update:", logError);
+        // Continue even if logging fails
+      }
+
+      await client.query("COMMIT");
+
+      logger.info(description);
+
+      return sendSuccess(res, "Module prerequisites updated successfully", {
+        module: moduleData,
+        prerequisites: modules.slice(1),
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to update module prerequisites",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    } finally {
+      client.release();
+    }
+  },
+
+  // =====================================================
+  // CURRICULUM TRACKS
+  // =====================================================
+
+  // Get curriculum tracks with ordered modules
+  // Query: division, include_inactive=true
+  getCurriculumTracks: async (req, res) => {
+    try {
+      let division = null;
+      if (req.query.division) {
+        const divisionValidation = validators.validateDivision(
+          req.query.division,
+        );
+        if (!divisionValidation.valid) {
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            divisionValidation.error,
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+        division = divisionValidation.value;
+      }
+
+      const tracks = await fetchTracks(pool, {
+        division,
+        includeInactive: req.query.include_inactive === "true",
+      });
+
+      return sendSuccess(
+        res,
+        "Curriculum tracks retrieved successfully",
+        tracks,
+      );
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to fetch curriculum tracks",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    }
+  },
+
+  // Get curriculum track by ID
+  getCurriculumTrackById: async (req, res) => {
+    try {
+      const trackId = parseInt(req.params.trackId);
+      if (isNaN(trackId)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid track ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const tracks = await fetchTracks(pool, {
+        trackId,
+        includeInactive: true,
+      });
+
+      if (tracks.length === 0) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Curriculum track not found",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      return sendSuccess(
+        res,
+        "Curriculum track retrieved successfully",
+        tracks[0],
+      );
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to fetch curriculum track",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    }
+  },
+
+  // Create curriculum track
+  // Body: track_name, division, description, module_ids (in teaching order)
+  createCurriculumTrack: async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+      );
+
+      const validation = await validateTrackInput(client, req.body);
+      if (!validation.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          validation.status,
+          validation.error,
+          validation.status === CONSTANTS.HTTP_STATUS.NOT_FOUND
+            ? CONSTANTS.ERROR_CODES.NOT_FOUND
+            : CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const track = validation.value;
+
+      const result = await client.query(
+        `INSERT INTO curriculum_tracks
+         (track_name, division, description, is_active, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [
+          track.trackName,
+          track.division,
+          track.description,
+          track.isActive ?? true,
+          req.user.id,
+        ],
+      );
+
+      await saveTrackModules(client, result.rows[0].id, track.moduleIds);
+
+      const [created] = await fetchTracks(client, {
+        trackId: result.rows[0].id,
+        includeInactive: true,
+      });
+
+      await client.query("COMMIT");
+
+      logger.info(
+        `Curriculum track created: ${track.trackName} (${track.moduleIds.length} modules)`,
+      );
+
+      return sendSuccess(res, "Curriculum track created successfully", created);
+    } catch (error) {
+      await client.query("ROLLBACK");
+
+      if (error.code === "23505") {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.CONFLICT,
+          "Track name already exists",
+          CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+          error,
+        );
+      }
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to create curriculum track",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    } finally {
+      client.release();
+    }
+  },
+
+  // Update curriculum track (all fields; module_ids replaces the order)
+  updateCurriculumTrack: async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+      );
+
+      const trackId = parseInt(req.params.trackId);
+      if (isNaN(trackId)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid track ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const existing = await client.query(
+        "SELECT id FROM curriculum_tracks WHERE id = $1 FOR UPDATE",
+        [trackId],
+      );
+
+      if (existing.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Curriculum track not found",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      const validation = await validateTrackInput(client, req.body);
+      if (!validation.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          validation.status,
+          validation.error,
+          validation.status === CONSTANTS.HTTP_STATUS.NOT_FOUND
+            ? CONSTANTS.ERROR_CODES.NOT_FOUND
+            : CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const track = validation.value;
+
+      await client.query(
+        `UPDATE curriculum_tracks
+         SET track_name = $1, division = $2, description = $3,
+             is_active = COALESCE($4, is_active)
+         WHERE id = $5`,
+        [
+          track.trackName,
+          track.division,
+          track.description,
+          track.isActive ?? null,
+          trackId,
+        ],
+      );
+
+      await saveTrackModules(client, trackId, track.moduleIds);
+
+      const [updated] = await fetchTracks(client, {
+        trackId,
+        includeInactive: true,
+      });
+
+      await client.query("COMMIT");
+
+      logger.info(`Curriculum track updated: ${track.trackName}`);
+
+      return sendSuccess(res, "Curriculum track updated successfully", updated);
+    } catch (error) {
+      await client.query("ROLLBACK");
+
+      if (error.code === "23505") {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.CONFLICT,
+          "Track name already exists",
+          CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+          error,
+        );
+      }
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to update curriculum track",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    } finally {
+      client.release();
+    }
+  },
+
+  // Delete curriculum track (modules themselves are untouched)
+  deleteCurriculumTrack: async (req, res) => {
+    try {
+      const trackId = parseInt(req.params.trackId);
+      if (isNaN(trackId)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid track ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const result = await pool.query(
+        "DELETE FROM curriculum_tracks WHERE id = $1 RETURNING track_name",
+        [trackId],
+      );
+
+      if (result.rows.length === 0) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Curriculum track not found",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      logger.info(`Curriculum track deleted: ${result.rows[0].track_name}`);
+
+      return sendSuccess(res, "Curriculum track deleted successfully");
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to delete curriculum track",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    }
+  },
 };
 
 module.exports = ModuleController;
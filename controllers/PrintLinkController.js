@@ -0,0 +1,539 @@
+// controllers/PrintLinkController.js
+// Worklist and linking of manual-entry print records (student_id NULL)
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const validators = require("../utils/validators");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { nameSimilarity } = require("../utils/studentMatching");
+const {
+  isHubBound,
+  isOutsideHub,
+  branchForbiddenMessage,
+} = require("../utils/branchAccess");
+
+const LINK = CONSTANTS.PRINT_STUDENT_LINK;
+
+// Print record columns with module and region info
+const RECORD_COLUMNS = `
+    pc.id,
+    pc.student_id,
+    pc.certificate_id,
+    pc.serial_number,
+    pc.student_name,
+    pc.module_id,
+    m.module_code,
+    m.module_name,
+    m.division,
+    to_char(pc.ptc_date, 'YYYY-MM-DD') as ptc_date,
+    pc.branch,
+    COALESCE(b.regional_hub, b.branch_code) as region,
+    pc.status,
+    pc.printed_at`;
+
+const RECORD_FROM = `
+  FROM printed_certificates pc
+  JOIN modules m ON pc.module_id = m.id
+  JOIN branches b ON pc.branch = b.branch_code`;
+
+// =====================================================
+// HELPER: Branch filter (requested branch or the admin's hubs)
+// =====================================================
+// Pushes the parameter onto params and returns the SQL condition (null when
+// there is nothing to filter), or { forbidden: branchCode } for a requested
+// branch outside a hub-bound admin's hubs.
+const branchFilter = (user, requestedBranch, params) => {
+  if (requestedBranch) {
+    const branchCode = String(requestedBranch).trim().toUpperCase();
+    if (isOutsideHub(user, branchCode)) return { forbidden: branchCode };
+    params.push(branchCode);
+    return { condition: `pc.branch = $${params.length}` };
+  }
+  if (isHubBound(user)) {
+    params.push(user.hub_branches);
+    return { condition: `pc.branch = ANY($${params.length})` };
+  }
+  return { condition: null };
+};
+
+const sendOutsideHub = (res, user, branchCode) =>
+  sendError(
+    res,
+    CONSTANTS.HTTP_STATUS.FORBIDDEN,
+    branchForbiddenMessage(user, branchCode),
+    CONSTANTS.ERROR_CODES.FORBIDDEN,
+  );
+
+// =====================================================
+// HELPER: Students in the regions of the given branches
+// =====================================================
+// Merged students are never candidates; inactive ones are (old prints).
+const loadCandidateStudents = async (db, branchCodes) => {
+  if (branchCodes.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT
+      s.id,
+      s.student_name,
+      s.division,
+      s.status,
+      b.branch_code,
+      COALESCE(b.regional_hub, b.branch_code) as region,
+      ARRAY(
+        SELECT sm.module_id FROM student_modules sm WHERE sm.student_id = s.id
+      ) as module_ids
+     FROM students s
+     JOIN branches b ON s.branch_id = b.id
+     WHERE s.status <> $1
+       AND COALESCE(b.regional_hub, b.branch_code) IN (
+         SELECT COALESCE(regional_hub, branch_code)
+         FROM branches WHERE branch_code = ANY($2)
+       )`,
+    [CONSTANTS.STUDENT_STATUS.MERGED, branchCodes],
+  );
+  return result.rows;
+};
+
+// =====================================================
+// HELPER: Rank candidate students for one print record
+// =====================================================
+// Fuzzy name match within the record's region; same branch and matching
+// division break ties. Best candidate first.
+const rankCandidates = (record, students) =>
+  students
+    .filter((s) => s.region === record.region)
+    .map((s) => ({
+      studentId: s.id,
+      studentName: s.student_name,
+      branchCode: s.branch_code,
+      division: s.division,
+      status: s.status,
+      similarity: nameSimilarity(record.student_name, s.student_name),
+      sameBranch: s.branch_code === record.branch,
+      divisionMatch: s.division === record.division,
+      hasModule: s.module_ids.includes(record.module_id),
+    }))
+    .filter((c) => c.similarity >= LINK.MIN_SIMILARITY)
+    .sort(
+      (a, b) =>
+        b.similarity - a.similarity ||
+        b.sameBranch - a.sameBranch ||
+        b.divisionMatch - a.divisionMatch,
+    )
+    .slice(0, LINK.MAX_CANDIDATES);
+
+// =====================================================
+// HELPER: High-confidence match for auto-linking
+// =====================================================
+// Best candidate must be at the print's branch, in the module's division,
+// close enough to the printed name and clearly ahead of the runner-up.
+const autoLinkCandidate = (candidates) => {
+  const [best, runnerUp] = candidates;
+  if (!best) return null;
+  if (best.similarity < LINK.AUTO_LINK_MIN_SIMILARITY) return null;
+  if (!best.sameBranch || !best.divisionMatch) return null;
+  if (
+    runnerUp &&
+    best.similarity - runnerUp.similarity < LINK.AUTO_LINK_MARGIN
+  ) {
+    return null;
+  }
+  return best;
+};
+
+// =====================================================
+// HELPER: Link one print record and backfill student_modules
+// =====================================================
+// The auto_create_student_module trigger only runs on INSERT, so the
+// student_modules row is created here (existing completion is kept).
+const linkRecord = async (client, record, student, performedBy, method) => {
+  await client.query(
+    "UPDATE printed_certificates SET student_id = $1 WHERE id = $2",
+    [student.id, record.id],
+  );
+
+  let studentModuleCreated = false;
+  if (record.status === CONSTANTS.PRINT_STATUS.PRINTED) {
+    const moduleResult = await client.query(
+      `INSERT INTO student_modules
+       (student_id, module_id, branch_id, completed_date, certificate_id)
+       SELECT $1, $2, b.id, $3, $4
+       FROM branches b
+       WHERE b.branch_code = $5
+       ON CONFLICT (student_id, module_id) DO NOTHING
+       RETURNING id`,
+      [
+        student.id,
+        record.module_id,
+        record.ptc_date,
+        record.certificate_id,
+        record.branch,
+      ],
+    );
+    studentModuleCreated = moduleResult.rows.length > 0;
+  }
+
+  await client.query(
+    `INSERT INTO certificate_logs
+     (certificate_id, action_type, description, from_branch,
+      old_values, new_values, performed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      record.certificate_id,
+      CONSTANTS.LOG_ACTION_TYPES.LINK_STUDENT,
+      `Linked print #${record.id} (${record.student_name}) to student #${student.id} ${student.student_name} (${method})`,
+      record.branch,
+      JSON.stringify({ printed_certificate_id: record.id, student_id: null }),
+      JSON.stringify({
+        printed_certificate_id: record.id,
+        student_id: student.id,
+        method,
+        student_module_created: studentModuleCreated,
+      }),
+      performedBy,
+    ],
+  );
+
+  return { studentModuleCreated };
+};
+
+// =====================================================
+// 1. GET UNLINKED PRINT RECORDS WITH CANDIDATES - ADMIN
+// =====================================================
+// Query: branch_code, module_id, limit, offset. Voided prints are left out
+// since they never count towards student_modules.
+const getUnlinkedPrints = async (req, res) => {
+  try {
+    const limit = Math.min(
+      parseInt(req.query.limit) || CONSTANTS.PAGINATION.DEFAULT_LIMIT,
+      CONSTANTS.PAGINATION.MAX_LIMIT,
+    );
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const conditions = ["pc.student_id IS NULL", "pc.status = $1"];
+    const params = [CONSTANTS.PRINT_STATUS.PRINTED];
+
+    const branch = branchFilter(req.user, req.query.branch_code, params);
+    if (branch.forbidden) {
+      return sendOutsideHub(res, req.user, branch.forbidden);
+    }
+    if (branch.condition) conditions.push(branch.condition);
+
+    if (req.query.module_id) {
+      const moduleId = parseInt(req.query.module_id);
+      if (isNaN(moduleId)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid module ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+      params.push(moduleId);
+      conditions.push(`pc.module_id = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT ${RECORD_COLUMNS}, COUNT(*) OVER() as total_count
+       ${RECORD_FROM}
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY pc.ptc_date DESC, pc.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset],
+    );
+
+    const total =
+      result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    const students = await loadCandidateStudents(pool, [
+      ...new Set(result.rows.map((r) => r.branch)),
+    ]);
+
+    const records = result.rows.map(({ total_count, ...record }) => {
+      const candidates = rankCandidates(record, students);
+      return {
+        ...record,
+        candidates,
+        autoLinkable: autoLinkCandidate(candidates) !== null,
+      };
+    });
+
+    return sendSuccess(
+      res,
+      "Unlinked print records retrieved successfully",
+      records,
+      { total, limit, offset },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve unlinked print records",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 2. LINK ONE PRINT RECORD TO A STUDENT - ADMIN
+// =====================================================
+const linkPrintRecord = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const recordId = parseInt(req.params.id);
+    if (isNaN(recordId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid certificate record ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const studentValidation = validators.validatePositiveInteger(
+      req.body.student_id,
+      "Student ID",
+    );
+    if (!studentValidation.valid) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        studentValidation.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const recordResult = await client.query(
+      `SELECT ${RECORD_COLUMNS}
+       ${RECORD_FROM}
+       WHERE pc.id = $1
+       FOR UPDATE OF pc`,
+      [recordId],
+    );
+    const record = recordResult.rows[0];
+
+    if (!record) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Certificate record not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (isOutsideHub(req.user, record.branch)) {
+      await client.query("ROLLBACK");
+      return sendOutsideHub(res, req.user, record.branch);
+    }
+
+    if (record.student_id) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Print record #${recordId} is already linked to student #${record.student_id}`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const studentResult = await client.query(
+      `SELECT s.id, s.student_name, s.status, s.merged_into_id
+       FROM students s
+       WHERE s.id = $1
+       FOR SHARE`,
+      [studentValidation.value],
+    );
+    const student = studentResult.rows[0];
+
+    if (!student) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Student not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (student.status === CONSTANTS.STUDENT_STATUS.MERGED) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Student #${student.id} was merged into student #${student.merged_into_id}; link to that student instead`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const linked = await linkRecord(
+      client,
+      record,
+      student,
+      req.user?.username || "System",
+      "manual",
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Print record #${recordId} (${record.student_name}) linked to student #${student.id} by ${req.user.username}`,
+    );
+
+    return sendSuccess(res, "Print record linked successfully", {
+      id: record.id,
+      serialNumber: record.serial_number,
+      studentName: record.student_name,
+      studentId: student.id,
+      linkedStudentName: student.student_name,
+      studentModuleCreated: linked.studentModuleCreated,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to link print record",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 3. BULK AUTO-LINK HIGH-CONFIDENCE MATCHES - ADMIN
+// =====================================================
+// ?mode=dry-run (default) lists the links that would be made,
+// ?mode=commit applies them in one transaction. Optional ?branch_code.
+// Processes at most AUTO_LINK_MAX_RECORDS records per call (oldest first).
+const autoLinkPrints = async (req, res) => {
+  const mode = String(req.query.mode || LINK.MODES.DRY_RUN).toLowerCase();
+  if (!Object.values(LINK.MODES).includes(mode)) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      `mode must be one of: ${Object.values(LINK.MODES).join(", ")}`,
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+  const commit = mode === LINK.MODES.COMMIT;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const params = [CONSTANTS.PRINT_STATUS.PRINTED];
+    const branch = branchFilter(req.user, req.query.branch_code, params);
+    if (branch.forbidden) {
+      await client.query("ROLLBACK");
+      return sendOutsideHub(res, req.user, branch.forbidden);
+    }
+    const branchCondition = branch.condition ? `AND ${branch.condition}` : "";
+
+    const unlinkedCondition = `pc.student_id IS NULL AND pc.status = $1 ${branchCondition}`;
+
+    const countResult = await client.query(
+      `SELECT COUNT(*) FROM printed_certificates pc WHERE ${unlinkedCondition}`,
+      params,
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await client.query(
+      `SELECT ${RECORD_COLUMNS}
+       ${RECORD_FROM}
+       WHERE ${unlinkedCondition}
+       ORDER BY pc.id ASC
+       LIMIT ${LINK.AUTO_LINK_MAX_RECORDS}
+       ${commit ? "FOR UPDATE OF pc" : ""}`,
+      params,
+    );
+
+    const students = await loadCandidateStudents(client, [
+      ...new Set(result.rows.map((r) => r.branch)),
+    ]);
+
+    const links = [];
+    for (const record of result.rows) {
+      const match = autoLinkCandidate(rankCandidates(record, students));
+      if (!match) continue;
+
+      let studentModuleCreated = null;
+      if (commit) {
+        const linked = await linkRecord(
+          client,
+          record,
+          { id: match.studentId, student_name: match.studentName },
+          req.user?.username || "System",
+          "auto",
+        );
+        studentModuleCreated = linked.studentModuleCreated;
+      }
+
+      links.push({
+        printId: record.id,
+        serialNumber: record.serial_number,
+        printedName: record.student_name,
+        moduleCode: record.module_code,
+        branch: record.branch,
+        studentId: match.studentId,
+        studentName: match.studentName,
+        similarity: match.similarity,
+        studentModuleCreated,
+      });
+    }
+
+    await client.query(commit ? "COMMIT" : "ROLLBACK");
+
+    if (commit) {
+      logger.info(
+        `Auto-linked ${links.length} of ${result.rows.length} unlinked print records by ${req.user.username}`,
+      );
+    }
+
+    return sendSuccess(
+      res,
+      commit
+        ? `${links.length} print records linked`
+        : `${links.length} print records can be linked`,
+      links,
+      {
+        mode,
+        scanned: result.rows.length,
+        linked: commit ? links.length : 0,
+        unmatched: result.rows.length - links.length,
+        remainingUnlinked: total - (commit ? links.length : 0),
+      },
+    );
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to auto-link print records",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getUnlinkedPrints,
+  linkPrintRecord,
+  autoLinkPrints,
+};
@@ -6,6 +6,399 @@ const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { checkLowStockAlert } = require("./StockAlertController");
+const { generateVerificationCode } = require("../utils/verificationCode");
+const { renderCertificatesPdf } = require("../utils/certificateTemplates");
+const { resolveTemplateVersionId } = require("./CertificateTemplateController");
+const { getMissingPrerequisites } = require("../utils/modulePrerequisites");
+const {
+  isHubBound,
+  isOutsideHub,
+  branchForbiddenMessage,
+  getAssignedBranchCodes,
+  resolveActingBranch,
+} = require("../utils/branchAccess");
+
+// =====================================================
+// HELPER: Allocate medals across batches at branch
+// =====================================================
+// Uses the branch batch_selection policy: FIFO = oldest batch first
+// (by certificates.created_at), LIFO = newest first. Candidate rows are
+// locked so concurrent prints cannot both take the last medals of a batch.
+// Returns as many allocations as stock allows; caller compares
+// `available` against the quantity it needs.
+const allocatePrintBatches = async (client, branchCode, quantity) => {
+  const policyResult = await client.query(
+    "SELECT batch_selection FROM branches WHERE branch_code = $1",
+    [branchCode],
+  );
+
+  const policy =
+    policyResult.rows[0]?.batch_selection || CONSTANTS.BATCH_SELECTION.FIFO;
+  const direction = policy === CONSTANTS.BATCH_SELECTION.LIFO ? "DESC" : "ASC";
+
+  const result = await client.query(
+    `SELECT cs.certificate_id, cs.jumlah_medali
+     FROM certificate_stock cs
+     JOIN certificates c ON cs.certificate_id = c.certificate_id
+     WHERE cs.branch_code = $1 AND cs.jumlah_medali > 0
+     ORDER BY c.created_at ${direction}, c.id ${direction}
+     FOR UPDATE OF cs`,
+    [branchCode],
+  );
+
+  const allocations = [];
+  let remaining = quantity;
+  let available = 0;
+
+  result.rows.forEach((row) => {
+    available += row.jumlah_medali;
+    if (remaining > 0) {
+      const take = Math.min(row.jumlah_medali, remaining);
+      allocations.push({ certificateId: row.certificate_id, quantity: take });
+      remaining -= take;
+    }
+  });
+
+  return { policy, allocations, available };
+};
+
+// =====================================================
+// HELPER: Pick single batch with medals available at branch
+// =====================================================
+const selectPrintBatch = async (client, branchCode) => {
+  const { policy, allocations } = await allocatePrintBatches(
+    client,
+    branchCode,
+    1,
+  );
+
+  return {
+    policy,
+    certificateId: allocations[0]?.certificateId || null,
+  };
+};
+
+// =====================================================
+// HELPER: Issue next serial number for branch + year
+// =====================================================
+// The counter row is locked by the upsert until the caller's transaction
+// ends, so concurrent prints queue up and a rolled-back print does not
+// consume a number (serials stay gap-free).
+const issueSerialNumber = async (client, branchCode) => {
+  const result = await client.query(
+    `INSERT INTO print_serial_counters (branch_code, year, last_value)
+     VALUES ($1, EXTRACT(YEAR FROM CURRENT_DATE)::int, 1)
+     ON CONFLICT (branch_code, year)
+     DO UPDATE SET
+       last_value = print_serial_counters.last_value + 1,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING year, last_value`,
+    [branchCode],
+  );
+
+  const { year, last_value: value } = result.rows[0];
+  const sequence = String(value).padStart(
+    CONSTANTS.SERIAL_NUMBER.PAD_LENGTH,
+    "0",
+  );
+
+  return `${branchCode}-${year}-${sequence}`;
+};
+
+// =====================================================
+// HELPER: Module eligibility for a print
+// =====================================================
+// Returns a list of failures ({ code, message }); empty = eligible.
+// Student checks (age at PTC date, division) only apply to linked
+// students; age is skipped when date_of_birth is unknown. The teacher
+// division check only applies to teachers.
+const checkEligibility = async (
+  client,
+  { studentId, module, ptcDate, user },
+) => {
+  const failures = [];
+
+  if (studentId) {
+    const studentResult = await client.query(
+      `SELECT
+        division,
+        CASE WHEN date_of_birth IS NOT NULL
+          THEN EXTRACT(YEAR FROM AGE($2::date, date_of_birth))::int
+        END as age
+       FROM students WHERE id = $1`,
+      [studentId, ptcDate],
+    );
+
+    const student = studentResult.rows[0];
+
+    if (
+      student &&
+      student.age !== null &&
+      (student.age < module.min_age || student.age > module.max_age)
+    ) {
+      failures.push({
+        code: CONSTANTS.ERROR_CODES.STUDENT_AGE_NOT_ELIGIBLE,
+        message: `Student age ${student.age} is outside module ${module.module_code} range (${module.min_age}-${module.max_age})`,
+      });
+    }
+
+    if (student && student.division !== module.division) {
+      failures.push({
+        code: CONSTANTS.ERROR_CODES.STUDENT_DIVISION_MISMATCH,
+        message: `Student division ${student.division} does not match module division ${module.division}`,
+      });
+    }
+  }
+
+  if (user.role === "teacher") {
+    const divisionCheck = await client.query(
+      "SELECT 1 FROM teacher_divisions WHERE teacher_id = $1 AND division = $2",
+      [user.id, module.division],
+    );
+
+    if (divisionCheck.rows.length === 0) {
+      failures.push({
+        code: CONSTANTS.ERROR_CODES.TEACHER_DIVISION_NOT_ASSIGNED,
+        message: `Teacher is not assigned to division ${module.division}`,
+      });
+    }
+  }
+
+  return failures;
+};
+
+// =====================================================
+// HELPER: Load print record for void/reprint (locked)
+// =====================================================
+// Teachers may only touch their own prints, branch admins their branch
+const findPrintRecordForUpdate = async (client, recordId, user) => {
+  const params = [recordId];
+  let scope = "";
+
+  if (user.role === "teacher") {
+    params.push(user.id);
+    scope = "AND pc.printed_by = $2";
+  } else if (user.role === "admin" && user.teacher_branch) {
+    params.push(user.teacher_branch);
+    scope = "AND pc.branch = $2";
+  }
+
+  const result = await client.query(
+    `SELECT pc.*, to_char(pc.ptc_date, 'YYYY-MM-DD') as ptc_date_text,
+            m.module_code, m.module_name, m.division as module_division,
+            m.min_age, m.max_age
+     FROM printed_certificates pc
+     JOIN modules m ON pc.module_id = m.id
+     WHERE pc.id = $1 ${scope}
+     FOR UPDATE OF pc`,
+    params,
+  );
+
+  return result.rows[0] || null;
+};
+
+// =====================================================
+// HELPER: Void a print record
+// =====================================================
+// Marks the record voided, optionally returns the medal to the batch it
+// was taken from and rolls back the student_modules row that
+// trigger_auto_create_student_module created for this print. If the
+// student still has another valid print for the module, the row is
+// re-pointed to that print instead of being removed.
+const voidPrintRecord = async (
+  client,
+  record,
+  { reason, restoreMedal, userId, performedBy },
+) => {
+  await client.query(
+    `UPDATE printed_certificates
+     SET status = $1, void_reason = $2, voided_by = $3,
+         voided_at = CURRENT_TIMESTAMP, medal_restored = $4
+     WHERE id = $5`,
+    [
+      CONSTANTS.PRINT_STATUS.VOIDED,
+      reason,
+      userId,
+      restoreMedal,
+      record.id,
+    ],
+  );
+
+  if (restoreMedal) {
+    await client.query(
+      `INSERT INTO certificate_stock
+       (certificate_id, branch_code, jumlah_sertifikat, jumlah_medali, medali_awal)
+       VALUES ($1, $2, 0, 1, 0)
+       ON CONFLICT (certificate_id, branch_code)
+       DO UPDATE SET
+         jumlah_medali = certificate_stock.jumlah_medali + 1,
+         updated_at = CURRENT_TIMESTAMP`,
+      [record.certificate_id, record.branch],
+    );
+  }
+
+  // ===== ROLL BACK STUDENT_MODULES =====
+  let studentModule = "unchanged";
+  if (record.student_id) {
+    const linked = await client.query(
+      `SELECT sm.id FROM student_modules sm
+       JOIN printed_certificates pc ON pc.id = $1
+       WHERE sm.student_id = pc.student_id AND sm.module_id = pc.module_id
+         AND sm.certificate_id = pc.certificate_id
+         AND sm.completed_date = pc.ptc_date`,
+      [record.id],
+    );
+
+    if (linked.rows.length > 0) {
+      const otherPrint = await client.query(
+        `SELECT pc.id
+         FROM printed_certificates pc
+         WHERE pc.student_id = $1 AND pc.module_id = $2
+           AND pc.status = $3 AND pc.id != $4
+         ORDER BY pc.ptc_date ASC, pc.id ASC
+         LIMIT 1`,
+        [
+          record.student_id,
+          record.module_id,
+          CONSTANTS.PRINT_STATUS.PRINTED,
+          record.id,
+        ],
+      );
+
+      if (otherPrint.rows.length > 0) {
+        await client.query(
+          `UPDATE student_modules sm
+           SET certificate_id = pc.certificate_id,
+               completed_date = pc.ptc_date,
+               branch_id = b.id
+           FROM printed_certificates pc
+           JOIN branches b ON pc.branch = b.branch_code
+           WHERE pc.id = $1 AND sm.id = $2`,
+          [otherPrint.rows[0].id, linked.rows[0].id],
+        );
+        studentModule = "reassigned";
+      } else {
+        await client.query("DELETE FROM student_modules WHERE id = $1", [
+          linked.rows[0].id,
+        ]);
+        studentModule = "removed";
+      }
+    }
+  }
+
+  const logResult = await client.query(
+    `INSERT INTO certificate_logs
+     (certificate_id, action_type, description, from_branch, medal_amount,
+      old_values, new_values, performed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [
+      record.certificate_id,
+      CONSTANTS.LOG_ACTION_TYPES.VOID,
+      `Voided print #${record.id} for student: ${record.student_name} (${reason})`,
+      record.branch,
+      restoreMedal ? 1 : 0,
+      JSON.stringify({
+        printed_certificate_id: record.id,
+        serial_number: record.serial_number,
+        student_id: record.student_id,
+        student_name: record.student_name,
+        module_id: record.module_id,
+        ptc_date: record.ptc_date,
+        status: record.status,
+      }),
+      JSON.stringify({
+        status: CONSTANTS.PRINT_STATUS.VOIDED,
+        reason,
+        medal_restored: restoreMedal,
+        student_module: studentModule,
+      }),
+      performedBy,
+    ],
+  );
+
+  return {
+    logId: logResult.rows[0].id,
+    medalRestored: restoreMedal,
+    studentModule,
+  };
+};
+
+// =====================================================
+// HELPER: Load print records for certificate PDFs
+// =====================================================
+// `where` uses pc./m. columns; rows carry everything the templates need.
+// ptc_date is formatted in SQL (e.g. "5 October 2026") to avoid
+// timezone shifts of DATE values in JS. Records issued with a template
+// version get that version; others fall back to the division default.
+const fetchCertificateDocuments = async (where, params) => {
+  const result = await pool.query(
+    `SELECT
+      pc.id,
+      pc.serial_number,
+      pc.student_name,
+      pc.status,
+      pc.branch,
+      to_char(pc.ptc_date, 'FMDD FMMonth YYYY') as ptc_date_text,
+      m.module_code,
+      m.module_name,
+      m.division,
+      b.branch_name,
+      COALESCE(u.teacher_name, u.username) as teacher_name,
+      pc.template_version_id,
+      tv.name as template_name,
+      tv.page_size,
+      tv.orientation,
+      tv.background_image_path,
+      tv.layout
+     FROM printed_certificates pc
+     JOIN modules m ON pc.module_id = m.id
+     JOIN users u ON pc.printed_by = u.id
+     LEFT JOIN branches b ON b.branch_code = pc.branch
+     LEFT JOIN certificate_template_versions tv ON tv.id = pc.template_version_id
+     WHERE ${where}
+     ORDER BY m.module_code ASC, pc.student_name ASC, pc.id ASC`,
+    params,
+  );
+
+  return result.rows.map((row) => ({
+    ...row,
+    verification_code: generateVerificationCode(row.id),
+    template: row.template_version_id
+      ? {
+          name: row.template_name,
+          page_size: row.page_size,
+          orientation: row.orientation,
+          background_image_path: row.background_image_path,
+          layout: row.layout,
+        }
+      : null,
+  }));
+};
+
+// =====================================================
+// HELPER: Send rendered certificates as a PDF download
+// =====================================================
+const sendCertificatePdf = async (res, records, filename) => {
+  const pdf = await renderCertificatesPdf(records, filename);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename=${filename}.pdf`);
+  res.setHeader("Content-Length", pdf.length);
+  return res.send(pdf);
+};
+
+// =====================================================
+// HELPER: 403 for a branch outside a hub-bound admin's hubs
+// =====================================================
+const sendOutsideHub = (res, user, branchCode) =>
+  sendError(
+    res,
+    CONSTANTS.HTTP_STATUS.FORBIDDEN,
+    branchForbiddenMessage(user, branchCode),
+    CONSTANTS.ERROR_CODES.FORBIDDEN,
+  );
 
 const PrintedCertificateController = {
   // =====================================================
@@ -60,9 +453,16 @@ const PrintedCertificateController = {
       // FIX: students table uses branch_id (FK to branches.id), not branch_code
       // Join to branches and filter by branch_code via the join
       if (branchCode && branchCode.trim()) {
+        if (isOutsideHub(req.user, branchCode.trim().toUpperCase())) {
+          return sendOutsideHub(res, req.user, branchCode.trim().toUpperCase());
+        }
         whereConditions.push(`b.branch_code = $${paramCount}`);
         queryParams.push(branchCode.trim().toUpperCase());
         paramCount++;
+      } else if (isHubBound(req.user)) {
+        whereConditions.push(`b.branch_code = ANY($${paramCount})`);
+        queryParams.push(req.user.hub_branches);
+        paramCount++;
       }
 
       const query = `
@@ -118,34 +518,81 @@ const PrintedCertificateController = {
         student_id: studentId,
         module_id: moduleId,
         ptc_date: ptcDate,
+        override_eligibility: overrideEligibility = false,
+        branch_code: requestedBranch,
       } = req.body;
 
       const userId = req.user.id;
-      const userBranch = req.user.teacher_branch;
+
+      // ===== RESOLVE PRINTING BRANCH =====
+      // Multi-branch teachers may pick any assigned branch (default: primary)
+      const branchResolution = await resolveActingBranch(
+        client,
+        req.user,
+        requestedBranch,
+      );
+
+      if (!branchResolution.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          branchResolution.statusCode,
+          branchResolution.error,
+          branchResolution.errorCode,
+        );
+      }
+
+      const userBranch = branchResolution.branchCode;
 
       // ===== VALIDATION =====
-      if (!certificateId || !studentName || !moduleId || !ptcDate) {
+      // certificate_id is optional: when omitted the batch is picked
+      // automatically using the branch FIFO/LIFO policy
+      if (!studentName || !moduleId || !ptcDate) {
         await client.query("ROLLBACK");
         return sendError(
           res,
           CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-          "All fields are required: certificateId, studentName, moduleId, ptcDate",
+          "All fields are required: studentName, moduleId, ptcDate",
           CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
         );
       }
 
-      // Validate certificate ID
-      const certIdValidation = validators.validateCertificateId(certificateId);
-      if (!certIdValidation.valid) {
+      // Eligibility override is an explicit admin-only decision
+      if (typeof overrideEligibility !== "boolean") {
         await client.query("ROLLBACK");
         return sendError(
           res,
           CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-          certIdValidation.error,
+          "override_eligibility must be a boolean (true/false)",
           CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
         );
       }
 
+      if (overrideEligibility && req.user.role !== "admin") {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.FORBIDDEN,
+          "Only admins can override module eligibility",
+          CONSTANTS.ERROR_CODES.FORBIDDEN,
+        );
+      }
+
+      // Validate certificate ID (if provided)
+      let certIdValidation = null;
+      if (certificateId) {
+        certIdValidation = validators.validateCertificateId(certificateId);
+        if (!certIdValidation.valid) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            certIdValidation.error,
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+      }
+
       // Validate student name
       const cleanStudentName = validators.sanitizeString(studentName.trim());
       if (cleanStudentName.length < 3) {
@@ -199,7 +646,7 @@ const PrintedCertificateController = {
 
       // ===== VERIFY MODULE EXISTS =====
       const moduleCheck = await client.query(
-        "SELECT id, module_code, module_name, division FROM modules WHERE id = $1",
+        "SELECT id, module_code, module_name, division, min_age, max_age FROM modules WHERE id = $1",
         [moduleIdNum],
       );
 
@@ -250,6 +697,56 @@ const PrintedCertificateController = {
         }
       }
 
+      // ===== MODULE ELIGIBILITY =====
+      const eligibilityFailures = await checkEligibility(client, {
+        studentId: studentIdNum,
+        module: moduleCheck.rows[0],
+        ptcDate,
+        user: req.user,
+      });
+
+      if (eligibilityFailures.length > 0 && !overrideEligibility) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          eligibilityFailures.map((f) => f.message).join("; "),
+          eligibilityFailures[0].code,
+          null,
+          {
+            failures: eligibilityFailures,
+            overridable: req.user.role === "admin",
+          },
+        );
+      }
+
+      const eligibilityOverride = eligibilityFailures.length > 0;
+
+      // ===== PREREQUISITE WARNINGS (NOT BLOCKING) =====
+      const missingPrerequisites =
+        (
+          await getMissingPrerequisites(client, studentIdNum, [moduleIdNum])
+        ).get(moduleIdNum) || [];
+
+      // ===== AUTO-SELECT BATCH IF NOT PROVIDED =====
+      let batchSelection = null;
+      if (!certIdValidation) {
+        const selected = await selectPrintBatch(client, userBranch);
+
+        if (!selected.certificateId) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            `No medal stock available in any batch at branch ${userBranch}`,
+            CONSTANTS.ERROR_CODES.INSUFFICIENT_STOCK,
+          );
+        }
+
+        certIdValidation = { valid: true, value: selected.certificateId };
+        batchSelection = selected.policy;
+      }
+
       // ===== CRITICAL: CHECK STOCK TERSEDIA =====
       const stockCheck = await client.query(
         `SELECT jumlah_medali 
@@ -280,11 +777,19 @@ const PrintedCertificateController = {
       );
 
       // ===== INSERT PRINTED CERTIFICATE =====
+      const serialNumber = await issueSerialNumber(client, userBranch);
+      const templateVersionId = await resolveTemplateVersionId(
+        client,
+        moduleIdNum,
+        moduleCheck.rows[0].division,
+      );
+
       const result = await client.query(
         `INSERT INTO printed_certificates 
-         (certificate_id, student_id, student_name, module_id, ptc_date, printed_by, branch)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         RETURNING id, certificate_id, student_id, student_name, module_id, ptc_date, printed_at, branch`,
+         (certificate_id, student_id, student_name, module_id, ptc_date, printed_by, branch,
+          eligibility_override, eligibility_failures, serial_number, template_version_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING id, serial_number, certificate_id, student_id, student_name, module_id, ptc_date, printed_at, branch, template_version_id`,
         [
           certIdValidation.value,
           studentIdNum,
@@ -293,24 +798,47 @@ const PrintedCertificateController = {
           ptcDate,
           userId,
           userBranch,
+          eligibilityOverride,
+          eligibilityOverride ? JSON.stringify(eligibilityFailures) : null,
+          serialNumber,
+          templateVersionId,
         ],
       );
 
       // ===== LOG ACTIVITY =====
       await client.query(
         `INSERT INTO certificate_logs 
-         (certificate_id, action_type, description, from_branch, medal_amount, performed_by)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
+         (certificate_id, action_type, description, from_branch, medal_amount, new_values, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
         [
           certIdValidation.value,
-          "PRINT",
-          `Medal printed for student: ${cleanStudentName}`,
+          CONSTANTS.LOG_ACTION_TYPES.PRINT,
+          `Medal printed for student: ${cleanStudentName} (${serialNumber})${eligibilityOverride ? " (eligibility override)" : ""}`,
           userBranch,
           -1,
+          JSON.stringify({
+            printed_certificate_id: result.rows[0].id,
+            serial_number: serialNumber,
+            ...(eligibilityOverride
+              ? {
+                  eligibility_override: true,
+                  eligibility_failures: eligibilityFailures,
+                }
+              : {}),
+          }),
           req.user?.username || "System",
         ],
       );
 
+      // ===== LOW STOCK CHECK =====
+      const lowStockAlert = await checkLowStockAlert(client, {
+        branchCode: userBranch,
+        certificateId: certIdValidation.value,
+        medalsUsed: 1,
+        trigger: CONSTANTS.LOG_ACTION_TYPES.PRINT,
+        performedBy: req.user?.username || "System",
+      });
+
       await client.query("COMMIT");
 
       const savedRecord = result.rows[0];
@@ -325,6 +853,8 @@ const PrintedCertificateController = {
         "Certificate print record saved and stock updated successfully",
         {
           id: savedRecord.id,
+          serialNumber: savedRecord.serial_number,
+          verificationCode: generateVerificationCode(savedRecord.id),
           certificateId: savedRecord.certificate_id,
           studentId: savedRecord.student_id,
           studentName: savedRecord.student_name,
@@ -339,6 +869,12 @@ const PrintedCertificateController = {
           branch: savedRecord.branch,
           autoLinked: studentIdNum !== null && !studentId,
           stockDeducted: true,
+          batchAutoSelected: batchSelection !== null,
+          batchSelection,
+          eligibilityOverride,
+          eligibilityFailures,
+          missingPrerequisites,
+          lowStockAlert,
         },
       );
     } catch (error) {
@@ -367,33 +903,62 @@ const PrintedCertificateController = {
         module_id: moduleId,
         start_date: startDate,
         end_date: endDate,
+        branch_code: branchCode,
       } = req.query;
 
       const offset = (page - 1) * limit;
       const userId = req.user.id;
       const userRole = req.user.role;
       const userBranch = req.user.teacher_branch;
+      const branchFilter =
+        branchCode && branchCode.trim()
+          ? branchCode.trim().toUpperCase()
+          : null;
 
       // Build WHERE clause
       let whereConditions = [];
       let queryParams = [];
       let paramCount = 1;
 
-      // Teachers: only their own prints | Admins: all in their branch
+      if (branchFilter && isOutsideHub(req.user, branchFilter)) {
+        return sendOutsideHub(res, req.user, branchFilter);
+      }
+
+      // Teachers: their own prints at their assigned branches (optionally one)
+      // Admins: requested branch, else their own branch
+      // (hub-bound admins without either: every branch in their hubs)
       if (userRole === "teacher") {
+        const assignedBranches = await getAssignedBranchCodes(pool, userId);
+
+        if (branchFilter && !assignedBranches.includes(branchFilter)) {
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.FORBIDDEN,
+            `You are not assigned to branch ${branchFilter}`,
+            CONSTANTS.ERROR_CODES.FORBIDDEN,
+          );
+        }
+
         whereConditions.push(`pc.printed_by = $${paramCount}`);
         queryParams.push(userId);
         paramCount++;
-      } else {
+        whereConditions.push(`pc.branch = ANY($${paramCount})`);
+        queryParams.push(branchFilter ? [branchFilter] : assignedBranches);
+        paramCount++;
+      } else if (branchFilter || userBranch) {
         whereConditions.push(`pc.branch = $${paramCount}`);
-        queryParams.push(userBranch);
+        queryParams.push(branchFilter || userBranch);
+        paramCount++;
+      } else if (isHubBound(req.user)) {
+        whereConditions.push(`pc.branch = ANY($${paramCount})`);
+        queryParams.push(req.user.hub_branches);
         paramCount++;
       }
 
       // Search filter
       if (search && search.trim()) {
         whereConditions.push(
-          `(LOWER(pc.student_name) LIKE LOWER($${paramCount}) OR LOWER(pc.certificate_id) LIKE LOWER($${paramCount}))`,
+          `(LOWER(pc.student_name) LIKE LOWER($${paramCount}) OR LOWER(pc.certificate_id) LIKE LOWER($${paramCount}) OR LOWER(pc.serial_number) LIKE LOWER($${paramCount}))`,
         );
         queryParams.push(`%${search.trim()}%`);
         paramCount++;
@@ -441,12 +1006,18 @@ const PrintedCertificateController = {
       const dataQuery = `
         SELECT 
           pc.id,
+          pc.serial_number,
           pc.certificate_id,
           pc.student_id,
           pc.student_name,
           pc.ptc_date,
           pc.printed_at,
           pc.branch,
+          pc.status,
+          pc.reprint_of,
+          pc.void_reason,
+          pc.voided_at,
+          pc.eligibility_override,
           m.id as module_id,
           m.module_code,
           m.module_name,
@@ -475,7 +1046,10 @@ const PrintedCertificateController = {
       return sendSuccess(
         res,
         "Certificate history retrieved successfully",
-        dataResult.rows,
+        dataResult.rows.map((row) => ({
+          ...row,
+          verification_code: generateVerificationCode(row.id),
+        })),
         {
           pagination: {
             currentPage: parseInt(page),
@@ -519,16 +1093,24 @@ const PrintedCertificateController = {
       let query, queryParams;
 
       // FIX: subquery student_info menggunakan s.branch_id (FK), bukan s.branch_code
+      // Teachers: only their own prints (as for void/reprint), at assigned branches
       if (userRole === "teacher") {
         query = `
           SELECT 
             pc.id,
+            pc.serial_number,
             pc.certificate_id,
             pc.student_id,
             pc.student_name,
             pc.ptc_date,
             pc.printed_at,
             pc.branch,
+            pc.status,
+            pc.reprint_of,
+            pc.void_reason,
+            pc.voided_at,
+            pc.eligibility_override,
+            pc.template_version_id,
             m.id as module_id,
             m.module_code,
             m.module_name,
@@ -544,19 +1126,30 @@ const PrintedCertificateController = {
             END as student_info
           FROM printed_certificates pc
           JOIN modules m ON pc.module_id = m.id
-          WHERE pc.id = $1 AND pc.printed_by = $2
+          WHERE pc.id = $1 AND pc.printed_by = $2 AND pc.branch = ANY($3)
         `;
-        queryParams = [recordId, userId];
+        queryParams = [
+          recordId,
+          userId,
+          await getAssignedBranchCodes(pool, userId),
+        ];
       } else {
         query = `
           SELECT 
             pc.id,
+            pc.serial_number,
             pc.certificate_id,
             pc.student_id,
             pc.student_name,
             pc.ptc_date,
             pc.printed_at,
             pc.branch,
+            pc.status,
+            pc.reprint_of,
+            pc.void_reason,
+            pc.voided_at,
+            pc.eligibility_override,
+            pc.template_version_id,
             m.id as module_id,
             m.module_code,
             m.module_name,
@@ -590,10 +1183,17 @@ const PrintedCertificateController = {
         );
       }
 
+      if (isOutsideHub(req.user, result.rows[0].branch)) {
+        return sendOutsideHub(res, req.user, result.rows[0].branch);
+      }
+
       return sendSuccess(
         res,
         "Certificate details retrieved successfully",
-        result.rows[0],
+        {
+          ...result.rows[0],
+          verification_code: generateVerificationCode(result.rows[0].id),
+        },
       );
     } catch (error) {
       return sendError(
@@ -605,6 +1205,1232 @@ const PrintedCertificateController = {
       );
     }
   },
+  // =====================================================
+  // 6. VOID PRINT RECORD (OPTIONAL MEDAL RESTORE)
+  // =====================================================
+  voidPrintRecord: async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+      );
+
+      const { reason, restore_medal: restoreMedal = false } = req.body;
+
+      const recordId = parseInt(req.params.id);
+      if (isNaN(recordId)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid certificate record ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const cleanReason =
+        typeof reason === "string"
+          ? validators.sanitizeString(reason.trim())
+          : "";
+      if (cleanReason.length < 3) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Void reason is required (minimum 3 characters)",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (typeof restoreMedal !== "boolean") {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "restore_medal must be a boolean (true/false)",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const record = await findPrintRecordForUpdate(client, recordId, req.user);
+
+      if (!record) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Certificate record not found or access denied",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      if (isOutsideHub(req.user, record.branch)) {
+        await client.query("ROLLBACK");
+        return sendOutsideHub(res, req.user, record.branch);
+      }
+
+      if (record.status === CONSTANTS.PRINT_STATUS.VOIDED) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Print record #${recordId} is already voided`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const voided = await voidPrintRecord(client, record, {
+        reason: cleanReason,
+        restoreMedal,
+        userId: req.user.id,
+        performedBy: req.user?.username || "System",
+      });
+
+      await client.query("COMMIT");
+
+      logger.info(
+        `Print record voided: #${recordId} ${record.student_name} - ${record.module_code} at ${record.branch}${restoreMedal ? " (medal restored)" : ""}`,
+      );
+
+      return sendSuccess(res, "Print record voided successfully", {
+        id: record.id,
+        serialNumber: record.serial_number,
+        certificateId: record.certificate_id,
+        studentName: record.student_name,
+        status: CONSTANTS.PRINT_STATUS.VOIDED,
+        reason: cleanReason,
+        medalRestored: voided.medalRestored,
+        studentModule: voided.studentModule,
+        logId: voided.logId,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to void print record",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    } finally {
+      client.release();
+    }
+  },
+
+  // =====================================================
+  // 7. REPRINT (VOID ORIGINAL + LINKED REPLACEMENT)
+  // =====================================================
+  // Voids the original (if not voided yet) and creates a replacement
+  // record with reprint_of = original id. The replacement takes a new
+  // medal from the original branch; corrected student name, student_id
+  // and ptc_date may be supplied, module is always kept.
+  reprintRecord: async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+      );
+
+      const {
+        reason,
+        restore_medal: restoreMedal = false,
+        certificate_id: certificateId,
+        student_name: studentName,
+        student_id: studentId,
+        ptc_date: ptcDate,
+        override_eligibility: overrideEligibility = false,
+      } = req.body;
+
+      const recordId = parseInt(req.params.id);
+      if (isNaN(recordId)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid certificate record ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const cleanReason =
+        typeof reason === "string"
+          ? validators.sanitizeString(reason.trim())
+          : "";
+      if (cleanReason.length < 3) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Reprint reason is required (minimum 3 characters)",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (typeof restoreMedal !== "boolean") {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "restore_medal must be a boolean (true/false)",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (typeof overrideEligibility !== "boolean") {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "override_eligibility must be a boolean (true/false)",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (overrideEligibility && req.user.role !== "admin") {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.FORBIDDEN,
+          "Only admins can override module eligibility",
+          CONSTANTS.ERROR_CODES.FORBIDDEN,
+        );
+      }
+
+      // ===== VALIDATE CORRECTIONS (ALL OPTIONAL) =====
+      let cleanStudentName = null;
+      if (studentName !== undefined && studentName !== null) {
+        cleanStudentName = validators.sanitizeString(
+          String(studentName).trim(),
+        );
+        if (cleanStudentName.length < 3) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            "Student name must be at least 3 characters",
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+      }
+
+      let studentIdNum = null;
+      if (studentId) {
+        studentIdNum = parseInt(studentId);
+        if (isNaN(studentIdNum)) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            "Invalid student ID",
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+
+        const studentCheck = await client.query(
+          "SELECT id FROM students WHERE id = $1",
+          [studentIdNum],
+        );
+
+        if (studentCheck.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.NOT_FOUND,
+            "Student not found",
+            CONSTANTS.ERROR_CODES.NOT_FOUND,
+          );
+        }
+      }
+
+      if (ptcDate && !/^\d{4}-\d{2}-\d{2}$/.test(ptcDate)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid date format. Use YYYY-MM-DD",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      let certIdValidation = null;
+      if (certificateId) {
+        certIdValidation = validators.validateCertificateId(certificateId);
+        if (!certIdValidation.valid) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            certIdValidation.error,
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+      }
+
+      // ===== LOAD ORIGINAL =====
+      const original = await findPrintRecordForUpdate(
+        client,
+        recordId,
+        req.user,
+      );
+
+      if (!original) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Certificate record not found or access denied",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      if (isOutsideHub(req.user, original.branch)) {
+        await client.query("ROLLBACK");
+        return sendOutsideHub(res, req.user, original.branch);
+      }
+
+      const existingReprint = await client.query(
+        "SELECT id FROM printed_certificates WHERE reprint_of = $1 AND status = $2",
+        [recordId, CONSTANTS.PRINT_STATUS.PRINTED],
+      );
+
+      if (existingReprint.rows.length > 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Print record #${recordId} was already reprinted as #${existingReprint.rows[0].id}`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      // ===== MODULE ELIGIBILITY (REPLACEMENT STUDENT) =====
+      const eligibilityFailures = await checkEligibility(client, {
+        studentId: studentIdNum || original.student_id,
+        module: {
+          module_code: original.module_code,
+          division: original.module_division,
+          min_age: original.min_age,
+          max_age: original.max_age,
+        },
+        ptcDate: ptcDate || original.ptc_date_text,
+        user: req.user,
+      });
+
+      if (eligibilityFailures.length > 0 && !overrideEligibility) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          eligibilityFailures.map((f) => f.message).join("; "),
+          eligibilityFailures[0].code,
+          null,
+          {
+            failures: eligibilityFailures,
+            overridable: req.user.role === "admin",
+          },
+        );
+      }
+
+      const eligibilityOverride = eligibilityFailures.length > 0;
+
+      // ===== VOID ORIGINAL (IF STILL ACTIVE) =====
+      let voided = null;
+      if (original.status !== CONSTANTS.PRINT_STATUS.VOIDED) {
+        voided = await voidPrintRecord(client, original, {
+          reason: `Reprint: ${cleanReason}`,
+          restoreMedal,
+          userId: req.user.id,
+          performedBy: req.user?.username || "System",
+        });
+      }
+
+      // ===== SELECT BATCH + CHECK STOCK =====
+      const branchCode = original.branch;
+
+      if (!certIdValidation) {
+        const selected = await selectPrintBatch(client, branchCode);
+
+        if (!selected.certificateId) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            `No medal stock available in any batch at branch ${branchCode}`,
+            CONSTANTS.ERROR_CODES.INSUFFICIENT_STOCK,
+          );
+        }
+
+        certIdValidation = { valid: true, value: selected.certificateId };
+      }
+
+      const stockCheck = await client.query(
+        `SELECT jumlah_medali 
+         FROM certificate_stock 
+         WHERE certificate_id = $1 AND branch_code = $2
+         FOR UPDATE`,
+        [certIdValidation.value, branchCode],
+      );
+
+      if (
+        stockCheck.rows.length === 0 ||
+        stockCheck.rows[0].jumlah_medali < 1
+      ) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Medal stock not available for batch ${certIdValidation.value} at branch ${branchCode}`,
+          CONSTANTS.ERROR_CODES.INSUFFICIENT_STOCK,
+        );
+      }
+
+      await client.query(
+        `UPDATE certificate_stock 
+         SET jumlah_medali = jumlah_medali - 1 
+         WHERE certificate_id = $1 AND branch_code = $2`,
+        [certIdValidation.value, branchCode],
+      );
+
+      // ===== INSERT REPLACEMENT (module kept from original) =====
+      // The replacement is a new document: it uses the current template
+      const serialNumber = await issueSerialNumber(client, branchCode);
+      const templateVersionId = await resolveTemplateVersionId(
+        client,
+        original.module_id,
+        original.module_division,
+      );
+
+      const result = await client.query(
+        `INSERT INTO printed_certificates 
+         (certificate_id, student_id, student_name, module_id, ptc_date, printed_by, branch, reprint_of,
+          eligibility_override, eligibility_failures, serial_number, template_version_id)
+         SELECT $1, COALESCE($2, pc.student_id), COALESCE($3, pc.student_name),
+                pc.module_id, COALESCE($4::date, pc.ptc_date), $5, pc.branch, pc.id,
+                $7, $8, $9, $10
+         FROM printed_certificates pc
+         WHERE pc.id = $6
+         RETURNING id, serial_number, certificate_id, student_id, student_name, module_id, ptc_date, printed_at, branch, reprint_of, template_version_id`,
+        [
+          certIdValidation.value,
+          studentIdNum,
+          cleanStudentName,
+          ptcDate || null,
+          req.user.id,
+          recordId,
+          eligibilityOverride,
+          eligibilityOverride ? JSON.stringify(eligibilityFailures) : null,
+          serialNumber,
+          templateVersionId,
+        ],
+      );
+
+      const replacement = result.rows[0];
+
+      const logResult = await client.query(
+        `INSERT INTO certificate_logs 
+         (certificate_id, action_type, description, from_branch, medal_amount,
+          old_values, new_values, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [
+          replacement.certificate_id,
+          CONSTANTS.LOG_ACTION_TYPES.REPRINT,
+          `Reprinted #${recordId} as #${replacement.id} for student: ${replacement.student_name} (${cleanReason})`,
+          branchCode,
+          -1,
+          JSON.stringify({
+            printed_certificate_id: original.id,
+            serial_number: original.serial_number,
+            certificate_id: original.certificate_id,
+            student_id: original.student_id,
+            student_name: original.student_name,
+            ptc_date: original.ptc_date,
+          }),
+          JSON.stringify({
+            printed_certificate_id: replacement.id,
+            serial_number: replacement.serial_number,
+            reprint_of: original.id,
+            certificate_id: replacement.certificate_id,
+            student_id: replacement.student_id,
+            student_name: replacement.student_name,
+            ptc_date: replacement.ptc_date,
+            reason: cleanReason,
+            ...(eligibilityOverride
+              ? {
+                  eligibility_override: true,
+                  eligibility_failures: eligibilityFailures,
+                }
+              : {}),
+          }),
+          req.user?.username || "System",
+        ],
+      );
+
+      // ===== LOW STOCK CHECK =====
+      const lowStockAlert = await checkLowStockAlert(client, {
+        branchCode,
+        certificateId: replacement.certificate_id,
+        medalsUsed: 1,
+        trigger: CONSTANTS.LOG_ACTION_TYPES.REPRINT,
+        performedBy: req.user?.username || "System",
+      });
+
+      await client.query("COMMIT");
+
+      logger.info(
+        `Print record #${recordId} reprinted as #${replacement.id}: ${replacement.student_name} - ${original.module_code} at ${branchCode}`,
+      );
+
+      return sendSuccess(res, "Certificate reprinted successfully", {
+        original: {
+          id: original.id,
+          serialNumber: original.serial_number,
+          certificateId: original.certificate_id,
+          studentName: original.student_name,
+          status: CONSTANTS.PRINT_STATUS.VOIDED,
+          voidedNow: voided !== null,
+          medalRestored: voided ? voided.medalRestored : original.medal_restored,
+          studentModule: voided ? voided.studentModule : "unchanged",
+        },
+        replacement: {
+          id: replacement.id,
+          serialNumber: replacement.serial_number,
+          verificationCode: generateVerificationCode(replacement.id),
+          certificateId: replacement.certificate_id,
+          studentId: replacement.student_id,
+          studentName: replacement.student_name,
+          module: {
+            id: original.module_id,
+            code: original.module_code,
+            name: original.module_name,
+            division: original.module_division,
+          },
+          ptcDate: replacement.ptc_date,
+          printedAt: replacement.printed_at,
+          branch: replacement.branch,
+          reprintOf: replacement.reprint_of,
+          eligibilityOverride,
+          eligibilityFailures,
+        },
+        logId: logResult.rows[0].id,
+        lowStockAlert,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to reprint certificate",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    } finally {
+      client.release();
+    }
+  },
+  // =====================================================
+  // 8. BULK SAVE PRINT RECORDS (WHOLE CLASS, ATOMIC)
+  // =====================================================
+  // All students are validated and medal stock for the whole set is
+  // reserved up front; either every record is saved or none is.
+  bulkSavePrintRecords: async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+      );
+
+      const {
+        module_id: moduleId,
+        ptc_date: ptcDate,
+        certificate_id: certificateId,
+        students,
+        override_eligibility: overrideEligibility = false,
+        branch_code: requestedBranch,
+      } = req.body;
+
+      const userId = req.user.id;
+
+      // ===== RESOLVE PRINTING BRANCH =====
+      // Multi-branch teachers may pick any assigned branch (default: primary)
+      const branchResolution = await resolveActingBranch(
+        client,
+        req.user,
+        requestedBranch,
+      );
+
+      if (!branchResolution.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          branchResolution.statusCode,
+          branchResolution.error,
+          branchResolution.errorCode,
+        );
+      }
+
+      const userBranch = branchResolution.branchCode;
+
+      // ===== VALIDATION =====
+      if (!moduleId || !ptcDate || !Array.isArray(students)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "All fields are required: moduleId, ptcDate, students (array)",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (
+        students.length === 0 ||
+        students.length > CONSTANTS.BULK_PRINT.MAX_STUDENTS
+      ) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `students must contain 1-${CONSTANTS.BULK_PRINT.MAX_STUDENTS} entries`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (typeof overrideEligibility !== "boolean") {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "override_eligibility must be a boolean (true/false)",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (overrideEligibility && req.user.role !== "admin") {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.FORBIDDEN,
+          "Only admins can override module eligibility",
+          CONSTANTS.ERROR_CODES.FORBIDDEN,
+        );
+      }
+
+      const moduleIdNum = parseInt(moduleId);
+      if (isNaN(moduleIdNum)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid module ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(ptcDate)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid date format. Use YYYY-MM-DD",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      let certIdValidation = null;
+      if (certificateId) {
+        certIdValidation = validators.validateCertificateId(certificateId);
+        if (!certIdValidation.valid) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            certIdValidation.error,
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+      }
+
+      const moduleCheck = await client.query(
+        "SELECT id, module_code, module_name, division, min_age, max_age FROM modules WHERE id = $1",
+        [moduleIdNum],
+      );
+
+      if (moduleCheck.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Module not found",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      const moduleDetails = moduleCheck.rows[0];
+
+      // ===== VALIDATE + RESOLVE EVERY STUDENT =====
+      const results = [];
+      const seenIds = new Set();
+      const seenNames = new Set();
+
+      for (let i = 0; i < students.length; i++) {
+        const entry = students[i] || {};
+        const result = {
+          index: i,
+          studentId: null,
+          studentName: null,
+          autoLinked: false,
+          status: "valid",
+          error: null,
+          eligibilityFailures: [],
+          eligibilityOverride: false,
+          missingPrerequisites: [],
+        };
+        results.push(result);
+
+        if (entry.student_id) {
+          const studentIdNum = parseInt(entry.student_id);
+          if (isNaN(studentIdNum)) {
+            result.status = "invalid";
+            result.error = "Invalid student ID";
+            continue;
+          }
+
+          const studentCheck = await client.query(
+            "SELECT id, student_name FROM students WHERE id = $1",
+            [studentIdNum],
+          );
+
+          if (studentCheck.rows.length === 0) {
+            result.status = "invalid";
+            result.error = "Student not found";
+            continue;
+          }
+
+          result.studentId = studentIdNum;
+          result.studentName = entry.student_name
+            ? validators.sanitizeString(String(entry.student_name).trim())
+            : studentCheck.rows[0].student_name;
+        } else {
+          result.studentName = entry.student_name
+            ? validators.sanitizeString(String(entry.student_name).trim())
+            : "";
+        }
+
+        if (!result.studentName || result.studentName.length < 3) {
+          result.status = "invalid";
+          result.error = "Student name must be at least 3 characters";
+          continue;
+        }
+
+        // Auto-link by name at branch (same rule as single print)
+        if (!result.studentId) {
+          const studentSearch = await client.query(
+            `SELECT s.id FROM students s
+             JOIN branches b ON s.branch_id = b.id
+             WHERE LOWER(s.student_name) = LOWER($1) 
+             AND b.branch_code = $2 
+             AND s.status = 'active'
+             LIMIT 1`,
+            [result.studentName, userBranch],
+          );
+
+          if (studentSearch.rows.length > 0) {
+            result.studentId = studentSearch.rows[0].id;
+            result.autoLinked = true;
+          }
+        }
+
+        // Linked rows are the same student only when the ids match (two
+        // students may share a name); unlinked rows fall back to the name
+        const seen = result.studentId ? seenIds : seenNames;
+        const dedupeKey = result.studentId || result.studentName.toLowerCase();
+        if (seen.has(dedupeKey)) {
+          result.status = "invalid";
+          result.error = "Duplicate student in request";
+          continue;
+        }
+        seen.add(dedupeKey);
+
+        result.eligibilityFailures = await checkEligibility(client, {
+          studentId: result.studentId,
+          module: moduleDetails,
+          ptcDate,
+          user: req.user,
+        });
+
+        if (result.eligibilityFailures.length > 0) {
+          if (overrideEligibility) {
+            result.eligibilityOverride = true;
+          } else {
+            result.status = "invalid";
+            result.errorCode = result.eligibilityFailures[0].code;
+            result.error = result.eligibilityFailures
+              .map((f) => f.message)
+              .join("; ");
+          }
+        }
+
+        result.missingPrerequisites =
+          (
+            await getMissingPrerequisites(client, result.studentId, [
+              moduleDetails.id,
+            ])
+          ).get(moduleDetails.id) || [];
+      }
+
+      const invalidCount = results.filter((r) => r.status === "invalid").length;
+      if (invalidCount > 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `${invalidCount} of ${students.length} students failed validation. Nothing was printed.`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          null,
+          { results },
+        );
+      }
+
+      // ===== CHECK STOCK FOR WHOLE SET =====
+      const required = results.length;
+      let allocations;
+      let batchSelection = null;
+      let available;
+
+      if (certIdValidation) {
+        const stockCheck = await client.query(
+          `SELECT jumlah_medali 
+           FROM certificate_stock 
+           WHERE certificate_id = $1 AND branch_code = $2
+           FOR UPDATE`,
+          [certIdValidation.value, userBranch],
+        );
+
+        available = stockCheck.rows[0]?.jumlah_medali || 0;
+        allocations = [
+          { certificateId: certIdValidation.value, quantity: required },
+        ];
+      } else {
+        const allocated = await allocatePrintBatches(
+          client,
+          userBranch,
+          required,
+        );
+        available = allocated.available;
+        allocations = allocated.allocations;
+        batchSelection = allocated.policy;
+      }
+
+      if (available < required) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Insufficient medal stock${certIdValidation ? ` in batch ${certIdValidation.value}` : ""} at branch ${userBranch}: required ${required}, available ${available}`,
+          CONSTANTS.ERROR_CODES.INSUFFICIENT_STOCK,
+          null,
+          { required, available },
+        );
+      }
+
+      // ===== DEDUCT STOCK PER BATCH (+ LOW STOCK CHECK) =====
+      // Checked after each batch so the alert names the batch whose
+      // deduction crossed the threshold, even if a later batch was drained too
+      let lowStockAlert = null;
+      for (const allocation of allocations) {
+        await client.query(
+          `UPDATE certificate_stock 
+           SET jumlah_medali = jumlah_medali - $1 
+           WHERE certificate_id = $2 AND branch_code = $3`,
+          [allocation.quantity, allocation.certificateId, userBranch],
+        );
+
+        const alert = await checkLowStockAlert(client, {
+          branchCode: userBranch,
+          certificateId: allocation.certificateId,
+          medalsUsed: allocation.quantity,
+          trigger: CONSTANTS.LOG_ACTION_TYPES.PRINT,
+          performedBy: req.user?.username || "System",
+        });
+        lowStockAlert = lowStockAlert || alert;
+      }
+
+      // ===== INSERT PRINT RECORDS + LOGS =====
+      const templateVersionId = await resolveTemplateVersionId(
+        client,
+        moduleIdNum,
+        moduleDetails.division,
+      );
+      let allocationIndex = 0;
+      let usedFromAllocation = 0;
+
+      for (const result of results) {
+        const batch = allocations[allocationIndex];
+
+        const serialNumber = await issueSerialNumber(client, userBranch);
+
+        const inserted = await client.query(
+          `INSERT INTO printed_certificates 
+           (certificate_id, student_id, student_name, module_id, ptc_date, printed_by, branch,
+            eligibility_override, eligibility_failures, serial_number, template_version_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING id, serial_number, certificate_id`,
+          [
+            batch.certificateId,
+            result.studentId,
+            result.studentName,
+            moduleIdNum,
+            ptcDate,
+            userId,
+            userBranch,
+            result.eligibilityOverride,
+            result.eligibilityOverride
+              ? JSON.stringify(result.eligibilityFailures)
+              : null,
+            serialNumber,
+            templateVersionId,
+          ],
+        );
+
+        await client.query(
+          `INSERT INTO certificate_logs 
+           (certificate_id, action_type, description, from_branch, medal_amount, new_values, performed_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            batch.certificateId,
+            CONSTANTS.LOG_ACTION_TYPES.PRINT,
+            `Medal printed for student: ${result.studentName} (${serialNumber}, bulk)${result.eligibilityOverride ? " (eligibility override)" : ""}`,
+            userBranch,
+            -1,
+            JSON.stringify({
+              printed_certificate_id: inserted.rows[0].id,
+              serial_number: serialNumber,
+              ...(result.eligibilityOverride
+                ? {
+                    eligibility_override: true,
+                    eligibility_failures: result.eligibilityFailures,
+                  }
+                : {}),
+            }),
+            req.user?.username || "System",
+          ],
+        );
+
+        result.status = "printed";
+        result.id = inserted.rows[0].id;
+        result.serialNumber = inserted.rows[0].serial_number;
+        result.verificationCode = generateVerificationCode(result.id);
+        result.certificateId = inserted.rows[0].certificate_id;
+
+        usedFromAllocation++;
+        if (usedFromAllocation >= batch.quantity) {
+          allocationIndex++;
+          usedFromAllocation = 0;
+        }
+      }
+
+      await client.query("COMMIT");
+
+      logger.info(
+        `Bulk print saved: ${required} certificates for ${moduleDetails.module_code} (PTC ${ptcDate}) at ${userBranch}`,
+      );
+
+      return sendSuccess(
+        res,
+        `${required} certificate print records saved and stock updated successfully`,
+        {
+          module: {
+            id: moduleDetails.id,
+            code: moduleDetails.module_code,
+            name: moduleDetails.module_name,
+            division: moduleDetails.division,
+          },
+          ptcDate,
+          branch: userBranch,
+          batches: allocations,
+          batchAutoSelected: batchSelection !== null,
+          batchSelection,
+          results,
+          lowStockAlert,
+        },
+        {
+          total: required,
+          printed: required,
+          autoLinked: results.filter((r) => r.autoLinked).length,
+          eligibilityOverrides: results.filter((r) => r.eligibilityOverride)
+            .length,
+        },
+      );
+    } catch (error) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to save bulk print records",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    } finally {
+      client.release();
+    }
+  },
+  // =====================================================
+  // 9. CERTIFICATE PDF FOR ONE PRINT RECORD
+  // =====================================================
+  // Same access rules as getPrintRecordById; voided records are refused
+  // (the reprint replacement should be printed instead).
+  getCertificatePdf: async (req, res) => {
+    try {
+      const recordId = parseInt(req.params.id);
+      if (isNaN(recordId)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid certificate record ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const conditions = ["pc.id = $1"];
+      const params = [recordId];
+
+      if (req.user.role === "teacher") {
+        conditions.push("pc.printed_by = $2", "pc.branch = ANY($3)");
+        params.push(
+          req.user.id,
+          await getAssignedBranchCodes(pool, req.user.id),
+        );
+      } else if (isHubBound(req.user)) {
+        conditions.push("pc.branch = ANY($2)");
+        params.push(req.user.hub_branches);
+      }
+
+      const records = await fetchCertificateDocuments(
+        conditions.join(" AND "),
+        params,
+      );
+
+      if (records.length === 0) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Certificate record not found or access denied",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      const record = records[0];
+      if (isOutsideHub(req.user, record.branch)) {
+        return sendOutsideHub(res, req.user, record.branch);
+      }
+
+      if (record.status === CONSTANTS.PRINT_STATUS.VOIDED) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Print record #${recordId} is voided and cannot be rendered`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      logger.info(
+        `Certificate PDF generated: print #${recordId} (${record.serial_number}) by ${req.user.username}`,
+      );
+
+      return await sendCertificatePdf(
+        res,
+        records,
+        `certificate_${record.serial_number || recordId}`,
+      );
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to generate certificate PDF",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    }
+  },
+
+  // =====================================================
+  // 10. CERTIFICATE PDFS FOR A PTC DATE (ONE PAGE EACH)
+  // =====================================================
+  // Query: ptc_date (required), branch_code, module_id (optional).
+  // Teachers: their own prints at assigned branches; admins: branch_code,
+  // else every branch (hub-bound: their hubs). Voided records are skipped.
+  getCertificatePdfBatch: async (req, res) => {
+    try {
+      const {
+        ptc_date: ptcDate,
+        branch_code: branchCode,
+        module_id: moduleId,
+      } = req.query;
+
+      if (!ptcDate || !/^\d{4}-\d{2}-\d{2}$/.test(ptcDate)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "ptc_date is required. Use YYYY-MM-DD",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const branchFilter =
+        branchCode && branchCode.trim()
+          ? branchCode.trim().toUpperCase()
+          : null;
+
+      // null = no branch condition (all-branch admin without branch_code)
+      let branchScope = null;
+      if (req.user.role === "teacher") {
+        const assignedBranches = await getAssignedBranchCodes(
+          pool,
+          req.user.id,
+        );
+
+        if (branchFilter && !assignedBranches.includes(branchFilter)) {
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.FORBIDDEN,
+            `You are not assigned to branch ${branchFilter}`,
+            CONSTANTS.ERROR_CODES.FORBIDDEN,
+          );
+        }
+
+        branchScope = branchFilter ? [branchFilter] : assignedBranches;
+      } else if (branchFilter && isOutsideHub(req.user, branchFilter)) {
+        return sendOutsideHub(res, req.user, branchFilter);
+      } else if (branchFilter) {
+        branchScope = [branchFilter];
+      } else if (isHubBound(req.user)) {
+        branchScope = req.user.hub_branches;
+      }
+
+      const conditions = ["pc.ptc_date = $1", "pc.status = $2"];
+      const params = [ptcDate, CONSTANTS.PRINT_STATUS.PRINTED];
+
+      if (req.user.role === "teacher") {
+        params.push(req.user.id);
+        conditions.push(`pc.printed_by = $${params.length}`);
+      }
+
+      if (branchScope) {
+        params.push(branchScope);
+        conditions.push(`pc.branch = ANY($${params.length})`);
+      }
+
+      if (moduleId) {
+        const moduleValidation = validators.validatePositiveInteger(
+          moduleId,
+          "Module ID",
+        );
+        if (!moduleValidation.valid) {
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            moduleValidation.error,
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+        params.push(moduleValidation.value);
+        conditions.push(`pc.module_id = $${params.length}`);
+      }
+
+      const records = await fetchCertificateDocuments(
+        conditions.join(" AND "),
+        params,
+      );
+
+      if (records.length === 0) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          `No printed certificates found for PTC date ${ptcDate}`,
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      if (records.length > CONSTANTS.CERTIFICATE_PDF.MAX_BATCH_PAGES) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Too many certificates (${records.length}) for one PDF. Maximum is ${CONSTANTS.CERTIFICATE_PDF.MAX_BATCH_PAGES}; filter by branch_code or module_id`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      logger.info(
+        `Certificate PDF batch generated: ${records.length} certificates for PTC ${ptcDate} by ${req.user.username}`,
+      );
+
+      return await sendCertificatePdf(res, records, `certificates_${ptcDate}`);
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to generate certificate PDFs",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    }
+  },
+
+  // =====================================================
+  // 11. PREREQUISITE CHECK BEFORE PRINTING
+  // =====================================================
+  // Lets the print form warn when the student has not completed the
+  // module's prerequisites. Printing is still allowed.
+  checkPrintPrerequisites: async (req, res) => {
+    try {
+      const studentValidation = validators.validatePositiveInteger(
+        req.query.student_id,
+        "Student ID",
+      );
+      const moduleValidation = validators.validatePositiveInteger(
+        req.query.module_id,
+        "Module ID",
+      );
+
+      if (!studentValidation.valid || !moduleValidation.valid) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          studentValidation.error || moduleValidation.error,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const moduleId = moduleValidation.value;
+      const missing = await getMissingPrerequisites(
+        pool,
+        studentValidation.value,
+        [moduleId],
+      );
+      const missingPrerequisites = missing.get(moduleId) || [];
+
+      return sendSuccess(res, "Prerequisite check completed", {
+        studentId: studentValidation.value,
+        moduleId,
+        prerequisitesMet: missingPrerequisites.length === 0,
+        missingPrerequisites,
+      });
+    } catch (error) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to check prerequisites",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    }
+  },
 };
 
 module.exports = PrintedCertificateController;
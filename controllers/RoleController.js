@@ -0,0 +1,695 @@
+// controllers/RoleController.js
+// Roles (named permission sets) and role assignment for users
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const validators = require("../utils/validators");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { clearPermissionCache } = require("../utils/permissions");
+const {
+  hasAllBranchAccess,
+  clearHubScopeCache,
+} = require("../utils/branchAccess");
+const { clearTokenVersionCache } = require("../utils/tokenVersion");
+
+const ROLE_COLUMNS = `
+  r.id,
+  r.role_key,
+  r.role_name,
+  r.description,
+  r.account_type,
+  r.is_system,
+  r.created_at,
+  r.updated_at,
+  COALESCE(
+    (SELECT array_agg(rp.permission ORDER BY rp.permission)
+     FROM role_permissions rp WHERE rp.role_id = r.id),
+    '{}'
+  ) as permissions,
+  (SELECT COUNT(*)::int FROM users u WHERE u.role_id = r.id) as user_count`;
+
+// =====================================================
+// HELPER: Validate a permission list
+// =====================================================
+// Returns { valid: true, value } (deduplicated) or { valid: false, error }
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return { valid: false, error: "permissions must be an array" };
+  }
+
+  const unknown = permissions.filter((p) => !CONSTANTS.PERMISSIONS[p]);
+  if (unknown.length > 0) {
+    return {
+      valid: false,
+      error: `Unknown permission: ${unknown.join(", ")}`,
+    };
+  }
+
+  return { valid: true, value: [...new Set(permissions)].sort() };
+};
+
+// =====================================================
+// HELPER: Replace a role's permissions
+// =====================================================
+const saveRolePermissions = async (client, roleId, permissions) => {
+  await client.query("DELETE FROM role_permissions WHERE role_id = $1", [
+    roleId,
+  ]);
+  await client.query(
+    `INSERT INTO role_permissions (role_id, permission)
+     SELECT $1, unnest($2::varchar[])`,
+    [roleId, permissions],
+  );
+};
+
+// =====================================================
+// HELPER: Role with permissions and user count
+// =====================================================
+const fetchRole = async (db, roleId) => {
+  const result = await db.query(
+    `SELECT ${ROLE_COLUMNS} FROM roles r WHERE r.id = $1`,
+    [roleId],
+  );
+  return result.rows[0] || null;
+};
+
+// =====================================================
+// 1. GET PERMISSION CATALOG
+// =====================================================
+const getPermissions = async (req, res) => {
+  const data = Object.entries(CONSTANTS.PERMISSIONS).map(
+    ([permission, description]) => ({ permission, description }),
+  );
+  return sendSuccess(res, "Permissions retrieved successfully", data);
+};
+
+// =====================================================
+// 2. GET ALL ROLES
+// =====================================================
+const getRoles = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${ROLE_COLUMNS}
+       FROM roles r
+       ORDER BY r.is_system DESC, r.account_type, r.role_name`,
+    );
+
+    return sendSuccess(res, "Roles retrieved successfully", result.rows);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve roles",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 3. GET ROLE BY ID (WITH ASSIGNED USERS)
+// =====================================================
+const getRoleById = async (req, res) => {
+  try {
+    const roleId = parseInt(req.params.id);
+    if (isNaN(roleId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid role ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const role = await fetchRole(pool, roleId);
+    if (!role) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Role not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const users = await pool.query(
+      `SELECT id, username, role as account_type, teacher_name, is_active
+       FROM users
+       WHERE role_id = $1
+       ORDER BY is_active DESC, username`,
+      [roleId],
+    );
+
+    return sendSuccess(res, "Role retrieved successfully", {
+      ...role,
+      users: users.rows,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve role",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 4. CREATE ROLE
+// =====================================================
+// Body: role_key, role_name, description, account_type (admin | teacher),
+// permissions (array of permission names)
+const createRole = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const {
+      role_key,
+      role_name,
+      description,
+      account_type,
+      permissions = [],
+    } = req.body;
+
+    const roleKey = role_key ? String(role_key).trim().toLowerCase() : "";
+    if (!CONSTANTS.ROLE.KEY_PATTERN.test(roleKey)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "role_key must be 2-50 characters: lowercase letters, digits and underscores, starting with a letter",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const roleName = role_name
+      ? validators.sanitizeString(String(role_name).trim())
+      : "";
+    if (!roleName || roleName.length > CONSTANTS.ROLE.NAME_MAX_LENGTH) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `role_name is required (max ${CONSTANTS.ROLE.NAME_MAX_LENGTH} characters)`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (!CONSTANTS.ROLES.includes(account_type)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `account_type must be one of: ${CONSTANTS.ROLES.join(", ")}`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const permissionValidation = validatePermissions(permissions);
+    if (!permissionValidation.valid) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        permissionValidation.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const duplicate = await client.query(
+      "SELECT id FROM roles WHERE role_key = $1",
+      [roleKey],
+    );
+    if (duplicate.rows.length > 0) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.CONFLICT,
+        `Role ${roleKey} already exists`,
+        CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+      );
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO roles (role_key, role_name, description, account_type)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [
+        roleKey,
+        roleName,
+        description ? validators.sanitizeString(String(description)) : null,
+        account_type,
+      ],
+    );
+    const roleId = inserted.rows[0].id;
+
+    await saveRolePermissions(client, roleId, permissionValidation.value);
+
+    const role = await fetchRole(client, roleId);
+
+    await client.query("COMMIT");
+    clearPermissionCache();
+
+    logger.info(
+      `Role created by ${req.user.username}: ${roleKey} (${permissionValidation.value.length} permissions)`,
+    );
+
+    return sendSuccess(res, "Role created successfully", role);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to create role",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 5. UPDATE ROLE
+// =====================================================
+// Body: role_name, description, permissions (replaces the whole set).
+// role_key and account_type cannot change; super_admin keeps every
+// permission so role management can never be locked out.
+const updateRole = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const roleId = parseInt(req.params.id);
+    if (isNaN(roleId)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid role ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const existing = await client.query(
+      "SELECT * FROM roles WHERE id = $1 FOR UPDATE",
+      [roleId],
+    );
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Role not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const current = existing.rows[0];
+    const { role_name, description, permissions } = req.body;
+
+    let roleName = current.role_name;
+    if (role_name !== undefined) {
+      roleName = validators.sanitizeString(String(role_name).trim());
+      if (!roleName || roleName.length > CONSTANTS.ROLE.NAME_MAX_LENGTH) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `role_name is required (max ${CONSTANTS.ROLE.NAME_MAX_LENGTH} characters)`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+    }
+
+    if (permissions !== undefined) {
+      if (current.role_key === CONSTANTS.SYSTEM_ROLES.SUPER_ADMIN) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Permissions of the super_admin role cannot be changed",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const permissionValidation = validatePermissions(permissions);
+      if (!permissionValidation.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          permissionValidation.error,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      await saveRolePermissions(client, roleId, permissionValidation.value);
+    }
+
+    await client.query(
+      `UPDATE roles
+       SET role_name = $1, description = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [
+        roleName,
+        description !== undefined
+          ? validators.sanitizeString(String(description)) || null
+          : current.description,
+        roleId,
+      ],
+    );
+
+    const role = await fetchRole(client, roleId);
+
+    await client.query("COMMIT");
+    clearPermissionCache();
+
+    logger.info(`Role updated by ${req.user.username}: ${current.role_key}`);
+
+    return sendSuccess(res, "Role updated successfully", role);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to update role",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 6. DELETE ROLE
+// =====================================================
+// Built-in roles and roles still assigned to users cannot be deleted
+const deleteRole = async (req, res) => {
+  try {
+    const roleId = parseInt(req.params.id);
+    if (isNaN(roleId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid role ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const role = await fetchRole(pool, roleId);
+    if (!role) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Role not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (role.is_system) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Built-in role ${role.role_key} cannot be deleted`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (role.user_count > 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.CONFLICT,
+        `Role ${role.role_key} is assigned to ${role.user_count} user(s). Reassign them first.`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    await pool.query("DELETE FROM roles WHERE id = $1", [roleId]);
+    clearPermissionCache();
+
+    logger.info(`Role deleted by ${req.user.username}: ${role.role_key}`);
+
+    return sendSuccess(res, "Role deleted successfully", {
+      id: role.id,
+      role_key: role.role_key,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to delete role",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 7. ASSIGN ROLE TO USER
+// =====================================================
+// Body: role_id. The role's account type must match the user's
+// (users.role). The user's access tokens are invalidated (token_version),
+// so the new role applies once the client refreshes its token.
+const assignUserRole = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const roleId = parseInt(req.body.role_id);
+
+    if (isNaN(userId) || isNaN(roleId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Valid user ID and role_id are required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (userId === req.user.id) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "You cannot change your own role",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const userResult = await pool.query(
+      "SELECT id, username, role, role_id FROM users WHERE id = $1",
+      [userId],
+    );
+    if (userResult.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "User not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const role = await fetchRole(pool, roleId);
+    if (!role) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Role not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const user = userResult.rows[0];
+
+    if (role.account_type !== user.role) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Role ${role.role_key} is for ${role.account_type} accounts; ${user.username} is a ${user.role} account`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const result = await pool.query(
+      `UPDATE users
+       SET role_id = $1, token_version = token_version + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id, username, role as account_type, role_id`,
+      [roleId, userId],
+    );
+    clearTokenVersionCache(userId);
+
+    logger.info(
+      `Role of ${user.username} changed by ${req.user.username}: ${user.role_id || "default"} -> ${role.role_key}`,
+    );
+
+    return sendSuccess(res, "Role assigned successfully", {
+      ...result.rows[0],
+      role_key: role.role_key,
+      role_name: role.role_name,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to assign role",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 8. ASSIGN REGIONAL HUBS TO ADMIN
+// =====================================================
+// Body: regional_hubs (array of head branch codes). Replaces the admin's
+// hubs; an empty array removes the binding (access to every hub). Only
+// unrestricted admins may bind admins. Applies from the admin's next request.
+const assignAdminHubs = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const userId = parseInt(req.params.userId);
+    const { regional_hubs } = req.body;
+
+    if (isNaN(userId) || !Array.isArray(regional_hubs)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Valid user ID and regional_hubs (array) are required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (!hasAllBranchAccess(req.user)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        "Only admins without a regional hub binding can assign regional hubs",
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    if (userId === req.user.id) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "You cannot change your own regional hubs",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const userResult = await client.query(
+      "SELECT id, username, role FROM users WHERE id = $1",
+      [userId],
+    );
+    if (userResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "User not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const user = userResult.rows[0];
+    if (user.role !== "admin") {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `${user.username} is a ${user.role} account; only admin accounts can be bound to regional hubs`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const hubs = [
+      ...new Set(regional_hubs.map((hub) => String(hub).trim().toUpperCase())),
+    ].filter(Boolean);
+
+    if (hubs.length > 0) {
+      const hubCheck = await client.query(
+        `SELECT branch_code FROM branches
+         WHERE branch_code = ANY($1) AND is_head_branch = true`,
+        [hubs],
+      );
+      const found = hubCheck.rows.map((row) => row.branch_code);
+      const invalid = hubs.filter((hub) => !found.includes(hub));
+
+      if (invalid.length > 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Not regional hubs (head branches): ${invalid.join(", ")}`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+    }
+
+    await client.query("DELETE FROM admin_hubs WHERE user_id = $1", [userId]);
+
+    if (hubs.length > 0) {
+      await client.query(
+        `INSERT INTO admin_hubs (user_id, regional_hub, assigned_by)
+         SELECT $1, hub, $3 FROM UNNEST($2::varchar[]) AS hub`,
+        [userId, hubs, req.user.id],
+      );
+    }
+
+    await client.query("COMMIT");
+    clearHubScopeCache(userId);
+
+    logger.info(
+      `Regional hubs of ${user.username} set by ${req.user.username}: ${hubs.length > 0 ? hubs.join(", ") : "all hubs"}`,
+    );
+
+    return sendSuccess(res, "Regional hubs assigned successfully", {
+      id: user.id,
+      username: user.username,
+      regional_hubs: hubs,
+      unrestricted: hubs.length === 0,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to assign regional hubs",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole,
+  assignAdminHubs,
+};
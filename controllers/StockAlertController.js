@@ -0,0 +1,575 @@
+// controllers/StockAlertController.js
+// Low-stock thresholds (per branch or per regional hub) and alert notifications
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const validators = require("../utils/validators");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const {
+  isHubBound,
+  hasAllBranchAccess,
+  canAccessBranch,
+  canAccessHub,
+  getUserBranchCodes,
+} = require("../utils/branchAccess");
+
+// =====================================================
+// HELPER: Effective threshold for a branch (branch overrides hub)
+// =====================================================
+const getEffectiveThreshold = async (client, branchCode) => {
+  const result = await client.query(
+    `SELECT
+      COALESCE(bt.min_certificates, ht.min_certificates) as min_certificates,
+      COALESCE(bt.min_medals, ht.min_medals) as min_medals,
+      CASE WHEN bt.id IS NOT NULL THEN 'branch' ELSE 'regional_hub' END as threshold_source
+     FROM branches b
+     LEFT JOIN stock_thresholds bt ON bt.branch_code = b.branch_code
+     LEFT JOIN stock_thresholds ht ON ht.regional_hub = b.regional_hub
+     WHERE b.branch_code = $1
+       AND (bt.id IS NOT NULL OR ht.id IS NOT NULL)`,
+    [branchCode],
+  );
+
+  return result.rows[0] || null;
+};
+
+// =====================================================
+// HELPER: Raise alert when a stock decrease crosses the threshold
+// =====================================================
+// Called inside the caller's transaction AFTER stock was deducted.
+// certificatesUsed / medalsUsed are the (positive) amounts just removed.
+const checkLowStockAlert = async (
+  client,
+  {
+    branchCode,
+    certificateId,
+    certificatesUsed = 0,
+    medalsUsed = 0,
+    trigger,
+    performedBy = "System",
+  },
+) => {
+  const threshold = await getEffectiveThreshold(client, branchCode);
+  if (!threshold) return null;
+
+  const totals = await client.query(
+    `SELECT
+      COALESCE(SUM(jumlah_sertifikat), 0)::int as certificates,
+      COALESCE(SUM(jumlah_medali), 0)::int as medals
+     FROM certificate_stock
+     WHERE branch_code = $1`,
+    [branchCode],
+  );
+
+  const after = totals.rows[0];
+  const before = {
+    certificates: after.certificates + certificatesUsed,
+    medals: after.medals + medalsUsed,
+  };
+
+  // Only alert on the transition from >= threshold to < threshold
+  const crossed = [];
+  if (
+    threshold.min_certificates > 0 &&
+    before.certificates >= threshold.min_certificates &&
+    after.certificates < threshold.min_certificates
+  ) {
+    crossed.push("certificates");
+  }
+  if (
+    threshold.min_medals > 0 &&
+    before.medals >= threshold.min_medals &&
+    after.medals < threshold.min_medals
+  ) {
+    crossed.push("medals");
+  }
+
+  if (crossed.length === 0) return null;
+
+  const message = `Low stock at ${branchCode}: ${after.certificates} certificates (min ${threshold.min_certificates}), ${after.medals} medals (min ${threshold.min_medals})`;
+
+  const payload = {
+    crossed,
+    before,
+    after,
+    threshold: {
+      min_certificates: threshold.min_certificates,
+      min_medals: threshold.min_medals,
+      source: threshold.threshold_source,
+    },
+    trigger,
+  };
+
+  const notification = await client.query(
+    `INSERT INTO notifications (type, branch_code, certificate_id, message, payload)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [
+      CONSTANTS.NOTIFICATION_TYPES.LOW_STOCK,
+      branchCode,
+      certificateId,
+      message,
+      JSON.stringify(payload),
+    ],
+  );
+
+  await client.query(
+    `INSERT INTO certificate_logs
+     (certificate_id, action_type, description, from_branch,
+      old_values, new_values, performed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      certificateId,
+      CONSTANTS.LOG_ACTION_TYPES.LOW_STOCK_ALERT,
+      message,
+      branchCode,
+      JSON.stringify(before),
+      JSON.stringify({
+        ...payload,
+        notification_id: notification.rows[0].id,
+      }),
+      performedBy,
+    ],
+  );
+
+  logger.warn(message);
+
+  return {
+    notification_id: notification.rows[0].id,
+    branch_code: branchCode,
+    message,
+    ...payload,
+  };
+};
+
+// =====================================================
+// 1. GET ALL THRESHOLDS
+// =====================================================
+const getThresholds = async (req, res) => {
+  try {
+    // Hub-bound admins: thresholds of their hubs and the branches in them
+    const hubBound = isHubBound(req.user);
+
+    const result = await pool.query(
+      `SELECT
+        st.*,
+        COALESCE(b.branch_name, hub.branch_name) as target_name
+       FROM stock_thresholds st
+       LEFT JOIN branches b ON st.branch_code = b.branch_code
+       LEFT JOIN branches hub ON st.regional_hub = hub.branch_code
+       WHERE $1::varchar[] IS NULL
+          OR st.branch_code = ANY($2)
+          OR st.regional_hub = ANY($1)
+       ORDER BY st.regional_hub NULLS LAST, st.branch_code`,
+      [
+        hubBound ? req.user.hub_scope : null,
+        hubBound ? req.user.hub_branches : null,
+      ],
+    );
+
+    return sendSuccess(res, "Thresholds retrieved successfully", result.rows, {
+      count: result.rows.length,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve thresholds",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 2. SET THRESHOLD (BRANCH OR REGIONAL HUB) - ADMIN
+// =====================================================
+const setThreshold = async (req, res) => {
+  try {
+    const { branch_code, regional_hub, min_certificates, min_medals } =
+      req.body;
+
+    const branchCode =
+      branch_code && branch_code.trim()
+        ? validators.sanitizeString(branch_code.trim().toUpperCase())
+        : null;
+    const hubCode =
+      regional_hub && regional_hub.trim()
+        ? validators.sanitizeString(regional_hub.trim().toUpperCase())
+        : null;
+
+    if ((branchCode && hubCode) || (!branchCode && !hubCode)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Provide either branch_code or regional_hub (not both)",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (
+      branchCode
+        ? !canAccessBranch(req.user, branchCode)
+        : !canAccessHub(req.user, hubCode)
+    ) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        `${branchCode || hubCode} is outside your regional hub`,
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const minCert = parseInt(min_certificates) || 0;
+    const minMedal = parseInt(min_medals) || 0;
+
+    if (minCert < 0 || minMedal < 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Thresholds cannot be negative",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const branchCheck = await pool.query(
+      "SELECT branch_code, is_head_branch FROM branches WHERE branch_code = $1",
+      [branchCode || hubCode],
+    );
+
+    if (branchCheck.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        `Branch ${branchCode || hubCode} not found`,
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (hubCode && !branchCheck.rows[0].is_head_branch) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `${hubCode} is not a regional hub (head branch)`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const conflictTarget = branchCode
+      ? "(branch_code) WHERE branch_code IS NOT NULL"
+      : "(regional_hub) WHERE regional_hub IS NOT NULL";
+
+    const result = await pool.query(
+      `INSERT INTO stock_thresholds
+       (branch_code, regional_hub, min_certificates, min_medals, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT ${conflictTarget}
+       DO UPDATE SET
+         min_certificates = $3,
+         min_medals = $4,
+         updated_by = $5,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [branchCode, hubCode, minCert, minMedal, req.user.username],
+    );
+
+    logger.info(
+      `Low-stock threshold set for ${branchCode ? `branch ${branchCode}` : `hub ${hubCode}`}: ${minCert} certificates, ${minMedal} medals`,
+    );
+
+    return sendSuccess(res, "Threshold saved successfully", result.rows[0]);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to save threshold",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 3. DELETE THRESHOLD - ADMIN
+// =====================================================
+const deleteThreshold = async (req, res) => {
+  try {
+    const thresholdId = parseInt(req.params.id);
+    if (isNaN(thresholdId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid threshold ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const existing = await pool.query(
+      "SELECT branch_code, regional_hub FROM stock_thresholds WHERE id = $1",
+      [thresholdId],
+    );
+
+    if (existing.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Threshold not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const { branch_code: branchCode, regional_hub: hubCode } = existing.rows[0];
+    if (
+      branchCode
+        ? !canAccessBranch(req.user, branchCode)
+        : !canAccessHub(req.user, hubCode)
+    ) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        `${branchCode || hubCode} is outside your regional hub`,
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const result = await pool.query(
+      "DELETE FROM stock_thresholds WHERE id = $1 RETURNING *",
+      [thresholdId],
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Threshold not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    logger.info(`Low-stock threshold #${thresholdId} deleted`);
+
+    return sendSuccess(res, "Threshold deleted successfully", result.rows[0]);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to delete threshold",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 4. GET LOW STOCK BRANCHES (WITH BATCH BREAKDOWN)
+// =====================================================
+const getLowStock = async (req, res) => {
+  try {
+    const { regional_hub } = req.query;
+
+    const conditions = ["b.is_active = true"];
+    const params = [];
+
+    if (regional_hub && regional_hub.trim()) {
+      if (!canAccessHub(req.user, regional_hub.trim().toUpperCase())) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.FORBIDDEN,
+          `Regional hub ${regional_hub.trim().toUpperCase()} is outside your regional hub`,
+          CONSTANTS.ERROR_CODES.FORBIDDEN,
+        );
+      }
+      params.push(regional_hub.trim().toUpperCase());
+      conditions.push(`b.regional_hub = $${params.length}`);
+    }
+
+    if (!hasAllBranchAccess(req.user)) {
+      params.push(getUserBranchCodes(req.user));
+      conditions.push(`b.branch_code = ANY($${params.length})`);
+    }
+
+    const result = await pool.query(
+      `WITH totals AS (
+        SELECT
+          b.branch_code,
+          b.branch_name,
+          b.regional_hub,
+          COALESCE(SUM(cs.jumlah_sertifikat), 0)::int as certificates,
+          COALESCE(SUM(cs.jumlah_medali), 0)::int as medals,
+          COALESCE(
+            json_agg(
+              json_build_object(
+                'certificate_id', cs.certificate_id,
+                'certificates', cs.jumlah_sertifikat,
+                'medals', cs.jumlah_medali
+              ) ORDER BY cs.certificate_id
+            ) FILTER (WHERE cs.certificate_id IS NOT NULL),
+            '[]'::json
+          ) as batches
+        FROM branches b
+        LEFT JOIN certificate_stock cs ON cs.branch_code = b.branch_code
+        WHERE ${conditions.join(" AND ")}
+        GROUP BY b.branch_code, b.branch_name, b.regional_hub
+      )
+      SELECT
+        t.*,
+        COALESCE(bt.min_certificates, ht.min_certificates) as min_certificates,
+        COALESCE(bt.min_medals, ht.min_medals) as min_medals,
+        CASE WHEN bt.id IS NOT NULL THEN 'branch' ELSE 'regional_hub' END as threshold_source
+      FROM totals t
+      LEFT JOIN stock_thresholds bt ON bt.branch_code = t.branch_code
+      LEFT JOIN stock_thresholds ht ON ht.regional_hub = t.regional_hub
+      WHERE (bt.id IS NOT NULL OR ht.id IS NOT NULL)
+        AND (
+          t.certificates < COALESCE(bt.min_certificates, ht.min_certificates)
+          OR t.medals < COALESCE(bt.min_medals, ht.min_medals)
+        )
+      ORDER BY t.regional_hub, t.branch_code`,
+      params,
+    );
+
+    const data = result.rows.map((row) => ({
+      ...row,
+      shortage: {
+        certificates: Math.max(row.min_certificates - row.certificates, 0),
+        medals: Math.max(row.min_medals - row.medals, 0),
+      },
+    }));
+
+    return sendSuccess(res, "Low stock branches retrieved successfully", data, {
+      count: data.length,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve low stock branches",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 5. GET NOTIFICATIONS
+// =====================================================
+const getNotifications = async (req, res) => {
+  try {
+    const { unread_only, branch_code, limit } = req.query;
+
+    const validatedLimit = Math.min(
+      Math.max(parseInt(limit) || CONSTANTS.PAGINATION.DEFAULT_LIMIT, 1),
+      CONSTANTS.PAGINATION.MAX_LIMIT,
+    );
+
+    const conditions = [];
+    const params = [];
+
+    if (unread_only === "true") {
+      conditions.push("n.is_read = false");
+    }
+
+    if (branch_code && branch_code.trim()) {
+      params.push(branch_code.trim().toUpperCase());
+      conditions.push(`n.branch_code = $${params.length}`);
+    }
+
+    if (!hasAllBranchAccess(req.user)) {
+      params.push(getUserBranchCodes(req.user));
+      conditions.push(`n.branch_code = ANY($${params.length})`);
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await pool.query(
+      `SELECT n.*, b.branch_name
+       FROM notifications n
+       LEFT JOIN branches b ON n.branch_code = b.branch_code
+       ${whereClause}
+       ORDER BY n.created_at DESC
+       LIMIT $${params.length + 1}`,
+      [...params, validatedLimit],
+    );
+
+    return sendSuccess(
+      res,
+      "Notifications retrieved successfully",
+      result.rows,
+      {
+        count: result.rows.length,
+      },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve notifications",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 6. MARK NOTIFICATION AS READ
+// =====================================================
+const markNotificationRead = async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    if (isNaN(notificationId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid notification ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const params = [req.user.username, notificationId];
+    let branchFilter = "";
+
+    if (!hasAllBranchAccess(req.user)) {
+      params.push(getUserBranchCodes(req.user));
+      branchFilter = "AND branch_code = ANY($3)";
+    }
+
+    const result = await pool.query(
+      `UPDATE notifications
+       SET is_read = true, read_by = $1, read_at = CURRENT_TIMESTAMP
+       WHERE id = $2 ${branchFilter}
+       RETURNING *`,
+      params,
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Notification not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    return sendSuccess(res, "Notification marked as read", result.rows[0]);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to update notification",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+module.exports = {
+  getThresholds,
+  setThreshold,
+  deleteThreshold,
+  getLowStock,
+  getNotifications,
+  markNotificationRead,
+  checkLowStockAlert,
+};
@@ -0,0 +1,939 @@
+// controllers/StockRequestController.js
+// Stock requests from regular branches to their regional hub
+// Fulfilment reuses performMigration and links the MIGRATE log entry
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const validators = require("../utils/validators");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const {
+  isHubBound,
+  hasAllBranchAccess,
+  canAccessBranch,
+  canAccessHub,
+  branchForbiddenMessage,
+  getUserBranchCodes,
+} = require("../utils/branchAccess");
+const { performMigration } = require("./CertificateController");
+
+const STATUS = CONSTANTS.STOCK_REQUEST_STATUS;
+
+// =====================================================
+// HELPER: Load request (optionally locked for update)
+// =====================================================
+const getRequest = async (client, requestId, forUpdate = false) => {
+  const result = await client.query(
+    `SELECT
+      sr.*,
+      b.branch_name as requesting_branch_name,
+      hub.branch_name as hub_name
+     FROM stock_requests sr
+     JOIN branches b ON sr.requesting_branch = b.branch_code
+     JOIN branches hub ON sr.regional_hub = hub.branch_code
+     WHERE sr.id = $1
+     ${forUpdate ? "FOR UPDATE OF sr" : ""}`,
+    [requestId],
+  );
+
+  return result.rows[0] || null;
+};
+
+// =====================================================
+// HELPER: Validate the acting user manages the request's regional hub
+// =====================================================
+const validateHubAccess = async (client, user, request) => {
+  // Hub-bound admins review the requests of any hub assigned to them
+  if (isHubBound(user)) {
+    return canAccessHub(user, request.regional_hub)
+      ? { valid: true }
+      : {
+          valid: false,
+          error: `This request belongs to the ${request.regional_hub} regional hub, which is outside your regional hub`,
+        };
+  }
+
+  const actingBranch = user.teacher_branch || "SND"; // Fallback to SND for admin
+
+  const actingInfo = await client.query(
+    "SELECT branch_code, is_head_branch FROM branches WHERE branch_code = $1",
+    [actingBranch],
+  );
+
+  if (actingInfo.rows.length === 0 || !actingInfo.rows[0].is_head_branch) {
+    return {
+      valid: false,
+      error: "Only head branches can review stock requests",
+    };
+  }
+
+  if (actingBranch !== request.regional_hub) {
+    return {
+      valid: false,
+      error: `This request belongs to the ${request.regional_hub} regional hub. You can only review requests for ${actingBranch}.`,
+    };
+  }
+
+  return { valid: true };
+};
+
+// =====================================================
+// HELPER: Parse request ID param
+// =====================================================
+const parseRequestId = (id) => {
+  const requestId = parseInt(id);
+  return isNaN(requestId) ? null : requestId;
+};
+
+// =====================================================
+// 1. CREATE STOCK REQUEST (REGULAR BRANCH -> REGIONAL HUB)
+// =====================================================
+const createRequest = async (req, res) => {
+  try {
+    const {
+      branch_code,
+      certificate_id,
+      certificate_amount,
+      medal_amount,
+      needed_by,
+      notes,
+    } = req.body;
+
+    const branchCode =
+      branch_code && branch_code.trim()
+        ? validators.sanitizeString(branch_code.trim().toUpperCase())
+        : req.user.teacher_branch;
+
+    if (!branchCode) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Branch code is required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (!canAccessBranch(req.user, branchCode)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        branchForbiddenMessage(req.user, branchCode),
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const certAmount = parseInt(certificate_amount) || 0;
+    const medalAmount = parseInt(medal_amount) || 0;
+
+    if (certAmount < 0 || medalAmount < 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Certificate and medal amounts cannot be negative",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (certAmount === 0 && medalAmount === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "At least one certificate or medal amount must be greater than 0",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    let neededBy = null;
+    if (needed_by) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(needed_by)) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid needed-by date format. Use YYYY-MM-DD",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+      neededBy = needed_by;
+    }
+
+    const branchResult = await pool.query(
+      `SELECT branch_code, branch_name, is_head_branch, regional_hub, is_active
+       FROM branches
+       WHERE branch_code = $1`,
+      [branchCode],
+    );
+
+    if (branchResult.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        `Branch ${branchCode} not found`,
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const branch = branchResult.rows[0];
+
+    if (branch.is_head_branch) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Head branches manage their own stock and cannot raise stock requests",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (!branch.is_active) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Cannot raise a stock request for an inactive branch",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    // Batch is optional - null means "any batch"
+    let certificateId = null;
+    if (certificate_id && certificate_id.trim()) {
+      const idValidation = validators.validateCertificateId(certificate_id);
+      if (!idValidation.valid) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          idValidation.error,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const certCheck = await pool.query(
+        "SELECT certificate_id FROM certificates WHERE certificate_id = $1",
+        [idValidation.value],
+      );
+
+      if (certCheck.rows.length === 0) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Certificate batch not found",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      certificateId = idValidation.value;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO stock_requests
+       (requesting_branch, regional_hub, certificate_id, requested_certificates,
+        requested_medals, needed_by, notes, status, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        branchCode,
+        branch.regional_hub,
+        certificateId,
+        certAmount,
+        medalAmount,
+        neededBy,
+        notes ? validators.sanitizeString(notes.trim()) : null,
+        STATUS.PENDING,
+        req.user.username,
+      ],
+    );
+
+    logger.info(
+      `Stock request #${result.rows[0].id} raised by ${branchCode} to ${branch.regional_hub}: ${certAmount} certificates, ${medalAmount} medals (${certificateId || "any batch"})`,
+    );
+
+    return sendSuccess(res, "Stock request created successfully", result.rows[0]);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to create stock request",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 2. GET ALL STOCK REQUESTS
+// =====================================================
+// Teachers see requests raised by their branches plus, for head branches,
+// the incoming requests of their regional hub
+const getAllRequests = async (req, res) => {
+  try {
+    const { status, branch_code, regional_hub, limit, offset } = req.query;
+
+    const validatedLimit = Math.min(
+      Math.max(parseInt(limit) || CONSTANTS.PAGINATION.DEFAULT_LIMIT, 1),
+      CONSTANTS.PAGINATION.MAX_LIMIT,
+    );
+    const validatedOffset = Math.max(
+      parseInt(offset) || CONSTANTS.PAGINATION.DEFAULT_OFFSET,
+      0,
+    );
+
+    const conditions = [];
+    const params = [];
+
+    if (status && status.trim()) {
+      params.push(status.trim().toLowerCase());
+      conditions.push(`sr.status = $${params.length}`);
+    }
+
+    if (branch_code && branch_code.trim()) {
+      params.push(branch_code.trim().toUpperCase());
+      conditions.push(`sr.requesting_branch = $${params.length}`);
+    }
+
+    if (regional_hub && regional_hub.trim()) {
+      if (!canAccessHub(req.user, regional_hub.trim().toUpperCase())) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.FORBIDDEN,
+          `Regional hub ${regional_hub.trim().toUpperCase()} is outside your regional hub`,
+          CONSTANTS.ERROR_CODES.FORBIDDEN,
+        );
+      }
+      params.push(regional_hub.trim().toUpperCase());
+      conditions.push(`sr.regional_hub = $${params.length}`);
+    }
+
+    // Teachers: their branches (plus incoming requests at head branches)
+    // Hub-bound admins: requests raised in their hubs
+    if (!hasAllBranchAccess(req.user)) {
+      params.push(getUserBranchCodes(req.user));
+      conditions.push(
+        `(sr.requesting_branch = ANY($${params.length}) OR (sr.regional_hub = ANY($${params.length}) AND $${params.length + 1}::boolean))`,
+      );
+      params.push(req.user.is_head_branch === true);
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM stock_requests sr ${whereClause}`,
+      params,
+    );
+
+    const result = await pool.query(
+      `SELECT
+        sr.*,
+        b.branch_name as requesting_branch_name,
+        hub.branch_name as hub_name
+       FROM stock_requests sr
+       JOIN branches b ON sr.requesting_branch = b.branch_code
+       JOIN branches hub ON sr.regional_hub = hub.branch_code
+       ${whereClause}
+       ORDER BY
+         CASE WHEN sr.status = '${STATUS.PENDING}' THEN 0 ELSE 1 END,
+         sr.needed_by ASC NULLS LAST,
+         sr.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, validatedLimit, validatedOffset],
+    );
+
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    return sendSuccess(
+      res,
+      "Stock requests retrieved successfully",
+      result.rows,
+      {
+        pagination: {
+          total: totalCount,
+          limit: validatedLimit,
+          offset: validatedOffset,
+          hasMore: totalCount > validatedOffset + result.rows.length,
+        },
+      },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve stock requests",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 3. GET STOCK REQUEST BY ID
+// =====================================================
+const getRequestById = async (req, res) => {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (!requestId) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stock request ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const request = await getRequest(pool, requestId);
+
+    if (!request) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stock request not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (
+      !canAccessBranch(req.user, request.requesting_branch) &&
+      !canAccessBranch(req.user, request.regional_hub)
+    ) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        "You do not have access to this stock request",
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    return sendSuccess(res, "Stock request retrieved successfully", request);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve stock request",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 4. APPROVE STOCK REQUEST (FULL OR PARTIAL) - REGIONAL HUB
+// =====================================================
+const approveRequest = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const requestId = parseRequestId(req.params.id);
+    if (!requestId) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stock request ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const request = await getRequest(client, requestId, true);
+
+    if (!request) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stock request not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const hubAccess = await validateHubAccess(client, req.user, request);
+    if (!hubAccess.valid) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        hubAccess.error,
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    if (request.status !== STATUS.PENDING) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Only pending requests can be approved (current status: ${request.status})`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const { approved_certificates, approved_medals } = req.body;
+
+    // Omitted quantities default to the full requested amount
+    const approvedCert =
+      approved_certificates === undefined || approved_certificates === null
+        ? request.requested_certificates
+        : parseInt(approved_certificates);
+    const approvedMedal =
+      approved_medals === undefined || approved_medals === null
+        ? request.requested_medals
+        : parseInt(approved_medals);
+
+    if (
+      isNaN(approvedCert) ||
+      isNaN(approvedMedal) ||
+      approvedCert < 0 ||
+      approvedMedal < 0
+    ) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Approved amounts must be non-negative numbers",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (
+      approvedCert > request.requested_certificates ||
+      approvedMedal > request.requested_medals
+    ) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Approved amounts cannot exceed the requested ${request.requested_certificates} certificates and ${request.requested_medals} medals`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (approvedCert === 0 && approvedMedal === 0) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Approve at least one certificate or medal, or reject the request instead",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const isPartial =
+      approvedCert < request.requested_certificates ||
+      approvedMedal < request.requested_medals;
+
+    const result = await client.query(
+      `UPDATE stock_requests
+       SET status = $1,
+           approved_certificates = $2,
+           approved_medals = $3,
+           reviewed_by = $4,
+           reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [
+        isPartial ? STATUS.PARTIALLY_APPROVED : STATUS.APPROVED,
+        approvedCert,
+        approvedMedal,
+        req.user.username,
+        requestId,
+      ],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Stock request #${requestId} ${isPartial ? "partially " : ""}approved by ${req.user.username}: ${approvedCert} certificates, ${approvedMedal} medals`,
+    );
+
+    return sendSuccess(
+      res,
+      `Stock request ${isPartial ? "partially " : ""}approved successfully`,
+      result.rows[0],
+    );
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to approve stock request",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 5. REJECT STOCK REQUEST - REGIONAL HUB
+// =====================================================
+const rejectRequest = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const requestId = parseRequestId(req.params.id);
+    const { reason } = req.body;
+
+    if (!requestId) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stock request ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (!reason || !reason.trim()) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Rejection reason is required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const request = await getRequest(client, requestId, true);
+
+    if (!request) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stock request not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const hubAccess = await validateHubAccess(client, req.user, request);
+    if (!hubAccess.valid) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        hubAccess.error,
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    if (
+      ![STATUS.PENDING, STATUS.APPROVED, STATUS.PARTIALLY_APPROVED].includes(
+        request.status,
+      )
+    ) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Request cannot be rejected (current status: ${request.status})`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE stock_requests
+       SET status = $1,
+           rejection_reason = $2,
+           reviewed_by = $3,
+           reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [
+        STATUS.REJECTED,
+        validators.sanitizeString(reason.trim()),
+        req.user.username,
+        requestId,
+      ],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(`Stock request #${requestId} rejected by ${req.user.username}`);
+
+    return sendSuccess(res, "Stock request rejected", result.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to reject stock request",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 6. FULFIL STOCK REQUEST (RUNS MIGRATION) - REGIONAL HUB
+// =====================================================
+// dispatch = true sends the stock in transit; the destination then confirms
+// receipt through /api/certificates/shipments/:id/receive
+const fulfilRequest = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const requestId = parseRequestId(req.params.id);
+    const { certificate_id, dispatch } = req.body;
+
+    if (!requestId) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stock request ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const request = await getRequest(client, requestId, true);
+
+    if (!request) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stock request not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const hubAccess = await validateHubAccess(client, req.user, request);
+    if (!hubAccess.valid) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        hubAccess.error,
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    if (
+      ![STATUS.PENDING, STATUS.APPROVED, STATUS.PARTIALLY_APPROVED].includes(
+        request.status,
+      )
+    ) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Request cannot be fulfilled (current status: ${request.status})`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    // ===== RESOLVE BATCH =====
+    // Specific-batch requests use their batch; "any batch" requests need the
+    // hub to pick one at fulfilment time
+    let certificateId = request.certificate_id;
+
+    if (certificate_id && certificate_id.trim()) {
+      const idValidation = validators.validateCertificateId(certificate_id);
+      if (!idValidation.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          idValidation.error,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      if (certificateId && idValidation.value !== certificateId) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `This request is for batch ${certificateId}`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      certificateId = idValidation.value;
+    }
+
+    if (!certificateId) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "This request accepts any batch. Please choose the batch (certificate_id) to fulfil it from.",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    // Pending requests are fulfilled in full (implicit full approval)
+    const certAmount =
+      request.approved_certificates ?? request.requested_certificates;
+    const medalAmount = request.approved_medals ?? request.requested_medals;
+
+    const migration = await performMigration(client, {
+      certificateId,
+      sourceBranch: request.regional_hub,
+      destinationBranch: request.requesting_branch,
+      certificateAmount: certAmount,
+      medalAmount,
+      performedBy: req.user?.username || "System",
+      extraValues: { stock_request_id: requestId },
+      dispatch: dispatch === true || dispatch === "true",
+    });
+
+    if (!migration.valid) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        migration.statusCode,
+        migration.error,
+        migration.errorCode,
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE stock_requests
+       SET status = $1,
+           approved_certificates = $2,
+           approved_medals = $3,
+           reviewed_by = COALESCE(reviewed_by, $4),
+           reviewed_at = COALESCE(reviewed_at, CURRENT_TIMESTAMP),
+           fulfilled_certificate_id = $5,
+           migration_log_id = $6,
+           fulfilled_by = $4,
+           fulfilled_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [
+        STATUS.FULFILLED,
+        certAmount,
+        medalAmount,
+        req.user.username,
+        certificateId,
+        migration.logId,
+        requestId,
+      ],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Stock request #${requestId} fulfilled: ${certificateId} ${request.regional_hub} -> ${request.requesting_branch} (log #${migration.logId})`,
+    );
+
+    return sendSuccess(res, "Stock request fulfilled successfully", {
+      request: result.rows[0],
+      migration: {
+        log_id: migration.logId,
+        shipment_id: migration.shipmentId,
+        certificate_id: certificateId,
+        from: request.regional_hub,
+        to: request.requesting_branch,
+        certificates: certAmount,
+        medals: medalAmount,
+      },
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to fulfil stock request",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 7. CANCEL STOCK REQUEST - REQUESTING BRANCH
+// =====================================================
+const cancelRequest = async (req, res) => {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (!requestId) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stock request ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const request = await getRequest(pool, requestId);
+
+    if (!request) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stock request not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (!canAccessBranch(req.user, request.requesting_branch)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        branchForbiddenMessage(req.user, request.requesting_branch),
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const result = await pool.query(
+      `UPDATE stock_requests
+       SET status = $1
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [
+        STATUS.CANCELLED,
+        requestId,
+        [STATUS.PENDING, STATUS.APPROVED, STATUS.PARTIALLY_APPROVED],
+      ],
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Request cannot be cancelled (current status: ${request.status})`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    logger.info(`Stock request #${requestId} cancelled by ${req.user.username}`);
+
+    return sendSuccess(res, "Stock request cancelled", result.rows[0]);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to cancel stock request",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+module.exports = {
+  createRequest,
+  getAllRequests,
+  getRequestById,
+  approveRequest,
+  rejectRequest,
+  fulfilRequest,
+  cancelRequest,
+};
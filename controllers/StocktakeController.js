@@ -0,0 +1,842 @@
+// controllers/StocktakeController.js
+// Physical stocktake sessions - count per batch, variance report, approval
+// Approved variances are posted through applyStockAdjustment (reason: recount)
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const validators = require("../utils/validators");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const {
+  isHubBound,
+  hasAllBranchAccess,
+  canAccessBranch,
+  isOutsideHub,
+  branchForbiddenMessage,
+  getUserBranchCodes,
+} = require("../utils/branchAccess");
+const { applyStockAdjustment } = require("./CertificateController");
+
+// =====================================================
+// HELPER: Expected stock per batch according to certificate_logs
+// =====================================================
+// Replays every stock-moving log entry that touches the branch:
+// CREATE (new_values.branch), MIGRATE in/out, DISPATCH out, RECEIVE in,
+// ADJUST, PRINT, VOID and REPRINT (signed)
+const getLogTrailStock = async (client, branchCode) => {
+  const { CREATE, MIGRATE, DISPATCH, RECEIVE, ADJUST, PRINT, VOID, REPRINT } =
+    CONSTANTS.LOG_ACTION_TYPES;
+
+  const result = await client.query(
+    `SELECT
+      cl.certificate_id,
+      COALESCE(SUM(CASE
+        WHEN cl.action_type = '${CREATE}' AND cl.new_values->>'branch' = $1 THEN cl.certificate_amount
+        WHEN cl.action_type IN ('${MIGRATE}', '${RECEIVE}') AND cl.to_branch = $1 THEN cl.certificate_amount
+        WHEN cl.action_type IN ('${MIGRATE}', '${DISPATCH}') AND cl.from_branch = $1 THEN -cl.certificate_amount
+        WHEN cl.action_type IN ('${ADJUST}', '${PRINT}', '${VOID}', '${REPRINT}') AND cl.from_branch = $1 THEN cl.certificate_amount
+        ELSE 0
+      END), 0)::int as expected_certificates,
+      COALESCE(SUM(CASE
+        WHEN cl.action_type = '${CREATE}' AND cl.new_values->>'branch' = $1 THEN cl.medal_amount
+        WHEN cl.action_type IN ('${MIGRATE}', '${RECEIVE}') AND cl.to_branch = $1 THEN cl.medal_amount
+        WHEN cl.action_type IN ('${MIGRATE}', '${DISPATCH}') AND cl.from_branch = $1 THEN -cl.medal_amount
+        WHEN cl.action_type IN ('${ADJUST}', '${PRINT}', '${VOID}', '${REPRINT}') AND cl.from_branch = $1 THEN cl.medal_amount
+        ELSE 0
+      END), 0)::int as expected_medals
+     FROM certificate_logs cl
+     WHERE cl.from_branch = $1
+        OR cl.to_branch = $1
+        OR cl.new_values->>'branch' = $1
+     GROUP BY cl.certificate_id`,
+    [branchCode],
+  );
+
+  const trail = {};
+  result.rows.forEach((row) => {
+    trail[row.certificate_id] = {
+      certificates: row.expected_certificates,
+      medals: row.expected_medals,
+    };
+  });
+
+  return trail;
+};
+
+// =====================================================
+// HELPER: Load session (optionally locked for update)
+// =====================================================
+const getSession = async (client, sessionId, forUpdate = false) => {
+  const result = await client.query(
+    `SELECT
+      ss.*,
+      b.branch_name,
+      b.regional_hub
+     FROM stocktake_sessions ss
+     JOIN branches b ON ss.branch_code = b.branch_code
+     WHERE ss.id = $1
+     ${forUpdate ? "FOR UPDATE OF ss" : ""}`,
+    [sessionId],
+  );
+
+  return result.rows[0] || null;
+};
+
+// =====================================================
+// HELPER: Build variance report rows for a session
+// =====================================================
+const buildVarianceReport = async (client, session) => {
+  const [stockResult, trail] = await Promise.all([
+    client.query(
+      `SELECT
+        c.certificate_id,
+        COALESCE(cs.jumlah_sertifikat, 0) as current_certificates,
+        COALESCE(cs.jumlah_medali, 0) as current_medals,
+        si.id as item_id,
+        si.system_certificates,
+        si.system_medals,
+        si.counted_certificates,
+        si.counted_medals,
+        si.adjustment_log_id,
+        si.counted_by,
+        si.counted_at
+       FROM certificates c
+       LEFT JOIN certificate_stock cs
+         ON cs.certificate_id = c.certificate_id AND cs.branch_code = $1
+       LEFT JOIN stocktake_items si
+         ON si.certificate_id = c.certificate_id AND si.session_id = $2
+       WHERE cs.id IS NOT NULL OR si.id IS NOT NULL
+       ORDER BY c.created_at, c.certificate_id`,
+      [session.branch_code, session.id],
+    ),
+    getLogTrailStock(client, session.branch_code),
+  ]);
+
+  const summary = {
+    batches: 0,
+    counted: 0,
+    not_counted: 0,
+    with_variance: 0,
+    certificate_variance: 0,
+    medal_variance: 0,
+  };
+
+  const items = stockResult.rows.map((row) => {
+    const expected = trail[row.certificate_id] || { certificates: 0, medals: 0 };
+    const counted = row.item_id !== null;
+
+    const item = {
+      certificate_id: row.certificate_id,
+      status: counted ? "counted" : "not_counted",
+      current: {
+        certificates: row.current_certificates,
+        medals: row.current_medals,
+      },
+      log_trail: expected,
+      system_vs_log_trail: {
+        certificates: row.current_certificates - expected.certificates,
+        medals: row.current_medals - expected.medals,
+      },
+      system_at_count: null,
+      counted: null,
+      variance_vs_system: null,
+      variance_vs_log_trail: null,
+      adjustment_log_id: row.adjustment_log_id,
+      counted_by: row.counted_by,
+      counted_at: row.counted_at,
+    };
+
+    summary.batches++;
+
+    if (counted) {
+      item.system_at_count = {
+        certificates: row.system_certificates,
+        medals: row.system_medals,
+      };
+      item.counted = {
+        certificates: row.counted_certificates,
+        medals: row.counted_medals,
+      };
+      item.variance_vs_system = {
+        certificates: row.counted_certificates - row.system_certificates,
+        medals: row.counted_medals - row.system_medals,
+      };
+      item.variance_vs_log_trail = {
+        certificates: row.counted_certificates - expected.certificates,
+        medals: row.counted_medals - expected.medals,
+      };
+
+      summary.counted++;
+      summary.certificate_variance += item.variance_vs_system.certificates;
+      summary.medal_variance += item.variance_vs_system.medals;
+      if (
+        item.variance_vs_system.certificates !== 0 ||
+        item.variance_vs_system.medals !== 0
+      ) {
+        summary.with_variance++;
+      }
+    } else {
+      summary.not_counted++;
+    }
+
+    return item;
+  });
+
+  return { items, summary };
+};
+
+// =====================================================
+// 1. OPEN STOCKTAKE SESSION
+// =====================================================
+const openSession = async (req, res) => {
+  try {
+    const { branch_code, notes } = req.body;
+
+    const branchCode =
+      branch_code && branch_code.trim()
+        ? validators.sanitizeString(branch_code.trim().toUpperCase())
+        : req.user.teacher_branch;
+
+    if (!branchCode) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Branch code is required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (!canAccessBranch(req.user, branchCode)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        branchForbiddenMessage(req.user, branchCode),
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const branchCheck = await pool.query(
+      "SELECT branch_code, branch_name, is_active FROM branches WHERE branch_code = $1",
+      [branchCode],
+    );
+
+    if (branchCheck.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        `Branch ${branchCode} not found`,
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (!branchCheck.rows[0].is_active) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Cannot open a stocktake for an inactive branch",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const existing = await pool.query(
+      "SELECT id FROM stocktake_sessions WHERE branch_code = $1 AND status = $2",
+      [branchCode, CONSTANTS.STOCKTAKE_STATUS.OPEN],
+    );
+
+    if (existing.rows.length > 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.CONFLICT,
+        `Branch ${branchCode} already has an open stocktake session (ID: ${existing.rows[0].id})`,
+        CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+      );
+    }
+
+    const result = await pool.query(
+      `INSERT INTO stocktake_sessions (branch_code, status, notes, opened_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [
+        branchCode,
+        CONSTANTS.STOCKTAKE_STATUS.OPEN,
+        notes ? validators.sanitizeString(notes.trim()) : null,
+        req.user.username,
+      ],
+    );
+
+    logger.info(
+      `Stocktake session opened: #${result.rows[0].id} at ${branchCode} by ${req.user.username}`,
+    );
+
+    return sendSuccess(res, "Stocktake session opened successfully", {
+      ...result.rows[0],
+      branch_name: branchCheck.rows[0].branch_name,
+    });
+  } catch (error) {
+    // Partial unique index guards against two sessions opened concurrently
+    if (error.code === "23505") {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.CONFLICT,
+        "This branch already has an open stocktake session",
+        CONSTANTS.ERROR_CODES.DUPLICATE_ENTRY,
+      );
+    }
+
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to open stocktake session",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 2. GET ALL STOCKTAKE SESSIONS
+// =====================================================
+const getAllSessions = async (req, res) => {
+  try {
+    const { branch_code, status, limit, offset } = req.query;
+
+    const validatedLimit = Math.min(
+      Math.max(parseInt(limit) || CONSTANTS.PAGINATION.DEFAULT_LIMIT, 1),
+      CONSTANTS.PAGINATION.MAX_LIMIT,
+    );
+    const validatedOffset = Math.max(
+      parseInt(offset) || CONSTANTS.PAGINATION.DEFAULT_OFFSET,
+      0,
+    );
+
+    const conditions = [];
+    const params = [];
+
+    if (branch_code && branch_code.trim()) {
+      if (isOutsideHub(req.user, branch_code.trim().toUpperCase())) {
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.FORBIDDEN,
+          branchForbiddenMessage(req.user, branch_code.trim().toUpperCase()),
+          CONSTANTS.ERROR_CODES.FORBIDDEN,
+        );
+      }
+      params.push(branch_code.trim().toUpperCase());
+      conditions.push(`ss.branch_code = $${params.length}`);
+    }
+
+    if (status && status.trim()) {
+      params.push(status.trim().toLowerCase());
+      conditions.push(`ss.status = $${params.length}`);
+    }
+
+    // Teachers only see sessions for their own branches
+    if (!hasAllBranchAccess(req.user)) {
+      params.push(getUserBranchCodes(req.user));
+      conditions.push(`ss.branch_code = ANY($${params.length})`);
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM stocktake_sessions ss ${whereClause}`,
+      params,
+    );
+
+    const result = await pool.query(
+      `SELECT
+        ss.*,
+        b.branch_name,
+        (SELECT COUNT(*) FROM stocktake_items si WHERE si.session_id = ss.id)::int as items_count
+       FROM stocktake_sessions ss
+       JOIN branches b ON ss.branch_code = b.branch_code
+       ${whereClause}
+       ORDER BY ss.opened_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, validatedLimit, validatedOffset],
+    );
+
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    return sendSuccess(
+      res,
+      "Stocktake sessions retrieved successfully",
+      result.rows,
+      {
+        pagination: {
+          total: totalCount,
+          limit: validatedLimit,
+          offset: validatedOffset,
+          hasMore: totalCount > validatedOffset + result.rows.length,
+        },
+      },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve stocktake sessions",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 3. GET STOCKTAKE SESSION BY ID (WITH VARIANCE REPORT)
+// =====================================================
+const getSessionById = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    if (isNaN(sessionId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stocktake session ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const session = await getSession(pool, sessionId);
+
+    if (!session) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stocktake session not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (!canAccessBranch(req.user, session.branch_code)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        branchForbiddenMessage(req.user, session.branch_code),
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    const report = await buildVarianceReport(pool, session);
+
+    return sendSuccess(res, "Stocktake session retrieved successfully", {
+      session,
+      items: report.items,
+      summary: report.summary,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve stocktake session",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 4. SUBMIT COUNTED QUANTITIES
+// =====================================================
+const submitCounts = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const sessionId = parseInt(req.params.id);
+    const { items } = req.body;
+
+    if (isNaN(sessionId)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stocktake session ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "At least one counted batch is required",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const session = await getSession(client, sessionId, true);
+
+    if (!session) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stocktake session not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (!canAccessBranch(req.user, session.branch_code)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        branchForbiddenMessage(req.user, session.branch_code),
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    if (session.status !== CONSTANTS.STOCKTAKE_STATUS.OPEN) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Stocktake session is already ${session.status}`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const saved = [];
+
+    for (const item of items) {
+      const idValidation = validators.validateCertificateId(
+        item.certificate_id,
+      );
+      if (!idValidation.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          idValidation.error,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const certificateId = idValidation.value;
+      const countedCert = parseInt(item.counted_certificates);
+      const countedMedal = parseInt(item.counted_medals);
+
+      if (
+        isNaN(countedCert) ||
+        isNaN(countedMedal) ||
+        countedCert < 0 ||
+        countedMedal < 0
+      ) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Counted certificates and medals for ${certificateId} must be non-negative numbers`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const certCheck = await client.query(
+        "SELECT certificate_id FROM certificates WHERE certificate_id = $1",
+        [certificateId],
+      );
+
+      if (certCheck.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          `Certificate batch ${certificateId} not found`,
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      // Snapshot system stock at the moment of counting
+      const stockResult = await client.query(
+        `SELECT jumlah_sertifikat, jumlah_medali
+         FROM certificate_stock
+         WHERE certificate_id = $1 AND branch_code = $2`,
+        [certificateId, session.branch_code],
+      );
+
+      const systemCert =
+        stockResult.rows.length > 0
+          ? parseInt(stockResult.rows[0].jumlah_sertifikat) || 0
+          : 0;
+      const systemMedal =
+        stockResult.rows.length > 0
+          ? parseInt(stockResult.rows[0].jumlah_medali) || 0
+          : 0;
+
+      const result = await client.query(
+        `INSERT INTO stocktake_items
+         (session_id, certificate_id, system_certificates, system_medals,
+          counted_certificates, counted_medals, counted_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (session_id, certificate_id)
+         DO UPDATE SET
+           system_certificates = $3,
+           system_medals = $4,
+           counted_certificates = $5,
+           counted_medals = $6,
+           counted_by = $7,
+           counted_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [
+          sessionId,
+          certificateId,
+          systemCert,
+          systemMedal,
+          countedCert,
+          countedMedal,
+          req.user.username,
+        ],
+      );
+
+      saved.push(result.rows[0]);
+    }
+
+    await client.query(
+      "UPDATE stocktake_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [sessionId],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Stocktake #${sessionId}: ${saved.length} batch count(s) submitted by ${req.user.username}`,
+    );
+
+    return sendSuccess(res, "Counts submitted successfully", saved, {
+      count: saved.length,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to submit counts",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 5. APPROVE SESSION - POST VARIANCES AS ADJUSTMENTS (ADMIN)
+// =====================================================
+const approveSession = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const sessionId = parseInt(req.params.id);
+    if (isNaN(sessionId)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stocktake session ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const session = await getSession(client, sessionId, true);
+
+    if (!session) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Stocktake session not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (isOutsideHub(req.user, session.branch_code)) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        branchForbiddenMessage(req.user, session.branch_code),
+        CONSTANTS.ERROR_CODES.FORBIDDEN,
+      );
+    }
+
+    if (session.status !== CONSTANTS.STOCKTAKE_STATUS.OPEN) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Stocktake session is already ${session.status}`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const itemsResult = await client.query(
+      "SELECT * FROM stocktake_items WHERE session_id = $1 ORDER BY certificate_id",
+      [sessionId],
+    );
+
+    if (itemsResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Cannot approve a stocktake session without counts",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const performedBy = req.user?.username || "System";
+    const adjustments = [];
+
+    for (const item of itemsResult.rows) {
+      // Variance is measured against the snapshot so movements after the
+      // count (prints, migrations) are preserved
+      const certDelta = item.counted_certificates - item.system_certificates;
+      const medalDelta = item.counted_medals - item.system_medals;
+
+      if (certDelta === 0 && medalDelta === 0) continue;
+
+      const adjustment = await applyStockAdjustment(client, {
+        certificateId: item.certificate_id,
+        branchCode: session.branch_code,
+        certificateDelta: certDelta,
+        medalDelta: medalDelta,
+        reasonCode: "recount",
+        notes: `Stocktake #${sessionId}`,
+        performedBy,
+        extraValues: { stocktake_session_id: sessionId },
+      });
+
+      if (!adjustment.valid) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `${item.certificate_id}: ${adjustment.error}. Re-submit the count for this batch.`,
+          CONSTANTS.ERROR_CODES.INSUFFICIENT_STOCK,
+        );
+      }
+
+      await client.query(
+        "UPDATE stocktake_items SET adjustment_log_id = $1 WHERE id = $2",
+        [adjustment.logId, item.id],
+      );
+
+      adjustments.push({
+        certificate_id: item.certificate_id,
+        adjustment: { certificates: certDelta, medals: medalDelta },
+        before: adjustment.before,
+        after: adjustment.after,
+        log_id: adjustment.logId,
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE stocktake_sessions
+       SET status = $1, closed_by = $2, closed_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [CONSTANTS.STOCKTAKE_STATUS.APPROVED, performedBy, sessionId],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Stocktake #${sessionId} approved at ${session.branch_code}: ${adjustments.length} adjustment(s) posted`,
+    );
+
+    return sendSuccess(res, "Stocktake session approved successfully", {
+      session: result.rows[0],
+      adjustments,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to approve stocktake session",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 6. CANCEL SESSION (ADMIN)
+// =====================================================
+const cancelSession = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    if (isNaN(sessionId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid stocktake session ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const result = await pool.query(
+      `UPDATE stocktake_sessions
+       SET status = $1, closed_by = $2, closed_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status = $4
+         AND ($5::varchar[] IS NULL OR branch_code = ANY($5))
+       RETURNING *`,
+      [
+        CONSTANTS.STOCKTAKE_STATUS.CANCELLED,
+        req.user.username,
+        sessionId,
+        CONSTANTS.STOCKTAKE_STATUS.OPEN,
+        isHubBound(req.user) ? req.user.hub_branches : null,
+      ],
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Open stocktake session not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    logger.info(`Stocktake #${sessionId} cancelled by ${req.user.username}`);
+
+    return sendSuccess(
+      res,
+      "Stocktake session cancelled successfully",
+      result.rows[0],
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to cancel stocktake session",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+module.exports = {
+  openSession,
+  getAllSessions,
+  getSessionById,
+  submitCounts,
+  approveSession,
+  cancelSession,
+  getLogTrailStock,
+};
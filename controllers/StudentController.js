@@ -2,10 +2,213 @@
 // Version 2.0 - Student transfers only within same regional hub
 
 const pool = require("../config/database");
+const ExcelJS = require("exceljs");
 const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const {
+  isHubBound,
+  canAccessBranch,
+  isOutsideHub,
+  branchForbiddenMessage,
+  getAssignedBranchCodes,
+} = require("../utils/branchAccess");
+
+// =====================================================
+// HELPER: Find branch by ID (for student validation)
+// =====================================================
+const findBranchById = async (client, branchId) => {
+  const result = await client.query(
+    "SELECT id, branch_code, branch_name, is_active FROM branches WHERE id = $1",
+    [branchId],
+  );
+  return result.rows[0] || null;
+};
+
+// =====================================================
+// HELPER: Branch scope for student changes
+// =====================================================
+// Admin accounts may change any student (hub-bound admins: students of
+// their hubs); teacher accounts (e.g. branch admins) only students of the
+// branches they are assigned to
+const canManageBranch = async (client, user, branchCode) => {
+  if (user.role === "admin") return canAccessBranch(user, branchCode);
+  const assigned = await getAssignedBranchCodes(client, user.id);
+  return assigned.includes(branchCode);
+};
+
+const sendBranchForbidden = (res, user, branchCode) =>
+  sendError(
+    res,
+    CONSTANTS.HTTP_STATUS.FORBIDDEN,
+    branchForbiddenMessage(user, branchCode),
+    CONSTANTS.ERROR_CODES.FORBIDDEN,
+  );
+
+// =====================================================
+// HELPER: Hub scope for student reads
+// =====================================================
+// Hub-bound admins only read students of branches in their hubs.
+// Returns the code of a requested branch outside those hubs, or null.
+const outOfScopeBranch = async (user, branchId) => {
+  if (!isHubBound(user) || isNaN(branchId)) return null;
+  const branch = await findBranchById(pool, branchId);
+  return branch && isOutsideHub(user, branch.branch_code)
+    ? branch.branch_code
+    : null;
+};
+
+// SQL condition limiting `column` (a branch id) to the hub-bound admin's
+// branches; pushes its parameter onto params. Null for everyone else.
+const hubBranchCondition = (user, column, params) => {
+  if (!isHubBound(user)) return null;
+  params.push(user.hub_branches);
+  return `${column} IN (SELECT id FROM branches WHERE branch_code = ANY($${params.length}))`;
+};
+
+// =====================================================
+// HELPER: Validate new student data
+// =====================================================
+// Shared by createStudent and importStudents. findBranch(id) returns the
+// branch row ({ id, branch_name, is_active }) or null.
+// Returns { valid: false, status, error } or { valid: true, value, branch }
+const validateStudentData = async (data, findBranch) => {
+  const {
+    studentName,
+    branchId,
+    division,
+    dateOfBirth,
+    parentName,
+    parentPhone,
+    parentEmail,
+    address,
+    notes,
+  } = data;
+  const invalid = (error, status = CONSTANTS.HTTP_STATUS.BAD_REQUEST) => ({
+    valid: false,
+    status,
+    error,
+  });
+
+  // Validation - Required fields
+  if (!studentName || !branchId || !division) {
+    return invalid("Student name, branch, and division are required");
+  }
+
+  // Validate student name
+  const cleanName = validators.sanitizeString(studentName.trim());
+  if (cleanName.length < 3) {
+    return invalid("Student name must be at least 3 characters");
+  }
+
+  // Validate division
+  const divisionValidation = validators.validateDivision(division);
+  if (!divisionValidation.valid) {
+    return invalid(divisionValidation.error);
+  }
+
+  // Validate branch_id is integer
+  const branchIdNum = parseInt(branchId);
+  if (isNaN(branchIdNum)) {
+    return invalid("Invalid branch ID");
+  }
+
+  // Check if branch exists and is active
+  const branch = await findBranch(branchIdNum);
+  if (!branch) {
+    return invalid("Branch not found", CONSTANTS.HTTP_STATUS.NOT_FOUND);
+  }
+  if (!branch.is_active) {
+    return invalid("Cannot assign student to inactive branch");
+  }
+
+  // Validate date_of_birth format if provided
+  if (dateOfBirth) {
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(dateOfBirth)) {
+      return invalid("Invalid date of birth format. Use YYYY-MM-DD");
+    }
+  }
+
+  // Validate email format if provided
+  if (parentEmail && parentEmail.trim()) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(parentEmail.trim())) {
+      return invalid("Invalid email format");
+    }
+  }
+
+  return {
+    valid: true,
+    branch,
+    value: {
+      studentName: cleanName,
+      branchId: branchIdNum,
+      division: divisionValidation.value,
+      dateOfBirth: dateOfBirth || null,
+      parentName: parentName
+        ? validators.sanitizeString(parentName.trim())
+        : null,
+      parentPhone: parentPhone
+        ? validators.sanitizeString(parentPhone.trim())
+        : null,
+      parentEmail: parentEmail
+        ? validators.sanitizeString(parentEmail.trim())
+        : null,
+      address: address ? validators.sanitizeString(address.trim()) : null,
+      notes: notes ? validators.sanitizeString(notes.trim()) : null,
+    },
+  };
+};
+
+// =====================================================
+// HELPER: Insert validated student (status active)
+// =====================================================
+const insertStudent = async (client, student) => {
+  const result = await client.query(
+    `INSERT INTO students 
+     (student_name, branch_id, division, date_of_birth, parent_name, 
+      parent_phone, parent_email, address, notes, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active')
+     RETURNING *`,
+    [
+      student.studentName,
+      student.branchId,
+      student.division,
+      student.dateOfBirth,
+      student.parentName,
+      student.parentPhone,
+      student.parentEmail,
+      student.address,
+      student.notes,
+    ],
+  );
+  return result.rows[0];
+};
+
+// =====================================================
+// HELPER: Excel cell value as trimmed text
+// =====================================================
+// Date cells become YYYY-MM-DD (Excel dates carry no timezone, ExcelJS
+// returns them as UTC midnight); rich text, hyperlinks and formulas
+// are reduced to their displayed text.
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().split("T")[0];
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join("").trim();
+    }
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+};
+
+const normalizeName = (name) =>
+  String(name).toLowerCase().replace(/\s+/g, " ").trim();
 
 // =====================================================
 // 1. CREATE STUDENT
@@ -33,136 +236,49 @@ const createStudent = async (req, res) => {
 
     logger.info("Create student request:", { studentName, branchId, division });
 
-    // Validation - Required fields
-    if (!studentName || !branchId || !division) {
-      await client.query("ROLLBACK");
-      return sendError(
-        res,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        "Student name, branch, and division are required",
-        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-      );
-    }
-
-    // Validate student name
-    const cleanName = validators.sanitizeString(studentName.trim());
-    if (cleanName.length < 3) {
-      await client.query("ROLLBACK");
-      return sendError(
-        res,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        "Student name must be at least 3 characters",
-        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-      );
-    }
-
-    // Validate division
-    const divisionValidation = validators.validateDivision(division);
-    if (!divisionValidation.valid) {
-      await client.query("ROLLBACK");
-      return sendError(
-        res,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        divisionValidation.error,
-        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-      );
-    }
-
-    const cleanDivision = divisionValidation.value;
-
-    // Validate branch_id is integer
-    const branchIdNum = parseInt(branchId);
-    if (isNaN(branchIdNum)) {
-      await client.query("ROLLBACK");
-      return sendError(
-        res,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        "Invalid branch ID",
-        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-      );
-    }
-
-    // Check if branch exists and is active
-    const branchCheck = await client.query(
-      "SELECT id, branch_name, is_active FROM branches WHERE id = $1",
-      [branchIdNum],
+    const validation = await validateStudentData(
+      {
+        studentName,
+        branchId,
+        division,
+        dateOfBirth,
+        parentName,
+        parentPhone,
+        parentEmail,
+        address,
+        notes,
+      },
+      (id) => findBranchById(client, id),
     );
 
-    if (branchCheck.rows.length === 0) {
+    if (!validation.valid) {
       await client.query("ROLLBACK");
       return sendError(
         res,
-        CONSTANTS.HTTP_STATUS.NOT_FOUND,
-        "Branch not found",
-        CONSTANTS.ERROR_CODES.NOT_FOUND,
+        validation.status,
+        validation.error,
+        validation.status === CONSTANTS.HTTP_STATUS.NOT_FOUND
+          ? CONSTANTS.ERROR_CODES.NOT_FOUND
+          : CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
       );
     }
 
-    if (!branchCheck.rows[0].is_active) {
+    const branchCode = validation.branch.branch_code;
+    if (!(await canManageBranch(client, req.user, branchCode))) {
       await client.query("ROLLBACK");
-      return sendError(
-        res,
-        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-        "Cannot assign student to inactive branch",
-        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-      );
+      return sendBranchForbidden(res, req.user, branchCode);
     }
 
-    // Validate date_of_birth format if provided
-    if (dateOfBirth) {
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(dateOfBirth)) {
-        await client.query("ROLLBACK");
-        return sendError(
-          res,
-          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-          "Invalid date of birth format. Use YYYY-MM-DD",
-          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-        );
-      }
-    }
-
-    // Validate email format if provided
-    if (parentEmail && parentEmail.trim()) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(parentEmail.trim())) {
-        await client.query("ROLLBACK");
-        return sendError(
-          res,
-          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
-          "Invalid email format",
-          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
-        );
-      }
-    }
-
-    // Insert student
-    const result = await client.query(
-      `INSERT INTO students 
-       (student_name, branch_id, division, date_of_birth, parent_name, 
-        parent_phone, parent_email, address, notes, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active')
-       RETURNING *`,
-      [
-        cleanName,
-        branchIdNum,
-        cleanDivision,
-        dateOfBirth || null,
-        parentName ? validators.sanitizeString(parentName.trim()) : null,
-        parentPhone ? validators.sanitizeString(parentPhone.trim()) : null,
-        parentEmail ? validators.sanitizeString(parentEmail.trim()) : null,
-        address ? validators.sanitizeString(address.trim()) : null,
-        notes ? validators.sanitizeString(notes.trim()) : null,
-      ],
-    );
+    const cleanName = validation.value.studentName;
+    const student = await insertStudent(client, validation.value);
 
     await client.query("COMMIT");
 
-    logger.info(`Student created: ${cleanName} (ID: ${result.rows[0].id})`);
+    logger.info(`Student created: ${cleanName} (ID: ${student.id})`);
 
     return sendSuccess(res, "Student created successfully", {
-      ...result.rows[0],
-      branch_name: branchCheck.rows[0].branch_name,
+      ...student,
+      branch_name: validation.branch.branch_name,
     });
   } catch (error) {
     await client.query("ROLLBACK");
@@ -242,6 +358,10 @@ const getAllStudents = async (req, res) => {
     // Branch filter
     if (branchId) {
       const branchIdNum = parseInt(branchId);
+      const forbiddenBranch = await outOfScopeBranch(req.user, branchIdNum);
+      if (forbiddenBranch) {
+        return sendBranchForbidden(res, req.user, forbiddenBranch);
+      }
       if (!isNaN(branchIdNum)) {
         whereConditions.push(`s.branch_id = $${paramCount}`);
         queryParams.push(branchIdNum);
@@ -249,6 +369,17 @@ const getAllStudents = async (req, res) => {
       }
     }
 
+    // Hub scope
+    const hubCondition = hubBranchCondition(
+      req.user,
+      "s.branch_id",
+      queryParams,
+    );
+    if (hubCondition) {
+      whereConditions.push(hubCondition);
+      paramCount++;
+    }
+
     // Division filter
     if (division && division.trim()) {
       const divisionValidation = validators.validateDivision(division);
@@ -259,14 +390,20 @@ const getAllStudents = async (req, res) => {
       }
     }
 
-    // Status filter
-    if (status && status.trim()) {
-      const cleanStatus = status.trim().toLowerCase();
-      if (cleanStatus === "active" || cleanStatus === "inactive") {
-        whereConditions.push(`s.status = $${paramCount}`);
-        queryParams.push(cleanStatus);
-        paramCount++;
-      }
+    // Status filter (merged duplicates are only listed when asked for)
+    const cleanStatus = status ? status.trim().toLowerCase() : "";
+    if (
+      cleanStatus === "active" ||
+      cleanStatus === "inactive" ||
+      cleanStatus === CONSTANTS.STUDENT_STATUS.MERGED
+    ) {
+      whereConditions.push(`s.status = $${paramCount}`);
+      queryParams.push(cleanStatus);
+      paramCount++;
+    } else {
+      whereConditions.push(`s.status <> $${paramCount}`);
+      queryParams.push(CONSTANTS.STUDENT_STATUS.MERGED);
+      paramCount++;
     }
 
     const whereClause =
@@ -357,8 +494,8 @@ const getStudentById = async (req, res) => {
           'module_id', m.id,
           'module_code', m.module_code,
           'module_name', m.module_name,
-          'completed_at', sm.completed_at
-        ) ORDER BY sm.completed_at DESC)
+          'completed_date', sm.completed_date
+        ) ORDER BY sm.completed_date DESC)
          FROM student_modules sm
          JOIN modules m ON sm.module_id = m.id
          WHERE sm.student_id = s.id
@@ -378,6 +515,10 @@ const getStudentById = async (req, res) => {
       );
     }
 
+    if (isOutsideHub(req.user, result.rows[0].branch_code)) {
+      return sendBranchForbidden(res, req.user, result.rows[0].branch_code);
+    }
+
     return sendSuccess(res, "Student retrieved successfully", result.rows[0]);
   } catch (error) {
     return sendError(
@@ -429,7 +570,10 @@ const updateStudent = async (req, res) => {
 
     // Check if student exists
     const existingStudent = await client.query(
-      "SELECT id FROM students WHERE id = $1",
+      `SELECT s.id, b.branch_code
+       FROM students s
+       JOIN branches b ON s.branch_id = b.id
+       WHERE s.id = $1`,
       [studentId],
     );
 
@@ -443,6 +587,12 @@ const updateStudent = async (req, res) => {
       );
     }
 
+    const currentBranchCode = existingStudent.rows[0].branch_code;
+    if (!(await canManageBranch(client, req.user, currentBranchCode))) {
+      await client.query("ROLLBACK");
+      return sendBranchForbidden(res, req.user, currentBranchCode);
+    }
+
     // Validation - Required fields
     if (!studentName || !branchId || !division) {
       await client.query("ROLLBACK");
@@ -494,7 +644,7 @@ const updateStudent = async (req, res) => {
 
     // Check if branch exists and is active
     const branchCheck = await client.query(
-      "SELECT id, branch_name, is_active FROM branches WHERE id = $1",
+      "SELECT id, branch_code, branch_name, is_active FROM branches WHERE id = $1",
       [branchIdNum],
     );
 
@@ -508,6 +658,12 @@ const updateStudent = async (req, res) => {
       );
     }
 
+    const newBranchCode = branchCheck.rows[0].branch_code;
+    if (!(await canManageBranch(client, req.user, newBranchCode))) {
+      await client.query("ROLLBACK");
+      return sendBranchForbidden(res, req.user, newBranchCode);
+    }
+
     // Validate date_of_birth if provided
     if (dateOfBirth) {
       const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
@@ -625,7 +781,10 @@ const deleteStudent = async (req, res) => {
 
     // Check if student exists
     const existingStudent = await client.query(
-      "SELECT id, student_name, status FROM students WHERE id = $1",
+      `SELECT s.id, s.student_name, s.status, b.branch_code
+       FROM students s
+       JOIN branches b ON s.branch_id = b.id
+       WHERE s.id = $1`,
       [studentId],
     );
 
@@ -641,6 +800,11 @@ const deleteStudent = async (req, res) => {
 
     const student = existingStudent.rows[0];
 
+    if (!(await canManageBranch(client, req.user, student.branch_code))) {
+      await client.query("ROLLBACK");
+      return sendBranchForbidden(res, req.user, student.branch_code);
+    }
+
     if (student.status === "inactive") {
       await client.query("ROLLBACK");
       return sendError(
@@ -755,6 +919,13 @@ const transferStudent = async (req, res) => {
 
     const student = studentResult.rows[0];
 
+    if (
+      !(await canManageBranch(client, req.user, student.current_branch_code))
+    ) {
+      await client.query("ROLLBACK");
+      return sendBranchForbidden(res, req.user, student.current_branch_code);
+    }
+
     // Check if student is active
     if (student.status !== "active") {
       await client.query("ROLLBACK");
@@ -908,12 +1079,30 @@ const getStudentStats = async (req, res) => {
 
     if (branchId) {
       const branchIdNum = parseInt(branchId);
+      const forbiddenBranch = await outOfScopeBranch(req.user, branchIdNum);
+      if (forbiddenBranch) {
+        return sendBranchForbidden(res, req.user, forbiddenBranch);
+      }
       if (!isNaN(branchIdNum)) {
         whereClause = "WHERE s.branch_id = $1";
         queryParams.push(branchIdNum);
       }
     }
 
+    // Hub-bound admins without a branch filter get their hubs' branches
+    const hubParams = [];
+    if (!whereClause) {
+      const hubCondition = hubBranchCondition(
+        req.user,
+        "s.branch_id",
+        hubParams,
+      );
+      if (hubCondition) {
+        whereClause = `WHERE ${hubCondition}`;
+        queryParams = hubParams;
+      }
+    }
+
     const statsQuery = `
       SELECT 
         COUNT(*) as total_students,
@@ -937,14 +1126,14 @@ const getStudentStats = async (req, res) => {
         COUNT(CASE WHEN s.status = 'active' THEN 1 END) as active_count
       FROM branches b
       LEFT JOIN students s ON b.id = s.branch_id
-      ${branchId ? "WHERE b.id = $1" : ""}
+      ${whereClause.replace("s.branch_id", "b.id")}
       GROUP BY b.id, b.branch_name, b.branch_code
       ORDER BY b.branch_name
     `;
 
     const branchStatsResult = await pool.query(
       branchStatsQuery,
-      branchId ? queryParams : [],
+      queryParams,
     );
 
     logger.info("Student statistics generated successfully");
@@ -992,6 +1181,10 @@ const searchStudents = async (req, res) => {
 
     if (branchId) {
       const branchIdNum = parseInt(branchId);
+      const forbiddenBranch = await outOfScopeBranch(req.user, branchIdNum);
+      if (forbiddenBranch) {
+        return sendBranchForbidden(res, req.user, forbiddenBranch);
+      }
       if (!isNaN(branchIdNum)) {
         whereConditions.push(`s.branch_id = $${paramCount}`);
         queryParams.push(branchIdNum);
@@ -999,6 +1192,16 @@ const searchStudents = async (req, res) => {
       }
     }
 
+    const hubCondition = hubBranchCondition(
+      req.user,
+      "s.branch_id",
+      queryParams,
+    );
+    if (hubCondition) {
+      whereConditions.push(hubCondition);
+      paramCount++;
+    }
+
     const query = `
       SELECT 
         s.id,
@@ -1037,6 +1240,461 @@ const searchStudents = async (req, res) => {
   }
 };
 
+// =====================================================
+// 9. IMPORT STUDENTS FROM EXCEL (DRY-RUN / COMMIT)
+// =====================================================
+// Body: raw .xlsx (same columns as the students export).
+// ?mode=dry-run (default) validates only; ?mode=commit inserts every valid
+// row in one transaction and stores the summary in student_imports.
+// Likely duplicates (same name at the same branch) are skipped on commit
+// unless ?include_duplicates=true.
+const importStudents = async (req, res) => {
+  const mode = req.query.mode || "dry-run";
+  const includeDuplicates = req.query.include_duplicates === "true";
+  const fileName = req.query.file_name
+    ? validators.sanitizeString(String(req.query.file_name).trim())
+    : null;
+
+  if (!CONSTANTS.STUDENT_IMPORT.MODES.includes(mode)) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      `mode must be one of ${CONSTANTS.STUDENT_IMPORT.MODES.join(", ")}`,
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      "Upload the .xlsx file as the request body (Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet)",
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+
+  // ===== READ WORKBOOK =====
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(req.body);
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      "File is not a valid .xlsx workbook",
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+
+  const worksheet = workbook.getWorksheet("Students") || workbook.worksheets[0];
+  if (!worksheet) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      "Workbook has no worksheets",
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+
+  // Map header names (case-insensitive) to column numbers
+  const knownHeaders = Object.keys(CONSTANTS.STUDENT_IMPORT.COLUMNS);
+  const columnIndex = {};
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const header = knownHeaders.find(
+      (h) => h.toLowerCase() === cellText(cell.value).toLowerCase(),
+    );
+    if (header) {
+      columnIndex[CONSTANTS.STUDENT_IMPORT.COLUMNS[header]] = colNumber;
+    }
+  });
+
+  const missingColumns = CONSTANTS.STUDENT_IMPORT.REQUIRED_COLUMNS.filter(
+    (header) => !columnIndex[CONSTANTS.STUDENT_IMPORT.COLUMNS[header]],
+  );
+  if (missingColumns.length > 0) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      `Missing required columns: ${missingColumns.join(", ")}`,
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      null,
+      { missingColumns },
+    );
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    Object.entries(columnIndex).forEach(([field, colNumber]) => {
+      values[field] = cellText(row.getCell(colNumber).value);
+    });
+    if (Object.values(values).some((value) => value !== "")) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  if (rows.length === 0) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      "No student rows found in the file",
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+
+  if (rows.length > CONSTANTS.STUDENT_IMPORT.MAX_ROWS) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+      `Too many rows (${rows.length}). Maximum is ${CONSTANTS.STUDENT_IMPORT.MAX_ROWS} per import`,
+      CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+    );
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    // ===== PRELOAD BRANCHES AND POSSIBLE DUPLICATES =====
+    const branchResult = await client.query(
+      "SELECT id, branch_code, branch_name, is_active FROM branches",
+    );
+    const branchesByCode = new Map(
+      branchResult.rows.map((b) => [b.branch_code, b]),
+    );
+    const branchesById = new Map(branchResult.rows.map((b) => [b.id, b]));
+
+    const existingResult = await client.query(
+      `SELECT
+        s.id,
+        s.student_name,
+        s.branch_id,
+        s.status,
+        to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth
+       FROM students s
+       WHERE (LOWER(REGEXP_REPLACE(TRIM(s.student_name), '\\s+', ' ', 'g')) = ANY($1)
+              AND s.status <> 'merged')
+          OR s.id = ANY($2)`,
+      [
+        rows.map((r) => normalizeName(r.values.student_name || "")),
+        rows
+          .map((r) => parseInt(r.values.id))
+          .filter((id) => !isNaN(id)),
+      ],
+    );
+    const existingById = new Map(existingResult.rows.map((s) => [s.id, s]));
+
+    // ===== VALIDATE EACH ROW =====
+    const seenInFile = new Map();
+    const results = [];
+
+    for (const { rowNumber, values } of rows) {
+      const result = {
+        row: rowNumber,
+        studentName: values.student_name,
+        branchCode: values.branch_code ? values.branch_code.toUpperCase() : "",
+        errors: [],
+        warnings: [],
+        duplicateOf: [],
+      };
+
+      let branchId = null;
+      if (result.branchCode) {
+        const branch = branchesByCode.get(result.branchCode);
+        if (!branch) {
+          result.errors.push(`Branch code ${result.branchCode} not found`);
+        } else if (isOutsideHub(req.user, branch.branch_code)) {
+          result.errors.push(
+            branchForbiddenMessage(req.user, branch.branch_code),
+          );
+        } else {
+          branchId = branch.id;
+        }
+      }
+
+      let validation = null;
+      if (!result.branchCode || branchId) {
+        validation = await validateStudentData(
+          {
+            studentName: values.student_name,
+            branchId,
+            division: values.division,
+            dateOfBirth: values.date_of_birth,
+            parentName: values.parent_name,
+            parentPhone: values.parent_phone,
+            parentEmail: values.parent_email,
+            address: values.address,
+            notes: values.notes,
+          },
+          async (id) => branchesById.get(id) || null,
+        );
+        if (!validation.valid) result.errors.push(validation.error);
+      }
+
+      if (values.status && values.status.toLowerCase() !== "active") {
+        result.warnings.push(
+          `Status "${values.status}" is ignored; imported students are active`,
+        );
+      }
+
+      if (result.errors.length === 0) {
+        const student = validation.value;
+        const nameKey = normalizeName(student.studentName);
+
+        // Same student twice in this file
+        const fileKey = `${nameKey}|${student.branchId}|${student.dateOfBirth || ""}`;
+        if (seenInFile.has(fileKey)) {
+          result.errors.push(
+            `Duplicate of row ${seenInFile.get(fileKey)} in this file`,
+          );
+        } else {
+          seenInFile.set(fileKey, rowNumber);
+        }
+
+        // Row exported from this system (ID column still filled in)
+        const exportedId = parseInt(values.id);
+        if (!isNaN(exportedId) && existingById.has(exportedId)) {
+          result.duplicateOf.push(exportedId);
+          result.warnings.push(
+            `ID ${exportedId} belongs to existing student "${existingById.get(exportedId).student_name}"`,
+          );
+        }
+
+        // Same name at the same branch (unless both birth dates differ)
+        existingResult.rows
+          .filter(
+            (s) =>
+              s.branch_id === student.branchId &&
+              normalizeName(s.student_name) === nameKey &&
+              !result.duplicateOf.includes(s.id),
+          )
+          .forEach((s) => {
+            if (
+              s.date_of_birth &&
+              student.dateOfBirth &&
+              s.date_of_birth !== student.dateOfBirth
+            ) {
+              result.warnings.push(
+                `Same name as student #${s.id} at this branch (different date of birth)`,
+              );
+              return;
+            }
+            result.duplicateOf.push(s.id);
+            result.warnings.push(
+              `Likely duplicate of student #${s.id} (${s.status})`,
+            );
+          });
+
+        result.student = student;
+      }
+
+      result.status =
+        result.errors.length > 0
+          ? "invalid"
+          : result.duplicateOf.length > 0
+            ? "duplicate"
+            : "valid";
+      results.push(result);
+    }
+
+    const toInsert = results.filter(
+      (r) =>
+        r.status === "valid" || (r.status === "duplicate" && includeDuplicates),
+    );
+
+    const summary = {
+      totalRows: results.length,
+      valid: results.filter((r) => r.status === "valid").length,
+      invalid: results.filter((r) => r.status === "invalid").length,
+      duplicates: results.filter((r) => r.status === "duplicate").length,
+      warnings: results.filter((r) => r.warnings.length > 0).length,
+      toInsert: toInsert.length,
+    };
+
+    const rowReport = (r) => ({
+      row: r.row,
+      studentName: r.studentName,
+      branchCode: r.branchCode,
+      status: r.status,
+      errors: r.errors,
+      warnings: r.warnings,
+      duplicateOf: r.duplicateOf,
+      ...(r.studentId ? { studentId: r.studentId } : {}),
+    });
+
+    // ===== DRY RUN: REPORT ONLY =====
+    if (mode === "dry-run") {
+      await client.query("ROLLBACK");
+
+      return sendSuccess(
+        res,
+        `Dry run: ${summary.toInsert} of ${summary.totalRows} rows would be imported`,
+        { mode, fileName, includeDuplicates, rows: results.map(rowReport) },
+        summary,
+      );
+    }
+
+    // ===== COMMIT: INSERT VALID ROWS + AUDIT SUMMARY =====
+    for (const result of toInsert) {
+      const inserted = await insertStudent(client, result.student);
+      result.studentId = inserted.id;
+    }
+
+    const report = results.map(rowReport);
+    const importResult = await client.query(
+      `INSERT INTO student_imports
+       (file_name, total_rows, inserted_count, invalid_count, duplicate_count,
+        include_duplicates, rows, imported_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, created_at`,
+      [
+        fileName,
+        summary.totalRows,
+        toInsert.length,
+        summary.invalid,
+        summary.duplicates,
+        includeDuplicates,
+        JSON.stringify(report),
+        req.user.id,
+      ],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Student import #${importResult.rows[0].id}: ${toInsert.length}/${summary.totalRows} rows inserted by ${req.user.username}`,
+    );
+
+    return sendSuccess(
+      res,
+      `${toInsert.length} of ${summary.totalRows} students imported`,
+      {
+        mode,
+        importId: importResult.rows[0].id,
+        importedAt: importResult.rows[0].created_at,
+        fileName,
+        includeDuplicates,
+        rows: report,
+      },
+      { ...summary, inserted: toInsert.length },
+    );
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to import students",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 10. GET STUDENT IMPORT HISTORY (AUDIT)
+// =====================================================
+const getStudentImports = async (req, res) => {
+  try {
+    const limit = Math.min(
+      parseInt(req.query.limit) || CONSTANTS.PAGINATION.DEFAULT_LIMIT,
+      CONSTANTS.PAGINATION.MAX_LIMIT,
+    );
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await pool.query(
+      `SELECT
+        si.id,
+        si.file_name,
+        si.total_rows,
+        si.inserted_count,
+        si.invalid_count,
+        si.duplicate_count,
+        si.include_duplicates,
+        u.username as imported_by,
+        si.created_at,
+        COUNT(*) OVER() as total_count
+       FROM student_imports si
+       LEFT JOIN users u ON si.imported_by = u.id
+       ORDER BY si.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset],
+    );
+
+    const total =
+      result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    return sendSuccess(
+      res,
+      "Student imports retrieved successfully",
+      result.rows.map(({ total_count, ...row }) => row),
+      { total, limit, offset },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve student imports",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 11. GET STUDENT IMPORT BY ID (PER-ROW REPORT)
+// =====================================================
+const getStudentImportById = async (req, res) => {
+  try {
+    const importId = parseInt(req.params.id);
+    if (isNaN(importId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid import ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const result = await pool.query(
+      `SELECT si.*, u.username as imported_by_username
+       FROM student_imports si
+       LEFT JOIN users u ON si.imported_by = u.id
+       WHERE si.id = $1`,
+      [importId],
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Student import not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    return sendSuccess(
+      res,
+      "Student import retrieved successfully",
+      result.rows[0],
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve student import",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
 module.exports = {
   createStudent,
   getAllStudents,
@@ -1046,4 +1704,7 @@ module.exports = {
   transferStudent,
   getStudentStats,
   searchStudents,
+  importStudents,
+  getStudentImports,
+  getStudentImportById,
 };
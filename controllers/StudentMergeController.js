@@ -0,0 +1,707 @@
+// controllers/StudentMergeController.js
+// Duplicate student finder and reversible student merges
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const validators = require("../utils/validators");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { scoreStudentPair, candidateKeys } = require("../utils/studentMatching");
+const {
+  isHubBound,
+  isOutsideHub,
+  branchForbiddenMessage,
+} = require("../utils/branchAccess");
+
+// Survivor columns filled from the duplicate when empty
+const FILLABLE_FIELDS = [
+  "date_of_birth",
+  "parent_name",
+  "parent_phone",
+  "parent_email",
+  "address",
+  "notes",
+];
+
+// =====================================================
+// HELPER: Lock both students of a merge
+// =====================================================
+const lockStudents = async (client, ids) => {
+  const result = await client.query(
+    `SELECT
+      s.*,
+      to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth_text,
+      (SELECT b.branch_code FROM branches b WHERE b.id = s.branch_id) as branch_code
+     FROM students s
+     WHERE s.id = ANY($1)
+     ORDER BY s.id
+     FOR UPDATE`,
+    [ids],
+  );
+  return new Map(result.rows.map((row) => [row.id, row]));
+};
+
+// =====================================================
+// HELPER: Hub scope
+// =====================================================
+// Hub-bound admins only merge students of their hubs. Returns the first
+// branch code outside those hubs, or null.
+const outOfScopeBranch = (user, students) => {
+  const outside = students.find((student) =>
+    isOutsideHub(user, student.branch_code),
+  );
+  return outside ? outside.branch_code : null;
+};
+
+const sendBranchForbidden = (res, user, branchCode) =>
+  sendError(
+    res,
+    CONSTANTS.HTTP_STATUS.FORBIDDEN,
+    branchForbiddenMessage(user, branchCode),
+    CONSTANTS.ERROR_CODES.FORBIDDEN,
+  );
+
+// =====================================================
+// 1. FIND DUPLICATE STUDENTS (SCORED PAIRS)
+// =====================================================
+// Query: min_score (default 60), branch_id (pairs touching that branch),
+// limit. Merged students are never candidates.
+const findDuplicateStudents = async (req, res) => {
+  try {
+    const minScore = Math.min(
+      Math.max(
+        parseInt(req.query.min_score) ||
+          CONSTANTS.STUDENT_DUPLICATES.DEFAULT_MIN_SCORE,
+        0,
+      ),
+      100,
+    );
+    const limit = Math.min(
+      parseInt(req.query.limit) || CONSTANTS.PAGINATION.MAX_LIMIT,
+      CONSTANTS.STUDENT_DUPLICATES.MAX_RESULTS,
+    );
+    const branchId = req.query.branch_id ? parseInt(req.query.branch_id) : null;
+
+    if (req.query.branch_id && isNaN(branchId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid branch ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (branchId && isHubBound(req.user)) {
+      const branchResult = await pool.query(
+        "SELECT branch_code FROM branches WHERE id = $1",
+        [branchId],
+      );
+      const branchCode = branchResult.rows[0]?.branch_code;
+      if (branchCode && isOutsideHub(req.user, branchCode)) {
+        return sendBranchForbidden(res, req.user, branchCode);
+      }
+    }
+
+    // Hub-bound admins only compare students of their hubs
+    const result = await pool.query(
+      `SELECT
+        s.id,
+        s.student_name,
+        s.branch_id,
+        b.branch_code,
+        s.division,
+        to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+        s.parent_name,
+        s.parent_phone,
+        s.parent_email,
+        s.status,
+        s.created_at,
+        (SELECT COUNT(*) FROM printed_certificates pc
+         WHERE pc.student_id = s.id)::int as print_count,
+        (SELECT COUNT(*) FROM student_modules sm
+         WHERE sm.student_id = s.id)::int as module_count
+       FROM students s
+       JOIN branches b ON s.branch_id = b.id
+       WHERE s.status <> $1
+         AND ($2::varchar[] IS NULL OR b.branch_code = ANY($2))`,
+      [
+        CONSTANTS.STUDENT_STATUS.MERGED,
+        isHubBound(req.user) ? req.user.hub_branches : null,
+      ],
+    );
+
+    // Group students by blocking key, then score each pair once
+    const blocks = new Map();
+    result.rows.forEach((student, index) => {
+      candidateKeys(student).forEach((key) => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+      });
+    });
+
+    const seen = new Set();
+    const pairs = [];
+
+    blocks.forEach((members) => {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const a = result.rows[members[i]];
+          const b = result.rows[members[j]];
+          const pairKey = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+          if (seen.has(pairKey)) continue;
+          seen.add(pairKey);
+
+          if (
+            branchId &&
+            a.branch_id !== branchId &&
+            b.branch_id !== branchId
+          ) {
+            continue;
+          }
+
+          const match = scoreStudentPair(a, b);
+          if (match.score < minScore) continue;
+
+          // Suggest keeping the record with more history (then the older one)
+          const [survivor, duplicate] =
+            b.print_count + b.module_count > a.print_count + a.module_count ||
+            (b.print_count + b.module_count ===
+              a.print_count + a.module_count &&
+              b.id < a.id)
+              ? [b, a]
+              : [a, b];
+
+          pairs.push({
+            score: match.score,
+            nameSimilarity: match.nameSimilarity,
+            reasons: match.reasons,
+            suggestedSurvivorId: survivor.id,
+            students: [survivor, duplicate],
+          });
+        }
+      }
+    });
+
+    pairs.sort((x, y) => y.score - x.score);
+
+    return sendSuccess(
+      res,
+      "Duplicate candidates retrieved successfully",
+      pairs.slice(0, limit),
+      {
+        total: pairs.length,
+        minScore,
+        studentsScanned: result.rows.length,
+      },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to find duplicate students",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 2. MERGE DUPLICATE INTO SURVIVING STUDENT - ADMIN
+// =====================================================
+// Re-points printed_certificates, student_modules and student_transfers
+// to the survivor. A module both students completed keeps the earliest
+// completion. The duplicate is kept with status 'merged' and every change
+// is recorded in student_merges so the merge can be reverted.
+const mergeStudents = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const {
+      survivor_id: survivorId,
+      duplicate_id: duplicateId,
+      reason,
+    } = req.body;
+
+    const survivorValidation = validators.validatePositiveInteger(
+      survivorId,
+      "Survivor ID",
+    );
+    const duplicateValidation = validators.validatePositiveInteger(
+      duplicateId,
+      "Duplicate ID",
+    );
+    if (!survivorValidation.valid || !duplicateValidation.valid) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        survivorValidation.error || duplicateValidation.error,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const keepId = survivorValidation.value;
+    const mergeId = duplicateValidation.value;
+    if (keepId === mergeId) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "A student cannot be merged into itself",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const students = await lockStudents(client, [keepId, mergeId]);
+    const survivor = students.get(keepId);
+    const duplicate = students.get(mergeId);
+
+    if (!survivor || !duplicate) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        `Student ${!survivor ? keepId : mergeId} not found`,
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    const forbiddenBranch = outOfScopeBranch(req.user, [survivor, duplicate]);
+    if (forbiddenBranch) {
+      await client.query("ROLLBACK");
+      return sendBranchForbidden(res, req.user, forbiddenBranch);
+    }
+
+    const alreadyMerged = [survivor, duplicate].find(
+      (s) => s.status === CONSTANTS.STUDENT_STATUS.MERGED,
+    );
+    if (alreadyMerged) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Student ${alreadyMerged.id} was already merged into student ${alreadyMerged.merged_into_id}`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    // ===== PRINTED CERTIFICATES =====
+    const printResult = await client.query(
+      `UPDATE printed_certificates SET student_id = $1
+       WHERE student_id = $2
+       RETURNING id`,
+      [keepId, mergeId],
+    );
+
+    // ===== STUDENT MODULES (RESOLVE UNIQUE CONFLICTS) =====
+    const moduleRows = await client.query(
+      `SELECT
+        dup.*,
+        to_char(dup.completed_date, 'YYYY-MM-DD') as completed_date_text,
+        keep.id as survivor_row_id,
+        keep.branch_id as survivor_branch_id,
+        to_char(keep.completed_date, 'YYYY-MM-DD') as survivor_completed_date,
+        keep.certificate_id as survivor_certificate_id,
+        (dup.completed_date < keep.completed_date) as duplicate_is_earlier
+       FROM student_modules dup
+       LEFT JOIN student_modules keep
+         ON keep.student_id = $1 AND keep.module_id = dup.module_id
+       WHERE dup.student_id = $2
+       FOR UPDATE OF dup`,
+      [keepId, mergeId],
+    );
+
+    const movedModuleRows = [];
+    const removedModuleRows = [];
+    const updatedSurvivorRows = [];
+
+    for (const row of moduleRows.rows) {
+      if (!row.survivor_row_id) {
+        await client.query(
+          "UPDATE student_modules SET student_id = $1 WHERE id = $2",
+          [keepId, row.id],
+        );
+        movedModuleRows.push(row.id);
+        continue;
+      }
+
+      // Both completed this module: keep the earliest completion
+      if (row.duplicate_is_earlier) {
+        await client.query(
+          `UPDATE student_modules
+           SET branch_id = $1, completed_date = $2, certificate_id = $3
+           WHERE id = $4`,
+          [
+            row.branch_id,
+            row.completed_date_text,
+            row.certificate_id,
+            row.survivor_row_id,
+          ],
+        );
+        updatedSurvivorRows.push({
+          id: row.survivor_row_id,
+          branch_id: row.survivor_branch_id,
+          completed_date: row.survivor_completed_date,
+          certificate_id: row.survivor_certificate_id,
+        });
+      }
+
+      await client.query("DELETE FROM student_modules WHERE id = $1", [row.id]);
+      removedModuleRows.push({
+        id: row.id,
+        module_id: row.module_id,
+        branch_id: row.branch_id,
+        completed_date: row.completed_date_text,
+        certificate_id: row.certificate_id,
+        created_at: row.created_at,
+      });
+    }
+
+    // ===== STUDENT TRANSFERS =====
+    const transferResult = await client.query(
+      `UPDATE student_transfers SET student_id = $1
+       WHERE student_id = $2
+       RETURNING id`,
+      [keepId, mergeId],
+    );
+
+    // ===== FILL EMPTY SURVIVOR FIELDS FROM DUPLICATE =====
+    const filledFields = FILLABLE_FIELDS.filter(
+      (field) => survivor[field] === null && duplicate[field] !== null,
+    );
+    if (filledFields.length > 0) {
+      await client.query(
+        `UPDATE students
+         SET ${filledFields.map((field, i) => `${field} = $${i + 2}`).join(", ")},
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [
+          keepId,
+          ...filledFields.map((field) =>
+            field === "date_of_birth"
+              ? duplicate.date_of_birth_text
+              : duplicate[field],
+          ),
+        ],
+      );
+    }
+
+    // ===== RETIRE DUPLICATE =====
+    await client.query(
+      `UPDATE students
+       SET status = $1, merged_into_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [CONSTANTS.STUDENT_STATUS.MERGED, keepId, mergeId],
+    );
+
+    const details = {
+      printedCertificateIds: printResult.rows.map((r) => r.id),
+      studentModules: {
+        moved: movedModuleRows,
+        removed: removedModuleRows,
+        survivorUpdated: updatedSurvivorRows,
+      },
+      studentTransferIds: transferResult.rows.map((r) => r.id),
+      survivorFilledFields: filledFields,
+      duplicateStatus: duplicate.status,
+    };
+
+    const mergeResult = await client.query(
+      `INSERT INTO student_merges
+       (survivor_id, duplicate_id, reason, details, merged_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        keepId,
+        mergeId,
+        reason ? validators.sanitizeString(String(reason).trim()) : null,
+        JSON.stringify(details),
+        req.user.id,
+      ],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Student #${mergeId} merged into #${keepId} by ${req.user.username} (merge #${mergeResult.rows[0].id})`,
+    );
+
+    return sendSuccess(res, "Students merged successfully", {
+      merge: mergeResult.rows[0],
+      survivorId: keepId,
+      duplicateId: mergeId,
+      printedCertificatesMoved: details.printedCertificateIds.length,
+      studentModulesMoved: movedModuleRows.length,
+      studentModulesConflicts: removedModuleRows.length,
+      studentTransfersMoved: details.studentTransferIds.length,
+      survivorFilledFields: filledFields,
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to merge students",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+// =====================================================
+// 3. GET MERGE LOG
+// =====================================================
+const getStudentMerges = async (req, res) => {
+  try {
+    const limit = Math.min(
+      parseInt(req.query.limit) || CONSTANTS.PAGINATION.DEFAULT_LIMIT,
+      CONSTANTS.PAGINATION.MAX_LIMIT,
+    );
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const studentId = req.query.student_id
+      ? parseInt(req.query.student_id)
+      : null;
+
+    const result = await pool.query(
+      `SELECT
+        sg.*,
+        keep.student_name as survivor_name,
+        dup.student_name as duplicate_name,
+        mu.username as merged_by_username,
+        ru.username as reverted_by_username,
+        COUNT(*) OVER() as total_count
+       FROM student_merges sg
+       JOIN students keep ON sg.survivor_id = keep.id
+       JOIN students dup ON sg.duplicate_id = dup.id
+       LEFT JOIN users mu ON sg.merged_by = mu.id
+       LEFT JOIN users ru ON sg.reverted_by = ru.id
+       WHERE ($1::int IS NULL OR sg.survivor_id = $1 OR sg.duplicate_id = $1)
+         AND ($4::varchar[] IS NULL OR keep.branch_id IN (
+           SELECT id FROM branches WHERE branch_code = ANY($4)
+         ))
+       ORDER BY sg.merged_at DESC
+       LIMIT $2 OFFSET $3`,
+      [
+        isNaN(studentId) ? null : studentId,
+        limit,
+        offset,
+        isHubBound(req.user) ? req.user.hub_branches : null,
+      ],
+    );
+
+    const total =
+      result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    return sendSuccess(
+      res,
+      "Student merges retrieved successfully",
+      result.rows.map(({ total_count, ...row }) => row),
+      { total, limit, offset },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to retrieve student merges",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+// =====================================================
+// 4. REVERT MERGE - ADMIN
+// =====================================================
+// Restores the duplicate and moves back exactly the rows recorded in the
+// merge log. Not possible once the survivor was itself merged away.
+const revertStudentMerge = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const mergeId = parseInt(req.params.id);
+    if (isNaN(mergeId)) {
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        "Invalid merge ID",
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+    );
+
+    const mergeResult = await client.query(
+      "SELECT * FROM student_merges WHERE id = $1 FOR UPDATE",
+      [mergeId],
+    );
+    const merge = mergeResult.rows[0];
+
+    if (!merge) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Merge not found",
+        CONSTANTS.ERROR_CODES.NOT_FOUND,
+      );
+    }
+
+    if (merge.reverted_at) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Merge #${mergeId} was already reverted`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const students = await lockStudents(client, [
+      merge.survivor_id,
+      merge.duplicate_id,
+    ]);
+    const survivor = students.get(merge.survivor_id);
+    const duplicate = students.get(merge.duplicate_id);
+
+    const forbiddenBranch = outOfScopeBranch(req.user, [survivor, duplicate]);
+    if (forbiddenBranch) {
+      await client.query("ROLLBACK");
+      return sendBranchForbidden(res, req.user, forbiddenBranch);
+    }
+
+    if (survivor.status === CONSTANTS.STUDENT_STATUS.MERGED) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Student ${survivor.id} was merged into student ${survivor.merged_into_id} afterwards; revert that merge first`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    if (duplicate.merged_into_id !== survivor.id) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        `Student ${duplicate.id} is no longer merged into student ${survivor.id}`,
+        CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      );
+    }
+
+    const details = merge.details;
+
+    // ===== PRINTED CERTIFICATES =====
+    await client.query(
+      `UPDATE printed_certificates SET student_id = $1
+       WHERE id = ANY($2) AND student_id = $3`,
+      [duplicate.id, details.printedCertificateIds, survivor.id],
+    );
+
+    // ===== STUDENT MODULES =====
+    await client.query(
+      `UPDATE student_modules SET student_id = $1
+       WHERE id = ANY($2) AND student_id = $3`,
+      [duplicate.id, details.studentModules.moved, survivor.id],
+    );
+
+    for (const row of details.studentModules.survivorUpdated) {
+      await client.query(
+        `UPDATE student_modules
+         SET branch_id = $1, completed_date = $2, certificate_id = $3
+         WHERE id = $4`,
+        [row.branch_id, row.completed_date, row.certificate_id, row.id],
+      );
+    }
+
+    for (const row of details.studentModules.removed) {
+      await client.query(
+        `INSERT INTO student_modules
+         (id, student_id, module_id, branch_id, completed_date, certificate_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT DO NOTHING`,
+        [
+          row.id,
+          duplicate.id,
+          row.module_id,
+          row.branch_id,
+          row.completed_date,
+          row.certificate_id,
+          row.created_at,
+        ],
+      );
+    }
+
+    // ===== STUDENT TRANSFERS =====
+    await client.query(
+      `UPDATE student_transfers SET student_id = $1
+       WHERE id = ANY($2) AND student_id = $3`,
+      [duplicate.id, details.studentTransferIds, survivor.id],
+    );
+
+    // ===== CLEAR FIELDS FILLED FROM DUPLICATE =====
+    if (details.survivorFilledFields.length > 0) {
+      await client.query(
+        `UPDATE students
+         SET ${details.survivorFilledFields.map((field) => `${field} = NULL`).join(", ")},
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [survivor.id],
+      );
+    }
+
+    // ===== RESTORE DUPLICATE =====
+    await client.query(
+      `UPDATE students
+       SET status = $1, merged_into_id = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [details.duplicateStatus, duplicate.id],
+    );
+
+    const revertResult = await client.query(
+      `UPDATE student_merges
+       SET reverted_at = CURRENT_TIMESTAMP, reverted_by = $1
+       WHERE id = $2
+       RETURNING *`,
+      [req.user.id, mergeId],
+    );
+
+    await client.query("COMMIT");
+
+    logger.info(
+      `Student merge #${mergeId} reverted by ${req.user.username}: #${duplicate.id} split from #${survivor.id}`,
+    );
+
+    return sendSuccess(
+      res,
+      "Merge reverted successfully",
+      revertResult.rows[0],
+    );
+  } catch (error) {
+    await client.query("ROLLBACK");
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to revert merge",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  findDuplicateStudents,
+  mergeStudents,
+  getStudentMerges,
+  revertStudentMerge,
+};
@@ -5,6 +5,62 @@ const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
+const {
+  isHubBound,
+  isOutsideHub,
+  branchForbiddenMessage,
+  getAssignedBranchCodes,
+} = require("../utils/branchAccess");
+const {
+  bumpTokenVersion,
+  clearTokenVersionCache,
+} = require("../utils/tokenVersion");
+const { revokeUserSessions } = require("../utils/refreshTokens");
+
+// Hub-bound admins only see and manage teachers assigned to a branch in
+// their hubs (teacher_branches or the legacy teacher_branch)
+const teacherInBranchesSql = (param) =>
+  `(u.teacher_branch = ANY(${param}) OR EXISTS (SELECT 1 FROM teacher_branches tb JOIN branches b ON tb.branch_id = b.id WHERE tb.teacher_id = u.id AND b.branch_code = ANY(${param})))`;
+
+const isTeacherOutsideHub = async (db, user, teacherId) => {
+  if (!isHubBound(user)) return false;
+  const codes = await getAssignedBranchCodes(db, teacherId);
+  return codes.every((code) => isOutsideHub(user, code));
+};
+
+const sendTeacherOutsideHub = (res) =>
+  sendError(
+    res,
+    CONSTANTS.HTTP_STATUS.FORBIDDEN,
+    "Teacher is outside your regional hub",
+    CONSTANTS.ERROR_CODES.FORBIDDEN,
+  );
+
+// Division/branch assignments as carried in the teacher's access token,
+// serialised so updateTeacher can tell whether an edit changed them
+const getAssignmentSnapshot = async (db, teacherId) => {
+  const result = await db.query(
+    `SELECT
+      u.teacher_division,
+      u.teacher_branch,
+      ARRAY(SELECT division FROM teacher_divisions
+            WHERE teacher_id = u.id ORDER BY division) as divisions,
+      ARRAY(SELECT branch_id FROM teacher_branches
+            WHERE teacher_id = u.id ORDER BY branch_id) as branch_ids
+     FROM users u
+     WHERE u.id = $1`,
+    [teacherId],
+  );
+  return JSON.stringify(result.rows[0] || null);
+};
+
+const sendBranchOutsideHub = (res, user, branchCode) =>
+  sendError(
+    res,
+    CONSTANTS.HTTP_STATUS.FORBIDDEN,
+    branchForbiddenMessage(user, branchCode),
+    CONSTANTS.ERROR_CODES.FORBIDDEN,
+  );
 
 const TeacherController = {
   // Get all teachers with pagination and filters
@@ -80,6 +136,13 @@ const TeacherController = {
 
       // Branch filter - now checks in teacher_branches table
       if (branch && branch.trim()) {
+        if (isOutsideHub(req.user, branch.trim().toUpperCase())) {
+          return sendBranchOutsideHub(
+            res,
+            req.user,
+            branch.trim().toUpperCase(),
+          );
+        }
         whereConditions.push(
           `EXISTS (SELECT 1 FROM teacher_branches tb JOIN branches b ON tb.branch_id = b.id WHERE tb.teacher_id = u.id AND b.branch_code = $${paramCount})`,
         );
@@ -88,6 +151,12 @@ const TeacherController = {
         logger.debug("Branch filter applied:", branch.trim().toUpperCase());
       }
 
+      if (isHubBound(req.user)) {
+        whereConditions.push(teacherInBranchesSql(`$${paramCount}`));
+        queryParams.push(req.user.hub_branches);
+        paramCount++;
+      }
+
       const whereClause = "WHERE " + whereConditions.join(" AND ");
 
       logger.debug("WHERE clause:", whereClause);
@@ -175,7 +244,7 @@ const TeacherController = {
   },
 
   // Get single teacher by ID
-  // UPDATED: Now includes is_active and resigned_at
+  // UPDATED: Now includes is_active, resigned_at and employment history
   getTeacherById: async (req, res) => {
     try {
       const { id } = req.params;
@@ -218,7 +287,20 @@ const TeacherController = {
              JOIN branches b ON tb.branch_id = b.id
              WHERE tb.teacher_id = u.id),
             '[]'::json
-          ) as branches
+          ) as branches,
+          COALESCE(
+            (SELECT json_agg(json_build_object(
+               'action', h.action,
+               'effective_at', h.effective_at,
+               'reason', h.reason,
+               'details', h.details,
+               'performed_by', COALESCE(p.teacher_name, p.username)
+             ) ORDER BY h.effective_at, h.id)
+             FROM teacher_employment_history h
+             LEFT JOIN users p ON h.performed_by = p.id
+             WHERE h.teacher_id = u.id),
+            '[]'::json
+          ) as employment_history
          FROM users u
          WHERE u.id = $1 AND u.role = 'teacher'`,
         [teacherId],
@@ -233,6 +315,10 @@ const TeacherController = {
         );
       }
 
+      if (await isTeacherOutsideHub(pool, req.user, teacherId)) {
+        return sendTeacherOutsideHub(res);
+      }
+
       return sendSuccess(res, "Teacher retrieved successfully", result.rows[0]);
     } catch (error) {
       return sendError(
@@ -376,6 +462,15 @@ const TeacherController = {
             );
           }
 
+          if (isOutsideHub(req.user, branchCheck.rows[0].branch_code)) {
+            await client.query("ROLLBACK");
+            return sendBranchOutsideHub(
+              res,
+              req.user,
+              branchCheck.rows[0].branch_code,
+            );
+          }
+
           if (!validatedBranchIds.includes(branchIdNum)) {
             validatedBranchIds.push(branchIdNum);
           }
@@ -395,6 +490,10 @@ const TeacherController = {
             CONSTANTS.ERROR_CODES.NOT_FOUND,
           );
         }
+        if (isOutsideHub(req.user, branchCode)) {
+          await client.query("ROLLBACK");
+          return sendBranchOutsideHub(res, req.user, branchCode);
+        }
         validatedBranchIds = [branchCheck.rows[0].id];
       }
 
@@ -605,6 +704,11 @@ const TeacherController = {
         );
       }
 
+      if (await isTeacherOutsideHub(client, req.user, teacherId)) {
+        await client.query("ROLLBACK");
+        return sendTeacherOutsideHub(res);
+      }
+
       // NEW: Prevent editing resigned teachers
       if (!existingTeacher.rows[0].is_active) {
         await client.query("ROLLBACK");
@@ -632,6 +736,8 @@ const TeacherController = {
         );
       }
 
+      const assignmentsBefore = await getAssignmentSnapshot(client, teacherId);
+
       // Handle divisions update
       const useDivisions =
         divisions && Array.isArray(divisions) && divisions.length > 0;
@@ -703,6 +809,15 @@ const TeacherController = {
             );
           }
 
+          if (isOutsideHub(req.user, branchCheck.rows[0].branch_code)) {
+            await client.query("ROLLBACK");
+            return sendBranchOutsideHub(
+              res,
+              req.user,
+              branchCheck.rows[0].branch_code,
+            );
+          }
+
           if (!validatedBranchIds.includes(branchIdNum)) {
             validatedBranchIds.push(branchIdNum);
           }
@@ -727,6 +842,10 @@ const TeacherController = {
             CONSTANTS.ERROR_CODES.NOT_FOUND,
           );
         }
+        if (isOutsideHub(req.user, branchCode)) {
+          await client.query("ROLLBACK");
+          return sendBranchOutsideHub(res, req.user, branchCode);
+        }
         validatedBranchIds = [branchCheck.rows[0].id];
         legacyBranch = branchCode;
       }
@@ -789,6 +908,25 @@ const TeacherController = {
         }
       }
 
+      // Access tokens carry the old assignments: invalidate them only when
+      // assignments or the password changed (not for a rename). A new
+      // password also signs the teacher out of every session.
+      const passwordChanged = Boolean(newPassword && newPassword.trim());
+      const tokensInvalidated =
+        passwordChanged ||
+        (await getAssignmentSnapshot(client, teacherId)) !== assignmentsBefore;
+
+      if (tokensInvalidated) {
+        await bumpTokenVersion(client, teacherId);
+      }
+      if (passwordChanged) {
+        await revokeUserSessions(
+          client,
+          teacherId,
+          CONSTANTS.REFRESH_TOKEN.REVOKE_REASONS.PASSWORD_CHANGED,
+        );
+      }
+
       // Get full teacher data with arrays
       const fullTeacher = await client.query(
         `SELECT 
@@ -823,6 +961,9 @@ const TeacherController = {
       );
 
       await client.query("COMMIT");
+      if (tokensInvalidated) {
+        clearTokenVersionCache(teacherId);
+      }
 
       logger.info(`Teacher updated: ${cleanUsername}`);
 
@@ -897,6 +1038,11 @@ const TeacherController = {
 
       const teacherData = existingTeacher.rows[0];
 
+      if (await isTeacherOutsideHub(client, req.user, teacherId)) {
+        await client.query("ROLLBACK");
+        return sendTeacherOutsideHub(res);
+      }
+
       // NEW: Check if teacher is already resigned
       if (!teacherData.is_active) {
         await client.query("ROLLBACK");
@@ -917,7 +1063,38 @@ const TeacherController = {
         [teacherId],
       );
 
+      // Keep the resign event (with assignments at that time) in the history
+      const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+      await client.query(
+        `INSERT INTO teacher_employment_history (teacher_id, action, effective_at, reason, details, performed_by)
+         SELECT $1::int, $2::varchar, $3::timestamp, $4::text, json_build_object(
+           'branches', COALESCE(
+             (SELECT json_agg(b.branch_code ORDER BY b.branch_code)
+              FROM teacher_branches tb JOIN branches b ON tb.branch_id = b.id
+              WHERE tb.teacher_id = $1), '[]'::json),
+           'divisions', COALESCE(
+             (SELECT json_agg(td.division ORDER BY td.division)
+              FROM teacher_divisions td WHERE td.teacher_id = $1), '[]'::json)
+         ), $5::int`,
+        [
+          teacherId,
+          CONSTANTS.TEACHER_EMPLOYMENT_ACTIONS.RESIGNED,
+          result.rows[0].resigned_at,
+          reason || null,
+          req.user.id,
+        ],
+      );
+
+      // Sign the teacher out: outstanding access tokens and sessions
+      await bumpTokenVersion(client, teacherId);
+      await revokeUserSessions(
+        client,
+        teacherId,
+        CONSTANTS.REFRESH_TOKEN.REVOKE_REASONS.ACCOUNT_RESIGNED,
+      );
+
       await client.query("COMMIT");
+      clearTokenVersionCache(teacherId);
 
       logger.info(
         `Teacher resigned (soft delete): ${teacherData.username} at ${result.rows[0].resigned_at}`,
@@ -945,10 +1122,326 @@ const TeacherController = {
     }
   },
 
+  // Reactivate (un-resign) teacher - restores login and re-validates
+  // branch / division assignments against active branches
+  // Body (optional): branch_ids, divisions (replace assignments), reason
+  reactivateTeacher: async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `SET LOCAL statement_timeout = '${CONSTANTS.TRANSACTION.TIMEOUT}'`,
+      );
+
+      const teacherId = parseInt(req.params.id);
+      if (isNaN(teacherId)) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          "Invalid teacher ID",
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      const { branch_ids, divisions, reason } = req.body || {};
+
+      const existingTeacher = await client.query(
+        `SELECT id, username, teacher_name, teacher_division, teacher_branch, is_active, resigned_at
+         FROM users WHERE id = $1 AND role = 'teacher'
+         FOR UPDATE`,
+        [teacherId],
+      );
+
+      if (existingTeacher.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.NOT_FOUND,
+          "Teacher not found",
+          CONSTANTS.ERROR_CODES.NOT_FOUND,
+        );
+      }
+
+      const teacherData = existingTeacher.rows[0];
+
+      if (await isTeacherOutsideHub(client, req.user, teacherId)) {
+        await client.query("ROLLBACK");
+        return sendTeacherOutsideHub(res);
+      }
+
+      if (teacherData.is_active) {
+        await client.query("ROLLBACK");
+        return sendError(
+          res,
+          CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+          `Teacher "${teacherData.teacher_name}" is already active`,
+          CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+        );
+      }
+
+      // Branches: explicit branch_ids replace the old assignments, otherwise
+      // keep the old ones that still point at active branches
+      const currentBranches = await client.query(
+        `SELECT b.id, b.branch_code, b.branch_name, b.is_active
+         FROM teacher_branches tb
+         JOIN branches b ON tb.branch_id = b.id
+         WHERE tb.teacher_id = $1
+         ORDER BY tb.is_primary DESC, b.branch_name`,
+        [teacherId],
+      );
+
+      let branches;
+      const removedBranches = [];
+
+      if (Array.isArray(branch_ids) && branch_ids.length > 0) {
+        const branchIds = [];
+        for (const branchId of branch_ids) {
+          const branchIdNum = parseInt(branchId);
+          if (isNaN(branchIdNum)) {
+            await client.query("ROLLBACK");
+            return sendError(
+              res,
+              CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+              `Invalid branch ID: ${branchId}`,
+              CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+            );
+          }
+          if (!branchIds.includes(branchIdNum)) branchIds.push(branchIdNum);
+        }
+
+        const branchCheck = await client.query(
+          "SELECT id, branch_code, branch_name, is_active FROM branches WHERE id = ANY($1)",
+          [branchIds],
+        );
+
+        const missing = branchIds.filter(
+          (id) => !branchCheck.rows.some((b) => b.id === id),
+        );
+        if (missing.length > 0) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.NOT_FOUND,
+            `Branch not found: ${missing.join(", ")}`,
+            CONSTANTS.ERROR_CODES.NOT_FOUND,
+          );
+        }
+
+        const outsideHub = branchCheck.rows.find((b) =>
+          isOutsideHub(req.user, b.branch_code),
+        );
+        if (outsideHub) {
+          await client.query("ROLLBACK");
+          return sendBranchOutsideHub(res, req.user, outsideHub.branch_code);
+        }
+
+        const inactive = branchCheck.rows.filter((b) => !b.is_active);
+        if (inactive.length > 0) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            `Branch is inactive: ${inactive.map((b) => b.branch_code).join(", ")}`,
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+
+        // Keep the requested order (first = primary)
+        branches = branchIds.map((id) =>
+          branchCheck.rows.find((b) => b.id === id),
+        );
+        currentBranches.rows
+          .filter((b) => !branchIds.includes(b.id))
+          .forEach((b) => removedBranches.push(b.branch_code));
+
+        await client.query(
+          "DELETE FROM teacher_branches WHERE teacher_id = $1",
+          [teacherId],
+        );
+        for (const [index, branch] of branches.entries()) {
+          await client.query(
+            "INSERT INTO teacher_branches (teacher_id, branch_id, is_primary) VALUES ($1, $2, $3)",
+            [teacherId, branch.id, index === 0],
+          );
+        }
+      } else {
+        branches = currentBranches.rows.filter((b) => b.is_active);
+        currentBranches.rows
+          .filter((b) => !b.is_active)
+          .forEach((b) => removedBranches.push(b.branch_code));
+
+        if (branches.length === 0) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            "Teacher has no active branch assignment. Provide branch_ids to reactivate.",
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+            null,
+            { removed_branches: removedBranches },
+          );
+        }
+
+        if (removedBranches.length > 0) {
+          await client.query(
+            `DELETE FROM teacher_branches tb
+             USING branches b
+             WHERE tb.branch_id = b.id AND tb.teacher_id = $1 AND b.is_active = false`,
+            [teacherId],
+          );
+          await client.query(
+            `UPDATE teacher_branches SET is_primary = true
+             WHERE teacher_id = $1 AND branch_id = $2
+               AND NOT EXISTS (
+                 SELECT 1 FROM teacher_branches
+                 WHERE teacher_id = $1 AND is_primary = true
+               )`,
+            [teacherId, branches[0].id],
+          );
+        }
+      }
+
+      // Divisions: explicit divisions replace the old ones, otherwise keep
+      // the old ones (falling back to the legacy column)
+      let validatedDivisions = [];
+
+      if (Array.isArray(divisions) && divisions.length > 0) {
+        for (const div of divisions) {
+          const divValidation = validators.validateDivision(div);
+          if (!divValidation.valid) {
+            await client.query("ROLLBACK");
+            return sendError(
+              res,
+              CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+              `Invalid division: ${div}`,
+              CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+            );
+          }
+          if (!validatedDivisions.includes(divValidation.value)) {
+            validatedDivisions.push(divValidation.value);
+          }
+        }
+
+        await client.query(
+          "DELETE FROM teacher_divisions WHERE teacher_id = $1",
+          [teacherId],
+        );
+      } else {
+        const currentDivisions = await client.query(
+          "SELECT division FROM teacher_divisions WHERE teacher_id = $1 ORDER BY division",
+          [teacherId],
+        );
+        validatedDivisions = currentDivisions.rows
+          .map((row) => row.division)
+          .filter((division) => CONSTANTS.DIVISIONS.includes(division));
+
+        if (
+          validatedDivisions.length === 0 &&
+          CONSTANTS.DIVISIONS.includes(teacherData.teacher_division)
+        ) {
+          validatedDivisions = [teacherData.teacher_division];
+        }
+
+        if (validatedDivisions.length === 0) {
+          await client.query("ROLLBACK");
+          return sendError(
+            res,
+            CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+            "Teacher has no valid division assignment. Provide divisions to reactivate.",
+            CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+          );
+        }
+      }
+
+      for (const division of validatedDivisions) {
+        await client.query(
+          `INSERT INTO teacher_divisions (teacher_id, division) VALUES ($1, $2)
+           ON CONFLICT (teacher_id, division) DO NOTHING`,
+          [teacherId, division],
+        );
+      }
+
+      // Legacy columns follow the first remaining assignment
+      const branchCodes = branches.map((b) => b.branch_code);
+      const legacyBranch = branchCodes.includes(teacherData.teacher_branch)
+        ? teacherData.teacher_branch
+        : branchCodes[0];
+      const legacyDivision = validatedDivisions.includes(
+        teacherData.teacher_division,
+      )
+        ? teacherData.teacher_division
+        : validatedDivisions[0];
+
+      const result = await client.query(
+        `UPDATE users
+         SET is_active = true, resigned_at = NULL, teacher_branch = $1,
+             teacher_division = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING id, username, teacher_name, teacher_division, teacher_branch, is_active, resigned_at, updated_at`,
+        [legacyBranch, legacyDivision, teacherId],
+      );
+
+      const history = await client.query(
+        `INSERT INTO teacher_employment_history (teacher_id, action, reason, details, performed_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING action, effective_at, reason, details`,
+        [
+          teacherId,
+          CONSTANTS.TEACHER_EMPLOYMENT_ACTIONS.REACTIVATED,
+          reason ? String(reason).trim() || null : null,
+          JSON.stringify({
+            previous_resigned_at: teacherData.resigned_at,
+            branches: branchCodes,
+            divisions: validatedDivisions,
+            removed_branches: removedBranches,
+          }),
+          req.user.id,
+        ],
+      );
+
+      await client.query("COMMIT");
+      clearTokenVersionCache(teacherId);
+
+      logger.info(
+        `Teacher reactivated: ${teacherData.username} (resigned ${teacherData.resigned_at})` +
+          (removedBranches.length > 0
+            ? ` - dropped inactive branches: ${removedBranches.join(", ")}`
+            : ""),
+      );
+
+      return sendSuccess(res, "Teacher reactivated successfully", {
+        ...result.rows[0],
+        branches: branches.map(({ id, branch_code, branch_name }) => ({
+          branch_id: id,
+          branch_code,
+          branch_name,
+        })),
+        divisions: validatedDivisions,
+        removed_branches: removedBranches,
+        history: history.rows[0],
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+        "Failed to reactivate teacher",
+        CONSTANTS.ERROR_CODES.SERVER_ERROR,
+        error,
+      );
+    } finally {
+      client.release();
+    }
+  },
+
   // Get teacher statistics
   getTeacherStats: async (req, res) => {
     try {
-      const stats = await pool.query(`
+      const hubBound = isHubBound(req.user);
+      const stats = await pool.query(
+        `
         SELECT 
           COUNT(*) as total_teachers,
           COUNT(*) FILTER (WHERE is_active = true) as active_teachers,
@@ -958,9 +1451,12 @@ const TeacherController = {
           COUNT(CASE WHEN teacher_branch = 'SND' AND is_active = true THEN 1 END) as snd_teachers,
           COUNT(CASE WHEN teacher_branch = 'MKW' AND is_active = true THEN 1 END) as mkw_teachers,
           COUNT(CASE WHEN teacher_branch = 'KBP' AND is_active = true THEN 1 END) as kbp_teachers
-        FROM users
-        WHERE role = 'teacher'
-      `);
+        FROM users u
+        WHERE u.role = 'teacher'
+        ${hubBound ? `AND ${teacherInBranchesSql("$1")}` : ""}
+      `,
+        hubBound ? [req.user.hub_branches] : [],
+      );
 
       return sendSuccess(
         res,
@@ -6,6 +6,11 @@ const logger = require("../utils/logger");
 const CONSTANTS = require("../utils/constants");
 const validators = require("../utils/validators");
 const { sendError, sendSuccess } = require("../utils/responseHelper");
+const {
+  bumpTokenVersion,
+  clearTokenVersionCache,
+} = require("../utils/tokenVersion");
+const { revokeUserSessions } = require("../utils/refreshTokens");
 
 // =====================================================
 // GET CURRENT USER PROFILE
@@ -295,13 +300,22 @@ const updatePassword = async (req, res) => {
       [hashedPassword, userId],
     );
 
+    // Sign out everywhere: outstanding access tokens and all sessions
+    await bumpTokenVersion(client, userId);
+    await revokeUserSessions(
+      client,
+      userId,
+      CONSTANTS.REFRESH_TOKEN.REVOKE_REASONS.PASSWORD_CHANGED,
+    );
+
     await client.query("COMMIT");
+    clearTokenVersionCache(userId);
 
     logger.info(`Password updated successfully for user: ${user.username}`);
 
     res.json({
       success: true,
-      message: "Password updated successfully",
+      message: "Password updated successfully. Please log in again.",
     });
   } catch (error) {
     await client.query("ROLLBACK");
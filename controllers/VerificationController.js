@@ -0,0 +1,126 @@
+// controllers/VerificationController.js
+// Public certificate verification by signed code (no authentication)
+
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+const CONSTANTS = require("../utils/constants");
+const { sendError, sendSuccess } = require("../utils/responseHelper");
+const { verifyVerificationCode } = require("../utils/verificationCode");
+
+// =====================================================
+// HELPER: Student initials (only non-sensitive part of the name)
+// =====================================================
+const toInitials = (name) =>
+  (name || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part[0].toUpperCase()}.`)
+    .join("");
+
+// =====================================================
+// HELPER: Record every lookup
+// =====================================================
+const logLookup = async (req, code, printedCertificateId, result) => {
+  try {
+    await pool.query(
+      `INSERT INTO verification_logs
+       (code, printed_certificate_id, result, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        String(code).slice(0, 64),
+        printedCertificateId,
+        result,
+        req.ip,
+        (req.get("user-agent") || "").slice(0, 255),
+      ],
+    );
+  } catch (error) {
+    // A failed audit insert must not turn a lookup into a 500
+    logger.error("Failed to record verification lookup:", error);
+  }
+
+  logger.info(
+    `Certificate verification lookup: ${result} (code: ${code}, ip: ${req.ip})`,
+  );
+};
+
+// =====================================================
+// 1. VERIFY CERTIFICATE BY CODE (PUBLIC)
+// =====================================================
+const verifyCertificate = async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const printedCertificateId = verifyVerificationCode(code);
+
+    // Tampered and unknown codes get the same answer
+    if (!printedCertificateId) {
+      await logLookup(req, code, null, CONSTANTS.VERIFICATION_RESULT.INVALID);
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Invalid verification code",
+        CONSTANTS.ERROR_CODES.INVALID_VERIFICATION_CODE,
+      );
+    }
+
+    const result = await pool.query(
+      `SELECT
+        pc.student_name,
+        to_char(pc.ptc_date, 'YYYY-MM-DD') as ptc_date,
+        pc.status,
+        m.module_name,
+        b.branch_name
+       FROM printed_certificates pc
+       JOIN modules m ON pc.module_id = m.id
+       LEFT JOIN branches b ON pc.branch = b.branch_code
+       WHERE pc.id = $1`,
+      [printedCertificateId],
+    );
+
+    if (result.rows.length === 0) {
+      await logLookup(req, code, null, CONSTANTS.VERIFICATION_RESULT.INVALID);
+      return sendError(
+        res,
+        CONSTANTS.HTTP_STATUS.NOT_FOUND,
+        "Invalid verification code",
+        CONSTANTS.ERROR_CODES.INVALID_VERIFICATION_CODE,
+      );
+    }
+
+    const record = result.rows[0];
+    const status =
+      record.status === CONSTANTS.PRINT_STATUS.VOIDED
+        ? CONSTANTS.VERIFICATION_RESULT.VOIDED
+        : CONSTANTS.VERIFICATION_RESULT.VALID;
+
+    await logLookup(req, code, printedCertificateId, status);
+
+    return sendSuccess(
+      res,
+      status === CONSTANTS.VERIFICATION_RESULT.VALID
+        ? "Certificate is valid"
+        : "Certificate has been voided",
+      {
+        status,
+        studentInitials: toInitials(record.student_name),
+        moduleName: record.module_name,
+        ptcDate: record.ptc_date,
+        branchName: record.branch_name,
+      },
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      CONSTANTS.HTTP_STATUS.SERVER_ERROR,
+      "Failed to verify certificate",
+      CONSTANTS.ERROR_CODES.SERVER_ERROR,
+      error,
+    );
+  }
+};
+
+module.exports = {
+  verifyCertificate,
+};
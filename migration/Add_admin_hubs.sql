@@ -0,0 +1,45 @@
+-- =====================================================
+-- MIGRATION: Add Regional-Hub-Scoped Administrators
+-- =====================================================
+-- Version: 021_add_admin_hubs
+-- Date: October 2026
+-- Description: Bind admin accounts to one or more regional hubs.
+--              Admins with rows here only see and change branches in
+--              those hubs (cross-hub requests get 403); admins without
+--              rows keep access to every hub.
+-- =====================================================
+
+-- STEP 1: Create admin_hubs table
+CREATE TABLE IF NOT EXISTS admin_hubs (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    regional_hub VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE CASCADE,
+    assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (user_id, regional_hub)
+);
+
+-- STEP 2: Add indexes
+CREATE INDEX IF NOT EXISTS idx_admin_hubs_hub ON admin_hubs(regional_hub);
+
+-- STEP 3: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('021_add_admin_hubs', 'Add admin_hubs to bind admin accounts to regional hubs')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'ADMIN HUBS MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New table: admin_hubs';
+    RAISE NOTICE 'Existing admins stay unrestricted (no rows)';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,44 @@
+-- =====================================================
+-- MIGRATION: Add Branch Batch Selection Policy
+-- =====================================================
+-- Version: 010_add_branch_batch_selection
+-- Date: October 2026
+-- Description: Add batch_selection column to branches so that
+--              savePrintRecord can pick the batch automatically
+--              (FIFO = oldest batch first, LIFO = newest first)
+--              when certificate_id is omitted
+-- =====================================================
+
+-- STEP 1: Add new column
+ALTER TABLE branches
+ADD COLUMN IF NOT EXISTS batch_selection VARCHAR(4) NOT NULL DEFAULT 'FIFO';
+
+-- STEP 2: Add constraint
+ALTER TABLE branches DROP CONSTRAINT IF EXISTS check_batch_selection;
+ALTER TABLE branches
+ADD CONSTRAINT check_batch_selection CHECK (batch_selection IN ('FIFO', 'LIFO'));
+
+-- STEP 3: Add comment for documentation
+COMMENT ON COLUMN branches.batch_selection IS 'Automatic print batch selection: FIFO = oldest certificates.created_at first, LIFO = newest first';
+
+-- STEP 4: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('010_add_branch_batch_selection', 'Add branches.batch_selection (FIFO/LIFO) for automatic print batch selection')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'BATCH SELECTION MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New column: branches.batch_selection (default FIFO)';
+    RAISE NOTICE 'certificate_id is now optional when saving a print record';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
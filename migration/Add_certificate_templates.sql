@@ -0,0 +1,93 @@
+-- =====================================================
+-- MIGRATION: Add Certificate Templates
+-- =====================================================
+-- Version: 015_add_certificate_templates
+-- Date: October 2026
+-- Description: Admin-managed certificate layouts assigned
+--              to a division or a module. Every change is
+--              stored as a new version and each print keeps
+--              the version it was issued with.
+-- =====================================================
+
+-- STEP 1: Create certificate_templates table
+-- Templates are assigned to a division OR to one module (module wins);
+-- with neither set the template is unassigned (draft).
+-- Page design lives in certificate_template_versions, current_version points at it.
+CREATE TABLE IF NOT EXISTS certificate_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    division VARCHAR(10) CHECK (division IN ('JK', 'LK')),
+    module_id INTEGER REFERENCES modules(id) ON DELETE SET NULL,
+    current_version INTEGER NOT NULL DEFAULT 1,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT check_template_assignment CHECK (division IS NULL OR module_id IS NULL)
+);
+
+-- STEP 2: Add indexes (one active template per module and per division)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificate_templates_module ON certificate_templates(module_id) WHERE is_active = true AND module_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificate_templates_division ON certificate_templates(division) WHERE is_active = true AND division IS NOT NULL;
+
+-- STEP 3: Create certificate_template_versions table
+-- Immutable snapshot per change; prints reference the version they were issued with
+CREATE TABLE IF NOT EXISTS certificate_template_versions (
+    id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES certificate_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    division VARCHAR(10),
+    module_id INTEGER,
+    page_size VARCHAR(10) NOT NULL DEFAULT 'A4' CHECK (page_size IN ('A4', 'LETTER')),
+    orientation VARCHAR(10) NOT NULL DEFAULT 'landscape' CHECK (orientation IN ('portrait', 'landscape')),
+    background_image_path VARCHAR(255),
+    layout JSONB NOT NULL,
+    change_note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT unique_template_version UNIQUE (template_id, version)
+);
+
+-- STEP 4: Add indexes
+CREATE INDEX IF NOT EXISTS idx_certificate_template_versions_template ON certificate_template_versions(template_id);
+
+-- STEP 5: Link prints to the template version they were issued with
+-- (NULL = built-in default layout, e.g. all prints before this migration)
+ALTER TABLE printed_certificates
+ADD COLUMN IF NOT EXISTS template_version_id INTEGER REFERENCES certificate_template_versions(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_printed_certificates_template_version ON printed_certificates(template_version_id);
+
+-- STEP 6: updated_at trigger
+DROP TRIGGER IF EXISTS update_certificate_templates_updated_at ON certificate_templates;
+CREATE TRIGGER update_certificate_templates_updated_at
+    BEFORE UPDATE ON certificate_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- STEP 7: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('015_add_certificate_templates', 'Add versioned certificate templates per division/module and printed_certificates.template_version_id')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'CERTIFICATE TEMPLATES MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New tables: certificate_templates, certificate_template_versions';
+    RAISE NOTICE 'New column: printed_certificates.template_version_id';
+    RAISE NOTICE 'Existing prints keep rendering with the built-in default layouts';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
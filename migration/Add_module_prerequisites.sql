@@ -0,0 +1,75 @@
+-- =====================================================
+-- MIGRATION: Add Module Prerequisites & Curriculum Tracks
+-- =====================================================
+-- Version: 018_add_module_prerequisites
+-- Date: October 2026
+-- Description: Prerequisite relationships between modules
+--              ("Module B follows Module A") and ordered
+--              curriculum tracks per division. Circular
+--              prerequisites are rejected by ModuleController.
+-- =====================================================
+
+-- STEP 1: Create module_prerequisites table
+CREATE TABLE IF NOT EXISTS module_prerequisites (
+    module_id INTEGER NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    prerequisite_id INTEGER NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (module_id, prerequisite_id),
+    CHECK (module_id <> prerequisite_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_module_prerequisites_prerequisite ON module_prerequisites(prerequisite_id);
+
+-- STEP 2: Create curriculum track tables
+CREATE TABLE IF NOT EXISTS curriculum_tracks (
+    id SERIAL PRIMARY KEY,
+    track_name VARCHAR(100) UNIQUE NOT NULL,
+    division VARCHAR(10) NOT NULL CHECK (division IN ('JK', 'LK')),
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS curriculum_track_modules (
+    track_id INTEGER NOT NULL REFERENCES curriculum_tracks(id) ON DELETE CASCADE,
+    module_id INTEGER NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL CHECK (position >= 1),
+    
+    PRIMARY KEY (track_id, module_id),
+    UNIQUE (track_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_curriculum_tracks_division ON curriculum_tracks(division);
+CREATE INDEX IF NOT EXISTS idx_curriculum_track_modules_module ON curriculum_track_modules(module_id);
+
+-- STEP 3: updated_at trigger
+DROP TRIGGER IF EXISTS update_curriculum_tracks_updated_at ON curriculum_tracks;
+CREATE TRIGGER update_curriculum_tracks_updated_at
+    BEFORE UPDATE ON curriculum_tracks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- STEP 4: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('018_add_module_prerequisites', 'Add module prerequisites and ordered curriculum tracks')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'MODULE PREREQUISITES MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New tables: module_prerequisites, curriculum_tracks, curriculum_track_modules';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
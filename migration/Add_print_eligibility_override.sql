@@ -0,0 +1,42 @@
+-- =====================================================
+-- MIGRATION: Add Print Eligibility Override
+-- =====================================================
+-- Version: 012_add_print_eligibility_override
+-- Date: October 2026
+-- Description: Record when an admin prints a certificate for a
+--              student who fails module eligibility (age range,
+--              student division, teacher division)
+-- =====================================================
+
+-- STEP 1: Add new columns
+ALTER TABLE printed_certificates
+ADD COLUMN IF NOT EXISTS eligibility_override BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS eligibility_failures JSONB;
+
+-- STEP 2: Add index (overrides are rare, partial index keeps it small)
+CREATE INDEX IF NOT EXISTS idx_printed_certificates_override ON printed_certificates(eligibility_override) WHERE eligibility_override = true;
+
+-- STEP 3: Add comment for documentation
+COMMENT ON COLUMN printed_certificates.eligibility_failures IS 'Eligibility checks bypassed by admin override (code + message per failure)';
+
+-- STEP 4: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('012_add_print_eligibility_override', 'Add eligibility override columns to printed_certificates')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'ELIGIBILITY OVERRIDE MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New columns on printed_certificates:';
+    RAISE NOTICE '- eligibility_override, eligibility_failures';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
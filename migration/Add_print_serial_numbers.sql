@@ -0,0 +1,85 @@
+-- =====================================================
+-- MIGRATION: Add Serial Numbers for Printed Certificates
+-- =====================================================
+-- Version: 013_add_print_serial_numbers
+-- Date: October 2026
+-- Description: Give every printed certificate a human-readable
+--              serial, gap-free per branch and year
+--              (e.g. SND-2026-000123). Existing records are
+--              numbered in print order and the counters are
+--              initialised to continue from there.
+-- =====================================================
+
+-- STEP 1: Add serial_number column
+ALTER TABLE printed_certificates
+ADD COLUMN IF NOT EXISTS serial_number VARCHAR(30);
+
+-- STEP 2: Create print_serial_counters table
+CREATE TABLE IF NOT EXISTS print_serial_counters (
+    branch_code VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0 CHECK (last_value >= 0),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (branch_code, year)
+);
+
+-- STEP 3: Backfill serials for existing records (print order per branch/year)
+WITH numbered AS (
+    SELECT
+        id,
+        branch,
+        EXTRACT(YEAR FROM printed_at)::int as year,
+        ROW_NUMBER() OVER (
+            PARTITION BY branch, EXTRACT(YEAR FROM printed_at)
+            ORDER BY printed_at, id
+        ) as seq
+    FROM printed_certificates
+    WHERE serial_number IS NULL
+)
+UPDATE printed_certificates pc
+SET serial_number = n.branch || '-' || n.year || '-' || LPAD(n.seq::text, 6, '0')
+FROM numbered n
+WHERE pc.id = n.id;
+
+-- STEP 4: Initialise counters from backfilled serials
+INSERT INTO print_serial_counters (branch_code, year, last_value)
+SELECT
+    branch,
+    EXTRACT(YEAR FROM printed_at)::int,
+    COUNT(*)
+FROM printed_certificates
+GROUP BY branch, EXTRACT(YEAR FROM printed_at)
+ON CONFLICT (branch_code, year) DO NOTHING;
+
+-- STEP 5: Add constraint and indexes
+ALTER TABLE printed_certificates DROP CONSTRAINT IF EXISTS printed_certificates_serial_number_key;
+ALTER TABLE printed_certificates
+ADD CONSTRAINT printed_certificates_serial_number_key UNIQUE (serial_number);
+CREATE INDEX IF NOT EXISTS idx_printed_certificates_serial_lower ON printed_certificates(LOWER(serial_number));
+
+-- STEP 6: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('013_add_print_serial_numbers', 'Add printed_certificates.serial_number and print_serial_counters')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+DECLARE
+    missing_count INTEGER;
+BEGIN
+    SELECT COUNT(*) INTO missing_count FROM printed_certificates WHERE serial_number IS NULL;
+
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'SERIAL NUMBER MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New column: printed_certificates.serial_number';
+    RAISE NOTICE 'New table: print_serial_counters (branch + year)';
+    RAISE NOTICE 'Records without serial: %', missing_count;
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,53 @@
+-- =====================================================
+-- MIGRATION: Add Void & Reprint Support for Printed Certificates
+-- =====================================================
+-- Version: 011_add_print_void_reprint
+-- Date: October 2026
+-- Description: Add status, void details and reprint_of link to
+--              printed_certificates so misprints can be voided
+--              (optionally restoring the medal) and replaced by a
+--              linked reprint
+-- =====================================================
+
+-- STEP 1: Add new columns
+ALTER TABLE printed_certificates
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'printed',
+ADD COLUMN IF NOT EXISTS void_reason TEXT,
+ADD COLUMN IF NOT EXISTS voided_by INTEGER REFERENCES users(id) ON DELETE RESTRICT,
+ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS medal_restored BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS reprint_of INTEGER REFERENCES printed_certificates(id) ON DELETE SET NULL;
+
+-- STEP 2: Add constraint
+ALTER TABLE printed_certificates DROP CONSTRAINT IF EXISTS check_print_status;
+ALTER TABLE printed_certificates
+ADD CONSTRAINT check_print_status CHECK (status IN ('printed', 'voided'));
+
+-- STEP 3: Add indexes
+CREATE INDEX IF NOT EXISTS idx_printed_certificates_status ON printed_certificates(status);
+CREATE INDEX IF NOT EXISTS idx_printed_certificates_reprint_of ON printed_certificates(reprint_of);
+
+-- STEP 4: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('011_add_print_void_reprint', 'Add void/reprint columns to printed_certificates')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'VOID & REPRINT MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New columns on printed_certificates:';
+    RAISE NOTICE '- status (printed/voided), void_reason, voided_by, voided_at';
+    RAISE NOTICE '- medal_restored, reprint_of';
+    RAISE NOTICE '';
+    RAISE NOTICE 'VOID and REPRINT actions are recorded in certificate_logs';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,54 @@
+-- =====================================================
+-- MIGRATION: Add Refresh Token Sessions
+-- =====================================================
+-- Version: 022_add_refresh_tokens
+-- Date: October 2026
+-- Description: Persist refresh tokens (SHA-256 hashes only) so they can
+--              be rotated on every use, revoked on logout and listed as
+--              sessions. Tokens issued by one login share a family_id;
+--              reusing an already-rotated token revokes the family.
+--              Refresh tokens issued before this migration are no
+--              longer accepted (users log in again once).
+-- =====================================================
+
+-- STEP 1: Create refresh_tokens table
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    rotated_at TIMESTAMP,
+    replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30)
+);
+
+-- STEP 2: Add indexes
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+-- STEP 3: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('022_add_refresh_tokens', 'Add refresh_tokens for refresh token rotation, revocation and sessions')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'REFRESH TOKENS MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New table: refresh_tokens';
+    RAISE NOTICE 'Existing refresh tokens are rejected: users must log in again';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,168 @@
+-- =====================================================
+-- MIGRATION: Add Roles & Permissions
+-- =====================================================
+-- Version: 020_add_roles_permissions
+-- Date: October 2026
+-- Description: Named permissions grouped into roles, checked by the
+--              requirePermission middleware. users.role stays the
+--              account type (admin = all branches, teacher = assigned
+--              branches); users.role_id decides what the user may do.
+-- =====================================================
+
+-- STEP 1: Create roles table
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    role_key VARCHAR(50) UNIQUE NOT NULL,
+    role_name VARCHAR(100) NOT NULL,
+    description TEXT,
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('admin', 'teacher')),
+    is_system BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STEP 2: Create role_permissions table
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission VARCHAR(60) NOT NULL,
+
+    PRIMARY KEY (role_id, permission)
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_permissions_permission ON role_permissions(permission);
+
+-- STEP 3: updated_at trigger
+DROP TRIGGER IF EXISTS update_roles_updated_at ON roles;
+CREATE TRIGGER update_roles_updated_at
+    BEFORE UPDATE ON roles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- STEP 4: Seed built-in roles
+INSERT INTO roles (role_key, role_name, description, account_type, is_system) VALUES
+('super_admin', 'Super Admin', 'Full access, including role management and destructive operations', 'admin', true),
+('hub_admin', 'Hub Admin', 'Runs stock, students, teachers and printing for a regional hub', 'admin', true),
+('branch_admin', 'Branch Admin', 'Teacher account that also manages and transfers students of its branches', 'teacher', true),
+('teacher', 'Teacher', 'Prints certificates and handles stock for assigned branches', 'teacher', true),
+('auditor', 'Auditor', 'Read-only access to all data and non-PII reports', 'admin', true)
+ON CONFLICT (role_key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, p.permission
+FROM roles r
+JOIN (VALUES
+    ('super_admin', 'branches.view'), ('super_admin', 'branches.manage'),
+    ('super_admin', 'stock.view'), ('super_admin', 'stock.create'),
+    ('super_admin', 'stock.migrate'), ('super_admin', 'stock.receive'),
+    ('super_admin', 'stock.adjust'), ('super_admin', 'stock.clear'),
+    ('super_admin', 'stock.thresholds'),
+    ('super_admin', 'stock_requests.create'), ('super_admin', 'stock_requests.approve'),
+    ('super_admin', 'stocktakes.view'), ('super_admin', 'stocktakes.count'),
+    ('super_admin', 'stocktakes.approve'),
+    ('super_admin', 'logs.view'), ('super_admin', 'logs.cleanup'), ('super_admin', 'logs.recover'),
+    ('super_admin', 'modules.view'), ('super_admin', 'modules.manage'),
+    ('super_admin', 'templates.view'), ('super_admin', 'templates.manage'),
+    ('super_admin', 'prints.view'), ('super_admin', 'prints.create'),
+    ('super_admin', 'prints.void'), ('super_admin', 'prints.link'), ('super_admin', 'prints.export'),
+    ('super_admin', 'students.view'), ('super_admin', 'students.manage'),
+    ('super_admin', 'students.transfer'), ('super_admin', 'students.import'),
+    ('super_admin', 'students.merge'), ('super_admin', 'students.export'),
+    ('super_admin', 'students.transcript'),
+    ('super_admin', 'teachers.view'), ('super_admin', 'teachers.manage'),
+    ('super_admin', 'reports.export'),
+    ('super_admin', 'roles.view'), ('super_admin', 'roles.manage'),
+
+    ('hub_admin', 'branches.view'),
+    ('hub_admin', 'stock.view'), ('hub_admin', 'stock.create'),
+    ('hub_admin', 'stock.migrate'), ('hub_admin', 'stock.receive'),
+    ('hub_admin', 'stock.adjust'), ('hub_admin', 'stock.thresholds'),
+    ('hub_admin', 'stock_requests.create'), ('hub_admin', 'stock_requests.approve'),
+    ('hub_admin', 'stocktakes.view'), ('hub_admin', 'stocktakes.count'),
+    ('hub_admin', 'stocktakes.approve'),
+    ('hub_admin', 'logs.view'),
+    ('hub_admin', 'modules.view'), ('hub_admin', 'templates.view'),
+    ('hub_admin', 'prints.view'), ('hub_admin', 'prints.create'),
+    ('hub_admin', 'prints.void'), ('hub_admin', 'prints.link'), ('hub_admin', 'prints.export'),
+    ('hub_admin', 'students.view'), ('hub_admin', 'students.manage'),
+    ('hub_admin', 'students.transfer'), ('hub_admin', 'students.import'),
+    ('hub_admin', 'students.merge'), ('hub_admin', 'students.export'),
+    ('hub_admin', 'students.transcript'),
+    ('hub_admin', 'teachers.view'), ('hub_admin', 'teachers.manage'),
+    ('hub_admin', 'reports.export'),
+    ('hub_admin', 'roles.view'),
+
+    ('branch_admin', 'branches.view'),
+    ('branch_admin', 'stock.view'), ('branch_admin', 'stock.create'),
+    ('branch_admin', 'stock.migrate'), ('branch_admin', 'stock.receive'),
+    ('branch_admin', 'stock_requests.create'), ('branch_admin', 'stock_requests.approve'),
+    ('branch_admin', 'stocktakes.view'), ('branch_admin', 'stocktakes.count'),
+    ('branch_admin', 'logs.view'),
+    ('branch_admin', 'prints.view'), ('branch_admin', 'prints.create'),
+    ('branch_admin', 'prints.void'), ('branch_admin', 'prints.export'),
+    ('branch_admin', 'students.view'), ('branch_admin', 'students.manage'),
+    ('branch_admin', 'students.transfer'), ('branch_admin', 'students.transcript'),
+
+    ('teacher', 'branches.view'),
+    ('teacher', 'stock.view'), ('teacher', 'stock.create'),
+    ('teacher', 'stock.migrate'), ('teacher', 'stock.receive'),
+    ('teacher', 'stock_requests.create'), ('teacher', 'stock_requests.approve'),
+    ('teacher', 'stocktakes.view'), ('teacher', 'stocktakes.count'),
+    ('teacher', 'logs.view'),
+    ('teacher', 'prints.view'), ('teacher', 'prints.create'),
+    ('teacher', 'prints.void'), ('teacher', 'prints.export'),
+    ('teacher', 'students.view'), ('teacher', 'students.transcript'),
+
+    ('auditor', 'branches.view'), ('auditor', 'stock.view'),
+    ('auditor', 'stocktakes.view'), ('auditor', 'logs.view'),
+    ('auditor', 'modules.view'), ('auditor', 'templates.view'),
+    ('auditor', 'prints.view'), ('auditor', 'students.view'),
+    ('auditor', 'teachers.view'), ('auditor', 'roles.view'),
+    ('auditor', 'reports.export')
+) AS p(role_key, permission) ON p.role_key = r.role_key
+ON CONFLICT DO NOTHING;
+
+-- STEP 5: Link users to a role (NULL = default role of the account type)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role_id INTEGER REFERENCES roles(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_users_role_id ON users(role_id);
+
+-- STEP 6: Existing admins become super admins, teachers stay teachers
+UPDATE users u
+SET role_id = r.id
+FROM roles r
+WHERE u.role_id IS NULL
+  AND r.role_key = CASE u.role WHEN 'admin' THEN 'super_admin' ELSE 'teacher' END;
+
+-- STEP 7: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('020_add_roles_permissions', 'Add roles, role_permissions and users.role_id for permission checks')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'ROLES & PERMISSIONS MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New tables: roles, role_permissions';
+    RAISE NOTICE 'New column: users.role_id';
+    RAISE NOTICE 'Built-in roles: super_admin, hub_admin, branch_admin, teacher, auditor';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
+
+-- Show role assignments
+SELECT
+    '=== ROLE ASSIGNMENTS ===' as info,
+    r.role_key,
+    COUNT(u.id) as users
+FROM roles r
+LEFT JOIN users u ON u.role_id = r.id
+GROUP BY r.role_key
+ORDER BY r.role_key;
@@ -0,0 +1,73 @@
+-- =====================================================
+-- MIGRATION: Add Stock Requests
+-- =====================================================
+-- Version: 007_add_stock_requests
+-- Date: October 2026
+-- Description: Add stock_requests table so regular branches can request
+--              stock from their regional hub. The hub approves (fully or
+--              partially), rejects or fulfils; fulfilment is linked to
+--              the resulting MIGRATE entry in certificate_logs
+-- =====================================================
+
+-- STEP 1: Create stock_requests table
+CREATE TABLE IF NOT EXISTS stock_requests (
+    id SERIAL PRIMARY KEY,
+    requesting_branch VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    regional_hub VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    certificate_id VARCHAR(50) REFERENCES certificates(certificate_id) ON DELETE SET NULL,
+    requested_certificates INTEGER NOT NULL DEFAULT 0 CHECK (requested_certificates >= 0),
+    requested_medals INTEGER NOT NULL DEFAULT 0 CHECK (requested_medals >= 0),
+    approved_certificates INTEGER CHECK (approved_certificates >= 0),
+    approved_medals INTEGER CHECK (approved_medals >= 0),
+    needed_by DATE,
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'partially_approved', 'rejected', 'fulfilled', 'cancelled')),
+    rejection_reason TEXT,
+    fulfilled_certificate_id VARCHAR(50),
+    migration_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    requested_by VARCHAR(100) NOT NULL,
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP,
+    fulfilled_by VARCHAR(100),
+    fulfilled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (requested_certificates + requested_medals > 0)
+);
+
+-- STEP 2: Add indexes
+CREATE INDEX IF NOT EXISTS idx_stock_requests_branch ON stock_requests(requesting_branch);
+CREATE INDEX IF NOT EXISTS idx_stock_requests_hub_status ON stock_requests(regional_hub, status);
+CREATE INDEX IF NOT EXISTS idx_stock_requests_needed_by ON stock_requests(needed_by);
+
+-- STEP 3: Keep updated_at current
+DROP TRIGGER IF EXISTS update_stock_requests_updated_at ON stock_requests;
+CREATE TRIGGER update_stock_requests_updated_at
+    BEFORE UPDATE ON stock_requests
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- STEP 4: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('007_add_stock_requests', 'Add stock_requests for branch to regional hub stock request workflow')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'STOCK REQUEST MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New table: stock_requests';
+    RAISE NOTICE '- pending -> approved / partially_approved -> fulfilled';
+    RAISE NOTICE '- pending -> rejected (with reason)';
+    RAISE NOTICE '- migration_log_id links to the MIGRATE log on fulfilment';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
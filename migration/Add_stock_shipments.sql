@@ -0,0 +1,67 @@
+-- =====================================================
+-- MIGRATION: Add Stock Shipments (In-Transit Migrations)
+-- =====================================================
+-- Version: 008_add_stock_shipments
+-- Date: October 2026
+-- Description: Add stock_shipments table so a migration can be
+--              dispatched (stock leaves the source but is not yet
+--              available at the destination) and later confirmed
+--              with the quantities actually received. Shortfalls are
+--              logged as TRANSIT_DISCREPANCY entries
+-- =====================================================
+
+-- STEP 1: Create stock_shipments table
+CREATE TABLE IF NOT EXISTS stock_shipments (
+    id SERIAL PRIMARY KEY,
+    certificate_id VARCHAR(50) NOT NULL REFERENCES certificates(certificate_id) ON DELETE CASCADE,
+    from_branch VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    to_branch VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    certificate_amount INTEGER NOT NULL DEFAULT 0 CHECK (certificate_amount >= 0),
+    medal_amount INTEGER NOT NULL DEFAULT 0 CHECK (medal_amount >= 0),
+    received_certificates INTEGER CHECK (received_certificates >= 0),
+    received_medals INTEGER CHECK (received_medals >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'dispatched'
+        CHECK (status IN ('dispatched', 'received', 'received_short')),
+    notes TEXT,
+    dispatch_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    receipt_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    discrepancy_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    dispatched_by VARCHAR(100) NOT NULL,
+    dispatched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    received_by VARCHAR(100),
+    received_at TIMESTAMP,
+    CHECK (received_certificates IS NULL OR received_certificates <= certificate_amount),
+    CHECK (received_medals IS NULL OR received_medals <= medal_amount)
+);
+
+-- STEP 2: Add indexes
+CREATE INDEX IF NOT EXISTS idx_stock_shipments_status ON stock_shipments(status);
+CREATE INDEX IF NOT EXISTS idx_stock_shipments_to_branch ON stock_shipments(to_branch, status);
+CREATE INDEX IF NOT EXISTS idx_stock_shipments_from_branch ON stock_shipments(from_branch);
+
+-- STEP 3: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('008_add_stock_shipments', 'Add stock_shipments for dispatched (in-transit) migrations and receipt confirmation')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'STOCK SHIPMENTS MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New table: stock_shipments';
+    RAISE NOTICE '- dispatched -> received / received_short';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New log action types:';
+    RAISE NOTICE '- DISPATCH (stock left source, in transit)';
+    RAISE NOTICE '- RECEIVE (quantities confirmed at destination)';
+    RAISE NOTICE '- TRANSIT_DISCREPANCY (shortfall lost in transit)';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,79 @@
+-- =====================================================
+-- MIGRATION: Add Low-Stock Thresholds & Notifications
+-- =====================================================
+-- Version: 009_add_stock_thresholds
+-- Date: October 2026
+-- Description: Add stock_thresholds (minimum certificates/medals per
+--              branch or per regional hub) and notifications so that
+--              prints and migrations that push a branch below its
+--              threshold raise a stored alert
+-- =====================================================
+
+-- STEP 1: Create stock_thresholds table
+CREATE TABLE IF NOT EXISTS stock_thresholds (
+    id SERIAL PRIMARY KEY,
+    branch_code VARCHAR(10) REFERENCES branches(branch_code) ON DELETE CASCADE,
+    regional_hub VARCHAR(10) REFERENCES branches(branch_code) ON DELETE CASCADE,
+    min_certificates INTEGER NOT NULL DEFAULT 0 CHECK (min_certificates >= 0),
+    min_medals INTEGER NOT NULL DEFAULT 0 CHECK (min_medals >= 0),
+    updated_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_threshold_target CHECK (
+        (branch_code IS NOT NULL AND regional_hub IS NULL) OR
+        (branch_code IS NULL AND regional_hub IS NOT NULL)
+    )
+);
+
+-- STEP 2: Create notifications table
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    branch_code VARCHAR(10) REFERENCES branches(branch_code) ON DELETE CASCADE,
+    certificate_id VARCHAR(50),
+    message TEXT NOT NULL,
+    payload JSONB,
+    is_read BOOLEAN DEFAULT false,
+    read_by VARCHAR(100),
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STEP 3: Add indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_thresholds_branch ON stock_thresholds(branch_code) WHERE branch_code IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_thresholds_hub ON stock_thresholds(regional_hub) WHERE regional_hub IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_branch ON notifications(branch_code);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(is_read) WHERE is_read = false;
+CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at DESC);
+
+-- STEP 4: Keep updated_at current
+DROP TRIGGER IF EXISTS update_stock_thresholds_updated_at ON stock_thresholds;
+CREATE TRIGGER update_stock_thresholds_updated_at
+    BEFORE UPDATE ON stock_thresholds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- STEP 5: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('009_add_stock_thresholds', 'Add stock_thresholds and notifications for low-stock alerts')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'LOW-STOCK THRESHOLD MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New tables:';
+    RAISE NOTICE '- stock_thresholds (per branch, or per regional hub as default)';
+    RAISE NOTICE '- notifications (stored low-stock alerts)';
+    RAISE NOTICE '';
+    RAISE NOTICE 'A branch threshold overrides its regional hub threshold';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,78 @@
+-- =====================================================
+-- MIGRATION: Add Stocktake Sessions
+-- =====================================================
+-- Version: 006_add_stocktake_sessions
+-- Date: October 2026
+-- Description: Add stocktake_sessions and stocktake_items tables so
+--              branches can record monthly physical counts, compare
+--              them to certificate_stock and post variances as
+--              ADJUST log entries on approval
+-- =====================================================
+
+-- STEP 1: Create stocktake_sessions table
+CREATE TABLE IF NOT EXISTS stocktake_sessions (
+    id SERIAL PRIMARY KEY,
+    branch_code VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'approved', 'cancelled')),
+    notes TEXT,
+    opened_by VARCHAR(100) NOT NULL,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by VARCHAR(100),
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STEP 2: Create stocktake_items table
+CREATE TABLE IF NOT EXISTS stocktake_items (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES stocktake_sessions(id) ON DELETE CASCADE,
+    certificate_id VARCHAR(50) NOT NULL REFERENCES certificates(certificate_id) ON DELETE CASCADE,
+    system_certificates INTEGER NOT NULL DEFAULT 0,
+    system_medals INTEGER NOT NULL DEFAULT 0,
+    counted_certificates INTEGER NOT NULL CHECK (counted_certificates >= 0),
+    counted_medals INTEGER NOT NULL CHECK (counted_medals >= 0),
+    adjustment_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    counted_by VARCHAR(100) NOT NULL,
+    counted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, certificate_id)
+);
+
+-- STEP 3: Add indexes
+CREATE INDEX IF NOT EXISTS idx_stocktake_sessions_branch ON stocktake_sessions(branch_code);
+CREATE INDEX IF NOT EXISTS idx_stocktake_sessions_status ON stocktake_sessions(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stocktake_sessions_one_open ON stocktake_sessions(branch_code) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_stocktake_items_session ON stocktake_items(session_id);
+CREATE INDEX IF NOT EXISTS idx_stocktake_items_cert_id ON stocktake_items(certificate_id);
+
+-- STEP 4: Keep updated_at current
+DROP TRIGGER IF EXISTS update_stocktake_sessions_updated_at ON stocktake_sessions;
+CREATE TRIGGER update_stocktake_sessions_updated_at
+    BEFORE UPDATE ON stocktake_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- STEP 5: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('006_add_stocktake_sessions', 'Add stocktake_sessions and stocktake_items for physical stock counts')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'STOCKTAKE MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New tables:';
+    RAISE NOTICE '- stocktake_sessions (one open session per branch)';
+    RAISE NOTICE '- stocktake_items (counted vs system snapshot per batch)';
+    RAISE NOTICE '';
+    RAISE NOTICE 'Approved variances are posted as ADJUST logs (reason: recount)';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
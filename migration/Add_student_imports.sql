@@ -0,0 +1,48 @@
+-- =====================================================
+-- MIGRATION: Add Student Imports Audit Table
+-- =====================================================
+-- Version: 016_add_student_imports
+-- Date: October 2026
+-- Description: Keep a summary (with per-row report) of every
+--              committed Excel import made through
+--              POST /api/students/import?mode=commit
+-- =====================================================
+
+-- STEP 1: Create student_imports table
+CREATE TABLE IF NOT EXISTS student_imports (
+    id SERIAL PRIMARY KEY,
+    file_name VARCHAR(255),
+    total_rows INTEGER NOT NULL,
+    inserted_count INTEGER NOT NULL,
+    invalid_count INTEGER NOT NULL DEFAULT 0,
+    duplicate_count INTEGER NOT NULL DEFAULT 0,
+    include_duplicates BOOLEAN DEFAULT false,
+    rows JSONB NOT NULL,
+    imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STEP 2: Add indexes
+CREATE INDEX IF NOT EXISTS idx_student_imports_created_at ON student_imports(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_student_imports_imported_by ON student_imports(imported_by);
+
+-- STEP 3: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('016_add_student_imports', 'Add student_imports audit table for Excel student imports')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'STUDENT IMPORTS MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New table: student_imports';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,66 @@
+-- =====================================================
+-- MIGRATION: Add Student Merge Support
+-- =====================================================
+-- Version: 017_add_student_merges
+-- Date: October 2026
+-- Description: Allow duplicate students to be merged into a
+--              surviving record. The duplicate is kept with
+--              status 'merged' and every moved row is logged in
+--              student_merges so a merge can be reverted.
+-- =====================================================
+
+-- STEP 1: Allow 'merged' student status
+ALTER TABLE students DROP CONSTRAINT IF EXISTS students_status_check;
+ALTER TABLE students ADD CONSTRAINT students_status_check
+    CHECK (status IN ('active', 'inactive', 'transferred', 'merged'));
+
+-- STEP 2: Point merged students at the surviving record
+ALTER TABLE students
+ADD COLUMN IF NOT EXISTS merged_into_id INTEGER REFERENCES students(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_students_merged_into ON students(merged_into_id);
+
+-- STEP 3: Create student_merges log
+-- details = ids of moved rows, removed student_modules snapshots,
+-- survivor rows/fields changed, duplicate's previous status
+CREATE TABLE IF NOT EXISTS student_merges (
+    id SERIAL PRIMARY KEY,
+    survivor_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    duplicate_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    reason TEXT,
+    details JSONB NOT NULL,
+    merged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reverted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reverted_at TIMESTAMP,
+
+    CHECK (survivor_id <> duplicate_id)
+);
+
+-- STEP 4: Add indexes
+CREATE INDEX IF NOT EXISTS idx_student_merges_survivor ON student_merges(survivor_id);
+CREATE INDEX IF NOT EXISTS idx_student_merges_duplicate ON student_merges(duplicate_id);
+CREATE INDEX IF NOT EXISTS idx_student_merges_merged_at ON student_merges(merged_at DESC);
+
+-- STEP 5: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('017_add_student_merges', 'Add merged student status and reversible student_merges log')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'STUDENT MERGES MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New column: students.merged_into_id';
+    RAISE NOTICE 'New status: merged';
+    RAISE NOTICE 'New table: student_merges';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,57 @@
+-- =====================================================
+-- MIGRATION: Add Teacher Employment History
+-- =====================================================
+-- Version: 019_add_teacher_employment_history
+-- Date: October 2026
+-- Description: Keep every resign / reactivate event of a teacher
+--              so resigned teachers can be restored through the API
+--              (POST /api/teachers/:id/reactivate) with a history.
+-- =====================================================
+
+-- STEP 1: Create teacher_employment_history table
+-- details = branches / divisions at the time of the event and,
+-- on reactivation, branch assignments dropped as inactive
+CREATE TABLE IF NOT EXISTS teacher_employment_history (
+    id SERIAL PRIMARY KEY,
+    teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('resigned', 'reactivated')),
+    effective_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reason TEXT,
+    details JSONB,
+    performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STEP 2: Add indexes
+CREATE INDEX IF NOT EXISTS idx_teacher_employment_history_teacher ON teacher_employment_history(teacher_id, effective_at);
+
+-- STEP 3: Backfill teachers that are already resigned
+INSERT INTO teacher_employment_history (teacher_id, action, effective_at, reason)
+SELECT u.id, 'resigned', u.resigned_at, 'Recorded before employment history was tracked'
+FROM users u
+WHERE u.role = 'teacher' AND u.is_active = false AND u.resigned_at IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM teacher_employment_history h WHERE h.teacher_id = u.id
+  );
+
+-- STEP 4: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('019_add_teacher_employment_history', 'Add teacher_employment_history for resign / reactivate cycles')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'TEACHER EMPLOYMENT HISTORY MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New table: teacher_employment_history';
+    RAISE NOTICE 'Resigned teachers backfilled from users.resigned_at';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
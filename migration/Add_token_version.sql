@@ -0,0 +1,40 @@
+-- =====================================================
+-- MIGRATION: Add Per-User Token Version
+-- =====================================================
+-- Version: 023_add_token_version
+-- Date: October 2026
+-- Description: users.token_version is copied into every access token
+--              (tv claim) and checked by verifyToken. Resigning a
+--              teacher, changing their branches / divisions, assigning
+--              a role or changing a password increments it, so access
+--              tokens issued before stop working at once. Tokens issued
+--              before this migration carry no version and count as 0.
+-- =====================================================
+
+-- STEP 1: Add token_version column
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- STEP 2: Add comment for documentation
+COMMENT ON COLUMN users.token_version IS 'Incremented to invalidate access tokens issued before (JWT tv claim)';
+
+-- STEP 3: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('023_add_token_version', 'Add users.token_version for immediate access token invalidation')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'TOKEN VERSION MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New column: users.token_version (default 0)';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,47 @@
+-- =====================================================
+-- MIGRATION: Add Certificate Verification Logs
+-- =====================================================
+-- Version: 014_add_verification_logs
+-- Date: October 2026
+-- Description: Record every lookup made through the public
+--              GET /api/verify/:code endpoint (signed
+--              verification codes, see VERIFICATION_SECRET)
+-- =====================================================
+
+-- STEP 1: Create verification_logs table
+CREATE TABLE IF NOT EXISTS verification_logs (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(64) NOT NULL,
+    printed_certificate_id INTEGER REFERENCES printed_certificates(id) ON DELETE SET NULL,
+    result VARCHAR(20) NOT NULL CHECK (result IN ('valid', 'voided', 'invalid')),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STEP 2: Add indexes
+CREATE INDEX IF NOT EXISTS idx_verification_logs_printed_cert ON verification_logs(printed_certificate_id);
+CREATE INDEX IF NOT EXISTS idx_verification_logs_created_at ON verification_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_verification_logs_ip ON verification_logs(ip_address, created_at);
+
+-- STEP 3: Record migration
+INSERT INTO schema_migrations (migration_id, description)
+VALUES ('014_add_verification_logs', 'Add verification_logs for public certificate verification lookups')
+ON CONFLICT (migration_id) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+
+DO $$
+BEGIN
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE 'VERIFICATION LOGS MIGRATION COMPLETED';
+    RAISE NOTICE '========================================';
+    RAISE NOTICE '';
+    RAISE NOTICE 'New table: verification_logs';
+    RAISE NOTICE 'Remember to set VERIFICATION_SECRET in .env before starting the server';
+    RAISE NOTICE '';
+    RAISE NOTICE '========================================';
+END $$;
@@ -1,7 +1,14 @@
 // routes/authRoutes.js
 const express = require("express");
 const router = express.Router();
-const { login, refreshToken } = require("../auth/AuthController");
+const {
+  login,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+} = require("../auth/AuthController");
 const { verifyToken } = require("../auth/AuthMiddleware");
 
 // =====================================================
@@ -11,9 +18,12 @@ const { verifyToken } = require("../auth/AuthMiddleware");
 // Login endpoint
 router.post("/login", login);
 
-// Refresh token endpoint
+// Refresh token endpoint (rotates the refresh token)
 router.post("/refresh-token", refreshToken);
 
+// Logout this session (body: refreshToken)
+router.post("/logout", logout);
+
 // =====================================================
 // PROTECTED ROUTES
 // =====================================================
@@ -27,4 +37,13 @@ router.get("/profile", verifyToken, (req, res) => {
   });
 });
 
+// Logout all devices (revokes every session of the current user)
+router.post("/logout-all", verifyToken, logoutAll);
+
+// List active sessions (current = the session of this access token)
+router.get("/sessions", verifyToken, getSessions);
+
+// Revoke one session
+router.delete("/sessions/:sessionId", verifyToken, revokeSession);
+
 module.exports = router;
@@ -14,8 +14,9 @@ const {
   getBranchStats,
   getHeadBranches,
   getBranchesByHub,
+  setBatchSelection,
 } = require("../controllers/BranchController");
-const { verifyToken, requireAdmin } = require("../auth/AuthMiddleware");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
 // ALL ROUTES REQUIRE AUTHENTICATION
@@ -27,51 +28,61 @@ router.use(verifyToken);
 // =====================================================
 
 // Get branch statistics (now includes regional hub breakdown)
-// Accessible by both admin and teachers
-router.get("/stats", getBranchStats);
+router.get("/stats", requirePermission("branches.view"), getBranchStats);
 
 // =====================================================
 // HEAD BRANCHES (NEW)
 // =====================================================
 
 // Get all head branches (for dropdown in forms)
-// Accessible by both admin and teachers
-router.get("/head-branches", getHeadBranches);
+router.get(
+  "/head-branches",
+  requirePermission("branches.view"),
+  getHeadBranches,
+);
 
 // Get branches by regional hub
-// Accessible by both admin and teachers
-router.get("/hub/:hub", getBranchesByHub);
+router.get("/hub/:hub", requirePermission("branches.view"), getBranchesByHub);
 
 // =====================================================
 // BRANCH CRUD OPERATIONS
 // =====================================================
 
 // Get all branches (now includes is_head_branch and regional_hub)
-// Accessible by both admin and teachers
-router.get("/", getAllBranches);
+router.get("/", requirePermission("branches.view"), getAllBranches);
 
 // Get specific branch by ID
-// Accessible by both admin and teachers
-router.get("/:id", getBranchById);
+router.get("/:id", requirePermission("branches.view"), getBranchById);
 
-// Create new branch - Admin only
+// Create new branch
 // Now supports is_head_branch and regional_hub
-router.post("/", requireAdmin, createBranch);
+router.post("/", requirePermission("branches.manage"), createBranch);
 
-// Update branch name - Admin only
+// Update branch name
 // Note: branch_code, is_head_branch, regional_hub CANNOT be changed
-router.put("/:id", requireAdmin, updateBranch);
+router.put("/:id", requirePermission("branches.manage"), updateBranch);
 
-// Delete branch - Admin only (with safety checks)
+// Delete branch (with safety checks)
 // Additional check: cannot delete head branch if it has dependent branches
-router.delete("/:id", requireAdmin, deleteBranch);
+router.delete("/:id", requirePermission("branches.manage"), deleteBranch);
 
 // =====================================================
 // BRANCH STATUS MANAGEMENT
 // =====================================================
 
-// Toggle branch status (activate/deactivate) - Admin only
+// Toggle branch status (activate/deactivate)
 // Additional check: cannot deactivate head branch if it has active dependent branches
-router.patch("/:id/toggle-status", requireAdmin, toggleBranchStatus);
+router.patch(
+  "/:id/toggle-status",
+  requirePermission("branches.manage"),
+  toggleBranchStatus,
+);
+
+// Set automatic batch selection policy for printing (FIFO/LIFO)
+router.patch(
+  "/:id/batch-selection",
+  requirePermission("branches.manage"),
+  setBatchSelection,
+);
 
 module.exports = router;
@@ -7,7 +7,7 @@ const {
   deleteOldLogs,
   recoverFailedLogs,
 } = require("../controllers/CertificateLogsController");
-const { verifyToken } = require("../auth/AuthMiddleware");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
 // ALL ROUTES REQUIRE AUTHENTICATION
@@ -19,19 +19,23 @@ router.use(verifyToken);
 // =====================================================
 
 // Get all logs with filters (pagination, search, date range)
-router.get("/", getLogs);
+router.get("/", requirePermission("logs.view"), getLogs);
 
 // Get logs for specific certificate batch
-router.get("/certificate/:id", getLogsByCertificate);
+router.get(
+  "/certificate/:id",
+  requirePermission("logs.view"),
+  getLogsByCertificate,
+);
 
 // =====================================================
-// LOG MANAGEMENT (ADMIN ONLY - consider adding requireAdmin middleware)
+// LOG MANAGEMENT
 // =====================================================
 
 // Delete old logs (cleanup - default 90 days)
-router.delete("/cleanup", deleteOldLogs);
+router.delete("/cleanup", requirePermission("logs.cleanup"), deleteOldLogs);
 
 // Recover failed logs from backup file
-router.post("/recover", recoverFailedLogs);
+router.post("/recover", requirePermission("logs.recover"), recoverFailedLogs);
 
 module.exports = router;
@@ -1,8 +1,8 @@
 // routes/certificateRoutes.js
 const express = require("express");
 const router = express.Router();
-const { createCertificate, getAllCertificates, getCertificateById, clearAllCertificates, migrateCertificate, getStockSummary, getTransactionHistory } = require("../controllers/CertificateController");
-const { verifyToken } = require("../auth/AuthMiddleware");
+const { createCertificate, getAllCertificates, getCertificateById, clearAllCertificates, migrateCertificate, getStockSummary, getTransactionHistory, adjustStock, receiveShipment, getShipments } = require("../controllers/CertificateController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
 // ALL ROUTES REQUIRE AUTHENTICATION
@@ -14,32 +14,46 @@ router.use(verifyToken);
 // =====================================================
 
 // Get current stock summary (total across all batches)
-router.get("/summary", getStockSummary);
+router.get("/summary", requirePermission("stock.view"), getStockSummary);
 
 // Get transaction history with filters
-router.get("/history", getTransactionHistory);
+router.get("/history", requirePermission("stock.view"), getTransactionHistory);
 
 // =====================================================
 // BATCH OPERATIONS
 // =====================================================
 
 // Create new batch (input stock)
-router.post("/", createCertificate);
+router.post("/", requirePermission("stock.create"), createCertificate);
 
 // Clear all certificates (bulk delete)
-router.post("/clear-all", clearAllCertificates);
+router.post("/clear-all", requirePermission("stock.clear"), clearAllCertificates);
 
 // Migrate stock from SND to other branches
-router.post("/migrate", migrateCertificate);
+// Send dispatch: true to keep the stock in transit until the destination confirms receipt
+router.post("/migrate", requirePermission("stock.migrate"), migrateCertificate);
+
+// =====================================================
+// IN-TRANSIT SHIPMENTS
+// =====================================================
+
+// List dispatched / received shipments (filter by status, branch_code)
+router.get("/shipments", requirePermission("stock.view"), getShipments);
+
+// Destination branch confirms receipt with actual quantities
+router.post("/shipments/:id/receive", requirePermission("stock.receive"), receiveShipment);
 
 // =====================================================
 // INDIVIDUAL CERTIFICATE OPERATIONS
 // =====================================================
 
 // Get all certificates (with pagination)
-router.get("/", getAllCertificates);
+router.get("/", requirePermission("stock.view"), getAllCertificates);
 
 // Get specific certificate by ID
-router.get("/:id", getCertificateById);
+router.get("/:id", requirePermission("stock.view"), getCertificateById);
+
+// Adjust stock at a branch with a reason code (write-off / correction)
+router.post("/:id/adjust", requirePermission("stock.adjust"), adjustStock);
 
 module.exports = router;
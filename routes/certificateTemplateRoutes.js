@@ -0,0 +1,71 @@
+// routes/certificateTemplateRoutes.js
+// Certificate layout templates (per division / module), versioned
+
+const express = require("express");
+const router = express.Router();
+const {
+  getTemplateOptions,
+  getTemplates,
+  getTemplateById,
+  getTemplateVersion,
+  createTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  previewTemplate,
+  previewDraft,
+} = require("../controllers/CertificateTemplateController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
+
+// =====================================================
+// ALL ROUTES REQUIRE AUTHENTICATION
+// =====================================================
+router.use(verifyToken);
+
+// =====================================================
+// EDITOR SUPPORT
+// =====================================================
+
+// Bindable fields, fonts, page sizes and element types
+router.get("/options", requirePermission("templates.view"), getTemplateOptions);
+
+// Render an unsaved design with sample data (PDF)
+router.post("/preview", requirePermission("templates.manage"), previewDraft);
+
+// =====================================================
+// TEMPLATE CRUD (EVERY CHANGE CREATES A NEW VERSION)
+// =====================================================
+
+// List templates (filter by division, module_id, include_inactive)
+router.get("/", requirePermission("templates.view"), getTemplates);
+
+// Create template (version 1), assigned to a division OR a module
+router.post("/", requirePermission("templates.manage"), createTemplate);
+
+// Get template with current design and version history
+router.get("/:id", requirePermission("templates.view"), getTemplateById);
+
+// Get one specific version (design used by older prints)
+router.get(
+  "/:id/versions/:version",
+  requirePermission("templates.view"),
+  getTemplateVersion,
+);
+
+// Render saved template with sample data (?version=N for older versions)
+router.get(
+  "/:id/preview",
+  requirePermission("templates.view"),
+  previewTemplate,
+);
+
+// Update template -> new version (omitted fields are carried over)
+router.put("/:id", requirePermission("templates.manage"), updateTemplate);
+
+// Deactivate template (versions are kept for re-rendering old prints)
+router.delete(
+  "/:id",
+  requirePermission("templates.manage"),
+  deactivateTemplate,
+);
+
+module.exports = router;
@@ -3,8 +3,8 @@
 
 const express = require("express");
 const router = express.Router();
-const { exportCertificates, exportCertificateLogs, exportTeachers, exportModules, exportPrintedCertificates, exportStudents, exportStudentsByBranch, exportStudentTransferHistory, exportAllData } = require("../controllers/ExportController");
-const { verifyToken, requireAdmin } = require("../auth/AuthMiddleware");
+const { exportCertificates, exportCertificateLogs, exportTeachers, exportModules, exportPrintedCertificates, exportStudents, exportStudentsByBranch, exportStudentTransferHistory, exportAllData, exportStockAdjustments, exportStocktakes, exportStudentTranscript } = require("../controllers/ExportController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
 // ALL ROUTES REQUIRE AUTHENTICATION
@@ -15,35 +15,45 @@ router.use(verifyToken);
 // EXPORT ENDPOINTS
 // =====================================================
 
-// Export all data (multi-sheet Excel) - Admin only
-router.get("/all", requireAdmin, exportAllData);
+// Export all data (multi-sheet Excel)
+router.get("/all", requirePermission("reports.export", "students.export"), exportAllData);
 
-// Export certificates - Admin only
-router.get("/certificates", requireAdmin, exportCertificates);
+// Export certificates
+router.get("/certificates", requirePermission("reports.export"), exportCertificates);
 
-// Export certificate logs - Admin only
-router.get("/logs", requireAdmin, exportCertificateLogs);
+// Export certificate logs
+router.get("/logs", requirePermission("reports.export"), exportCertificateLogs);
 
-// Export teachers - Admin only
-router.get("/teachers", requireAdmin, exportTeachers);
+// Export stock adjustments (filter by branch_code, reason_code, date range)
+router.get("/stock-adjustments", requirePermission("reports.export"), exportStockAdjustments);
 
-// Export modules - Admin only
-router.get("/modules", requireAdmin, exportModules);
+// Export stocktake sessions and counted items (filter by session_id, branch_code, status, date range)
+router.get("/stocktakes", requirePermission("reports.export"), exportStocktakes);
 
-// Export printed certificates - Teachers can export their own, Admins can export all in their branch
-router.get("/printed-certificates", exportPrintedCertificates);
+// Export teachers
+router.get("/teachers", requirePermission("reports.export"), exportTeachers);
+
+// Export modules
+router.get("/modules", requirePermission("reports.export"), exportModules);
+
+// Export printed certificates - Teachers: all their assigned branches, Admins: their branch (branch_code to pick one)
+router.get("/printed-certificates", requirePermission("prints.export"), exportPrintedCertificates);
 
 // =====================================================
 // NEW: STUDENT EXPORT ENDPOINTS
 // =====================================================
 
-// Export all students (optionally filtered by branch) - Admin only
-router.get("/students", requireAdmin, exportStudents);
+// Export all students (optionally filtered by branch)
+router.get("/students", requirePermission("students.export"), exportStudents);
+
+// Export students by specific branch
+router.get("/students/branch/:branch_code", requirePermission("students.export"), exportStudentsByBranch);
 
-// Export students by specific branch - Admin only
-router.get("/students/branch/:branch_code", requireAdmin, exportStudentsByBranch);
+// Export one student's transcript for parents (?format=xlsx|pdf)
+// Admins: any student, teachers: students of their assigned branches
+router.get("/students/:id/transcript", requirePermission("students.transcript"), exportStudentTranscript);
 
-// Export student transfer history - Admin only
-router.get("/student-transfers", requireAdmin, exportStudentTransferHistory);
+// Export student transfer history
+router.get("/student-transfers", requirePermission("students.export"), exportStudentTransferHistory);
 
 module.exports = router;
@@ -1,5 +1,5 @@
 // routes/moduleRoutes.js
-// Handles all module-related endpoints (admin only)
+// Handles all module-related endpoints (permission per route)
 
 const express = require("express");
 const router = express.Router();
@@ -10,39 +10,93 @@ const {
   updateModule,
   deleteModule,
   getModuleStats,
+  getModulePrerequisites,
+  setModulePrerequisites,
+  getCurriculumTracks,
+  getCurriculumTrackById,
+  createCurriculumTrack,
+  updateCurriculumTrack,
+  deleteCurriculumTrack,
 } = require("../controllers/ModuleController");
-const { verifyToken, requireAdmin } = require("../auth/AuthMiddleware");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
-// ALL ROUTES REQUIRE AUTHENTICATION AND ADMIN ROLE
+// ALL ROUTES REQUIRE AUTHENTICATION
 // =====================================================
 router.use(verifyToken);
-router.use(requireAdmin);
 
 // =====================================================
 // MODULE STATISTICS
 // =====================================================
 
 // Get module statistics (total, by division, age ranges)
-router.get("/stats", getModuleStats);
+router.get("/stats", requirePermission("modules.view"), getModuleStats);
+
+// =====================================================
+// CURRICULUM TRACKS (ORDERED MODULE SEQUENCES)
+// =====================================================
+
+// List tracks (?division, ?include_inactive=true)
+router.get("/tracks", requirePermission("modules.view"), getCurriculumTracks);
+
+// Create / read / update / delete a track
+// Body: track_name, division, description, module_ids (in teaching order)
+router.post(
+  "/tracks",
+  requirePermission("modules.manage"),
+  createCurriculumTrack,
+);
+router.get(
+  "/tracks/:trackId",
+  requirePermission("modules.view"),
+  getCurriculumTrackById,
+);
+router.put(
+  "/tracks/:trackId",
+  requirePermission("modules.manage"),
+  updateCurriculumTrack,
+);
+router.delete(
+  "/tracks/:trackId",
+  requirePermission("modules.manage"),
+  deleteCurriculumTrack,
+);
 
 // =====================================================
 // MODULE CRUD OPERATIONS
 // =====================================================
 
 // Create new module
-router.post("/", createModule);
+router.post("/", requirePermission("modules.manage"), createModule);
 
 // Get all modules (with pagination and filters)
-router.get("/", getAllModules);
+router.get("/", requirePermission("modules.view"), getAllModules);
 
 // Get specific module by ID
-router.get("/:id", getModuleById);
+router.get("/:id", requirePermission("modules.view"), getModuleById);
 
 // Update module
-router.put("/:id", updateModule);
+router.put("/:id", requirePermission("modules.manage"), updateModule);
 
 // Delete module
-router.delete("/:id", deleteModule);
+router.delete("/:id", requirePermission("modules.manage"), deleteModule);
+
+// =====================================================
+// MODULE PREREQUISITES
+// =====================================================
+
+// Prerequisites, dependent modules and tracks of a module
+router.get(
+  "/:id/prerequisites",
+  requirePermission("modules.view"),
+  getModulePrerequisites,
+);
+
+// Replace prerequisites ({ prerequisite_ids: [] }); cycles are rejected
+router.put(
+  "/:id/prerequisites",
+  requirePermission("modules.manage"),
+  setModulePrerequisites,
+);
 
 module.exports = router;
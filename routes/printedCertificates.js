@@ -7,8 +7,19 @@ const {
   savePrintRecord,
   getPrintHistory,
   getPrintRecordById,
+  voidPrintRecord,
+  reprintRecord,
+  bulkSavePrintRecords,
+  getCertificatePdf,
+  getCertificatePdfBatch,
+  checkPrintPrerequisites,
 } = require("../controllers/PrintedCertificateController");
-const { verifyToken } = require("../auth/AuthMiddleware");
+const {
+  getUnlinkedPrints,
+  linkPrintRecord,
+  autoLinkPrints,
+} = require("../controllers/PrintLinkController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
 // ALL ROUTES REQUIRE AUTHENTICATION
@@ -20,22 +31,76 @@ router.use(verifyToken);
 // =====================================================
 
 // Get modules for dropdown (used in print form)
-router.get("/modules", getModules);
+router.get("/modules", requirePermission("prints.view"), getModules);
 
 // Search students for autocomplete (used in print form)
-router.get("/search-students", searchStudents);
+router.get(
+  "/search-students",
+  requirePermission("prints.view"),
+  searchStudents,
+);
+
+// Warn before printing when module prerequisites are not completed
+// ?student_id&module_id (never blocks the print)
+router.get(
+  "/prerequisite-check",
+  requirePermission("prints.view"),
+  checkPrintPrerequisites,
+);
 
 // =====================================================
 // PRINT RECORD OPERATIONS
 // =====================================================
 
 // Get print history with filters (for history page - future feature)
-router.get("/history", getPrintHistory);
+// Teachers see all their assigned branches; branch_code narrows to one
+// search matches student name, batch certificate_id or serial number
+router.get("/history", requirePermission("prints.view"), getPrintHistory);
 
 // Save new print record (after printing)
-router.post("/", savePrintRecord);
+// certificate_id optional: batch picked by branch FIFO/LIFO policy when omitted
+// Module eligibility is enforced; admins may pass override_eligibility: true
+// branch_code optional: must be one of the teacher's assigned branches
+router.post("/", requirePermission("prints.create"), savePrintRecord);
+
+// Bulk save for a whole class (same module + PTC date), all-or-nothing
+// Returns per-student results; nothing is saved if any student is invalid
+router.post("/bulk", requirePermission("prints.create"), bulkSavePrintRecords);
+
+// Certificate PDFs for a PTC date, one page per active print record
+// ?ptc_date=YYYY-MM-DD (required), optional branch_code and module_id
+router.get("/pdf", requirePermission("prints.view"), getCertificatePdfBatch);
+
+// =====================================================
+// LINK MANUAL-ENTRY PRINTS TO STUDENTS
+// =====================================================
+
+// Worklist of print records without student_id, with fuzzy-matched
+// candidate students from the same branch/region
+router.get("/unlinked", requirePermission("prints.link"), getUnlinkedPrints);
+
+// Link all high-confidence matches (?mode=dry-run default, ?mode=commit)
+router.post(
+  "/unlinked/auto-link",
+  requirePermission("prints.link"),
+  autoLinkPrints,
+);
 
 // Get single print record by ID (for details view - future feature)
-router.get("/:id", getPrintRecordById);
+router.get("/:id", requirePermission("prints.view"), getPrintRecordById);
+
+// Render the certificate PDF for a print record (template per division)
+router.get("/:id/pdf", requirePermission("prints.view"), getCertificatePdf);
+
+// Void a print record (reason required, optional restore_medal)
+// Rolls back the student_modules row created for this print
+router.post("/:id/void", requirePermission("prints.void"), voidPrintRecord);
+
+// Reprint: voids the original (if needed) and creates a linked replacement
+router.post("/:id/reprint", requirePermission("prints.void"), reprintRecord);
+
+// Link an unlinked print record to a student ({ student_id })
+// Also creates the missing student_modules row
+router.post("/:id/link", requirePermission("prints.link"), linkPrintRecord);
 
 module.exports = router;
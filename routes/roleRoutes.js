@@ -0,0 +1,63 @@
+// routes/roleRoutes.js
+// Roles, permissions and role assignment
+
+const express = require("express");
+const router = express.Router();
+const {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole,
+  assignAdminHubs,
+} = require("../controllers/RoleController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
+
+// =====================================================
+// ALL ROUTES REQUIRE AUTHENTICATION
+// =====================================================
+router.use(verifyToken);
+
+// =====================================================
+// PERMISSION CATALOG
+// =====================================================
+
+// List every permission name with its description
+router.get("/permissions", requirePermission("roles.view"), getPermissions);
+
+// =====================================================
+// ROLE ASSIGNMENT
+// =====================================================
+
+// Assign a role to a user (body: role_id)
+router.put("/users/:userId", requirePermission("roles.manage"), assignUserRole);
+
+// Bind an admin to regional hubs (body: regional_hubs, [] = every hub)
+router.put(
+  "/users/:userId/hubs",
+  requirePermission("roles.manage"),
+  assignAdminHubs,
+);
+
+// =====================================================
+// ROLE CRUD OPERATIONS
+// =====================================================
+
+// List roles with permissions and user counts
+router.get("/", requirePermission("roles.view"), getRoles);
+
+// Get role with assigned users
+router.get("/:id", requirePermission("roles.view"), getRoleById);
+
+// Create role (body: role_key, role_name, account_type, permissions)
+router.post("/", requirePermission("roles.manage"), createRole);
+
+// Update role name, description or permissions
+router.put("/:id", requirePermission("roles.manage"), updateRole);
+
+// Delete custom role (not built-in, no users assigned)
+router.delete("/:id", requirePermission("roles.manage"), deleteRole);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// routes/stockAlertRoutes.js
+// Low-stock thresholds, low-stock report and alert notifications
+
+const express = require("express");
+const router = express.Router();
+const {
+  getThresholds,
+  setThreshold,
+  deleteThreshold,
+  getLowStock,
+  getNotifications,
+  markNotificationRead,
+} = require("../controllers/StockAlertController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
+
+// =====================================================
+// ALL ROUTES REQUIRE AUTHENTICATION
+// =====================================================
+router.use(verifyToken);
+
+// =====================================================
+// THRESHOLDS
+// =====================================================
+
+// List configured thresholds (branch and regional hub level)
+router.get("/thresholds", requirePermission("stock.view"), getThresholds);
+
+// Create or update a threshold for a branch or a regional hub
+router.put("/thresholds", requirePermission("stock.thresholds"), setThreshold);
+
+// Remove a threshold
+router.delete(
+  "/thresholds/:id",
+  requirePermission("stock.thresholds"),
+  deleteThreshold,
+);
+
+// =====================================================
+// LOW STOCK REPORT
+// =====================================================
+
+// Branches currently below threshold, with per-batch breakdown
+// Teachers only see their assigned branches
+router.get("/low-stock", requirePermission("stock.view"), getLowStock);
+
+// =====================================================
+// NOTIFICATIONS
+// =====================================================
+
+// List alerts (filter by unread_only, branch_code)
+router.get("/notifications", requirePermission("stock.view"), getNotifications);
+
+// Mark an alert as read
+router.patch(
+  "/notifications/:id/read",
+  requirePermission("stock.view"),
+  markNotificationRead,
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/stockRequestRoutes.js
+// Stock requests from regular branches to their regional hub
+
+const express = require("express");
+const router = express.Router();
+const {
+  createRequest,
+  getAllRequests,
+  getRequestById,
+  approveRequest,
+  rejectRequest,
+  fulfilRequest,
+  cancelRequest,
+} = require("../controllers/StockRequestController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
+
+// =====================================================
+// ALL ROUTES REQUIRE AUTHENTICATION
+// =====================================================
+router.use(verifyToken);
+
+// =====================================================
+// REQUESTING BRANCH
+// =====================================================
+
+// List requests (filter by status, branch_code, regional_hub)
+// Head branches also see incoming requests for their hub
+router.get("/", requirePermission("stock.view"), getAllRequests);
+
+// Get specific request
+router.get("/:id", requirePermission("stock.view"), getRequestById);
+
+// Raise a stock request to the branch's regional hub
+router.post("/", requirePermission("stock_requests.create"), createRequest);
+
+// Cancel own request (before fulfilment)
+router.post(
+  "/:id/cancel",
+  requirePermission("stock_requests.create"),
+  cancelRequest,
+);
+
+// =====================================================
+// REGIONAL HUB (HEAD BRANCH) REVIEW
+// =====================================================
+
+// Approve fully or partially (approved_certificates / approved_medals)
+router.post(
+  "/:id/approve",
+  requirePermission("stock_requests.approve"),
+  approveRequest,
+);
+
+// Reject with a reason
+router.post(
+  "/:id/reject",
+  requirePermission("stock_requests.approve"),
+  rejectRequest,
+);
+
+// Fulfil - migrates stock from the hub and links the MIGRATE log
+router.post(
+  "/:id/fulfil",
+  requirePermission("stock_requests.approve"),
+  fulfilRequest,
+);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// routes/stocktakeRoutes.js
+// Physical stocktake sessions - count, variance report, approval
+
+const express = require("express");
+const router = express.Router();
+const {
+  openSession,
+  getAllSessions,
+  getSessionById,
+  submitCounts,
+  approveSession,
+  cancelSession,
+} = require("../controllers/StocktakeController");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
+
+// =====================================================
+// ALL ROUTES REQUIRE AUTHENTICATION
+// =====================================================
+router.use(verifyToken);
+
+// =====================================================
+// STOCKTAKE SESSIONS
+// =====================================================
+
+// List sessions (filter by branch_code, status)
+// Teachers only see sessions for their assigned branches
+router.get("/", requirePermission("stocktakes.view"), getAllSessions);
+
+// Get session with variance report (vs system stock and vs log trail)
+router.get("/:id", requirePermission("stocktakes.view"), getSessionById);
+
+// Open a count session for a branch
+router.post("/", requirePermission("stocktakes.count"), openSession);
+
+// Submit counted quantities per batch (can be re-submitted while open)
+router.put("/:id/counts", requirePermission("stocktakes.count"), submitCounts);
+
+// Approve session and post variances as ADJUST logs
+router.post(
+  "/:id/approve",
+  requirePermission("stocktakes.approve"),
+  approveSession,
+);
+
+// Cancel an open session
+router.post(
+  "/:id/cancel",
+  requirePermission("stocktakes.approve"),
+  cancelSession,
+);
+
+module.exports = router;
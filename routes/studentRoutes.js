@@ -4,8 +4,11 @@
 
 const express = require("express");
 const router = express.Router();
-const { createStudent, getAllStudents, getStudentById, updateStudent, deleteStudent, transferStudent, getStudentStats, searchStudents } = require("../controllers/StudentController");
-const { verifyToken, requireAdmin } = require("../auth/AuthMiddleware");
+const { createStudent, getAllStudents, getStudentById, updateStudent, deleteStudent, transferStudent, getStudentStats, searchStudents, importStudents, getStudentImports, getStudentImportById } = require("../controllers/StudentController");
+const { findDuplicateStudents, mergeStudents, getStudentMerges, revertStudentMerge } = require("../controllers/StudentMergeController");
+const { getStudentLearningPath, getModuleReadiness } = require("../controllers/LearningPathController");
+const CONSTANTS = require("../utils/constants");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
 // ALL ROUTES REQUIRE AUTHENTICATION
@@ -17,39 +20,77 @@ router.use(verifyToken);
 // =====================================================
 
 // Get student statistics (overall and by branch)
-// Accessible by both admin and teachers
-router.get("/stats", getStudentStats);
+router.get("/stats", requirePermission("students.view"), getStudentStats);
 
 // Search students for autocomplete
-// Accessible by both admin and teachers
-router.get("/search", searchStudents);
+router.get("/search", requirePermission("students.view"), searchStudents);
+
+// Per-module readiness roll-up for a branch (?branch_id, ?division)
+// Branch access is checked in the controller
+router.get("/module-readiness", requirePermission("students.view"), getModuleReadiness);
+
+// =====================================================
+// BULK IMPORT FROM EXCEL
+// =====================================================
+
+// Import students from .xlsx (request body = file, same columns as export)
+// ?mode=dry-run (default) returns per-row errors/warnings without saving
+// ?mode=commit inserts all valid rows in one transaction (audited)
+router.post(
+  "/import",
+  requirePermission("students.import"),
+  express.raw({
+    type: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/octet-stream"],
+    limit: CONSTANTS.STUDENT_IMPORT.MAX_FILE_SIZE,
+  }),
+  importStudents,
+);
+
+// Import audit trail (summaries and per-row reports)
+router.get("/imports", requirePermission("students.import"), getStudentImports);
+router.get("/imports/:id", requirePermission("students.import"), getStudentImportById);
+
+// =====================================================
+// DUPLICATE DETECTION & MERGE
+// =====================================================
+
+// Scored duplicate candidate pairs (?min_score, ?branch_id, ?limit)
+router.get("/duplicates", requirePermission("students.merge"), findDuplicateStudents);
+
+// Merge duplicate_id into survivor_id (prints, modules, transfers)
+router.post("/merge", requirePermission("students.merge"), mergeStudents);
+
+// Merge log and revert
+router.get("/merges", requirePermission("students.merge"), getStudentMerges);
+router.post("/merges/:id/revert", requirePermission("students.merge"), revertStudentMerge);
 
 // =====================================================
 // STUDENT CRUD OPERATIONS
 // =====================================================
 
-// Create new student - Admin only
-router.post("/", requireAdmin, createStudent);
+// Create new student
+router.post("/", requirePermission("students.manage"), createStudent);
 
 // Get all students with pagination and filters
-// Accessible by both admin and teachers
-router.get("/", getAllStudents);
+router.get("/", requirePermission("students.view"), getAllStudents);
 
 // Get specific student by ID
-// Accessible by both admin and teachers
-router.get("/:id", getStudentById);
+router.get("/:id", requirePermission("students.view"), getStudentById);
+
+// Update student
+router.put("/:id", requirePermission("students.manage"), updateStudent);
 
-// Update student - Admin only
-router.put("/:id", requireAdmin, updateStudent);
+// Delete student (soft delete)
+router.delete("/:id", requirePermission("students.manage"), deleteStudent);
 
-// Delete student (soft delete) - Admin only
-router.delete("/:id", requireAdmin, deleteStudent);
+// Completed, eligible-now and upcoming modules for a student
+router.get("/:id/learning-path", requirePermission("students.view"), getStudentLearningPath);
 
 // =====================================================
 // STUDENT TRANSFER
 // =====================================================
 
-// Transfer student to another branch - Admin only
-router.post("/:id/transfer", requireAdmin, transferStudent);
+// Transfer student to another branch
+router.post("/:id/transfer", requirePermission("students.transfer"), transferStudent);
 
 module.exports = router;
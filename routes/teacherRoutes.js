@@ -1,5 +1,5 @@
 // routes/teacherRoutes.js
-// Handles all teacher-related endpoints (admin only)
+// Handles all teacher-related endpoints (permission per route)
 
 const express = require("express");
 const router = express.Router();
@@ -9,32 +9,39 @@ const {
   getTeacherById,
   updateTeacher,
   deleteTeacher,
+  reactivateTeacher,
 } = require("../controllers/TeacherController");
-const { verifyToken, requireAdmin } = require("../auth/AuthMiddleware");
+const { verifyToken, requirePermission } = require("../auth/AuthMiddleware");
 
 // =====================================================
-// ALL ROUTES REQUIRE AUTHENTICATION AND ADMIN ROLE
+// ALL ROUTES REQUIRE AUTHENTICATION
 // =====================================================
 router.use(verifyToken);
-router.use(requireAdmin);
 
 // =====================================================
 // TEACHER CRUD OPERATIONS
 // =====================================================
 
 // Create new teacher (generates random password)
-router.post("/", createTeacher);
+router.post("/", requirePermission("teachers.manage"), createTeacher);
 
 // Get all teachers (with pagination)
-router.get("/", getAllTeachers);
+router.get("/", requirePermission("teachers.view"), getAllTeachers);
 
 // Get specific teacher by ID
-router.get("/:id", getTeacherById);
+router.get("/:id", requirePermission("teachers.view"), getTeacherById);
 
 // Update teacher (can update all fields including password)
-router.put("/:id", updateTeacher);
+router.put("/:id", requirePermission("teachers.manage"), updateTeacher);
 
-// Delete teacher
-router.delete("/:id", deleteTeacher);
+// Delete teacher (soft delete - marks as resigned, optional reason in body)
+router.delete("/:id", requirePermission("teachers.manage"), deleteTeacher);
+
+// Reactivate resigned teacher (restores login, re-validates assignments)
+router.post(
+  "/:id/reactivate",
+  requirePermission("teachers.manage"),
+  reactivateTeacher,
+);
 
 module.exports = router;
@@ -0,0 +1,36 @@
+// routes/verifyRoutes.js
+// Public certificate verification - NO authentication, rate-limited per IP
+// (behind a reverse proxy set TRUST_PROXY so req.ip is the client address)
+
+const express = require("express");
+const router = express.Router();
+const { rateLimit } = require("express-rate-limit");
+const { verifyCertificate } = require("../controllers/VerificationController");
+const CONSTANTS = require("../utils/constants");
+
+// =====================================================
+// RATE LIMIT (codes are unguessable, this stops brute-force scanning)
+// =====================================================
+const verifyLimiter = rateLimit({
+  windowMs: CONSTANTS.VERIFICATION.RATE_LIMIT_WINDOW_MS,
+  limit: CONSTANTS.VERIFICATION.RATE_LIMIT_MAX,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: "Too many verification requests. Please try again later.",
+    errorCode: CONSTANTS.ERROR_CODES.RATE_LIMITED,
+  },
+});
+
+router.use(verifyLimiter);
+
+// =====================================================
+// VERIFICATION
+// =====================================================
+
+// Verify a printed certificate by its signed code
+// Returns only initials, module, PTC date, branch and valid/voided status
+router.get("/:code", verifyCertificate);
+
+module.exports = router;
@@ -32,9 +32,26 @@ const printedCertificatesRoutes = require("./routes/printedCertificates");
 const exportRoutes = require("./routes/exportRoutes");
 const studentRoutes = require("./routes/studentRoutes");
 const branchRoutes = require("./routes/branchRoutes");
+const stocktakeRoutes = require("./routes/stocktakeRoutes");
+const stockRequestRoutes = require("./routes/stockRequestRoutes");
+const stockAlertRoutes = require("./routes/stockAlertRoutes");
+const verifyRoutes = require("./routes/verifyRoutes");
+const certificateTemplateRoutes = require("./routes/certificateTemplateRoutes");
+const roleRoutes = require("./routes/roleRoutes");
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (number of proxy hops, e.g. 1, or an
+// express "trust proxy" value such as "loopback") makes req.ip the client
+// address, so per-IP rate limits (public verify) apply per client
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy,
+  );
+}
+
 // =====================================================
 // SECURITY MIDDLEWARE
 // =====================================================
@@ -136,6 +153,12 @@ app.use("/api/printed-certificates", printedCertificatesRoutes);
 app.use("/api/export", exportRoutes);
 app.use("/api/students", studentRoutes);
 app.use("/api/branches", branchRoutes);
+app.use("/api/stocktakes", stocktakeRoutes);
+app.use("/api/stock-requests", stockRequestRoutes);
+app.use("/api/stock-alerts", stockAlertRoutes);
+app.use("/api/verify", verifyRoutes);
+app.use("/api/certificate-templates", certificateTemplateRoutes);
+app.use("/api/roles", roleRoutes);
 
 // =====================================================
 // ROOT & HEALTH CHECK
@@ -20,13 +20,15 @@
 -- - Regular branches belong to one regional hub
 -- - Stock can only be migrated within same regional hub
 -- - Students can only transfer within same regional hub
+-- - Admins can be bound to regional hubs (admin_hubs)
 -- =====================================================
 -- SOFT DELETE FEATURE (Teachers):
 -- - is_active: BOOLEAN (true = active, false = resigned)
 -- - resigned_at: TIMESTAMP (when teacher resigned)
 -- - Historical data preserved (certificates, logs)
 -- - Login prevented for resigned teachers
--- - Can be restored by database admin
+-- - Restored via POST /api/teachers/:id/reactivate
+-- - Resign / reactivate cycles kept in teacher_employment_history
 -- =====================================================
 -- DROP AND RECREATE DATABASE
 -- =====================================================
@@ -41,6 +43,26 @@
 -- =====================================================
 -- CLEAN START - DROP ALL TABLES
 -- =====================================================
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS admin_hubs CASCADE;
+DROP TABLE IF EXISTS role_permissions CASCADE;
+DROP TABLE IF EXISTS roles CASCADE;
+DROP TABLE IF EXISTS teacher_employment_history CASCADE;
+DROP TABLE IF EXISTS curriculum_track_modules CASCADE;
+DROP TABLE IF EXISTS curriculum_tracks CASCADE;
+DROP TABLE IF EXISTS module_prerequisites CASCADE;
+DROP TABLE IF EXISTS student_merges CASCADE;
+DROP TABLE IF EXISTS student_imports CASCADE;
+DROP TABLE IF EXISTS certificate_template_versions CASCADE;
+DROP TABLE IF EXISTS certificate_templates CASCADE;
+DROP TABLE IF EXISTS verification_logs CASCADE;
+DROP TABLE IF EXISTS print_serial_counters CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS stock_thresholds CASCADE;
+DROP TABLE IF EXISTS stock_shipments CASCADE;
+DROP TABLE IF EXISTS stock_requests CASCADE;
+DROP TABLE IF EXISTS stocktake_items CASCADE;
+DROP TABLE IF EXISTS stocktake_sessions CASCADE;
 DROP TABLE IF EXISTS student_transfers CASCADE;
 DROP TABLE IF EXISTS student_modules CASCADE;
 DROP TABLE IF EXISTS students CASCADE;
@@ -98,6 +120,10 @@ CREATE TABLE branches (
     is_head_branch BOOLEAN DEFAULT false,
     regional_hub VARCHAR(10),
     is_active BOOLEAN DEFAULT true,
+    
+    -- Automatic batch selection when printing without certificate_id
+    batch_selection VARCHAR(4) NOT NULL DEFAULT 'FIFO' CHECK (batch_selection IN ('FIFO', 'LIFO')),
+    
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -131,7 +157,116 @@ INSERT INTO branches (branch_code, branch_name, is_head_branch, regional_hub, is
 ('KBP', 'Kota Baru Parahyangan', false, 'SND', true);
 
 -- =====================================================
--- 3. USERS TABLE (ADMIN & TEACHER) - WITH SOFT DELETE
+-- 3. ROLES & PERMISSIONS
+-- =====================================================
+-- Named permissions (see PERMISSIONS in utils/constants.js) grouped
+-- into roles. users.role stays the account type (admin = all branches,
+-- teacher = assigned branches); users.role_id decides what a user may do.
+CREATE TABLE roles (
+    id SERIAL PRIMARY KEY,
+    role_key VARCHAR(50) UNIQUE NOT NULL,
+    role_name VARCHAR(100) NOT NULL,
+    description TEXT,
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('admin', 'teacher')),
+    is_system BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission VARCHAR(60) NOT NULL,
+
+    PRIMARY KEY (role_id, permission)
+);
+
+-- Indexes
+CREATE INDEX idx_role_permissions_permission ON role_permissions(permission);
+
+-- Insert built-in roles
+INSERT INTO roles (role_key, role_name, description, account_type, is_system) VALUES
+('super_admin', 'Super Admin', 'Full access, including role management and destructive operations', 'admin', true),
+('hub_admin', 'Hub Admin', 'Runs stock, students, teachers and printing for a regional hub', 'admin', true),
+('branch_admin', 'Branch Admin', 'Teacher account that also manages and transfers students of its branches', 'teacher', true),
+('teacher', 'Teacher', 'Prints certificates and handles stock for assigned branches', 'teacher', true),
+('auditor', 'Auditor', 'Read-only access to all data and non-PII reports', 'admin', true);
+
+-- Insert built-in role permissions
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, p.permission
+FROM roles r
+JOIN (VALUES
+    ('super_admin', 'branches.view'), ('super_admin', 'branches.manage'),
+    ('super_admin', 'stock.view'), ('super_admin', 'stock.create'),
+    ('super_admin', 'stock.migrate'), ('super_admin', 'stock.receive'),
+    ('super_admin', 'stock.adjust'), ('super_admin', 'stock.clear'),
+    ('super_admin', 'stock.thresholds'),
+    ('super_admin', 'stock_requests.create'), ('super_admin', 'stock_requests.approve'),
+    ('super_admin', 'stocktakes.view'), ('super_admin', 'stocktakes.count'),
+    ('super_admin', 'stocktakes.approve'),
+    ('super_admin', 'logs.view'), ('super_admin', 'logs.cleanup'), ('super_admin', 'logs.recover'),
+    ('super_admin', 'modules.view'), ('super_admin', 'modules.manage'),
+    ('super_admin', 'templates.view'), ('super_admin', 'templates.manage'),
+    ('super_admin', 'prints.view'), ('super_admin', 'prints.create'),
+    ('super_admin', 'prints.void'), ('super_admin', 'prints.link'), ('super_admin', 'prints.export'),
+    ('super_admin', 'students.view'), ('super_admin', 'students.manage'),
+    ('super_admin', 'students.transfer'), ('super_admin', 'students.import'),
+    ('super_admin', 'students.merge'), ('super_admin', 'students.export'),
+    ('super_admin', 'students.transcript'),
+    ('super_admin', 'teachers.view'), ('super_admin', 'teachers.manage'),
+    ('super_admin', 'reports.export'),
+    ('super_admin', 'roles.view'), ('super_admin', 'roles.manage'),
+
+    ('hub_admin', 'branches.view'),
+    ('hub_admin', 'stock.view'), ('hub_admin', 'stock.create'),
+    ('hub_admin', 'stock.migrate'), ('hub_admin', 'stock.receive'),
+    ('hub_admin', 'stock.adjust'), ('hub_admin', 'stock.thresholds'),
+    ('hub_admin', 'stock_requests.create'), ('hub_admin', 'stock_requests.approve'),
+    ('hub_admin', 'stocktakes.view'), ('hub_admin', 'stocktakes.count'),
+    ('hub_admin', 'stocktakes.approve'),
+    ('hub_admin', 'logs.view'),
+    ('hub_admin', 'modules.view'), ('hub_admin', 'templates.view'),
+    ('hub_admin', 'prints.view'), ('hub_admin', 'prints.create'),
+    ('hub_admin', 'prints.void'), ('hub_admin', 'prints.link'), ('hub_admin', 'prints.export'),
+    ('hub_admin', 'students.view'), ('hub_admin', 'students.manage'),
+    ('hub_admin', 'students.transfer'), ('hub_admin', 'students.import'),
+    ('hub_admin', 'students.merge'), ('hub_admin', 'students.export'),
+    ('hub_admin', 'students.transcript'),
+    ('hub_admin', 'teachers.view'), ('hub_admin', 'teachers.manage'),
+    ('hub_admin', 'reports.export'),
+    ('hub_admin', 'roles.view'),
+
+    ('branch_admin', 'branches.view'),
+    ('branch_admin', 'stock.view'), ('branch_admin', 'stock.create'),
+    ('branch_admin', 'stock.migrate'), ('branch_admin', 'stock.receive'),
+    ('branch_admin', 'stock_requests.create'), ('branch_admin', 'stock_requests.approve'),
+    ('branch_admin', 'stocktakes.view'), ('branch_admin', 'stocktakes.count'),
+    ('branch_admin', 'logs.view'),
+    ('branch_admin', 'prints.view'), ('branch_admin', 'prints.create'),
+    ('branch_admin', 'prints.void'), ('branch_admin', 'prints.export'),
+    ('branch_admin', 'students.view'), ('branch_admin', 'students.manage'),
+    ('branch_admin', 'students.transfer'), ('branch_admin', 'students.transcript'),
+
+    ('teacher', 'branches.view'),
+    ('teacher', 'stock.view'), ('teacher', 'stock.create'),
+    ('teacher', 'stock.migrate'), ('teacher', 'stock.receive'),
+    ('teacher', 'stock_requests.create'), ('teacher', 'stock_requests.approve'),
+    ('teacher', 'stocktakes.view'), ('teacher', 'stocktakes.count'),
+    ('teacher', 'logs.view'),
+    ('teacher', 'prints.view'), ('teacher', 'prints.create'),
+    ('teacher', 'prints.void'), ('teacher', 'prints.export'),
+    ('teacher', 'students.view'), ('teacher', 'students.transcript'),
+
+    ('auditor', 'branches.view'), ('auditor', 'stock.view'),
+    ('auditor', 'stocktakes.view'), ('auditor', 'logs.view'),
+    ('auditor', 'modules.view'), ('auditor', 'templates.view'),
+    ('auditor', 'prints.view'), ('auditor', 'students.view'),
+    ('auditor', 'teachers.view'), ('auditor', 'roles.view'),
+    ('auditor', 'reports.export')
+) AS p(role_key, permission) ON p.role_key = r.role_key;
+
+-- =====================================================
+-- 4. USERS TABLE (ADMIN & TEACHER) - WITH SOFT DELETE
 -- =====================================================
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
@@ -139,7 +274,10 @@ CREATE TABLE users (
     password VARCHAR(255) NOT NULL,
     
     -- Role-based access control
+    -- role = account type (branch scope), role_id = permissions
+    -- (NULL = default role of the account type)
     role VARCHAR(20) DEFAULT 'admin' CHECK (role IN ('admin', 'teacher')),
+    role_id INTEGER REFERENCES roles(id) ON DELETE RESTRICT,
     
     -- Teacher-specific fields (nullable for admin users)
     teacher_name VARCHAR(100),
@@ -152,6 +290,9 @@ CREATE TABLE users (
     is_active BOOLEAN DEFAULT true,
     resigned_at TIMESTAMP NULL,
     
+    -- Incremented to invalidate outstanding access tokens (JWT tv claim)
+    token_version INTEGER NOT NULL DEFAULT 0,
+    
     -- Timestamps
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -160,6 +301,7 @@ CREATE TABLE users (
 -- Indexes
 CREATE INDEX idx_users_username ON users(username);
 CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_users_role_id ON users(role_id);
 CREATE INDEX idx_users_teacher_branch ON users(teacher_branch);
 CREATE INDEX idx_users_is_active ON users(is_active);
 CREATE INDEX idx_users_role_active ON users(role, is_active);
@@ -181,15 +323,57 @@ ALTER TABLE users ADD CONSTRAINT check_resigned_timestamp
 
 -- Insert users (bcrypt hash for 'admin123')
 -- Admin: gulam / admin123 (always active)
-INSERT INTO users (username, password, role, is_active) VALUES
-('gulam', '$2b$10$bZDJxWAEZZYF4iZtg2vqRe94qggikyDvQQ/pqKoemSQUUDKtVSrGu', 'admin', true);
+INSERT INTO users (username, password, role, role_id, is_active) VALUES
+('gulam', '$2b$10$bZDJxWAEZZYF4iZtg2vqRe94qggikyDvQQ/pqKoemSQUUDKtVSrGu', 'admin', (SELECT id FROM roles WHERE role_key = 'super_admin'), true);
 
 -- Teacher: azhar / admin123 (ACTIVE - changed from resigned)
-INSERT INTO users (username, password, role, teacher_name, teacher_division, teacher_branch, is_active, resigned_at) VALUES
-('azhar', '$2b$10$bZDJxWAEZZYF4iZtg2vqRe94qggikyDvQQ/pqKoemSQUUDKtVSrGu', 'teacher', 'Azhar Rivaldi', 'JK', 'SND', true, NULL);
+INSERT INTO users (username, password, role, role_id, teacher_name, teacher_division, teacher_branch, is_active, resigned_at) VALUES
+('azhar', '$2b$10$bZDJxWAEZZYF4iZtg2vqRe94qggikyDvQQ/pqKoemSQUUDKtVSrGu', 'teacher', (SELECT id FROM roles WHERE role_key = 'teacher'), 'Azhar Rivaldi', 'JK', 'SND', true, NULL);
+
+-- =====================================================
+-- 5. ADMIN HUBS (REGIONAL-HUB-SCOPED ADMINS)
+-- =====================================================
+-- Admins with rows here only see and change branches in these hubs;
+-- admins without rows have access to every hub
+CREATE TABLE admin_hubs (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    regional_hub VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE CASCADE,
+    assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (user_id, regional_hub)
+);
+
+-- Indexes
+CREATE INDEX idx_admin_hubs_hub ON admin_hubs(regional_hub);
+
+-- =====================================================
+-- 6. REFRESH TOKENS (LOGIN SESSIONS)
+-- =====================================================
+-- One row per issued refresh token (hash only). A login starts a family;
+-- each refresh rotates to a new row. Reusing a rotated token revokes the
+-- whole family.
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    rotated_at TIMESTAMP,
+    replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30)
+);
+
+-- Indexes
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
 
 -- =====================================================
--- 4. TEACHER BRANCHES (Many-to-Many)
+-- 7. TEACHER BRANCHES (Many-to-Many)
 -- =====================================================
 CREATE TABLE teacher_branches (
     id SERIAL PRIMARY KEY,
@@ -213,7 +397,7 @@ FROM users u, branches b
 WHERE u.username = 'azhar' AND b.branch_code = 'SND';
 
 -- =====================================================
--- 5. TEACHER DIVISIONS (Many-to-Many)
+-- 8. TEACHER DIVISIONS (Many-to-Many)
 -- =====================================================
 CREATE TABLE teacher_divisions (
     id SERIAL PRIMARY KEY,
@@ -235,7 +419,24 @@ FROM users
 WHERE username = 'azhar';
 
 -- =====================================================
--- 6. CERTIFICATES TABLE (MAIN BATCHES)
+-- 9. TEACHER EMPLOYMENT HISTORY (RESIGN / REACTIVATE)
+-- =====================================================
+CREATE TABLE teacher_employment_history (
+    id SERIAL PRIMARY KEY,
+    teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('resigned', 'reactivated')),
+    effective_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    reason TEXT,
+    details JSONB,
+    performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX idx_teacher_employment_history_teacher ON teacher_employment_history(teacher_id, effective_at);
+
+-- =====================================================
+-- 10. CERTIFICATES TABLE (MAIN BATCHES)
 -- =====================================================
 CREATE TABLE certificates (
     id SERIAL PRIMARY KEY,
@@ -253,7 +454,7 @@ INSERT INTO certificates (certificate_id, created_at) VALUES
 ('BATCH-2026-001', NOW() - INTERVAL '7 days');
 
 -- =====================================================
--- 7. CERTIFICATE STOCK TABLE (Dynamic per Branch)
+-- 11. CERTIFICATE STOCK TABLE (Dynamic per Branch)
 -- =====================================================
 CREATE TABLE certificate_stock (
     id SERIAL PRIMARY KEY,
@@ -278,7 +479,7 @@ INSERT INTO certificate_stock (certificate_id, branch_code, jumlah_sertifikat, j
 VALUES ('BATCH-2026-001', 'SND', 100, 100, 100);
 
 -- =====================================================
--- 8. CERTIFICATE LOGS TABLE (AUDIT TRAIL)
+-- 12. CERTIFICATE LOGS TABLE (AUDIT TRAIL)
 -- =====================================================
 CREATE TABLE certificate_logs (
     id SERIAL PRIMARY KEY,
@@ -323,7 +524,7 @@ VALUES (
 );
 
 -- =====================================================
--- 9. MODULES TABLE
+-- 13. MODULES TABLE
 -- =====================================================
 CREATE TABLE modules (
     id SERIAL PRIMARY KEY,
@@ -351,7 +552,7 @@ INSERT INTO modules (module_code, module_name, division, min_age, max_age) VALUE
 ('LK-002', 'Creative Coding & Animation untuk Little Koder (Level 2)', 'LK', 6, 8);
 
 -- =====================================================
--- 10. MODULE LOGS TABLE
+-- 14. MODULE LOGS TABLE
 -- =====================================================
 CREATE TABLE module_logs (
     id SERIAL PRIMARY KEY,
@@ -375,7 +576,49 @@ SELECT id, module_code, 'MODULE_CREATED', 'Module ' || module_code || ' - ' || m
 FROM modules;
 
 -- =====================================================
--- 11. STUDENTS TABLE
+-- 15. MODULE PREREQUISITES & CURRICULUM TRACKS
+-- =====================================================
+-- "module_id requires prerequisite_id" (cycles are rejected by the API)
+CREATE TABLE module_prerequisites (
+    module_id INTEGER NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    prerequisite_id INTEGER NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (module_id, prerequisite_id),
+    CHECK (module_id <> prerequisite_id)
+);
+
+-- Indexes
+CREATE INDEX idx_module_prerequisites_prerequisite ON module_prerequisites(prerequisite_id);
+
+-- Ordered curriculum tracks (one division per track)
+CREATE TABLE curriculum_tracks (
+    id SERIAL PRIMARY KEY,
+    track_name VARCHAR(100) UNIQUE NOT NULL,
+    division VARCHAR(10) NOT NULL CHECK (division IN ('JK', 'LK')),
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE curriculum_track_modules (
+    track_id INTEGER NOT NULL REFERENCES curriculum_tracks(id) ON DELETE CASCADE,
+    module_id INTEGER NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL CHECK (position >= 1),
+    
+    PRIMARY KEY (track_id, module_id),
+    UNIQUE (track_id, position)
+);
+
+-- Indexes
+CREATE INDEX idx_curriculum_tracks_division ON curriculum_tracks(division);
+CREATE INDEX idx_curriculum_track_modules_module ON curriculum_track_modules(module_id);
+
+-- =====================================================
+-- 16. STUDENTS TABLE
 -- =====================================================
 CREATE TABLE students (
     id SERIAL PRIMARY KEY,
@@ -388,7 +631,8 @@ CREATE TABLE students (
     parent_email VARCHAR(100),
     address TEXT,
     notes TEXT,
-    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'transferred')),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'transferred', 'merged')),
+    merged_into_id INTEGER REFERENCES students(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -398,6 +642,7 @@ CREATE INDEX idx_students_name ON students(student_name);
 CREATE INDEX idx_students_branch ON students(branch_id);
 CREATE INDEX idx_students_status ON students(status);
 CREATE INDEX idx_students_branch_status ON students(branch_id, status);
+CREATE INDEX idx_students_merged_into ON students(merged_into_id);
 CREATE INDEX idx_students_name_search ON students USING gin(to_tsvector('english', student_name));
 
 -- Insert 1 student (JK division, age 8 = fits 8-12 range)
@@ -414,7 +659,7 @@ FROM branches b
 WHERE b.branch_code = 'SND';
 
 -- =====================================================
--- 12. STUDENT TRANSFERS TABLE (History)
+-- 17. STUDENT TRANSFERS TABLE (History)
 -- =====================================================
 CREATE TABLE student_transfers (
     id SERIAL PRIMARY KEY,
@@ -436,7 +681,28 @@ CREATE INDEX idx_student_transfers_date ON student_transfers(transfer_date);
 -- No dummy data for transfers (empty table)
 
 -- =====================================================
--- 13. STUDENT MODULES TABLE (Track Modules Completed)
+-- 18. STUDENT IMPORTS (EXCEL IMPORT AUDIT)
+-- =====================================================
+-- Audit trail of committed Excel imports (rows = per-row report)
+CREATE TABLE student_imports (
+    id SERIAL PRIMARY KEY,
+    file_name VARCHAR(255),
+    total_rows INTEGER NOT NULL,
+    inserted_count INTEGER NOT NULL,
+    invalid_count INTEGER NOT NULL DEFAULT 0,
+    duplicate_count INTEGER NOT NULL DEFAULT 0,
+    include_duplicates BOOLEAN DEFAULT false,
+    rows JSONB NOT NULL,
+    imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX idx_student_imports_created_at ON student_imports(created_at DESC);
+CREATE INDEX idx_student_imports_imported_by ON student_imports(imported_by);
+
+-- =====================================================
+-- 19. STUDENT MODULES TABLE (Track Modules Completed)
 -- =====================================================
 CREATE TABLE student_modules (
     id SERIAL PRIMARY KEY,
@@ -469,7 +735,80 @@ FROM students s, modules m
 WHERE s.student_name = 'Budi Santoso' AND m.module_code = 'JK-001';
 
 -- =====================================================
--- 14. PRINTED CERTIFICATES TABLE
+-- 20. STUDENT MERGES (REVERSIBLE DUPLICATE MERGE LOG)
+-- =====================================================
+-- Reversible log of duplicate students merged into a survivor
+-- details = ids of moved rows, removed student_modules snapshots,
+-- survivor rows/fields changed, duplicate's previous status
+CREATE TABLE student_merges (
+    id SERIAL PRIMARY KEY,
+    survivor_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    duplicate_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    reason TEXT,
+    details JSONB NOT NULL,
+    merged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reverted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reverted_at TIMESTAMP,
+
+    CHECK (survivor_id <> duplicate_id)
+);
+
+-- Indexes
+CREATE INDEX idx_student_merges_survivor ON student_merges(survivor_id);
+CREATE INDEX idx_student_merges_duplicate ON student_merges(duplicate_id);
+CREATE INDEX idx_student_merges_merged_at ON student_merges(merged_at DESC);
+
+-- =====================================================
+-- 21. CERTIFICATE TEMPLATES (VERSIONED LAYOUTS)
+-- =====================================================
+
+-- Templates are assigned to a division OR to one module (module wins);
+-- with neither set the template is unassigned (draft).
+-- Page design lives in certificate_template_versions, current_version points at it.
+CREATE TABLE certificate_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    division VARCHAR(10) CHECK (division IN ('JK', 'LK')),
+    module_id INTEGER REFERENCES modules(id) ON DELETE SET NULL,
+    current_version INTEGER NOT NULL DEFAULT 1,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT check_template_assignment CHECK (division IS NULL OR module_id IS NULL)
+);
+
+-- Indexes (one active template per module and per division)
+CREATE UNIQUE INDEX idx_certificate_templates_module ON certificate_templates(module_id) WHERE is_active = true AND module_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_certificate_templates_division ON certificate_templates(division) WHERE is_active = true AND division IS NOT NULL;
+
+-- Immutable snapshot per change; prints reference the version they were issued with
+CREATE TABLE certificate_template_versions (
+    id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES certificate_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    division VARCHAR(10),
+    module_id INTEGER,
+    page_size VARCHAR(10) NOT NULL DEFAULT 'A4' CHECK (page_size IN ('A4', 'LETTER')),
+    orientation VARCHAR(10) NOT NULL DEFAULT 'landscape' CHECK (orientation IN ('portrait', 'landscape')),
+    background_image_path VARCHAR(255),
+    layout JSONB NOT NULL,
+    change_note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT unique_template_version UNIQUE (template_id, version)
+);
+
+-- Indexes
+CREATE INDEX idx_certificate_template_versions_template ON certificate_template_versions(template_id);
+
+-- =====================================================
+-- 22. PRINTED CERTIFICATES TABLE
 -- =====================================================
 CREATE TABLE printed_certificates (
     id SERIAL PRIMARY KEY,
@@ -480,7 +819,25 @@ CREATE TABLE printed_certificates (
     ptc_date DATE NOT NULL,
     printed_by INTEGER REFERENCES users(id) ON DELETE RESTRICT,
     branch VARCHAR(10) NOT NULL,
-    printed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    printed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Void / reprint support
+    status VARCHAR(20) NOT NULL DEFAULT 'printed' CHECK (status IN ('printed', 'voided')),
+    void_reason TEXT,
+    voided_by INTEGER REFERENCES users(id) ON DELETE RESTRICT,
+    voided_at TIMESTAMP,
+    medal_restored BOOLEAN DEFAULT false,
+    reprint_of INTEGER REFERENCES printed_certificates(id) ON DELETE SET NULL,
+    
+    -- Admin override of module eligibility (age / division checks)
+    eligibility_override BOOLEAN DEFAULT false,
+    eligibility_failures JSONB,
+    
+    -- Human-readable serial, gap-free per branch per year (e.g. SND-2026-000123)
+    serial_number VARCHAR(30) UNIQUE,
+    
+    -- Template version the certificate was issued with (NULL = built-in default)
+    template_version_id INTEGER REFERENCES certificate_template_versions(id) ON DELETE RESTRICT
 );
 
 -- Indexes
@@ -493,9 +850,23 @@ CREATE INDEX idx_printed_certificates_printed_by ON printed_certificates(printed
 CREATE INDEX idx_printed_certificates_branch ON printed_certificates(branch);
 CREATE INDEX idx_printed_certificates_printed_by_branch ON printed_certificates(printed_by, branch);
 CREATE INDEX idx_printed_certificates_ptc_date_branch ON printed_certificates(ptc_date, branch);
+CREATE INDEX idx_printed_certificates_status ON printed_certificates(status);
+CREATE INDEX idx_printed_certificates_reprint_of ON printed_certificates(reprint_of);
+CREATE INDEX idx_printed_certificates_override ON printed_certificates(eligibility_override) WHERE eligibility_override = true;
+CREATE INDEX idx_printed_certificates_serial_lower ON printed_certificates(LOWER(serial_number));
+CREATE INDEX idx_printed_certificates_template_version ON printed_certificates(template_version_id);
+
+-- Serial number counters (one row per branch per year, locked while issuing)
+CREATE TABLE print_serial_counters (
+    branch_code VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0 CHECK (last_value >= 0),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (branch_code, year)
+);
 
 -- Insert 1 printed certificate (JK-001 Level 1)
-INSERT INTO printed_certificates (certificate_id, student_id, student_name, module_id, ptc_date, printed_by, branch)
+INSERT INTO printed_certificates (certificate_id, student_id, student_name, module_id, ptc_date, printed_by, branch, serial_number)
 SELECT 
     'BATCH-2026-001',
     s.id,
@@ -503,14 +874,204 @@ SELECT
     m.id,
     NOW()::date - 5,
     u.id,
-    'SND'
+    'SND',
+    'SND-' || EXTRACT(YEAR FROM CURRENT_DATE)::int || '-000001'
 FROM students s, modules m, users u
 WHERE s.student_name = 'Budi Santoso' 
   AND m.module_code = 'JK-001'
   AND u.username = 'azhar';
 
+INSERT INTO print_serial_counters (branch_code, year, last_value)
+VALUES ('SND', EXTRACT(YEAR FROM CURRENT_DATE)::int, 1);
+
+-- =====================================================
+-- 23. STOCKTAKE TABLES (PHYSICAL COUNT SESSIONS)
+-- =====================================================
+CREATE TABLE stocktake_sessions (
+    id SERIAL PRIMARY KEY,
+    branch_code VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'approved', 'cancelled')),
+    notes TEXT,
+    opened_by VARCHAR(100) NOT NULL,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by VARCHAR(100),
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX idx_stocktake_sessions_branch ON stocktake_sessions(branch_code);
+CREATE INDEX idx_stocktake_sessions_status ON stocktake_sessions(status);
+
+-- Only one open count session per branch at a time
+CREATE UNIQUE INDEX idx_stocktake_sessions_one_open ON stocktake_sessions(branch_code) WHERE status = 'open';
+
+CREATE TABLE stocktake_items (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES stocktake_sessions(id) ON DELETE CASCADE,
+    certificate_id VARCHAR(50) NOT NULL REFERENCES certificates(certificate_id) ON DELETE CASCADE,
+    
+    -- System stock snapshot taken when the count was submitted
+    system_certificates INTEGER NOT NULL DEFAULT 0,
+    system_medals INTEGER NOT NULL DEFAULT 0,
+    
+    -- Physically counted quantities
+    counted_certificates INTEGER NOT NULL CHECK (counted_certificates >= 0),
+    counted_medals INTEGER NOT NULL CHECK (counted_medals >= 0),
+    
+    adjustment_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    counted_by VARCHAR(100) NOT NULL,
+    counted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(session_id, certificate_id)
+);
+
+-- Indexes
+CREATE INDEX idx_stocktake_items_session ON stocktake_items(session_id);
+CREATE INDEX idx_stocktake_items_cert_id ON stocktake_items(certificate_id);
+
+-- =====================================================
+-- 24. STOCK REQUESTS TABLE (BRANCH -> REGIONAL HUB)
+-- =====================================================
+CREATE TABLE stock_requests (
+    id SERIAL PRIMARY KEY,
+    requesting_branch VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    regional_hub VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    
+    -- NULL = any batch (hub picks the batch on fulfilment)
+    certificate_id VARCHAR(50) REFERENCES certificates(certificate_id) ON DELETE SET NULL,
+    requested_certificates INTEGER NOT NULL DEFAULT 0 CHECK (requested_certificates >= 0),
+    requested_medals INTEGER NOT NULL DEFAULT 0 CHECK (requested_medals >= 0),
+    approved_certificates INTEGER CHECK (approved_certificates >= 0),
+    approved_medals INTEGER CHECK (approved_medals >= 0),
+    needed_by DATE,
+    notes TEXT,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'partially_approved', 'rejected', 'fulfilled', 'cancelled')),
+    rejection_reason TEXT,
+    
+    -- Fulfilment link to the resulting MIGRATE log entry
+    fulfilled_certificate_id VARCHAR(50),
+    migration_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    
+    requested_by VARCHAR(100) NOT NULL,
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP,
+    fulfilled_by VARCHAR(100),
+    fulfilled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CHECK (requested_certificates + requested_medals > 0)
+);
+
+-- Indexes
+CREATE INDEX idx_stock_requests_branch ON stock_requests(requesting_branch);
+CREATE INDEX idx_stock_requests_hub_status ON stock_requests(regional_hub, status);
+CREATE INDEX idx_stock_requests_needed_by ON stock_requests(needed_by);
+
+-- =====================================================
+-- 25. STOCK SHIPMENTS TABLE (IN-TRANSIT MIGRATIONS)
+-- =====================================================
+CREATE TABLE stock_shipments (
+    id SERIAL PRIMARY KEY,
+    certificate_id VARCHAR(50) NOT NULL REFERENCES certificates(certificate_id) ON DELETE CASCADE,
+    from_branch VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    to_branch VARCHAR(10) NOT NULL REFERENCES branches(branch_code) ON DELETE RESTRICT,
+    
+    -- Dispatched quantities (already deducted from from_branch)
+    certificate_amount INTEGER NOT NULL DEFAULT 0 CHECK (certificate_amount >= 0),
+    medal_amount INTEGER NOT NULL DEFAULT 0 CHECK (medal_amount >= 0),
+    
+    -- Quantities confirmed at the destination (NULL while in transit)
+    received_certificates INTEGER CHECK (received_certificates >= 0),
+    received_medals INTEGER CHECK (received_medals >= 0),
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'dispatched'
+        CHECK (status IN ('dispatched', 'received', 'received_short')),
+    notes TEXT,
+    
+    -- Audit trail links
+    dispatch_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    receipt_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    discrepancy_log_id INTEGER REFERENCES certificate_logs(id) ON DELETE SET NULL,
+    
+    dispatched_by VARCHAR(100) NOT NULL,
+    dispatched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    received_by VARCHAR(100),
+    received_at TIMESTAMP,
+    
+    CHECK (received_certificates IS NULL OR received_certificates <= certificate_amount),
+    CHECK (received_medals IS NULL OR received_medals <= medal_amount)
+);
+
+-- Indexes
+CREATE INDEX idx_stock_shipments_status ON stock_shipments(status);
+CREATE INDEX idx_stock_shipments_to_branch ON stock_shipments(to_branch, status);
+CREATE INDEX idx_stock_shipments_from_branch ON stock_shipments(from_branch);
+
+-- =====================================================
+-- 26. LOW STOCK THRESHOLDS & NOTIFICATIONS
+-- =====================================================
+-- Per-branch or per-regional-hub minimum stock (branch row wins)
+CREATE TABLE stock_thresholds (
+    id SERIAL PRIMARY KEY,
+    branch_code VARCHAR(10) REFERENCES branches(branch_code) ON DELETE CASCADE,
+    regional_hub VARCHAR(10) REFERENCES branches(branch_code) ON DELETE CASCADE,
+    min_certificates INTEGER NOT NULL DEFAULT 0 CHECK (min_certificates >= 0),
+    min_medals INTEGER NOT NULL DEFAULT 0 CHECK (min_medals >= 0),
+    updated_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_threshold_target CHECK (
+        (branch_code IS NOT NULL AND regional_hub IS NULL) OR
+        (branch_code IS NULL AND regional_hub IS NOT NULL)
+    )
+);
+
+CREATE UNIQUE INDEX idx_stock_thresholds_branch ON stock_thresholds(branch_code) WHERE branch_code IS NOT NULL;
+CREATE UNIQUE INDEX idx_stock_thresholds_hub ON stock_thresholds(regional_hub) WHERE regional_hub IS NOT NULL;
+
+-- Stored notifications (low-stock alerts)
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    branch_code VARCHAR(10) REFERENCES branches(branch_code) ON DELETE CASCADE,
+    certificate_id VARCHAR(50),
+    message TEXT NOT NULL,
+    payload JSONB,
+    is_read BOOLEAN DEFAULT false,
+    read_by VARCHAR(100),
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_notifications_branch ON notifications(branch_code);
+CREATE INDEX idx_notifications_unread ON notifications(is_read) WHERE is_read = false;
+CREATE INDEX idx_notifications_created_at ON notifications(created_at DESC);
+
+-- =====================================================
+-- 27. CERTIFICATE VERIFICATION LOGS
+-- =====================================================
+-- Every public verification lookup (valid, voided or rejected code)
+CREATE TABLE verification_logs (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(64) NOT NULL,
+    printed_certificate_id INTEGER REFERENCES printed_certificates(id) ON DELETE SET NULL,
+    result VARCHAR(20) NOT NULL CHECK (result IN ('valid', 'voided', 'invalid')),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_verification_logs_printed_cert ON verification_logs(printed_certificate_id);
+CREATE INDEX idx_verification_logs_created_at ON verification_logs(created_at DESC);
+CREATE INDEX idx_verification_logs_ip ON verification_logs(ip_address, created_at);
+
 -- =====================================================
--- 15. TRIGGERS
+-- 28. TRIGGERS
 -- =====================================================
 
 -- Function to auto-update updated_at timestamp
@@ -553,6 +1114,36 @@ CREATE TRIGGER update_students_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_stocktake_sessions_updated_at
+    BEFORE UPDATE ON stocktake_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stock_requests_updated_at
+    BEFORE UPDATE ON stock_requests
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stock_thresholds_updated_at
+    BEFORE UPDATE ON stock_thresholds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_certificate_templates_updated_at
+    BEFORE UPDATE ON certificate_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_curriculum_tracks_updated_at
+    BEFORE UPDATE ON curriculum_tracks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_roles_updated_at
+    BEFORE UPDATE ON roles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Auto-create student_modules entry when printed_certificates is created
 CREATE OR REPLACE FUNCTION auto_create_student_module()
 RETURNS TRIGGER AS $$
@@ -574,7 +1165,7 @@ CREATE TRIGGER trigger_auto_create_student_module
     EXECUTE FUNCTION auto_create_student_module();
 
 -- =====================================================
--- 16. HELPER FUNCTIONS
+-- 29. HELPER FUNCTIONS
 -- =====================================================
 
 -- Get stock for a specific certificate and branch
@@ -720,7 +1311,7 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- =====================================================
--- 17. VIEWS
+-- 30. VIEWS
 -- =====================================================
 
 -- Stock Summary View
@@ -876,17 +1467,35 @@ GROUP BY b.regional_hub
 ORDER BY b.regional_hub;
 
 -- =====================================================
--- 18. RECORD MIGRATIONS
+-- 31. RECORD MIGRATIONS
 -- =====================================================
 INSERT INTO schema_migrations (migration_id, description) VALUES
 ('001_initial_schema', 'Fresh database schema with all features enabled'),
 ('002_dynamic_branches', 'Dynamic branch support with certificate_stock table'),
 ('003_correct_age_ranges', 'Fixed division age ranges: JK(8-16), LK(4-8)'),
 ('004_add_regional_hub_support', 'Add multi-regional hub support: is_head_branch and regional_hub columns'),
-('005_add_teacher_soft_delete', 'Add soft delete support for teachers: is_active and resigned_at columns');
+('005_add_teacher_soft_delete', 'Add soft delete support for teachers: is_active and resigned_at columns'),
+('006_add_stocktake_sessions', 'Add stocktake_sessions and stocktake_items for physical stock counts'),
+('007_add_stock_requests', 'Add stock_requests for branch to regional hub stock request workflow'),
+('008_add_stock_shipments', 'Add stock_shipments for dispatched (in-transit) migrations and receipt confirmation'),
+('009_add_stock_thresholds', 'Add stock_thresholds and notifications for low-stock alerts'),
+('010_add_branch_batch_selection', 'Add branches.batch_selection (FIFO/LIFO) for automatic print batch selection'),
+('011_add_print_void_reprint', 'Add void/reprint columns to printed_certificates'),
+('012_add_print_eligibility_override', 'Add eligibility override columns to printed_certificates'),
+('013_add_print_serial_numbers', 'Add printed_certificates.serial_number and print_serial_counters'),
+('014_add_verification_logs', 'Add verification_logs for public certificate verification lookups'),
+('015_add_certificate_templates', 'Add versioned certificate templates per division/module and printed_certificates.template_version_id'),
+('016_add_student_imports', 'Add student_imports audit table for Excel student imports'),
+('017_add_student_merges', 'Add merged student status and reversible student_merges log'),
+('018_add_module_prerequisites', 'Add module prerequisites and ordered curriculum tracks'),
+('019_add_teacher_employment_history', 'Add teacher_employment_history for resign / reactivate cycles'),
+('020_add_roles_permissions', 'Add roles, role_permissions and users.role_id for permission checks'),
+('021_add_admin_hubs', 'Add admin_hubs to bind admin accounts to regional hubs'),
+('022_add_refresh_tokens', 'Add refresh_tokens for refresh token rotation, revocation and sessions'),
+('023_add_token_version', 'Add users.token_version for immediate access token invalidation');
 
 -- =====================================================
--- 19. VERIFICATION & SUMMARY
+-- 32. VERIFICATION & SUMMARY
 -- =====================================================
 
 -- Show database summary
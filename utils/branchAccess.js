@@ -0,0 +1,213 @@
+// utils/branchAccess.js
+// Shared helpers for checking which branches a user may act on
+
+const CONSTANTS = require("./constants");
+
+// admin user id -> { scope, loadedAt } (scope null = every hub)
+const hubScopeCache = new Map();
+
+/**
+ * Regional hubs an admin account is bound to (admin_hubs) and the branches
+ * in them. Returns null for admins without hub bindings (every hub).
+ */
+async function loadHubScope(db, userId) {
+  const result = await db.query(
+    `SELECT ah.regional_hub, b.branch_code
+     FROM admin_hubs ah
+     LEFT JOIN branches b ON b.regional_hub = ah.regional_hub
+     WHERE ah.user_id = $1
+     ORDER BY ah.regional_hub, b.branch_code`,
+    [userId],
+  );
+
+  if (result.rows.length === 0) return null;
+
+  return {
+    hubs: [...new Set(result.rows.map((row) => row.regional_hub))],
+    branches: result.rows
+      .map((row) => row.branch_code)
+      .filter((code) => code !== null),
+  };
+}
+
+/**
+ * loadHubScope cached per admin for JWT.HUB_SCOPE_CACHE_TTL_MS, so
+ * verifyToken does not query admin_hubs on every request
+ */
+async function getHubScope(db, userId) {
+  const cached = hubScopeCache.get(userId);
+  if (
+    cached &&
+    Date.now() - cached.loadedAt < CONSTANTS.JWT.HUB_SCOPE_CACHE_TTL_MS
+  ) {
+    return cached.scope;
+  }
+
+  const scope = await loadHubScope(db, userId);
+  hubScopeCache.set(userId, { scope, loadedAt: Date.now() });
+  return scope;
+}
+
+/**
+ * Drop cached hub scopes: one admin's, or all (when branches change)
+ */
+function clearHubScopeCache(userId) {
+  if (userId === undefined) hubScopeCache.clear();
+  else hubScopeCache.delete(userId);
+}
+
+/**
+ * Admin bound to specific regional hubs (req.user.hub_scope set by verifyToken)
+ */
+function isHubBound(user) {
+  return user.role === "admin" && Array.isArray(user.hub_scope);
+}
+
+/**
+ * Admin with access to every branch in every hub
+ */
+function hasAllBranchAccess(user) {
+  return user.role === "admin" && !isHubBound(user);
+}
+
+/**
+ * Check regional hub access (hub-bound admins: their hubs only)
+ */
+function canAccessHub(user, regionalHub) {
+  if (!isHubBound(user)) return true;
+  return user.hub_scope.includes(regionalHub);
+}
+
+/**
+ * Branch codes a user may act on: a teacher's assignments (primary +
+ * teacher_branches) or the branches in a hub-bound admin's hubs
+ */
+function getUserBranchCodes(user) {
+  if (isHubBound(user)) return [...user.hub_branches];
+
+  const codes = (user.branches || []).map((b) => b.branch_code);
+  if (user.teacher_branch && !codes.includes(user.teacher_branch)) {
+    codes.push(user.teacher_branch);
+  }
+  return codes;
+}
+
+/**
+ * Check branch access (admin = all or their hubs, teacher = assigned branches)
+ */
+function canAccessBranch(user, branchCode) {
+  if (hasAllBranchAccess(user)) return true;
+  return getUserBranchCodes(user).includes(branchCode);
+}
+
+/**
+ * Branch outside a hub-bound admin's hubs (always false for other users)
+ */
+function isOutsideHub(user, branchCode) {
+  return isHubBound(user) && !canAccessBranch(user, branchCode);
+}
+
+/**
+ * 403 message for a branch outside the user's scope
+ */
+function branchForbiddenMessage(user, branchCode) {
+  return isHubBound(user)
+    ? `Branch ${branchCode} is outside your regional hub`
+    : `You are not assigned to branch ${branchCode}`;
+}
+
+/**
+ * Branch codes a teacher is assigned to, read from the database
+ * (teacher_branches + legacy users.teacher_branch) instead of the JWT,
+ * so assignment changes apply before the token is refreshed
+ */
+async function getAssignedBranchCodes(db, teacherId) {
+  const result = await db.query(
+    `SELECT b.branch_code
+     FROM teacher_branches tb
+     JOIN branches b ON tb.branch_id = b.id
+     WHERE tb.teacher_id = $1
+     UNION
+     SELECT teacher_branch FROM users
+     WHERE id = $1 AND teacher_branch IS NOT NULL`,
+    [teacherId],
+  );
+  return result.rows.map((row) => row.branch_code);
+}
+
+/**
+ * Resolve the branch a print operation acts on.
+ * Defaults to the legacy teacher_branch; a requested branch must be one of
+ * the teacher's assignments (admins may pick any active branch in their hubs).
+ * Returns { valid: true, branchCode } or { valid: false, statusCode, error, errorCode }
+ */
+async function resolveActingBranch(db, user, requestedBranch) {
+  const branchCode =
+    requestedBranch && String(requestedBranch).trim()
+      ? String(requestedBranch).trim().toUpperCase()
+      : null;
+
+  if (!branchCode) {
+    if (!user.teacher_branch) {
+      return {
+        valid: false,
+        statusCode: CONSTANTS.HTTP_STATUS.BAD_REQUEST,
+        error: "branch_code is required",
+        errorCode: CONSTANTS.ERROR_CODES.VALIDATION_ERROR,
+      };
+    }
+    return { valid: true, branchCode: user.teacher_branch };
+  }
+
+  const branchCheck = await db.query(
+    "SELECT branch_code, is_active FROM branches WHERE branch_code = $1",
+    [branchCode],
+  );
+
+  if (branchCheck.rows.length === 0 || !branchCheck.rows[0].is_active) {
+    return {
+      valid: false,
+      statusCode: CONSTANTS.HTTP_STATUS.NOT_FOUND,
+      error: `Branch ${branchCode} not found or inactive`,
+      errorCode: CONSTANTS.ERROR_CODES.NOT_FOUND,
+    };
+  }
+
+  if (isOutsideHub(user, branchCode)) {
+    return {
+      valid: false,
+      statusCode: CONSTANTS.HTTP_STATUS.FORBIDDEN,
+      error: branchForbiddenMessage(user, branchCode),
+      errorCode: CONSTANTS.ERROR_CODES.FORBIDDEN,
+    };
+  }
+
+  if (user.role !== "admin") {
+    const assigned = await getAssignedBranchCodes(db, user.id);
+    if (!assigned.includes(branchCode)) {
+      return {
+        valid: false,
+        statusCode: CONSTANTS.HTTP_STATUS.FORBIDDEN,
+        error: `You are not assigned to branch ${branchCode}`,
+        errorCode: CONSTANTS.ERROR_CODES.FORBIDDEN,
+      };
+    }
+  }
+
+  return { valid: true, branchCode };
+}
+
+module.exports = {
+  loadHubScope,
+  getHubScope,
+  clearHubScopeCache,
+  isHubBound,
+  hasAllBranchAccess,
+  canAccessHub,
+  getUserBranchCodes,
+  canAccessBranch,
+  isOutsideHub,
+  branchForbiddenMessage,
+  getAssignedBranchCodes,
+  resolveActingBranch,
+};
@@ -0,0 +1,698 @@
+// utils/certificateTemplates.js
+// Certificate layout templates (one per division) and rendering to PDF pages
+
+const fs = require("fs");
+const path = require("path");
+const CONSTANTS = require("./constants");
+const logger = require("./logger");
+const {
+  PAGE_SIZES,
+  FONTS,
+  measureText,
+  readJpegInfo,
+  createPdf,
+} = require("./pdfGenerator");
+
+// Print record attributes a template can bind to (see buildTemplateData)
+const TEMPLATE_FIELDS = [
+  "student_name",
+  "module_code",
+  "module_name",
+  "division",
+  "division_name",
+  "ptc_date",
+  "branch_name",
+  "teacher_name",
+  "serial_number",
+  "verification_code",
+];
+
+const ORIENTATIONS = ["portrait", "landscape"];
+const ALIGNMENTS = ["left", "center", "right"];
+const ELEMENT_TYPES = ["text", "rect", "line"];
+
+// Sample values for template previews
+const SAMPLE_DATA = {
+  student_name: "Alexandra Putri Wijaya",
+  module_code: "SAMPLE-01",
+  module_name: "Sample Module: Creative Coding",
+  ptc_date: "5 October 2026",
+  branch_name: "Sample Branch",
+  teacher_name: "Sample Teacher",
+  serial_number: "SMP-2026-000001",
+  verification_code: "SAMPLE-0000000000000000",
+};
+
+// =====================================================
+// DEFAULT TEMPLATES PER DIVISION
+// =====================================================
+// Used when no active template is assigned to the module or division.
+// Same shape as a certificate_template_versions row: layout is plain JSON.
+// Text elements use `field` (one bound attribute) or `text` with
+// {{placeholders}}; see TEMPLATE_FIELDS for the keys.
+// x: "center" = horizontal page center; rect "inset" = page border.
+// Colors are [r, g, b] (0-255) or a key of layout.colors.
+const DEFAULT_TEMPLATES = {
+  JK: {
+    name: "Junior Koder Default",
+    page_size: "A4",
+    orientation: "landscape",
+    background_image_path: null,
+    layout: {
+      colors: {
+        primary: [27, 54, 93],
+        accent: [201, 162, 39],
+        text: [40, 40, 40],
+        muted: [110, 110, 110],
+      },
+      elements: [
+        { type: "rect", inset: 20, lineWidth: 6, stroke: "primary" },
+        { type: "rect", inset: 32, lineWidth: 1.5, stroke: "accent" },
+        {
+          type: "text",
+          text: "CERTIFICATE OF COMPLETION",
+          x: "center",
+          y: 470,
+          size: 34,
+          font: "bold",
+          color: "primary",
+        },
+        {
+          type: "text",
+          text: "{{division_name}} Program",
+          x: "center",
+          y: 438,
+          size: 16,
+          font: "italic",
+          color: "accent",
+        },
+        {
+          type: "text",
+          text: "This certificate is proudly presented to",
+          x: "center",
+          y: 385,
+          size: 14,
+          color: "muted",
+        },
+        {
+          type: "text",
+          field: "student_name",
+          x: "center",
+          y: 330,
+          size: 36,
+          font: "bold",
+          color: "text",
+          maxWidth: 680,
+        },
+        { type: "line", x1: 200, y1: 318, x2: 642, y2: 318, stroke: "accent" },
+        {
+          type: "text",
+          text: "for successfully completing the module",
+          x: "center",
+          y: 280,
+          size: 14,
+          color: "muted",
+        },
+        {
+          type: "text",
+          field: "module_name",
+          x: "center",
+          y: 245,
+          size: 22,
+          font: "bold",
+          color: "primary",
+          maxWidth: 680,
+        },
+        {
+          type: "text",
+          text: "{{branch_name}}  |  {{ptc_date}}",
+          x: "center",
+          y: 210,
+          size: 13,
+          color: "text",
+        },
+        { type: "line", x1: 120, y1: 130, x2: 320, y2: 130, stroke: "text" },
+        {
+          type: "text",
+          field: "teacher_name",
+          x: 220,
+          y: 112,
+          size: 12,
+          font: "bold",
+          align: "center",
+          color: "text",
+        },
+        {
+          type: "text",
+          text: "Teacher",
+          x: 220,
+          y: 96,
+          size: 10,
+          align: "center",
+          color: "muted",
+        },
+        {
+          type: "text",
+          text: "No. {{serial_number}}",
+          x: 722,
+          y: 112,
+          size: 10,
+          align: "right",
+          color: "muted",
+        },
+        {
+          type: "text",
+          text: "Verify: {{verification_code}}",
+          x: 722,
+          y: 96,
+          size: 10,
+          align: "right",
+          color: "muted",
+        },
+      ],
+    },
+  },
+  LK: {
+    name: "Little Koder Default",
+    page_size: "A4",
+    orientation: "landscape",
+    background_image_path: null,
+    layout: {
+      colors: {
+        primary: [230, 110, 40],
+        accent: [40, 160, 150],
+        text: [50, 50, 50],
+        muted: [120, 120, 120],
+      },
+      elements: [
+        { type: "rect", inset: 18, lineWidth: 10, stroke: "accent" },
+        { type: "rect", inset: 34, lineWidth: 3, stroke: "primary" },
+        {
+          type: "text",
+          text: "CERTIFICATE OF ACHIEVEMENT",
+          x: "center",
+          y: 465,
+          size: 32,
+          font: "bold",
+          color: "primary",
+        },
+        {
+          type: "text",
+          text: "{{division_name}}",
+          x: "center",
+          y: 432,
+          size: 18,
+          font: "bold",
+          color: "accent",
+        },
+        {
+          type: "text",
+          text: "Well done,",
+          x: "center",
+          y: 380,
+          size: 16,
+          font: "italic",
+          color: "muted",
+        },
+        {
+          type: "text",
+          field: "student_name",
+          x: "center",
+          y: 325,
+          size: 38,
+          font: "bold",
+          color: "primary",
+          maxWidth: 680,
+        },
+        {
+          type: "text",
+          text: "has completed",
+          x: "center",
+          y: 280,
+          size: 14,
+          color: "muted",
+        },
+        {
+          type: "text",
+          field: "module_name",
+          x: "center",
+          y: 248,
+          size: 22,
+          font: "bold",
+          color: "accent",
+          maxWidth: 680,
+        },
+        {
+          type: "text",
+          text: "{{branch_name}}  |  {{ptc_date}}",
+          x: "center",
+          y: 212,
+          size: 13,
+          color: "text",
+        },
+        { type: "line", x1: 120, y1: 130, x2: 320, y2: 130, stroke: "text" },
+        {
+          type: "text",
+          field: "teacher_name",
+          x: 220,
+          y: 112,
+          size: 12,
+          font: "bold",
+          align: "center",
+          color: "text",
+        },
+        {
+          type: "text",
+          text: "Teacher",
+          x: 220,
+          y: 96,
+          size: 10,
+          align: "center",
+          color: "muted",
+        },
+        {
+          type: "text",
+          text: "No. {{serial_number}}",
+          x: 722,
+          y: 112,
+          size: 10,
+          align: "right",
+          color: "muted",
+        },
+        {
+          type: "text",
+          text: "Verify: {{verification_code}}",
+          x: 722,
+          y: 96,
+          size: 10,
+          align: "right",
+          color: "muted",
+        },
+      ],
+    },
+  },
+};
+
+/**
+ * Default template for a division (falls back to JK)
+ */
+function getDefaultTemplate(division) {
+  return DEFAULT_TEMPLATES[division] || DEFAULT_TEMPLATES.JK;
+}
+
+/**
+ * Map a print record row to template placeholder values
+ */
+function buildTemplateData(record) {
+  const division = record.division || record.module_division;
+
+  return {
+    student_name: record.student_name || "",
+    module_code: record.module_code || "",
+    module_name: record.module_name || "",
+    division: division || "",
+    division_name: CONSTANTS.DIVISION_AGE_RANGES[division]?.name || division,
+    ptc_date: record.ptc_date_text || "",
+    branch_name: record.branch_name || record.branch || "",
+    teacher_name: record.teacher_name || "",
+    serial_number: record.serial_number || "",
+    verification_code: record.verification_code || "",
+  };
+}
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+const isNumber = (value) => typeof value === "number" && isFinite(value);
+
+const isColor = (value) =>
+  Array.isArray(value) &&
+  value.length === 3 &&
+  value.every((c) => Number.isInteger(c) && c >= 0 && c <= 255);
+
+const placeholderKeys = (text) =>
+  [...String(text).matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]);
+
+/**
+ * Validate one layout element
+ * @returns {string|null} error message
+ */
+function validateElement(element, colors, label) {
+  if (!element || typeof element !== "object" || Array.isArray(element)) {
+    return `${label} must be an object`;
+  }
+  if (!ELEMENT_TYPES.includes(element.type)) {
+    return `${label}: type must be one of ${ELEMENT_TYPES.join(", ")}`;
+  }
+
+  const colorError = (key) => {
+    const value = element[key];
+    if (value === undefined || value === null) return null;
+    if (typeof value === "string" ? colors[value] : isColor(value)) {
+      return null;
+    }
+    return `${label}: ${key} must be [r, g, b] or a key of layout.colors`;
+  };
+
+  if (element.lineWidth !== undefined && !(element.lineWidth > 0)) {
+    return `${label}: lineWidth must be a positive number`;
+  }
+
+  if (element.type === "rect") {
+    const positioned = ["x", "y", "width", "height"].every((key) =>
+      isNumber(element[key]),
+    );
+    if (!isNumber(element.inset) && !positioned) {
+      return `${label}: rect needs inset or x, y, width and height`;
+    }
+    return colorError("stroke") || colorError("fill");
+  }
+
+  if (element.type === "line") {
+    if (!["x1", "y1", "x2", "y2"].every((key) => isNumber(element[key]))) {
+      return `${label}: line needs numeric x1, y1, x2 and y2`;
+    }
+    return colorError("stroke");
+  }
+
+  // Text
+  if (element.field !== undefined) {
+    if (!TEMPLATE_FIELDS.includes(element.field)) {
+      return `${label}: unknown field "${element.field}". Allowed: ${TEMPLATE_FIELDS.join(", ")}`;
+    }
+  } else if (typeof element.text !== "string" || !element.text.trim()) {
+    return `${label}: text element needs field or text`;
+  } else {
+    const unknown = placeholderKeys(element.text).find(
+      (key) => !TEMPLATE_FIELDS.includes(key),
+    );
+    if (unknown) {
+      return `${label}: unknown placeholder {{${unknown}}}. Allowed: ${TEMPLATE_FIELDS.join(", ")}`;
+    }
+  }
+
+  if (element.x !== "center" && !isNumber(element.x)) {
+    return `${label}: x must be a number or "center"`;
+  }
+  if (!isNumber(element.y)) {
+    return `${label}: y must be a number`;
+  }
+  if (
+    element.size !== undefined &&
+    !(isNumber(element.size) && element.size >= 4 && element.size <= 144)
+  ) {
+    return `${label}: size must be between 4 and 144`;
+  }
+  if (element.font !== undefined && !FONTS[element.font]) {
+    return `${label}: font must be one of ${Object.keys(FONTS).join(", ")}`;
+  }
+  if (element.align !== undefined && !ALIGNMENTS.includes(element.align)) {
+    return `${label}: align must be one of ${ALIGNMENTS.join(", ")}`;
+  }
+  if (element.maxWidth !== undefined && !(element.maxWidth > 0)) {
+    return `${label}: maxWidth must be a positive number`;
+  }
+  return colorError("color");
+}
+
+/**
+ * Validate template design (page, background, layout)
+ * @returns {Object} { valid, error?, value? } - value is the normalized design
+ */
+function validateTemplateDesign({
+  page_size: pageSize = "A4",
+  orientation = "landscape",
+  background_image_path: backgroundPath = null,
+  layout,
+}) {
+  const size = String(pageSize).toUpperCase();
+  if (!PAGE_SIZES[size]) {
+    return {
+      valid: false,
+      error: `page_size must be one of ${Object.keys(PAGE_SIZES).join(", ")}`,
+    };
+  }
+
+  if (!ORIENTATIONS.includes(orientation)) {
+    return {
+      valid: false,
+      error: `orientation must be one of ${ORIENTATIONS.join(", ")}`,
+    };
+  }
+
+  let background = null;
+  if (backgroundPath) {
+    background = String(backgroundPath).trim().replace(/\\/g, "/");
+    if (
+      background.length > CONSTANTS.CERTIFICATE_TEMPLATE.MAX_PATH_LENGTH ||
+      path.isAbsolute(background) ||
+      background.split("/").includes("..") ||
+      !/\.jpe?g$/i.test(background)
+    ) {
+      return {
+        valid: false,
+        error: `background_image_path must be a relative .jpg/.jpeg path inside ${CONSTANTS.CERTIFICATE_TEMPLATE.ASSET_DIR}`,
+      };
+    }
+  }
+
+  if (!layout || typeof layout !== "object" || Array.isArray(layout)) {
+    return { valid: false, error: "layout must be an object" };
+  }
+
+  const colors = layout.colors || {};
+  if (typeof colors !== "object" || Array.isArray(colors)) {
+    return { valid: false, error: "layout.colors must be an object" };
+  }
+  const badColor = Object.keys(colors).find((key) => !isColor(colors[key]));
+  if (badColor) {
+    return {
+      valid: false,
+      error: `layout.colors.${badColor} must be [r, g, b] with values 0-255`,
+    };
+  }
+
+  const elements = layout.elements;
+  if (
+    !Array.isArray(elements) ||
+    elements.length === 0 ||
+    elements.length > CONSTANTS.CERTIFICATE_TEMPLATE.MAX_ELEMENTS
+  ) {
+    return {
+      valid: false,
+      error: `layout.elements must contain 1-${CONSTANTS.CERTIFICATE_TEMPLATE.MAX_ELEMENTS} elements`,
+    };
+  }
+
+  for (let i = 0; i < elements.length; i++) {
+    const error = validateElement(
+      elements[i],
+      colors,
+      `layout.elements[${i}]`,
+    );
+    if (error) return { valid: false, error };
+  }
+
+  return {
+    valid: true,
+    value: {
+      page_size: size,
+      orientation,
+      background_image_path: background,
+      layout: { colors, elements },
+    },
+  };
+}
+
+// =====================================================
+// RENDERING
+// =====================================================
+
+const fillPlaceholders = (text, data) =>
+  String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) =>
+    data[key] !== undefined && data[key] !== null ? String(data[key]) : "",
+  );
+
+const resolveColor = (color, colors) =>
+  typeof color === "string" ? colors[color] : color;
+
+const getPageDimensions = (template) => {
+  const base = PAGE_SIZES[template.page_size] || PAGE_SIZES.A4;
+  return template.orientation === "portrait"
+    ? { width: base.width, height: base.height }
+    : { width: base.height, height: base.width };
+};
+
+/**
+ * Load a background JPEG from the template asset directory.
+ * A missing or invalid file is logged and the page renders without it.
+ */
+async function loadBackground(backgroundPath) {
+  const assetDir = path.resolve(
+    __dirname,
+    "..",
+    CONSTANTS.CERTIFICATE_TEMPLATE.ASSET_DIR,
+  );
+  const filePath = path.resolve(assetDir, backgroundPath);
+  if (!filePath.startsWith(assetDir + path.sep)) return null;
+
+  try {
+    const data = await fs.promises.readFile(filePath);
+    if (!readJpegInfo(data)) {
+      logger.warn(`Certificate background is not a JPEG: ${backgroundPath}`);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    logger.warn(
+      `Certificate background not found: ${backgroundPath} (${error.message})`,
+    );
+    return null;
+  }
+}
+
+/**
+ * Render one certificate page
+ * @param {Object} template - { page_size, orientation, layout }
+ * @param {Object} data - placeholder values (see buildTemplateData)
+ * @param {Buffer|null} background - JPEG drawn full page behind the layout
+ * @returns {Object} { size, orientation, operations }
+ */
+function renderCertificatePage(template, data, background = null) {
+  const colors = template.layout.colors || {};
+  const { width, height } = getPageDimensions(template);
+
+  const operations = template.layout.elements.map((element) => {
+    if (element.type === "rect") {
+      const inset = element.inset;
+      return {
+        type: "rect",
+        x: inset !== undefined ? inset : element.x,
+        y: inset !== undefined ? inset : element.y,
+        width: inset !== undefined ? width - inset * 2 : element.width,
+        height: inset !== undefined ? height - inset * 2 : element.height,
+        lineWidth: element.lineWidth,
+        stroke: resolveColor(element.stroke, colors),
+        fill: resolveColor(element.fill, colors),
+      };
+    }
+
+    if (element.type === "line") {
+      return {
+        ...element,
+        stroke: resolveColor(element.stroke, colors),
+      };
+    }
+
+    // Text: shrink font until it fits maxWidth (long student names)
+    const text = element.field
+      ? String(data[element.field] ?? "")
+      : fillPlaceholders(element.text, data);
+    let size = element.size || 12;
+    if (element.maxWidth) {
+      while (
+        size > 8 &&
+        measureText(text, size, element.font) > element.maxWidth
+      ) {
+        size -= 1;
+      }
+    }
+
+    const centered = element.x === "center";
+    return {
+      type: "text",
+      text,
+      x: centered ? width / 2 : element.x,
+      y: element.y,
+      size,
+      font: element.font,
+      color: resolveColor(element.color, colors),
+      align: centered ? "center" : element.align,
+    };
+  });
+
+  if (background) {
+    operations.unshift({
+      type: "image",
+      data: background,
+      x: 0,
+      y: 0,
+      width,
+      height,
+    });
+  }
+
+  return {
+    size: template.page_size,
+    orientation: template.orientation,
+    operations,
+  };
+}
+
+/**
+ * Build a PDF with one certificate page per record
+ * @param {Array<Object>} records - print rows (see buildTemplateData); a
+ *   record's `template` is used when set, else the division default
+ * @param {string} title - document title
+ * @returns {Promise<Buffer>}
+ */
+async function renderCertificatesPdf(records, title) {
+  const backgrounds = new Map();
+
+  const pages = [];
+  for (const record of records) {
+    const template =
+      record.template ||
+      getDefaultTemplate(record.division || record.module_division);
+
+    let background = null;
+    if (template.background_image_path) {
+      if (!backgrounds.has(template.background_image_path)) {
+        backgrounds.set(
+          template.background_image_path,
+          await loadBackground(template.background_image_path),
+        );
+      }
+      background = backgrounds.get(template.background_image_path);
+    }
+
+    pages.push(
+      renderCertificatePage(template, buildTemplateData(record), background),
+    );
+  }
+
+  return createPdf(pages, { title });
+}
+
+/**
+ * Render a template with sample data (for previews)
+ * @returns {Promise<Buffer>}
+ */
+function renderTemplatePreview(template, division) {
+  return renderCertificatesPdf(
+    [
+      {
+        ...SAMPLE_DATA,
+        ptc_date_text: SAMPLE_DATA.ptc_date,
+        division: division || "JK",
+        template,
+      },
+    ],
+    `Preview - ${template.name || "Certificate Template"}`,
+  );
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  ORIENTATIONS,
+  ALIGNMENTS,
+  ELEMENT_TYPES,
+  DEFAULT_TEMPLATES,
+  getDefaultTemplate,
+  buildTemplateData,
+  validateTemplateDesign,
+  renderCertificatePage,
+  renderCertificatesPdf,
+  renderTemplatePreview,
+};
@@ -43,6 +43,25 @@ module.exports = {
     ACCESS_TOKEN_EXPIRES_IN: "1h",
     REFRESH_TOKEN_EXPIRES_IN: "7d",
     ALGORITHM: "HS256",
+    // How long users.token_version is cached by verifyToken (other
+    // server instances pick up a bump within this window)
+    TOKEN_VERSION_CACHE_TTL_MS: 15 * 1000,
+    // How long an admin's regional hub scope (admin_hubs) is cached
+    HUB_SCOPE_CACHE_TTL_MS: 15 * 1000,
+  },
+
+  // Refresh token sessions (refresh_tokens table)
+  REFRESH_TOKEN: {
+    USER_AGENT_MAX_LENGTH: 255,
+    SESSION_ID_PATTERN: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, // UUID (token family)
+    REVOKE_REASONS: {
+      LOGOUT: "logout",
+      LOGOUT_ALL: "logout_all",
+      SESSION_REVOKED: "session_revoked",
+      REUSE_DETECTED: "reuse_detected",
+      PASSWORD_CHANGED: "password_changed",
+      ACCOUNT_RESIGNED: "account_resigned",
+    },
   },
 
   // Teacher name validation
@@ -51,6 +70,124 @@ module.exports = {
     MAX_LENGTH: 100,
   },
 
+  // Printed certificate serial numbers (e.g. SND-2026-000123)
+  SERIAL_NUMBER: {
+    PAD_LENGTH: 6,
+  },
+
+  // Public certificate verification (signed codes)
+  VERIFICATION: {
+    SIGNATURE_LENGTH: 16, // hex chars of HMAC-SHA256
+    CODE_PATTERN: /^([0-9A-Z]{1,13})-([0-9A-F]{16})$/,
+    RATE_LIMIT_WINDOW_MS: 15 * 60 * 1000,
+    RATE_LIMIT_MAX: 30, // lookups per IP per window
+  },
+
+  // Outcome of a verification lookup (stored in verification_logs)
+  VERIFICATION_RESULT: {
+    VALID: "valid",
+    VOIDED: "voided",
+    INVALID: "invalid",
+  },
+
+  // Bulk print (one class on PTC day)
+  BULK_PRINT: {
+    MAX_STUDENTS: 50,
+  },
+
+  // Server-side certificate PDFs
+  CERTIFICATE_PDF: {
+    MAX_BATCH_PAGES: 200,
+  },
+
+  // Admin-managed certificate templates
+  CERTIFICATE_TEMPLATE: {
+    ASSET_DIR: "assets/certificate-backgrounds", // background JPEGs
+    MAX_PATH_LENGTH: 255,
+    MAX_ELEMENTS: 100,
+    NAME_MAX_LENGTH: 100,
+  },
+
+  // Student import from Excel (same columns as the students export)
+  STUDENT_IMPORT: {
+    MAX_ROWS: 1000,
+    MAX_FILE_SIZE: "5mb",
+    MODES: ["dry-run", "commit"],
+    // Header -> field; other export columns (Branch Name, Status,
+    // Modules Completed, Created At, ...) are ignored
+    COLUMNS: {
+      ID: "id",
+      "Student Name": "student_name",
+      "Branch Code": "branch_code",
+      Division: "division",
+      "Date of Birth": "date_of_birth",
+      "Parent Name": "parent_name",
+      "Parent Phone": "parent_phone",
+      "Parent Email": "parent_email",
+      Address: "address",
+      Notes: "notes",
+      Status: "status",
+    },
+    REQUIRED_COLUMNS: ["Student Name", "Branch Code", "Division"],
+  },
+
+  // Duplicate student finder (scores 0-100)
+  STUDENT_DUPLICATES: {
+    WEIGHTS: {
+      NAME: 50, // multiplied by name similarity (0-1)
+      DATE_OF_BIRTH: 20,
+      PARENT_PHONE: 15,
+      PARENT_EMAIL: 15,
+      BRANCH: 10,
+    },
+    DOB_MISMATCH_PENALTY: 30,
+    DEFAULT_MIN_SCORE: 60,
+    MAX_RESULTS: 200,
+  },
+
+  // Student status values
+  STUDENT_STATUS: {
+    ACTIVE: "active",
+    INACTIVE: "inactive",
+    TRANSFERRED: "transferred",
+    MERGED: "merged", // duplicate row folded into another student
+  },
+
+  // Module prerequisites and ordered curriculum tracks
+  CURRICULUM: {
+    MAX_PREREQUISITES: 20, // per module
+    TRACK_NAME_MAX_LENGTH: 100,
+    TRACK_MAX_MODULES: 50,
+  },
+
+  // Student transcript export (GET /api/export/students/:id/transcript)
+  TRANSCRIPT: {
+    FORMATS: {
+      XLSX: "xlsx",
+      PDF: "pdf",
+    },
+  },
+
+  // Student learning path (next eligible modules)
+  LEARNING_PATH: {
+    UPCOMING_MONTHS: 6, // "ages into soon" window
+  },
+
+  // Linking manual-entry print records (student_id NULL) to students
+  PRINT_STUDENT_LINK: {
+    MIN_SIMILARITY: 0.6, // candidates below this name similarity are hidden
+    MAX_CANDIDATES: 5,
+    // Auto-link: best same-branch candidate at or above this similarity,
+    // with no other candidate within AUTO_LINK_MARGIN of it
+    AUTO_LINK_MIN_SIMILARITY: 0.9,
+    AUTO_LINK_MARGIN: 0.1,
+    AUTO_LINK_MAX_RECORDS: 500,
+    MODES: {
+      DRY_RUN: "dry-run",
+      COMMIT: "commit",
+    },
+  },
+
   // Database transaction settings
   TRANSACTION: {
     TIMEOUT: 5000, // milliseconds
@@ -92,12 +229,82 @@ module.exports = {
   // Valid roles
   ROLES: ["admin", "teacher"],
 
+  // Named permissions checked by requirePermission (auth/AuthMiddleware.js)
+  PERMISSIONS: {
+    "branches.view": "View branches and branch statistics",
+    "branches.manage": "Create, edit, delete and toggle branches",
+    "stock.view": "View stock, batches, history, shipments and alerts",
+    "stock.create": "Input new certificate batches",
+    "stock.migrate": "Migrate stock between branches",
+    "stock.receive": "Confirm receipt of in-transit shipments",
+    "stock.adjust": "Write off or correct branch stock",
+    "stock.clear": "Clear all certificate batches",
+    "stock.thresholds": "Set and remove low-stock thresholds",
+    "stock_requests.create": "Create and cancel stock requests",
+    "stock_requests.approve": "Approve, reject and fulfil stock requests",
+    "stocktakes.view": "View stocktake sessions",
+    "stocktakes.count": "Open stocktakes and submit counts",
+    "stocktakes.approve": "Approve and cancel stocktakes",
+    "logs.view": "View certificate logs",
+    "logs.cleanup": "Delete old certificate logs",
+    "logs.recover": "Recover failed logs from the backup file",
+    "modules.view": "View modules, prerequisites and curriculum tracks",
+    "modules.manage": "Edit modules, prerequisites and curriculum tracks",
+    "templates.view": "View certificate templates",
+    "templates.manage": "Create, edit, preview and retire certificate templates",
+    "prints.view": "View print history, records and PDFs",
+    "prints.create": "Print certificates (single and bulk)",
+    "prints.void": "Void and reprint print records",
+    "prints.link": "Link manual print records to students",
+    "prints.export": "Export printed certificates",
+    "students.view": "View and search students",
+    "students.manage": "Create, edit and delete students",
+    "students.transfer": "Transfer students between branches",
+    "students.import": "Import students from Excel",
+    "students.merge": "Find and merge duplicate students",
+    "students.export": "Export student lists with parent contact details",
+    "students.transcript": "Export a student's transcript",
+    "teachers.view": "View teachers",
+    "teachers.manage": "Create, edit, resign and reactivate teachers",
+    "reports.export": "Export stock, log, module and teacher reports",
+    "roles.view": "View roles and permissions",
+    "roles.manage": "Create, edit and assign roles",
+  },
+
+  // Built-in roles (seeded by migration 020, cannot be deleted)
+  SYSTEM_ROLES: {
+    SUPER_ADMIN: "super_admin",
+    HUB_ADMIN: "hub_admin",
+    BRANCH_ADMIN: "branch_admin",
+    TEACHER: "teacher",
+    AUDITOR: "auditor",
+  },
+
+  // Role management and permission lookups
+  ROLE: {
+    KEY_PATTERN: /^[a-z][a-z0-9_]{1,49}$/,
+    NAME_MAX_LENGTH: 100,
+    // Role used when users.role_id is NULL, by account type (users.role)
+    DEFAULT_BY_ACCOUNT_TYPE: {
+      admin: "super_admin",
+      teacher: "teacher",
+    },
+    // How long role permissions are cached in memory
+    CACHE_TTL_MS: 60 * 1000,
+  },
+
   // NEW: Teacher status (for soft delete)
   TEACHER_STATUS: {
     ACTIVE: "active",
     RESIGNED: "resigned",
   },
 
+  // Resign / reactivate events (teacher_employment_history)
+  TEACHER_EMPLOYMENT_ACTIONS: {
+    RESIGNED: "resigned",
+    REACTIVATED: "reactivated",
+  },
+
   // Valid action types for logs
   LOG_ACTION_TYPES: {
     CREATE: "CREATE",
@@ -108,7 +315,61 @@ module.exports = {
     MODULE_CREATED: "MODULE_CREATED",
     MODULE_UPDATED: "MODULE_UPDATED",
     MODULE_DELETED: "MODULE_DELETED",
+    MODULE_PREREQUISITES_UPDATED: "MODULE_PREREQUISITES_UPDATED",
     TEACHER_RESIGNED: "TEACHER_RESIGNED", // NEW: For soft delete
+    ADJUST: "ADJUST",
+    PRINT: "PRINT",
+    DISPATCH: "DISPATCH",
+    RECEIVE: "RECEIVE",
+    TRANSIT_DISCREPANCY: "TRANSIT_DISCREPANCY",
+    LOW_STOCK_ALERT: "LOW_STOCK_ALERT",
+    VOID: "VOID",
+    REPRINT: "REPRINT",
+    LINK_STUDENT: "LINK_STUDENT",
+  },
+
+  // Printed certificate record status
+  PRINT_STATUS: {
+    PRINTED: "printed",
+    VOIDED: "voided",
+  },
+
+  // Branch policy for automatic batch selection when printing
+  BATCH_SELECTION: {
+    FIFO: "FIFO",
+    LIFO: "LIFO",
+  },
+
+  // Stored notification types
+  NOTIFICATION_TYPES: {
+    LOW_STOCK: "low_stock",
+  },
+
+  // In-transit stock shipment status (dispatched migrations)
+  SHIPMENT_STATUS: {
+    DISPATCHED: "dispatched",
+    RECEIVED: "received",
+    RECEIVED_SHORT: "received_short",
+  },
+
+  // Reason codes for manual stock adjustments (write-off / correction)
+  STOCK_ADJUSTMENT_REASONS: ["damaged", "lost", "recount", "returned-to-supplier"],
+
+  // Physical stocktake session status
+  STOCKTAKE_STATUS: {
+    OPEN: "open",
+    APPROVED: "approved",
+    CANCELLED: "cancelled",
+  },
+
+  // Branch -> regional hub stock request status
+  STOCK_REQUEST_STATUS: {
+    PENDING: "pending",
+    APPROVED: "approved",
+    PARTIALLY_APPROVED: "partially_approved",
+    REJECTED: "rejected",
+    FULFILLED: "fulfilled",
+    CANCELLED: "cancelled",
   },
 
   // Error codes
@@ -123,6 +384,16 @@ module.exports = {
     SERVER_ERROR: "SERVER_ERROR",
     DATABASE_ERROR: "DATABASE_ERROR",
     ACCOUNT_INACTIVE: "ACCOUNT_INACTIVE", // NEW: For resigned teacher login
+    // Print eligibility failures
+    STUDENT_AGE_NOT_ELIGIBLE: "STUDENT_AGE_NOT_ELIGIBLE",
+    STUDENT_DIVISION_MISMATCH: "STUDENT_DIVISION_MISMATCH",
+    TEACHER_DIVISION_NOT_ASSIGNED: "TEACHER_DIVISION_NOT_ASSIGNED",
+    INVALID_VERIFICATION_CODE: "INVALID_VERIFICATION_CODE",
+    CIRCULAR_PREREQUISITE: "CIRCULAR_PREREQUISITE",
+    RATE_LIMITED: "RATE_LIMITED",
+    REFRESH_TOKEN_REUSED: "REFRESH_TOKEN_REUSED",
+    TOKEN_REVOKED: "TOKEN_REVOKED",
+    SHIPMENTS_IN_TRANSIT: "SHIPMENTS_IN_TRANSIT",
   },
 
   // HTTP Status codes (for reference)
@@ -134,6 +405,7 @@ module.exports = {
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
+    TOO_MANY_REQUESTS: 429,
     SERVER_ERROR: 500,
   },
 
@@ -11,6 +11,7 @@ function validateEnvironment() {
   const requiredEnvVars = [
     "JWT_SECRET",
     "JWT_REFRESH_SECRET",
+    "VERIFICATION_SECRET",
     "DB_USER",
     "DB_HOST",
     "DB_DATABASE",
@@ -49,6 +50,23 @@ function validateEnvironment() {
     );
   }
 
+  // Verification code signing key must be separate from JWT secrets
+  if (
+    process.env.VERIFICATION_SECRET === process.env.JWT_SECRET ||
+    process.env.VERIFICATION_SECRET === process.env.JWT_REFRESH_SECRET
+  ) {
+    const errorMsg =
+      "VERIFICATION_SECRET must be different from the JWT secrets";
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  if (process.env.VERIFICATION_SECRET.length < 32) {
+    logger.warn(
+      "⚠️  WARNING: VERIFICATION_SECRET should be at least 32 characters for security",
+    );
+  }
+
   // Validate DB_PORT is a number
   const dbPort = parseInt(process.env.DB_PORT);
   if (isNaN(dbPort) || dbPort < 1 || dbPort > 65535) {
@@ -0,0 +1,121 @@
+// utils/learningPath.js
+// Completed / eligible / upcoming modules for a student (same age and
+// division rules as the print eligibility check)
+
+const CONSTANTS = require("./constants");
+
+/**
+ * Today as YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Date a child born on dateOfBirth turns `years` (YYYY-MM-DD).
+ * 29 February birthdays fall on 1 March in non-leap years.
+ */
+function dateAtAge(dateOfBirth, years) {
+  const [year, month, day] = dateOfBirth.split("-").map(Number);
+  return new Date(Date.UTC(year + years, month - 1, day))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Whole years between dateOfBirth and onDate (both YYYY-MM-DD)
+ */
+function ageOn(dateOfBirth, onDate) {
+  const [birthYear] = dateOfBirth.split("-").map(Number);
+  const [year] = onDate.split("-").map(Number);
+  const age = year - birthYear;
+  return dateAtAge(dateOfBirth, age) > onDate ? age - 1 : age;
+}
+
+/**
+ * Date `months` after a YYYY-MM-DD date
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, day))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Split the module catalog into a student's learning path
+ * @param {Object} student - { division, date_of_birth (YYYY-MM-DD or null) }
+ * @param {Array} modules - catalog rows (id, module_code, division, min_age, max_age)
+ * @param {Array} completed - student_modules rows (module_id, completed_date)
+ * @param {string} asOf - YYYY-MM-DD, defaults to today
+ * @param {Map} prerequisites - module id -> prerequisite module ids
+ * @returns {Object} { age, completed, eligible, upcoming }
+ *
+ * Eligible = same division, not completed, age within range (any age when
+ * date_of_birth is unknown). Upcoming = reaches min_age within
+ * LEARNING_PATH.UPCOMING_MONTHS. Both carry the prerequisites the student
+ * has not completed yet (a warning, not a block).
+ */
+function buildLearningPath(
+  student,
+  modules,
+  completed,
+  asOf = today(),
+  prerequisites = new Map(),
+) {
+  const age = student.date_of_birth ? ageOn(student.date_of_birth, asOf) : null;
+  const horizon = addMonths(asOf, CONSTANTS.LEARNING_PATH.UPCOMING_MONTHS);
+  const completedIds = new Set(completed.map((row) => row.module_id));
+  const codeOf = new Map(modules.map((m) => [m.id, m.module_code]));
+
+  const withPrerequisites = (m) => {
+    const missing = (prerequisites.get(m.id) || [])
+      .filter((id) => !completedIds.has(id))
+      .map((id) => codeOf.get(id) || id);
+    return {
+      ...m,
+      prerequisites_met: missing.length === 0,
+      missing_prerequisites: missing,
+    };
+  };
+
+  const eligible = [];
+  const upcoming = [];
+
+  modules
+    .filter((m) => m.division === student.division && !completedIds.has(m.id))
+    .forEach((m) => {
+      if (age === null || (age >= m.min_age && age <= m.max_age)) {
+        eligible.push(withPrerequisites(m));
+        return;
+      }
+
+      if (age < m.min_age) {
+        const eligibleFrom = dateAtAge(student.date_of_birth, m.min_age);
+        if (eligibleFrom <= horizon) {
+          upcoming.push({
+            ...withPrerequisites(m),
+            eligible_from: eligibleFrom,
+          });
+        }
+      }
+    });
+
+  upcoming.sort((a, b) => a.eligible_from.localeCompare(b.eligible_from));
+
+  return {
+    age,
+    ageKnown: age !== null,
+    completed: [...completed].sort((a, b) =>
+      String(a.completed_date).localeCompare(String(b.completed_date)),
+    ),
+    eligible,
+    upcoming,
+  };
+}
+
+module.exports = {
+  today,
+  ageOn,
+  buildLearningPath,
+};
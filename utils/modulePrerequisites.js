@@ -0,0 +1,67 @@
+// utils/modulePrerequisites.js
+// Prerequisite graph checks and missing-prerequisite lookups
+
+/**
+ * Find the cycle that setting `prerequisiteIds` for `moduleId` would create
+ * @param {Array} edges - existing { module_id, prerequisite_id } rows
+ * @returns {Array|null} module ids along the cycle (first = last = moduleId),
+ *   or null when the graph stays acyclic
+ */
+function findPrerequisiteCycle(edges, moduleId, prerequisiteIds) {
+  const graph = new Map();
+  edges
+    .filter((edge) => edge.module_id !== moduleId)
+    .forEach((edge) => {
+      if (!graph.has(edge.module_id)) graph.set(edge.module_id, []);
+      graph.get(edge.module_id).push(edge.prerequisite_id);
+    });
+  graph.set(moduleId, [...prerequisiteIds]);
+
+  // Depth-first search for a path leading back to moduleId
+  const visited = new Set();
+  const walk = (current, path) => {
+    for (const next of graph.get(current) || []) {
+      if (next === moduleId) return [...path, next];
+      if (visited.has(next)) continue;
+      visited.add(next);
+      const found = walk(next, [...path, next]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  return walk(moduleId, [moduleId]);
+}
+
+/**
+ * Direct prerequisites of the given modules the student has not completed
+ * @returns {Promise<Map>} module id -> [{ id, module_code, module_name }]
+ */
+async function getMissingPrerequisites(db, studentId, moduleIds) {
+  const missing = new Map();
+  if (!studentId || moduleIds.length === 0) return missing;
+
+  const result = await db.query(
+    `SELECT mp.module_id, p.id, p.module_code, p.module_name
+     FROM module_prerequisites mp
+     JOIN modules p ON mp.prerequisite_id = p.id
+     WHERE mp.module_id = ANY($2)
+       AND NOT EXISTS (
+         SELECT 1 FROM student_modules sm
+         WHERE sm.student_id = $1 AND sm.module_id = mp.prerequisite_id
+       )
+     ORDER BY p.min_age, p.module_code`,
+    [studentId, moduleIds],
+  );
+
+  result.rows.forEach(({ module_id: moduleId, ...prerequisite }) => {
+    if (!missing.has(moduleId)) missing.set(moduleId, []);
+    missing.get(moduleId).push(prerequisite);
+  });
+  return missing;
+}
+
+module.exports = {
+  findPrerequisiteCycle,
+  getMissingPrerequisites,
+};
@@ -0,0 +1,321 @@
+// utils/pdfGenerator.js
+// Minimal PDF writer (PDF 1.4) for certificate documents
+// Uses the standard Helvetica fonts so no font files or PDF library are needed
+
+// Page sizes in points (1/72 inch)
+const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  LETTER: { width: 612, height: 792 },
+};
+
+// Standard (built-in) fonts available to templates
+const FONTS = {
+  regular: { resource: "F1", baseFont: "Helvetica" },
+  bold: { resource: "F2", baseFont: "Helvetica-Bold" },
+  italic: { resource: "F3", baseFont: "Helvetica-Oblique" },
+  "bold-italic": { resource: "F4", baseFont: "Helvetica-BoldOblique" },
+  mono: { resource: "F5", baseFont: "Courier" },
+  "mono-bold": { resource: "F6", baseFont: "Courier-Bold" },
+};
+
+// Glyph widths (1/1000 em) for WinAnsi characters 32-126, from the
+// Adobe core font metrics. Used to measure text for centering.
+// prettier-ignore
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// prettier-ignore
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const DEFAULT_CHAR_WIDTH = 556;
+const MONO_CHAR_WIDTH = 600;
+
+/**
+ * Measure text width in points for a standard font
+ */
+function measureText(text, size, font = "regular") {
+  if (font === "mono" || font === "mono-bold") {
+    return (String(text).length * MONO_CHAR_WIDTH * size) / 1000;
+  }
+
+  const widths =
+    font === "bold" || font === "bold-italic"
+      ? HELVETICA_BOLD_WIDTHS
+      : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    total +=
+      code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_CHAR_WIDTH;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Read size and color components of a baseline/progressive JPEG
+ * @returns {Object|null} { width, height, components } or null if not a JPEG
+ */
+function readJpegInfo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        components: buffer[offset + 9],
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+const JPEG_COLOR_SPACES = { 1: "DeviceGray", 3: "DeviceRGB", 4: "DeviceCMYK" };
+
+/**
+ * Escape text for a PDF string literal; characters outside Latin-1
+ * cannot be shown with the standard fonts and are replaced with "?"
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+}
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const formatColor = (color = [0, 0, 0]) =>
+  color.map((c) => formatNumber(c / 255)).join(" ");
+
+/**
+ * Convert drawing operations to a PDF content stream
+ *
+ * Supported operations:
+ *   { type: "text", text, x, y, size, font, color, align: "left"|"center"|"right" }
+ *   { type: "rect", x, y, width, height, lineWidth, stroke, fill }
+ *   { type: "line", x1, y1, x2, y2, lineWidth, stroke }
+ *   { type: "image", data: <JPEG Buffer>, x, y, width, height }
+ * Image operations are looked up in imageNames (op -> XObject name).
+ */
+function buildContentStream(operations, imageNames = new Map()) {
+  const lines = [];
+
+  operations.forEach((op) => {
+    if (op.type === "image") {
+      lines.push("q");
+      lines.push(
+        `${formatNumber(op.width)} 0 0 ${formatNumber(op.height)} ${formatNumber(op.x)} ${formatNumber(op.y)} cm`,
+      );
+      lines.push(`/${imageNames.get(op)} Do`);
+      lines.push("Q");
+    } else if (op.type === "rect") {
+      lines.push(`${formatNumber(op.lineWidth || 1)} w`);
+      if (op.fill) lines.push(`${formatColor(op.fill)} rg`);
+      if (op.stroke) lines.push(`${formatColor(op.stroke)} RG`);
+      lines.push(
+        `${formatNumber(op.x)} ${formatNumber(op.y)} ${formatNumber(op.width)} ${formatNumber(op.height)} re`,
+      );
+      if (op.fill && op.stroke) lines.push("B");
+      else if (op.fill) lines.push("f");
+      else lines.push("S");
+    } else if (op.type === "line") {
+      lines.push(`${formatNumber(op.lineWidth || 1)} w`);
+      lines.push(`${formatColor(op.stroke)} RG`);
+      lines.push(
+        `${formatNumber(op.x1)} ${formatNumber(op.y1)} m ${formatNumber(op.x2)} ${formatNumber(op.y2)} l S`,
+      );
+    } else if (op.type === "text") {
+      const font = FONTS[op.font] ? op.font : "regular";
+      const size = op.size || 12;
+      const width = measureText(op.text, size, font);
+      let x = op.x;
+      if (op.align === "center") x = op.x - width / 2;
+      else if (op.align === "right") x = op.x - width;
+
+      lines.push("BT");
+      lines.push(`${formatColor(op.color)} rg`);
+      lines.push(`/${FONTS[font].resource} ${formatNumber(size)} Tf`);
+      lines.push(`${formatNumber(x)} ${formatNumber(op.y)} Td`);
+      lines.push(`(${escapeText(op.text)}) Tj`);
+      lines.push("ET");
+    }
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Build a PDF document
+ * @param {Array<Array<Object>|Object>} pages - drawing operations per page, or
+ *   { operations, size, orientation } to override the page size per page
+ * @param {Object} options - { size: "A4"|"LETTER", orientation: "portrait"|"landscape", title }
+ * @returns {Buffer}
+ */
+function createPdf(pages, options = {}) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const pageSize = (size, orientation) => {
+    const base = PAGE_SIZES[size] || PAGE_SIZES.A4;
+    return orientation === "landscape"
+      ? { width: base.height, height: base.width }
+      : { width: base.width, height: base.height };
+  };
+
+  // Fixed objects: 1 catalog, 2 page tree (filled in last), 3 info
+  addObject("<< /Type /Catalog /Pages 2 0 R >>");
+  addObject(null);
+  addObject(
+    `<< /Title (${escapeText(options.title || "Certificate")}) /Producer (Certificate Management API) >>`,
+  );
+
+  const fontResources = Object.values(FONTS)
+    .map((font) => {
+      const id = addObject(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`,
+      );
+      return `/${font.resource} ${id} 0 R`;
+    })
+    .join(" ");
+
+  // Images are embedded once per distinct buffer (e.g. a shared background)
+  const imageObjects = new Map();
+  const embedImage = (data) => {
+    if (imageObjects.has(data)) return imageObjects.get(data);
+
+    const info = readJpegInfo(data);
+    if (!info) throw new Error("Only JPEG images can be embedded in PDFs");
+
+    const id = addObject(
+      Buffer.concat([
+        Buffer.from(
+          `<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} ` +
+            `/ColorSpace /${JPEG_COLOR_SPACES[info.components] || "DeviceRGB"} /BitsPerComponent 8 ` +
+            `/Filter /DCTDecode /Length ${data.length} >>\nstream\n`,
+          "latin1",
+        ),
+        data,
+        Buffer.from("\nendstream", "latin1"),
+      ]),
+    );
+    const image = { id, name: `Im${imageObjects.size + 1}` };
+    imageObjects.set(data, image);
+    return image;
+  };
+
+  const pageIds = pages.map((page) => {
+    const operations = Array.isArray(page) ? page : page.operations;
+    const { width, height } = pageSize(
+      (!Array.isArray(page) && page.size) || options.size,
+      (!Array.isArray(page) && page.orientation) || options.orientation,
+    );
+
+    const imageNames = new Map();
+    const xObjects = [];
+    operations
+      .filter((op) => op.type === "image")
+      .forEach((op) => {
+        const image = embedImage(op.data);
+        imageNames.set(op, image.name);
+        xObjects.push(`/${image.name} ${image.id} 0 R`);
+      });
+
+    const stream = Buffer.from(
+      buildContentStream(operations, imageNames),
+      "latin1",
+    );
+    const contentId = addObject(
+      Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} >>\nstream\n`, "latin1"),
+        stream,
+        Buffer.from("\nendstream", "latin1"),
+      ]),
+    );
+
+    const xObjectResources = xObjects.length
+      ? ` /XObject << ${[...new Set(xObjects)].join(" ")} >>`
+      : "";
+
+    return addObject(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+        `/Resources << /Font << ${fontResources} >>${xObjectResources} >> /Contents ${contentId} 0 R >>`,
+    );
+  });
+
+  objects[1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+  // ===== SERIALIZE WITH CROSS-REFERENCE TABLE =====
+  const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+  const offsets = [];
+  let position = chunks[0].length;
+
+  objects.forEach((object, index) => {
+    offsets.push(position);
+    const body = Buffer.isBuffer(object)
+      ? object
+      : Buffer.from(object, "latin1");
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, "latin1"),
+      body,
+      Buffer.from("\nendobj\n", "latin1"),
+    ]);
+    chunks.push(chunk);
+    position += chunk.length;
+  });
+
+  const xrefLines = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>`,
+    "startxref",
+    String(position),
+    "%%EOF",
+  ];
+  chunks.push(Buffer.from(xrefLines.join("\n") + "\n", "latin1"));
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  PAGE_SIZES,
+  FONTS,
+  measureText,
+  readJpegInfo,
+  createPdf,
+};
@@ -0,0 +1,85 @@
+// utils/permissions.js
+// Role permission lookups (cached per role) used by requirePermission
+
+const CONSTANTS = require("./constants");
+
+// role cache key -> { role, permissions: Set, loadedAt }
+const cache = new Map();
+
+/**
+ * Cache key for a user's role: users.role_id, or the default role of the
+ * account type when the user has no role assigned
+ */
+function roleCacheKey(user) {
+  if (user.role_id) return `id:${user.role_id}`;
+  return `key:${CONSTANTS.ROLE.DEFAULT_BY_ACCOUNT_TYPE[user.role]}`;
+}
+
+/**
+ * Load a role with its permissions
+ * @returns {Promise<Object|null>} { role, permissions: Set }
+ */
+async function loadRole(db, user) {
+  const byId = Boolean(user.role_id);
+  const result = await db.query(
+    `SELECT
+      r.id,
+      r.role_key,
+      r.role_name,
+      r.account_type,
+      COALESCE(
+        array_agg(rp.permission) FILTER (WHERE rp.permission IS NOT NULL),
+        '{}'
+      ) as permissions
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role_id = r.id
+     WHERE ${byId ? "r.id = $1" : "r.role_key = $1"}
+     GROUP BY r.id`,
+    [byId ? user.role_id : CONSTANTS.ROLE.DEFAULT_BY_ACCOUNT_TYPE[user.role]],
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const { permissions, ...role } = result.rows[0];
+  return { role, permissions: new Set(permissions) };
+}
+
+/**
+ * Role and permissions of an authenticated user (req.user).
+ * A role whose account type differs from the user's grants nothing.
+ * @returns {Promise<Object>} { role, permissions: Set }
+ */
+async function getUserPermissions(db, user) {
+  const key = roleCacheKey(user);
+  const cached = cache.get(key);
+
+  let entry;
+  if (cached && Date.now() - cached.loadedAt < CONSTANTS.ROLE.CACHE_TTL_MS) {
+    entry = cached;
+  } else {
+    const loaded = await loadRole(db, user);
+    entry = {
+      role: loaded ? loaded.role : null,
+      permissions: loaded ? loaded.permissions : new Set(),
+      loadedAt: Date.now(),
+    };
+    cache.set(key, entry);
+  }
+
+  if (!entry.role || entry.role.account_type !== user.role) {
+    return { role: entry.role, permissions: new Set() };
+  }
+  return entry;
+}
+
+/**
+ * Drop cached permissions (call after roles are changed)
+ */
+function clearPermissionCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getUserPermissions,
+  clearPermissionCache,
+};
@@ -0,0 +1,141 @@
+// utils/refreshTokens.js
+// Stored refresh tokens (SHA-256 hashes): rotation, revocation and sessions.
+// A session is a token family: all tokens rotated from one login.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const CONSTANTS = require("./constants");
+
+/**
+ * SHA-256 hex digest of a refresh token (the raw token is never stored)
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Store a newly issued refresh token with the device it was issued to
+ * @returns {Promise<number>} refresh_tokens id
+ */
+async function saveRefreshToken(db, { userId, familyId, token, req }) {
+  const { exp } = jwt.decode(token);
+  const userAgent = (req.get("user-agent") || "").slice(
+    0,
+    CONSTANTS.REFRESH_TOKEN.USER_AGENT_MAX_LENGTH,
+  );
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens
+     (user_id, family_id, token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, to_timestamp($6))
+     RETURNING id`,
+    [
+      userId,
+      familyId,
+      hashToken(token),
+      userAgent || null,
+      req.ip || null,
+      exp,
+    ],
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Stored row for a raw refresh token (locked when rotating)
+ * @returns {Promise<Object|null>}
+ */
+async function findRefreshToken(db, token, forUpdate = false) {
+  const result = await db.query(
+    `SELECT * FROM refresh_tokens WHERE token_hash = $1 ${forUpdate ? "FOR UPDATE" : ""}`,
+    [hashToken(token)],
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a token as used and point it at its replacement
+ */
+async function markRotated(db, tokenId, replacedById) {
+  await db.query(
+    `UPDATE refresh_tokens
+     SET rotated_at = CURRENT_TIMESTAMP, replaced_by = $2
+     WHERE id = $1`,
+    [tokenId, replacedById],
+  );
+}
+
+/**
+ * Revoke every token of a family (one session)
+ * @returns {Promise<number>} tokens revoked
+ */
+async function revokeFamily(db, familyId, reason) {
+  const result = await db.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId, reason],
+  );
+  return result.rowCount;
+}
+
+/**
+ * Revoke every session of a user
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeUserSessions(db, userId, reason) {
+  const result = await db.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+     RETURNING family_id`,
+    [userId, reason],
+  );
+  return new Set(result.rows.map((row) => row.family_id)).size;
+}
+
+/**
+ * Active sessions of a user: the current (unrotated, unrevoked,
+ * unexpired) token of each family, newest activity first
+ */
+async function getActiveSessions(db, userId) {
+  const result = await db.query(
+    `SELECT
+      rt.family_id as session_id,
+      rt.user_agent,
+      rt.ip_address,
+      (SELECT MIN(f.created_at) FROM refresh_tokens f
+       WHERE f.family_id = rt.family_id) as signed_in_at,
+      rt.created_at as last_refreshed_at,
+      rt.expires_at
+     FROM refresh_tokens rt
+     WHERE rt.user_id = $1
+       AND rt.rotated_at IS NULL
+       AND rt.revoked_at IS NULL
+       AND rt.expires_at > CURRENT_TIMESTAMP
+     ORDER BY rt.created_at DESC`,
+    [userId],
+  );
+  return result.rows;
+}
+
+/**
+ * Drop a user's expired tokens (they can no longer be presented)
+ */
+async function purgeExpiredTokens(db, userId) {
+  await db.query(
+    "DELETE FROM refresh_tokens WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP",
+    [userId],
+  );
+}
+
+module.exports = {
+  saveRefreshToken,
+  findRefreshToken,
+  markRotated,
+  revokeFamily,
+  revokeUserSessions,
+  getActiveSessions,
+  purgeExpiredTokens,
+};
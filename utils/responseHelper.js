@@ -3,14 +3,17 @@ const logger = require("./logger");
 
 /**
  * Send standardized error response
+ * Optional details (e.g. per-item validation results) are returned as-is
  */
-function sendError(res, statusCode, message, errorCode = null, error = null) {
+function sendError(res, statusCode, message, errorCode = null, error = null, details = null) {
   const response = {
     success: false,
     message: message,
     errorCode: errorCode,
   };
 
+  if (details !== null) response.details = details;
+
   if (error && process.env.NODE_ENV === "development") {
     response.error = error.message;
     response.stack = error.stack;
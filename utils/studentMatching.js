@@ -0,0 +1,159 @@
+// utils/studentMatching.js
+// Name normalization, fuzzy name similarity and duplicate student scoring
+
+const CONSTANTS = require("./constants");
+
+/**
+ * Normalize a person name for comparison:
+ * lowercase, accents removed, punctuation to spaces, single spaces
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance (two-row implementation)
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const ratio = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+const sortTokens = (name) => name.split(" ").sort().join(" ");
+
+/**
+ * Similarity of two names between 0 and 1.
+ * Compares both as written and with words sorted, so
+ * "Putri Ayu" and "Ayu Putri" are a full match.
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+
+  const score = Math.max(
+    ratio(left, right),
+    ratio(sortTokens(left), sortTokens(right)),
+  );
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Phone digits in local form (+62 812... and 0812... compare equal).
+ * Returns null for values too short to identify anyone.
+ */
+function normalizePhone(phone) {
+  let digits = String(phone || "").replace(/\D/g, "");
+  if (digits.startsWith("62")) digits = `0${digits.slice(2)}`;
+  return digits.length >= 6 ? digits : null;
+}
+
+function normalizeEmail(email) {
+  const value = String(email || "")
+    .trim()
+    .toLowerCase();
+  return value || null;
+}
+
+/**
+ * Score how likely two student rows are the same child (0-100)
+ * Students need: student_name, date_of_birth (YYYY-MM-DD text or null),
+ * parent_phone, parent_email, branch_id
+ * @returns {Object} { score, nameSimilarity, reasons }
+ */
+function scoreStudentPair(a, b) {
+  const weights = CONSTANTS.STUDENT_DUPLICATES.WEIGHTS;
+  const reasons = [];
+
+  const similarity = nameSimilarity(a.student_name, b.student_name);
+  let score = similarity * weights.NAME;
+  reasons.push(`Name similarity ${Math.round(similarity * 100)}%`);
+
+  if (a.date_of_birth && b.date_of_birth) {
+    if (a.date_of_birth === b.date_of_birth) {
+      score += weights.DATE_OF_BIRTH;
+      reasons.push("Same date of birth");
+    } else {
+      score -= CONSTANTS.STUDENT_DUPLICATES.DOB_MISMATCH_PENALTY;
+      reasons.push("Different date of birth");
+    }
+  }
+
+  const phoneA = normalizePhone(a.parent_phone);
+  if (phoneA && phoneA === normalizePhone(b.parent_phone)) {
+    score += weights.PARENT_PHONE;
+    reasons.push("Same parent phone");
+  }
+
+  const emailA = normalizeEmail(a.parent_email);
+  if (emailA && emailA === normalizeEmail(b.parent_email)) {
+    score += weights.PARENT_EMAIL;
+    reasons.push("Same parent email");
+  }
+
+  if (a.branch_id === b.branch_id) {
+    score += weights.BRANCH;
+    reasons.push("Same branch");
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, Math.round(score))),
+    nameSimilarity: similarity,
+    reasons,
+  };
+}
+
+/**
+ * Blocking keys for candidate pairs: only students sharing at least one
+ * key are compared (name word prefix, birth date, parent phone or email).
+ */
+function candidateKeys(student) {
+  const keys = new Set();
+
+  normalizeName(student.student_name)
+    .split(" ")
+    .filter((token) => token.length >= 3)
+    .forEach((token) => keys.add(`n:${token.slice(0, 3)}`));
+
+  if (student.date_of_birth) keys.add(`d:${student.date_of_birth}`);
+
+  const phone = normalizePhone(student.parent_phone);
+  if (phone) keys.add(`p:${phone}`);
+
+  const email = normalizeEmail(student.parent_email);
+  if (email) keys.add(`e:${email}`);
+
+  return keys;
+}
+
+module.exports = {
+  normalizeName,
+  nameSimilarity,
+  normalizePhone,
+  normalizeEmail,
+  scoreStudentPair,
+  candidateKeys,
+};
@@ -0,0 +1,69 @@
+// utils/tokenVersion.js
+// Per-user token version (users.token_version) checked by verifyToken.
+// Incrementing it invalidates every access token issued before; lookups
+// are cached briefly so verifyToken does not query users on every request.
+
+const CONSTANTS = require("./constants");
+const { clearHubScopeCache } = require("./branchAccess");
+
+// user id -> { tokenVersion, isActive, loadedAt }
+const cache = new Map();
+
+/**
+ * Current token version and active flag of a user
+ * @returns {Promise<Object|null>} { tokenVersion, isActive } or null if the user is gone
+ */
+async function getTokenState(db, userId) {
+  const cached = cache.get(userId);
+  if (
+    cached &&
+    Date.now() - cached.loadedAt < CONSTANTS.JWT.TOKEN_VERSION_CACHE_TTL_MS
+  ) {
+    return cached;
+  }
+
+  const result = await db.query(
+    "SELECT token_version, is_active FROM users WHERE id = $1",
+    [userId],
+  );
+
+  if (result.rows.length === 0) {
+    cache.delete(userId);
+    return null;
+  }
+
+  const entry = {
+    tokenVersion: result.rows[0].token_version,
+    isActive: result.rows[0].is_active !== false,
+    loadedAt: Date.now(),
+  };
+  cache.set(userId, entry);
+  return entry;
+}
+
+/**
+ * Invalidate a user's outstanding access tokens. Run inside the
+ * transaction that changes the user, then call clearTokenVersionCache
+ * after COMMIT.
+ */
+async function bumpTokenVersion(db, userId) {
+  await db.query(
+    "UPDATE users SET token_version = token_version + 1 WHERE id = $1",
+    [userId],
+  );
+}
+
+/**
+ * Drop a user's cached token version and hub scope (call after
+ * bumpTokenVersion or another change to the user commits)
+ */
+function clearTokenVersionCache(userId) {
+  cache.delete(userId);
+  clearHubScopeCache(userId);
+}
+
+module.exports = {
+  getTokenState,
+  bumpTokenVersion,
+  clearTokenVersionCache,
+};
@@ -0,0 +1,220 @@
+// utils/transcriptPdf.js
+// Printable student transcript (A4 portrait) built with the minimal PDF writer
+
+const { PAGE_SIZES, measureText, createPdf } = require("./pdfGenerator");
+
+const PAGE = PAGE_SIZES.A4;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE.width - MARGIN * 2;
+const ROW_HEIGHT = 16;
+const TEXT_COLOR = [33, 37, 41];
+const MUTED_COLOR = [108, 117, 125];
+const ACCENT_COLOR = [68, 114, 196]; // same blue as the Excel headers
+
+const MODULE_COLUMNS = [
+  { header: "Date", key: "completed_date", width: 62 },
+  { header: "Module", key: "module", width: 150 },
+  { header: "Branch", key: "branch_code", width: 45 },
+  { header: "Batch", key: "certificate_id", width: 80 },
+  { header: "Serial", key: "serial_number", width: 85 },
+  { header: "Issued By", key: "issued_by", width: 73 },
+];
+
+const TRANSFER_COLUMNS = [
+  { header: "Date", key: "transfer_date", width: 62 },
+  { header: "From", key: "from_branch", width: 150 },
+  { header: "To", key: "to_branch", width: 150 },
+  { header: "Transferred By", key: "transferred_by", width: 133 },
+];
+
+/**
+ * Shorten text with "..." so it fits in `width` points
+ */
+function fitText(text, width, size, font = "regular") {
+  const value = text === null || text === undefined ? "-" : String(text);
+  if (measureText(value, size, font) <= width) return value;
+
+  let end = value.length;
+  while (
+    end > 0 &&
+    measureText(`${value.slice(0, end)}...`, size, font) > width
+  ) {
+    end--;
+  }
+  return `${value.slice(0, end)}...`;
+}
+
+/**
+ * Render a transcript as a PDF buffer
+ * @param {Object} transcript - { student, transfers, modules, teachers, generatedAt }
+ * @returns {Buffer}
+ */
+function renderTranscriptPdf(transcript) {
+  const { student, transfers, modules, teachers, generatedAt } = transcript;
+  const pages = [];
+  let ops;
+  let y;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE.height - MARGIN;
+  };
+
+  const text = (value, x, size = 10, font = "regular", options = {}) =>
+    ops.push({
+      type: "text",
+      text: value,
+      x,
+      y,
+      size,
+      font,
+      color: options.color || TEXT_COLOR,
+      align: options.align || "left",
+    });
+
+  // Start a new page when fewer than `height` points are left
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + 20) newPage();
+  };
+
+  const sectionTitle = (title) => {
+    ensureSpace(50);
+    y -= 24;
+    text(title, MARGIN, 13, "bold", { color: ACCENT_COLOR });
+    y -= 6;
+    ops.push({
+      type: "line",
+      x1: MARGIN,
+      y1: y,
+      x2: PAGE.width - MARGIN,
+      y2: y,
+      lineWidth: 0.75,
+      stroke: ACCENT_COLOR,
+    });
+    y -= 14;
+  };
+
+  const tableHeader = (columns) => {
+    ops.push({
+      type: "rect",
+      x: MARGIN,
+      y: y - 4,
+      width: CONTENT_WIDTH,
+      height: ROW_HEIGHT,
+      fill: ACCENT_COLOR,
+    });
+    let x = MARGIN + 3;
+    columns.forEach((column) => {
+      text(column.header, x, 9, "bold", { color: [255, 255, 255] });
+      x += column.width;
+    });
+    y -= ROW_HEIGHT;
+  };
+
+  const table = (columns, rows) => {
+    tableHeader(columns);
+    rows.forEach((row, index) => {
+      if (y - ROW_HEIGHT < MARGIN + 20) {
+        newPage();
+        tableHeader(columns);
+      }
+      if (index % 2 === 1) {
+        ops.push({
+          type: "rect",
+          x: MARGIN,
+          y: y - 4,
+          width: CONTENT_WIDTH,
+          height: ROW_HEIGHT,
+          fill: [242, 242, 242],
+        });
+      }
+      let x = MARGIN + 3;
+      columns.forEach((column) => {
+        text(fitText(row[column.key], column.width - 6, 9), x, 9);
+        x += column.width;
+      });
+      y -= ROW_HEIGHT;
+    });
+  };
+
+  // ===== HEADER =====
+  newPage();
+  text("Student Transcript", PAGE.width / 2, 20, "bold", { align: "center" });
+  y -= 18;
+  text(`Generated ${generatedAt}`, PAGE.width / 2, 9, "regular", {
+    align: "center",
+    color: MUTED_COLOR,
+  });
+
+  // ===== STUDENT DETAILS =====
+  sectionTitle("Student");
+  [
+    ["Name", student.student_name],
+    ["Student ID", student.id],
+    ["Division", student.division],
+    ["Date of Birth", student.date_of_birth],
+    ["Branch", `${student.branch_name} (${student.branch_code})`],
+    ["Status", student.status],
+    ["Parent", student.parent_name],
+  ].forEach(([label, value]) => {
+    text(label, MARGIN, 10, "bold");
+    text(fitText(value, CONTENT_WIDTH - 110, 10), MARGIN + 110, 10);
+    y -= 15;
+  });
+
+  // ===== BRANCH HISTORY =====
+  sectionTitle("Branch History");
+  if (transfers.length === 0) {
+    text(`No transfers - enrolled at ${student.branch_name}`, MARGIN, 10);
+    y -= 15;
+  } else {
+    table(TRANSFER_COLUMNS, transfers);
+  }
+
+  // ===== COMPLETED MODULES =====
+  sectionTitle(`Completed Modules (${modules.length})`);
+  if (modules.length === 0) {
+    text("No modules completed yet", MARGIN, 10);
+    y -= 15;
+  } else {
+    table(
+      MODULE_COLUMNS,
+      modules.map((m) => ({
+        ...m,
+        module: `${m.module_code} - ${m.module_name}`,
+      })),
+    );
+  }
+
+  // ===== TEACHERS =====
+  sectionTitle("Teachers");
+  text(
+    fitText(teachers.length ? teachers.join(", ") : "-", CONTENT_WIDTH, 10),
+    MARGIN,
+    10,
+  );
+
+  // ===== PAGE NUMBERS =====
+  pages.forEach((pageOps, index) =>
+    pageOps.push({
+      type: "text",
+      text: `${student.student_name} - page ${index + 1} of ${pages.length}`,
+      x: PAGE.width / 2,
+      y: MARGIN / 2,
+      size: 8,
+      color: MUTED_COLOR,
+      align: "center",
+    }),
+  );
+
+  return createPdf(pages, {
+    size: "A4",
+    orientation: "portrait",
+    title: `Transcript - ${student.student_name}`,
+  });
+}
+
+module.exports = {
+  renderTranscriptPdf,
+};
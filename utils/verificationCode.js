@@ -0,0 +1,57 @@
+// utils/verificationCode.js
+// Signed verification codes for printed certificates (public verify endpoint)
+
+const crypto = require("crypto");
+const CONSTANTS = require("./constants");
+
+/**
+ * HMAC signature of a printed certificate id, truncated for readability
+ */
+function sign(printedCertificateId) {
+  return crypto
+    .createHmac("sha256", process.env.VERIFICATION_SECRET)
+    .update(`printed_certificate:${printedCertificateId}`)
+    .digest("hex")
+    .slice(0, CONSTANTS.VERIFICATION.SIGNATURE_LENGTH)
+    .toUpperCase();
+}
+
+/**
+ * Build verification code for a printed certificate id
+ * Format: <id in base36>-<signature>, e.g. "2N9-4F1A0C9E7B3D21A8"
+ */
+function generateVerificationCode(printedCertificateId) {
+  const id = parseInt(printedCertificateId);
+  return `${id.toString(36).toUpperCase()}-${sign(id)}`;
+}
+
+/**
+ * Parse and verify a code
+ * @returns {number|null} printed certificate id, or null if malformed/tampered
+ */
+function verifyVerificationCode(code) {
+  if (typeof code !== "string") return null;
+
+  const match = code
+    .trim()
+    .toUpperCase()
+    .match(CONSTANTS.VERIFICATION.CODE_PATTERN);
+  if (!match) return null;
+
+  const id = parseInt(match[1], 36);
+  if (isNaN(id) || id < 1) return null;
+
+  const expected = Buffer.from(sign(id));
+  const provided = Buffer.from(match[2]);
+
+  if (
+    expected.length !== provided.length ||
+    !crypto.timingSafeEqual(expected, provided)
+  ) {
+    return null;
+  }
+
+  return id;
+}
+
+module.exports = { generateVerificationCode, verifyVerificationCode };